@@ -0,0 +1,160 @@
+import { Chess } from 'chess.js';
+import { MATE_SCORE } from './engine.js';
+
+// Post-game analysis: the engine looks at every position of a game, and each
+// move is judged by how far it lowered the mover's winning chances compared
+// with the position before it.
+export const ANALYSIS_DEPTH = 3;
+export const ANALYSIS_TIME_MS = 400;
+
+// Mates are drawn at the edge of the eval graph
+export const MAX_EVAL_CP = 1000;
+
+// Drops in winning chances (on a -1 to 1 scale) for each judgement
+const JUDGEMENTS = [
+  ['blunder', 0.3],
+  ['mistake', 0.2],
+  ['inaccuracy', 0.1],
+];
+
+export const NAGS = { inaccuracy: '$6', mistake: '$2', blunder: '$4' };
+
+// Winning chances for White from -1 to 1, on the same curve as Lichess
+export function getWinningChances(cp) {
+  const clamped = Math.max(-MAX_EVAL_CP, Math.min(MAX_EVAL_CP, cp));
+  return 2 / (1 + Math.exp(-0.00368208 * clamped)) - 1;
+}
+
+// An engine score for the side to move as an evaluation from White's side:
+// `cp` in centipawns, and `mate` in moves (negative when Black mates) when
+// there is a forced mate
+export function toWhiteEval(score, turn) {
+  const white = turn === 'w' ? score : -score;
+  if (Math.abs(white) <= MATE_SCORE - 1000) {
+    return { cp: white, mate: null };
+  }
+  const moves = Math.max(1, Math.ceil((MATE_SCORE - Math.abs(white)) / 2));
+  return white > 0 ? { cp: MAX_EVAL_CP, mate: moves } : { cp: -MAX_EVAL_CP, mate: -moves };
+}
+
+export function formatEval({ cp, mate }) {
+  if (mate) return `#${mate}`;
+  return (cp / 100).toFixed(2);
+}
+
+function judgeMove(drop) {
+  return JUDGEMENTS.find(([, threshold]) => drop >= threshold)?.[0] || 'good';
+}
+
+// How accurately a move kept the mover's winning percentage, from 0 to 100
+function getMoveAccuracy(winBefore, winAfter) {
+  const lost = Math.max(0, winBefore - winAfter);
+  return Math.max(0, Math.min(100, 103.1668 * Math.exp(-0.04354 * lost) - 3.1669));
+}
+
+function average(values) {
+  if (!values.length) return null;
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+}
+
+// Analyses `moves` (SAN) played from `startFen`. `engine.search` gets the game
+// so far and may return a promise, as createEngineWorker's does, which keeps
+// the searches off the main thread.
+export async function analyzeGame(
+  engine,
+  { startFen = null, moves },
+  { depth = ANALYSIS_DEPTH, timeMs = ANALYSIS_TIME_MS } = {},
+) {
+  const chess = startFen ? new Chess(startFen) : new Chess();
+
+  async function evaluatePosition() {
+    if (chess.isCheckmate()) {
+      return { cp: chess.turn() === 'w' ? -MAX_EVAL_CP : MAX_EVAL_CP, mate: 0, best: null };
+    }
+    if (chess.isGameOver()) {
+      return { cp: 0, mate: null, best: null };
+    }
+    const result = await engine.search(chess, { depth, timeMs });
+    return { ...toWhiteEval(result.score, chess.turn()), best: result.move.san };
+  }
+
+  let before = await evaluatePosition();
+  const startEval = { cp: before.cp, mate: before.mate };
+  const entries = [];
+  for (const san of moves) {
+    const color = chess.turn();
+    const moveNumber = chess.moveNumber();
+    const played = chess.move(san);
+    const after = await evaluatePosition();
+
+    const sign = color === 'w' ? 1 : -1;
+    const chancesBefore = sign * getWinningChances(before.cp);
+    const chancesAfter = sign * getWinningChances(after.cp);
+    const isBest = played.san === before.best;
+    entries.push({
+      ply: entries.length + 1,
+      moveNumber,
+      color,
+      san: played.san,
+      eval: { cp: after.cp, mate: after.mate },
+      bestMove: before.best,
+      classification: isBest ? 'best' : judgeMove(chancesBefore - chancesAfter),
+      accuracy: isBest ? 100 : getMoveAccuracy(50 + 50 * chancesBefore, 50 + 50 * chancesAfter),
+    });
+    before = after;
+  }
+
+  const accuracyFor = (color) =>
+    average(entries.filter((entry) => entry.color === color).map((entry) => entry.accuracy));
+  return {
+    depth,
+    startEval,
+    moves: entries,
+    accuracy: { white: accuracyFor('w'), black: accuracyFor('b') },
+  };
+}
+
+function escapeTagValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function wrapTokens(tokens, width = 80) {
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && line.length + token.length + 1 > width) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+// PGN of the analysed game with an [%eval] comment after each move and NAGs on
+// inaccuracies, mistakes and blunders
+export function buildAnnotatedPgn(headers, analysis) {
+  const tags = Object.entries(headers).map(([key, value]) => `[${key} "${escapeTagValue(value)}"]`);
+  const tokens = [];
+  let afterComment = true;
+  for (const entry of analysis.moves) {
+    if (entry.color === 'w') {
+      tokens.push(`${entry.moveNumber}.`);
+    } else if (afterComment) {
+      tokens.push(`${entry.moveNumber}...`);
+    }
+    tokens.push(entry.san);
+
+    const nag = NAGS[entry.classification];
+    if (nag) tokens.push(nag);
+    const notes = [];
+    if (entry.eval.mate !== 0) notes.push(`[%eval ${formatEval(entry.eval)}]`);
+    if (nag && entry.bestMove) notes.push(`${entry.bestMove} was best.`);
+    if (notes.length) tokens.push(`{ ${notes.join(' ')} }`);
+    afterComment = notes.length > 0;
+  }
+  tokens.push(headers.Result || '*');
+  return `${tags.join('\n')}\n\n${wrapTokens(tokens)}\n`;
+}
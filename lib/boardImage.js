@@ -0,0 +1,275 @@
+import { createRequire } from 'module';
+import { Chess } from 'chess.js';
+import { Resvg } from '@resvg/resvg-js';
+
+const require = createRequire(import.meta.url);
+
+export const SQUARE_SIZE = 75;
+export const BOARD_SIZE = SQUARE_SIZE * 8;
+
+export const ASPECT_RATIOS = {
+  '1.91:1': { width: Math.round(BOARD_SIZE * 1.91), height: BOARD_SIZE },
+  '1:1': { width: BOARD_SIZE, height: BOARD_SIZE },
+  // Mini App embeds
+  '3:2': { width: BOARD_SIZE * 1.5, height: BOARD_SIZE },
+};
+
+const LIGHT_SQUARE = '#f0d9b5';
+const DARK_SQUARE = '#b58863';
+
+// Piece artwork drawn on a 45x45 grid, so rendering never depends on the
+// viewer's (or the server's) installed fonts.
+const PIECE_SHAPES = {
+  p: `<circle cx="22.5" cy="14" r="5.5"/>
+    <path d="M15 35 L30 35 L27.5 25 Q22.5 20 17.5 25 Z"/>
+    <rect x="12" y="35" width="21" height="4.5" rx="1.5"/>`,
+  r: `<path d="M11.5 9.5 h4.5 v3.5 h4 v-3.5 h5 v3.5 h4 v-3.5 h4.5 v7.5 h-22 Z"/>
+    <path d="M14.5 17 h16 l1 18 h-18 Z"/>
+    <rect x="10.5" y="35" width="24" height="4.5" rx="1.5"/>`,
+  n: `<path d="M13.5 35 L31.5 35 Q33.5 21 26 12.5 L24.5 7.5 L21 11.5 Q14 13.5 10.5 23.5 L13.5 27 L19.5 23.5 Q18.5 29.5 13.5 35 Z"/>
+    <circle cx="19" cy="16.5" r="1.3" data-detail/>
+    <rect x="11" y="35" width="23" height="4.5" rx="1.5"/>`,
+  b: `<circle cx="22.5" cy="8.5" r="2.5"/>
+    <path d="M15.5 32 Q14 22 22.5 11.5 Q31 22 29.5 32 Z"/>
+    <path d="M20.5 20 L25.5 25" data-detail/>
+    <rect x="11" y="32" width="23" height="3.5" rx="1.2"/>
+    <rect x="13.5" y="35.5" width="18" height="4" rx="1.2"/>`,
+  q: `<path d="M11.5 35 L33.5 35 L36.5 15 L29.5 26 L26.5 11.5 L22.5 25 L18.5 11.5 L15.5 26 L8.5 15 Z"/>
+    <circle cx="8.5" cy="13.5" r="2.2"/>
+    <circle cx="18.5" cy="10" r="2.2"/>
+    <circle cx="26.5" cy="10" r="2.2"/>
+    <circle cx="36.5" cy="13.5" r="2.2"/>
+    <rect x="10.5" y="35" width="24" height="4.5" rx="1.5"/>`,
+  k: `<path d="M21 5 h3 v4 h4 v3 h-4 v6 h-3 v-6 h-4 v-3 h4 Z"/>
+    <path d="M12.5 35 L32.5 35 Q37 24 29.5 20 L22.5 24 L15.5 20 Q8 24 12.5 35 Z"/>
+    <rect x="10.5" y="35" width="24" height="4.5" rx="1.5"/>`,
+};
+
+const PIECE_COLORS = {
+  w: { fill: '#ffffff', stroke: '#1a1a1a', detail: '#1a1a1a' },
+  b: { fill: '#1a1a1a', stroke: '#1a1a1a', detail: '#ffffff' },
+};
+
+export function renderPiece(piece, x, y, size) {
+  const colors = PIECE_COLORS[piece.color];
+  const scale = size / 45;
+  const shapes = PIECE_SHAPES[piece.type].replace(
+    /data-detail/g,
+    `fill="${colors.detail}" stroke="${colors.detail}"`,
+  );
+  return `<g transform="translate(${x} ${y}) scale(${scale})" fill="${colors.fill}" stroke="${colors.stroke}" stroke-width="1.5" stroke-linejoin="round">${shapes}</g>`;
+}
+
+// `row` and `col` index chess.board() (a8 first); with Black at the bottom the
+// board is drawn rotated. Validation is skipped so variant positions without a
+// king (Horde) can be drawn.
+function renderBoardContent(fen, highlightedSquares, lastMove, orientation = 'white') {
+  const chess = new Chess(fen, { skipValidation: true });
+  const board = chess.board();
+  const flipped = orientation === 'black';
+
+  let content = `<rect width="${BOARD_SIZE}" height="${BOARD_SIZE}" fill="${LIGHT_SQUARE}"/>`;
+
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const isLight = (row + col) % 2 === 0;
+      const x = (flipped ? 7 - col : col) * SQUARE_SIZE;
+      const y = (flipped ? 7 - row : row) * SQUARE_SIZE;
+      const square = `${String.fromCharCode(97 + col)}${8 - row}`;
+
+      let fill = isLight ? LIGHT_SQUARE : DARK_SQUARE;
+
+      if (lastMove && (lastMove.from === square || lastMove.to === square)) {
+        fill = '#cdd26a';
+      }
+
+      if (highlightedSquares.includes(square)) {
+        fill = '#f6f769';
+      }
+
+      content += `<rect x="${x}" y="${y}" width="${SQUARE_SIZE}" height="${SQUARE_SIZE}" fill="${fill}" stroke="#000" stroke-width="1"/>`;
+
+      if (row === (flipped ? 0 : 7)) {
+        content += `<text x="${x + SQUARE_SIZE - 10}" y="${y + SQUARE_SIZE - 5}" class="square-label">${String.fromCharCode(97 + col)}</text>`;
+      }
+      if (col === (flipped ? 7 : 0)) {
+        content += `<text x="${x + 5}" y="${y + 15}" class="square-label">${8 - row}</text>`;
+      }
+
+      const piece = board[row][col];
+      if (piece) {
+        content += renderPiece(piece, x + 6, y + 6, SQUARE_SIZE - 12);
+      }
+    }
+  }
+
+  return content;
+}
+
+export function createChessBoardSVG(
+  fen,
+  highlightedSquares = [],
+  lastMove = null,
+  orientation = 'white',
+) {
+  return `<svg width="${BOARD_SIZE}" height="${BOARD_SIZE}" xmlns="http://www.w3.org/2000/svg">
+  <defs>
+    <style>
+      .square-label { font-family: sans-serif; font-size: 12px; fill: rgba(0,0,0,0.4); font-weight: bold; }
+    </style>
+  </defs>
+  ${renderBoardContent(fen, highlightedSquares, lastMove, orientation)}
+</svg>`;
+}
+
+// The Mini App icon and splash image: a white knight on a dark square, with
+// no transparency, as Farcaster clients require
+export function createIconSVG(size) {
+  return `<svg width="${size}" height="${size}" viewBox="0 0 45 45" xmlns="http://www.w3.org/2000/svg">
+  <rect width="45" height="45" fill="${DARK_SQUARE}"/>
+  ${renderPiece({ type: 'n', color: 'w' }, 4.5, 4.5, 36)}
+</svg>`;
+}
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderCapturedColumn(x, capturedTypes, color) {
+  const size = 34;
+  return capturedTypes
+    .map((type, i) => {
+      const col = i % 3;
+      const row = Math.floor(i / 3);
+      return renderPiece({ type, color }, x + col * (size + 4), 110 + row * (size + 6), size);
+    })
+    .join('');
+}
+
+function renderNotes(x, width, { heading, lines = [] }) {
+  const rows = lines
+    .slice(0, 10)
+    .map(
+      (line, i) =>
+        `<text x="${x + 24}" y="${166 + i * 38}" class="note${line.highlight ? ' mine' : ''}">${escapeXml(
+          String(line.text).slice(0, 18),
+        )}</text>`,
+    );
+  return `<text x="${x + width / 2}" y="124" class="note-heading" text-anchor="middle">${escapeXml(
+    heading,
+  )}</text>${rows.join('')}`;
+}
+
+// Lays the board out on a frame-sized canvas. In the wide layout the side
+// panels show whose turn it is and the material each side has captured.
+// `notes` ({ heading, lines: [{ text, highlight }] }) takes the place of the
+// captured pieces on the side to move's panel.
+export function createFrameImageSVG({
+  fen,
+  lastMove = null,
+  highlightedSquares = [],
+  aspectRatio = '1.91:1',
+  captured = { white: [], black: [] },
+  notes = null,
+}) {
+  const { width, height } = ASPECT_RATIOS[aspectRatio] || ASPECT_RATIOS['1.91:1'];
+  const boardX = Math.round((width - BOARD_SIZE) / 2);
+  const turn = new Chess(fen, { skipValidation: true }).turn();
+
+  let panels = '';
+  if (boardX > 0) {
+    const panelWidth = boardX;
+    const indicator = (cx, color) =>
+      `<circle cx="${cx}" cy="60" r="26" fill="${color === 'w' ? '#ffffff' : '#1a1a1a'}" stroke="${
+        turn === color ? '#facc15' : '#4b5563'
+      }" stroke-width="${turn === color ? 8 : 3}"/>`;
+
+    // Black on the left, white on the right; each side lists what it has taken
+    const whiteX = boardX + BOARD_SIZE;
+    panels += indicator(panelWidth / 2, 'b');
+    panels +=
+      notes && turn === 'b'
+        ? renderNotes(0, panelWidth, notes)
+        : renderCapturedColumn(24, captured.black || [], 'w');
+    panels += indicator(whiteX + panelWidth / 2, 'w');
+    panels +=
+      notes && turn === 'w'
+        ? renderNotes(whiteX, panelWidth, notes)
+        : renderCapturedColumn(whiteX + 24, captured.white || [], 'b');
+  }
+
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+  <defs>
+    <style>
+      .square-label { font-family: sans-serif; font-size: 12px; fill: rgba(0,0,0,0.4); font-weight: bold; }
+      .note-heading { font-family: sans-serif; font-size: 24px; font-weight: bold; fill: #facc15; }
+      .note { font-family: sans-serif; font-size: 24px; fill: #ffffff; }
+      .note.mine { fill: #facc15; font-weight: bold; }
+    </style>
+  </defs>
+  <rect width="${width}" height="${height}" fill="#312e81"/>
+  ${panels}
+  <svg x="${boardX}" y="0" width="${BOARD_SIZE}" height="${BOARD_SIZE}">
+    ${renderBoardContent(fen, highlightedSquares, lastMove)}
+  </svg>
+</svg>`;
+}
+
+// A puzzle position for the frame: the board from createChessBoardSVG, turned
+// to `orientation`, with a heading and a few lines of text beside it
+export function createPuzzleImageSVG({
+  fen,
+  orientation = 'white',
+  lastMove = null,
+  heading,
+  lines = [],
+}) {
+  const { width, height } = ASPECT_RATIOS['1.91:1'];
+  const panelX = BOARD_SIZE + 40;
+  const rows = lines
+    .slice(0, 8)
+    .map(
+      (line, i) =>
+        `<text x="${panelX}" y="${190 + i * 48}" class="line${line.highlight ? ' strong' : ''}">${escapeXml(
+          String(line.text).slice(0, 28),
+        )}</text>`,
+    );
+
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+  <defs>
+    <style>
+      .heading { font-family: sans-serif; font-size: 44px; font-weight: bold; fill: #facc15; }
+      .line { font-family: sans-serif; font-size: 30px; fill: #ffffff; }
+      .line.strong { fill: #facc15; font-weight: bold; }
+    </style>
+  </defs>
+  <rect width="${width}" height="${height}" fill="#312e81"/>
+  ${createChessBoardSVG(fen, [], lastMove, orientation)}
+  <text x="${panelX}" y="110" class="heading">${escapeXml(heading)}</text>
+  ${rows.join('\n  ')}
+</svg>`;
+}
+
+// Text is set in the DejaVu Sans files shipped with the app, not the host's
+// fonts: slim images such as node:20-alpine have none, and every label and
+// caption would come out blank
+const FONT_FILES = ['DejaVuSans.ttf', 'DejaVuSans-Bold.ttf'].map((file) =>
+  require.resolve(`dejavu-fonts-ttf/ttf/${file}`),
+);
+const FONT_FAMILY = 'DejaVu Sans';
+
+export function svgToPNG(svg) {
+  const resvg = new Resvg(svg, {
+    font: {
+      fontFiles: FONT_FILES,
+      loadSystemFonts: false,
+      defaultFontFamily: FONT_FAMILY,
+      sansSerifFamily: FONT_FAMILY,
+    },
+  });
+  return resvg.render().asPng();
+}
@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+
+// Each game has two rooms: the players talk in one and everyone watching in the
+// other, so spectators can't pass hints to either side.
+export const CHAT_ROOMS = ['players', 'spectators'];
+export const MAX_CHAT_MESSAGE_LENGTH = 280;
+export const CHAT_HISTORY_LIMIT = 200;
+
+// Masked wherever they start a word, so "shitty" is caught along with "shit".
+// CHAT_BLOCKED_WORDS adds to the list.
+export const DEFAULT_BLOCKED_WORDS = ['fuck', 'shit', 'cunt', 'bitch', 'asshole', 'bastard'];
+
+export function createChatLog() {
+  return { players: [], spectators: [], mutes: {}, reports: [] };
+}
+
+export function createWordFilter(words = DEFAULT_BLOCKED_WORDS) {
+  const escaped = words
+    .map((word) => String(word).trim().toLowerCase())
+    .filter(Boolean)
+    .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (!escaped.length) return (text) => text;
+
+  const pattern = new RegExp(`\\b(?:${escaped.join('|')})\\w*`, 'gi');
+  return (text) => text.replace(pattern, (match) => '*'.repeat(match.length));
+}
+
+// Sliding-window limit on how often each key (a player id) may post
+export function createChatRateLimiter({
+  limit = 5,
+  windowMs = 10_000,
+  now = () => Date.now(),
+} = {}) {
+  const sent = new Map();
+
+  function allow(key) {
+    const cutoff = now() - windowMs;
+    const recent = (sent.get(key) || []).filter((at) => at > cutoff);
+    if (recent.length >= limit) {
+      sent.set(key, recent);
+      return false;
+    }
+    recent.push(now());
+    sent.set(key, recent);
+    return true;
+  }
+
+  return { allow };
+}
+
+// Adds a message to `room`, keeping the newest CHAT_HISTORY_LIMIT. Throws with
+// a user-facing message when the text can't be sent.
+export function addChatMessage(chat, { room, playerId, name, color = null, text, filter, now }) {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) {
+    throw new Error('Message cannot be empty');
+  }
+  if (trimmed.length > MAX_CHAT_MESSAGE_LENGTH) {
+    throw new Error(`Messages are limited to ${MAX_CHAT_MESSAGE_LENGTH} characters`);
+  }
+
+  const message = {
+    id: crypto.randomUUID(),
+    playerId,
+    name,
+    color,
+    text: filter ? filter(trimmed) : trimmed,
+    at: now,
+  };
+  chat[room].push(message);
+  if (chat[room].length > CHAT_HISTORY_LIMIT) {
+    chat[room].splice(0, chat[room].length - CHAT_HISTORY_LIMIT);
+  }
+  return message;
+}
+
+// Players `viewerId` has muted in this game
+export function getMutedIds(chat, viewerId) {
+  return viewerId ? chat.mutes[viewerId] || [] : [];
+}
+
+export function setMuted(chat, viewerId, playerId, muted) {
+  const current = new Set(getMutedIds(chat, viewerId));
+  if (muted) {
+    current.add(playerId);
+  } else {
+    current.delete(playerId);
+  }
+  chat.mutes[viewerId] = [...current];
+}
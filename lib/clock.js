@@ -0,0 +1,163 @@
+// Chess clocks. All times are milliseconds of wall-clock time, so a clock keeps
+// running across server restarts as long as its state is persisted.
+
+export const CLOCK_TYPES = ['fischer', 'bronstein', 'delay'];
+
+export const TIME_CONTROL_PRESETS = {
+  bullet: { initial: 60, increment: 1 },
+  blitz: { initial: 300, increment: 3 },
+  rapid: { initial: 600, increment: 5 },
+};
+
+// Buckets follow the usual "initial + 40 × increment" estimate of game length
+export function getTimeControlCategory(control) {
+  if (!control) return 'correspondence';
+  const estimate = control.initialMs / 1000 + (40 * control.incrementMs) / 1000;
+  if (estimate < 180) return 'bullet';
+  if (estimate < 480) return 'blitz';
+  if (estimate < 1500) return 'rapid';
+  return 'classical';
+}
+
+// Accepts a preset name ("blitz"), a "minutes+seconds" string ("3+2") or an
+// object `{ initial, increment, type }` in seconds. Returns null for untimed
+// games and throws with a user-facing message on bad input.
+export function parseTimeControl(input) {
+  if (input === undefined || input === null || input === '' || input === 'none') {
+    return null;
+  }
+
+  let spec = input;
+  if (typeof input === 'string') {
+    const key = input.trim().toLowerCase();
+    if (TIME_CONTROL_PRESETS[key]) {
+      spec = TIME_CONTROL_PRESETS[key];
+    } else {
+      const match = key.match(/^(\d+(?:\.\d+)?)\s*\+\s*(\d+)$/);
+      if (!match) {
+        throw new Error('Time control must be a preset or look like "5+3"');
+      }
+      spec = { initial: Number(match[1]) * 60, increment: Number(match[2]) };
+    }
+  }
+
+  if (typeof spec !== 'object') {
+    throw new Error('Invalid time control');
+  }
+
+  const initial = Number(spec.initial);
+  const increment = Number(spec.increment || 0);
+  const type = spec.type || 'fischer';
+
+  if (!Number.isFinite(initial) || initial < 15 || initial > 3 * 3600) {
+    throw new Error('Initial time must be between 15 seconds and 3 hours');
+  }
+  if (!Number.isFinite(increment) || increment < 0 || increment > 180) {
+    throw new Error('Increment must be between 0 and 180 seconds');
+  }
+  if (!CLOCK_TYPES.includes(type)) {
+    throw new Error(`Clock type must be one of: ${CLOCK_TYPES.join(', ')}`);
+  }
+
+  return {
+    initialMs: Math.round(initial * 1000),
+    incrementMs: Math.round(increment * 1000),
+    type,
+  };
+}
+
+export function describeTimeControl(control) {
+  if (!control) return 'Untimed';
+  const minutes = control.initialMs / 60000;
+  const base = `${Number.isInteger(minutes) ? minutes : minutes.toFixed(1)}+${control.incrementMs / 1000}`;
+  return control.type === 'fischer' ? base : `${base} ${control.type}`;
+}
+
+export function createClock(control) {
+  return {
+    control,
+    remaining: { w: control.initialMs, b: control.initialMs },
+    running: null,
+    turnStartedAt: null,
+  };
+}
+
+// Remaining time for `color` at `now`, counting down the side whose clock runs
+export function getRemaining(clock, color, now = Date.now()) {
+  const base = clock.remaining[color];
+  if (clock.running !== color || clock.turnStartedAt === null) {
+    return base;
+  }
+  const elapsed = Math.max(0, now - clock.turnStartedAt);
+  if (clock.control.type === 'delay') {
+    return base - Math.max(0, elapsed - clock.control.incrementMs);
+  }
+  return base - elapsed;
+}
+
+export function getFlaggedColor(clock, now = Date.now()) {
+  if (!clock || !clock.running) return null;
+  return getRemaining(clock, clock.running, now) <= 0 ? clock.running : null;
+}
+
+// Called after `color` completes a move. The first move of the game does not
+// use any time; the opponent's clock starts once it has been played.
+export function pressClock(clock, color, now = Date.now()) {
+  if (clock.running === color && clock.turnStartedAt !== null) {
+    const elapsed = Math.max(0, now - clock.turnStartedAt);
+    const { type, incrementMs } = clock.control;
+    let remaining = getRemaining(clock, color, now);
+    if (type === 'fischer') {
+      remaining += incrementMs;
+    } else if (type === 'bronstein') {
+      remaining += Math.min(elapsed, incrementMs);
+    }
+    clock.remaining[color] = Math.max(0, remaining);
+  }
+  clock.running = color === 'w' ? 'b' : 'w';
+  clock.turnStartedAt = now;
+}
+
+export function stopClock(clock, now = Date.now()) {
+  if (!clock || !clock.running) return;
+  clock.remaining[clock.running] = Math.max(0, getRemaining(clock, clock.running, now));
+  clock.running = null;
+  clock.turnStartedAt = null;
+}
+
+export function snapshotClock(clock, now = Date.now()) {
+  if (!clock) return null;
+  return {
+    white: Math.max(0, getRemaining(clock, 'w', now)),
+    black: Math.max(0, getRemaining(clock, 'b', now)),
+    running: clock.running,
+    type: clock.control.type,
+    initialMs: clock.control.initialMs,
+    incrementMs: clock.control.incrementMs,
+    serverTime: now,
+  };
+}
+
+export function formatClock(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+// A side that runs out of time only loses if the opponent could still mate:
+// a lone king or a king with a single minor piece cannot.
+export function hasMatingMaterial(chess, color) {
+  let minors = 0;
+  for (const row of chess.board()) {
+    for (const piece of row) {
+      if (!piece || piece.color !== color) continue;
+      if (piece.type === 'p' || piece.type === 'r' || piece.type === 'q') return true;
+      if (piece.type === 'b' || piece.type === 'n') minors += 1;
+    }
+  }
+  return minors >= 2;
+}
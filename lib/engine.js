@@ -0,0 +1,368 @@
+import { Worker } from 'worker_threads';
+import { Chess } from 'chess.js';
+
+// A small alpha-beta engine on top of chess.js' move generator. Levels trade
+// search depth and thinking time; the lowest ones also blur the evaluation so
+// the computer makes the kind of mistakes a beginner would.
+export const ENGINE_LEVELS = {
+  1: { depth: 1, timeMs: 150, noise: 150 },
+  2: { depth: 2, timeMs: 300, noise: 60 },
+  3: { depth: 3, timeMs: 700, noise: 0 },
+  4: { depth: 4, timeMs: 1200, noise: 0 },
+  5: { depth: 6, timeMs: 2500, noise: 0 },
+};
+
+export const DEFAULT_ENGINE_LEVEL = 3;
+
+export const MATE_SCORE = 100000;
+
+const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+
+// Piece-square tables from White's point of view, a8 first and h1 last, in the
+// same order as chess.board(). Black reads them mirrored.
+const PIECE_SQUARE_TABLES = {
+  p: [
+    0, 0, 0, 0, 0, 0, 0, 0, 50, 50, 50, 50, 50, 50, 50, 50, 10, 10, 20, 30, 30, 20, 10, 10, 5, 5,
+    10, 25, 25, 10, 5, 5, 0, 0, 0, 20, 20, 0, 0, 0, 5, -5, -10, 0, 0, -10, -5, 5, 5, 10, 10, -20,
+    -20, 10, 10, 5, 0, 0, 0, 0, 0, 0, 0, 0,
+  ],
+  n: [
+    -50, -40, -30, -30, -30, -30, -40, -50, -40, -20, 0, 0, 0, 0, -20, -40, -30, 0, 10, 15, 15, 10,
+    0, -30, -30, 5, 15, 20, 20, 15, 5, -30, -30, 0, 15, 20, 20, 15, 0, -30, -30, 5, 10, 15, 15, 10,
+    5, -30, -40, -20, 0, 5, 5, 0, -20, -40, -50, -40, -30, -30, -30, -30, -40, -50,
+  ],
+  b: [
+    -20, -10, -10, -10, -10, -10, -10, -20, -10, 0, 0, 0, 0, 0, 0, -10, -10, 0, 5, 10, 10, 5, 0,
+    -10, -10, 5, 5, 10, 10, 5, 5, -10, -10, 0, 10, 10, 10, 10, 0, -10, -10, 10, 10, 10, 10, 10, 10,
+    -10, -10, 5, 0, 0, 0, 0, 5, -10, -20, -10, -10, -10, -10, -10, -10, -20,
+  ],
+  r: [
+    0, 0, 0, 0, 0, 0, 0, 0, 5, 10, 10, 10, 10, 10, 10, 5, -5, 0, 0, 0, 0, 0, 0, -5, -5, 0, 0, 0, 0,
+    0, 0, -5, -5, 0, 0, 0, 0, 0, 0, -5, -5, 0, 0, 0, 0, 0, 0, -5, -5, 0, 0, 0, 0, 0, 0, -5, 0, 0, 0,
+    5, 5, 0, 0, 0,
+  ],
+  q: [
+    -20, -10, -10, -5, -5, -10, -10, -20, -10, 0, 0, 0, 0, 0, 0, -10, -10, 0, 5, 5, 5, 5, 0, -10,
+    -5, 0, 5, 5, 5, 5, 0, -5, 0, 0, 5, 5, 5, 5, 0, -5, -10, 5, 5, 5, 5, 5, 0, -10, -10, 0, 5, 0, 0,
+    0, 0, -10, -20, -10, -10, -5, -5, -10, -10, -20,
+  ],
+  k: [
+    -30, -40, -40, -50, -50, -40, -40, -30, -30, -40, -40, -50, -50, -40, -40, -30, -30, -40, -40,
+    -50, -50, -40, -40, -30, -30, -40, -40, -50, -50, -40, -40, -30, -20, -30, -30, -40, -40, -30,
+    -30, -20, -10, -20, -20, -20, -20, -20, -20, -10, 20, 20, 0, 0, 0, 0, 20, 20, 20, 30, 10, 0, 0,
+    10, 30, 20,
+  ],
+};
+
+// Once the queens and most pieces are gone the king should head for the centre
+const KING_ENDGAME_TABLE = [
+  -50, -40, -30, -20, -20, -30, -40, -50, -30, -20, -10, 0, 0, -10, -20, -30, -30, -10, 20, 30, 30,
+  20, -10, -30, -30, -10, 30, 40, 40, 30, -10, -30, -30, -10, 30, 40, 40, 30, -10, -30, -30, -10,
+  20, 30, 30, 20, -10, -30, -30, -30, 0, 0, 0, 0, -30, -30, -50, -30, -30, -30, -30, -30, -30, -50,
+];
+
+const ENDGAME_MATERIAL = 1300;
+
+const TABLE_EXACT = 0;
+const TABLE_LOWER = 1;
+const TABLE_UPPER = 2;
+
+const QUIESCENCE_PLY_LIMIT = 12;
+
+// Accepts a level number (or numeric string) and returns it, throwing with a
+// user-facing message for anything outside the supported range.
+export function parseEngineLevel(input) {
+  if (input === undefined || input === null || input === '') {
+    return DEFAULT_ENGINE_LEVEL;
+  }
+  const level = Number(input);
+  if (!ENGINE_LEVELS[level]) {
+    const levels = Object.keys(ENGINE_LEVELS);
+    throw new Error(`Level must be between ${levels[0]} and ${levels[levels.length - 1]}`);
+  }
+  return level;
+}
+
+// Static evaluation in centipawns from White's point of view
+export function evaluate(chess) {
+  const board = chess.board();
+  let score = 0;
+  let material = 0;
+  const kings = {};
+
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const piece = board[row][col];
+      if (!piece) continue;
+      const index = piece.color === 'w' ? row * 8 + col : (7 - row) * 8 + col;
+      if (piece.type === 'k') {
+        kings[piece.color] = index;
+        continue;
+      }
+      const value = PIECE_VALUES[piece.type] + PIECE_SQUARE_TABLES[piece.type][index];
+      score += piece.color === 'w' ? value : -value;
+      if (piece.type !== 'p') material += PIECE_VALUES[piece.type];
+    }
+  }
+
+  const kingTable = material <= ENDGAME_MATERIAL ? KING_ENDGAME_TABLE : PIECE_SQUARE_TABLES.k;
+  if (kings.w !== undefined) score += kingTable[kings.w];
+  if (kings.b !== undefined) score -= kingTable[kings.b];
+  return score;
+}
+
+function isMateScore(score) {
+  return Math.abs(score) > MATE_SCORE - 1000;
+}
+
+// Mate scores are stored relative to the node so they stay valid wherever the
+// position turns up again in the tree
+function toTableScore(score, ply) {
+  if (!isMateScore(score)) return score;
+  return score > 0 ? score + ply : score - ply;
+}
+
+function fromTableScore(score, ply) {
+  if (!isMateScore(score)) return score;
+  return score > 0 ? score - ply : score + ply;
+}
+
+const SAN_TARGET = /([a-h][1-8])(?:=([QRBN]))?[+#]?$/;
+
+// The search works on SAN strings: chess.js builds them far more cheaply than
+// verbose move objects, and they carry enough to order captures first.
+function orderMoves(chess, moves, preferred) {
+  const scoreOf = (san) => {
+    if (san === preferred) return 1e6;
+    const match = san.match(SAN_TARGET);
+    if (!match) return 0;
+    let score = 0;
+    if (san.includes('x')) {
+      const victim = chess.get(match[1]);
+      const attacker = /^[KQRBN]/.test(san) ? san[0].toLowerCase() : 'p';
+      score += 1000 + 10 * PIECE_VALUES[victim ? victim.type : 'p'] - PIECE_VALUES[attacker];
+    }
+    if (match[2]) score += 800 + PIECE_VALUES[match[2].toLowerCase()];
+    return score;
+  };
+  const scored = moves.map((move) => ({ move, score: scoreOf(move) }));
+  scored.sort((a, b) => b.score - a.score);
+  return scored.map((entry) => entry.move);
+}
+
+const SEARCH_TIMEOUT = Symbol('search timeout');
+
+export function createEngine({ tableSize = 200000, now = Date.now, random = Math.random } = {}) {
+  const table = new Map();
+
+  function storeEntry(key, entry) {
+    if (table.size >= tableSize && !table.has(key)) {
+      table.clear();
+    }
+    table.set(key, entry);
+  }
+
+  // `position` is a FEN or a chess.js game; with a game, earlier positions are
+  // remembered so the engine can tell when a line repeats.
+  function search(position, { level = DEFAULT_ENGINE_LEVEL, depth, timeMs } = {}) {
+    const settings = ENGINE_LEVELS[parseEngineLevel(level)];
+    const maxDepth = depth || settings.depth;
+    const deadline = now() + (timeMs || settings.timeMs);
+    const noise = settings.noise;
+
+    const earlier = new Set();
+    let chess;
+    if (typeof position === 'string') {
+      chess = new Chess(position);
+    } else {
+      chess = new Chess(position.fen());
+      for (const move of position.history({ verbose: true })) {
+        earlier.add(new Chess(move.before).hash());
+      }
+    }
+
+    const rootFen = chess.fen();
+    if (!chess.moves().length) return null;
+
+    const path = new Set();
+    let result = null;
+    let nodes = 0;
+    let canStop = false;
+
+    function checkTime() {
+      nodes += 1;
+      if (canStop && (nodes & 511) === 0 && now() > deadline) {
+        throw SEARCH_TIMEOUT;
+      }
+    }
+
+    function evaluateForMover() {
+      let score = evaluate(chess);
+      if (noise) score += Math.round((random() - 0.5) * noise);
+      return chess.turn() === 'w' ? score : -score;
+    }
+
+    function quiesce(alpha, beta, ply) {
+      checkTime();
+      const standPat = evaluateForMover();
+      if (standPat >= beta || ply >= QUIESCENCE_PLY_LIMIT) return standPat;
+      if (standPat > alpha) alpha = standPat;
+
+      const captures = chess.moves().filter((san) => san.includes('x') || san.includes('='));
+      for (const move of orderMoves(chess, captures)) {
+        chess.move(move);
+        const score = -quiesce(-beta, -alpha, ply + 1);
+        chess.undo();
+        if (score >= beta) return score;
+        if (score > alpha) alpha = score;
+      }
+      return alpha;
+    }
+
+    function negamax(remaining, alpha, beta, ply) {
+      checkTime();
+      const key = chess.hash();
+      if (ply > 0 && (path.has(key) || earlier.has(key) || chess.isDrawByFiftyMoves())) {
+        return 0;
+      }
+
+      const moves = chess.moves();
+      if (!moves.length) {
+        return chess.inCheck() ? -MATE_SCORE + ply : 0;
+      }
+      if (remaining <= 0) {
+        return quiesce(alpha, beta, ply);
+      }
+
+      const entry = table.get(key);
+      if (entry && entry.depth >= remaining && ply > 0) {
+        const score = fromTableScore(entry.score, ply);
+        if (entry.flag === TABLE_EXACT) return score;
+        if (entry.flag === TABLE_LOWER && score >= beta) return score;
+        if (entry.flag === TABLE_UPPER && score <= alpha) return score;
+      }
+
+      const alphaStart = alpha;
+      let best = -Infinity;
+      let bestMove = null;
+
+      path.add(key);
+      for (const move of orderMoves(chess, moves, entry?.move)) {
+        chess.move(move);
+        const score = -negamax(remaining - 1, -beta, -alpha, ply + 1);
+        chess.undo();
+        if (score > best) {
+          best = score;
+          bestMove = move;
+        }
+        if (score > alpha) alpha = score;
+        if (alpha >= beta) break;
+      }
+      path.delete(key);
+
+      let flag = TABLE_EXACT;
+      if (best <= alphaStart) flag = TABLE_UPPER;
+      else if (best >= beta) flag = TABLE_LOWER;
+      storeEntry(key, {
+        depth: remaining,
+        score: toTableScore(best, ply),
+        flag,
+        move: bestMove,
+      });
+
+      if (ply === 0) result = { move: bestMove, score: best };
+      return best;
+    }
+
+    // Iterative deepening: each finished depth seeds the move ordering of the
+    // next, and running out of time falls back to the last finished depth.
+    let completed = null;
+    let completedDepth = 0;
+    for (let current = 1; current <= maxDepth; current++) {
+      try {
+        negamax(current, -Infinity, Infinity, 0);
+        completed = result;
+        completedDepth = current;
+        canStop = true;
+        if (isMateScore(completed.score) || now() > deadline) break;
+      } catch (err) {
+        if (err !== SEARCH_TIMEOUT) throw err;
+        break;
+      }
+    }
+
+    // A search cut short by the clock leaves `chess` somewhere down the tree
+    const move = new Chess(rootFen).move(completed.move);
+    return {
+      move: { from: move.from, to: move.to, promotion: move.promotion, san: move.san },
+      score: completed.score,
+      depth: completedDepth,
+      nodes,
+    };
+  }
+
+  function clear() {
+    table.clear();
+  }
+
+  return { search, clear };
+}
+
+// Runs searches on a worker thread (engineThread.js), so the computer thinking
+// for seconds doesn't hold up every other request. `search` takes a chess.js
+// game and resolves with what an engine's search returns. The thread keeps one
+// engine per level: the low levels' blurred scores would mislead the strong
+// ones if they shared a table.
+export function createEngineWorker() {
+  let worker = null;
+  let nextId = 0;
+  const jobs = new Map();
+
+  function failAll(err) {
+    for (const { reject } of jobs.values()) reject(err);
+    jobs.clear();
+  }
+
+  function getWorker() {
+    if (worker) return worker;
+    worker = new Worker(new URL('./engineThread.js', import.meta.url));
+    worker.on('message', ({ id, result, error }) => {
+      const job = jobs.get(id);
+      if (!job) return;
+      jobs.delete(id);
+      if (error) job.reject(new Error(error));
+      else job.resolve(result);
+      if (!jobs.size) worker.unref();
+    });
+    worker.on('error', failAll);
+    // The next search starts a fresh thread
+    worker.on('exit', () => {
+      worker = null;
+      failAll(new Error('The engine stopped'));
+    });
+    return worker;
+  }
+
+  function search(chess, options = {}) {
+    const history = chess.history({ verbose: true });
+    const job = {
+      id: nextId++,
+      startFen: history.length ? history[0].before : chess.fen(),
+      moves: history.map(({ from, to, promotion }) => ({ from, to, promotion })),
+      options,
+    };
+    return new Promise((resolve, reject) => {
+      jobs.set(job.id, { resolve, reject });
+      // Only a thread with work to do keeps the process running
+      const thread = getWorker();
+      thread.ref();
+      thread.postMessage(job);
+    });
+  }
+
+  async function close() {
+    if (worker) await worker.terminate();
+  }
+
+  return { search, close };
+}
@@ -0,0 +1,27 @@
+import { parentPort } from 'worker_threads';
+import { Chess } from 'chess.js';
+import { createEngine, parseEngineLevel } from './engine.js';
+
+// The worker side of createEngineWorker: replays each game it is sent and
+// searches it with the engine for the requested level
+const engines = new Map();
+
+function getEngine(level) {
+  if (!engines.has(level)) {
+    engines.set(level, createEngine());
+  }
+  return engines.get(level);
+}
+
+parentPort.on('message', ({ id, startFen, moves, options }) => {
+  try {
+    const chess = new Chess(startFen);
+    for (const move of moves) {
+      chess.move(move);
+    }
+    const result = getEngine(parseEngineLevel(options.level)).search(chess, options);
+    parentPort.postMessage({ id, result });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
@@ -0,0 +1,339 @@
+import crypto from 'crypto';
+import { blake3 } from '@noble/hashes/blake3.js';
+
+// Farcaster timestamps are seconds since 2021-01-01T00:00:00Z
+export const FARCASTER_EPOCH = 1609459200000;
+
+export const MESSAGE_TYPE_FRAME_ACTION = 13;
+export const HASH_SCHEME_BLAKE3 = 1;
+export const SIGNATURE_SCHEME_ED25519 = 1;
+export const FARCASTER_NETWORK_MAINNET = 1;
+
+const DEFAULT_MAX_AGE_MS = 10 * 60_000;
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Minimal protobuf wire-format helpers: only varint and length-delimited fields are
+// used by the Message / MessageData / FrameActionBody schemas we care about.
+
+function readVarint(bytes, offset) {
+  let result = 0;
+  let shift = 0;
+  let pos = offset;
+  while (pos < bytes.length) {
+    const byte = bytes[pos++];
+    result += (byte & 0x7f) * 2 ** shift;
+    if ((byte & 0x80) === 0) {
+      return [result, pos];
+    }
+    shift += 7;
+    if (shift > 63) break;
+  }
+  throw new Error('Malformed varint');
+}
+
+function decodeFields(bytes) {
+  const fields = new Map();
+  let pos = 0;
+  while (pos < bytes.length) {
+    const [key, afterKey] = readVarint(bytes, pos);
+    const fieldNumber = Math.floor(key / 8);
+    const wireType = key & 0x7;
+    let value;
+    if (wireType === 0) {
+      [value, pos] = readVarint(bytes, afterKey);
+    } else if (wireType === 2) {
+      const [length, afterLength] = readVarint(bytes, afterKey);
+      if (afterLength + length > bytes.length) {
+        throw new Error('Truncated field');
+      }
+      value = bytes.subarray(afterLength, afterLength + length);
+      pos = afterLength + length;
+    } else {
+      throw new Error(`Unsupported wire type ${wireType}`);
+    }
+    fields.set(fieldNumber, value);
+  }
+  return fields;
+}
+
+function writeVarint(value) {
+  const out = [];
+  let remaining = value;
+  while (remaining >= 0x80) {
+    out.push((remaining % 0x80) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  out.push(remaining);
+  return Buffer.from(out);
+}
+
+function encodeFields(fields) {
+  const parts = [];
+  for (const [fieldNumber, value] of fields) {
+    if (value === undefined || value === null) continue;
+    if (typeof value === 'number') {
+      parts.push(writeVarint(fieldNumber * 8), writeVarint(value));
+    } else {
+      const buf = Buffer.from(value);
+      parts.push(writeVarint(fieldNumber * 8 + 2), writeVarint(buf.length), buf);
+    }
+  }
+  return Buffer.concat(parts);
+}
+
+function bytesToText(bytes) {
+  return bytes ? Buffer.from(bytes).toString('utf8') : '';
+}
+
+// A field sent with the other wire type than the schema's is refused, so later
+// code can rely on bytes being bytes and numbers being numbers
+function getBytes(fields, fieldNumber) {
+  const value = fields.get(fieldNumber);
+  if (value === undefined) return null;
+  if (!(value instanceof Uint8Array)) {
+    throw new Error(`Field ${fieldNumber} should be bytes`);
+  }
+  return value;
+}
+
+function getNumber(fields, fieldNumber) {
+  const value = fields.get(fieldNumber);
+  if (value === undefined) return 0;
+  if (typeof value !== 'number') {
+    throw new Error(`Field ${fieldNumber} should be a number`);
+  }
+  return value;
+}
+
+export function decodeFrameMessage(input) {
+  const bytes = typeof input === 'string' ? Buffer.from(input.replace(/^0x/, ''), 'hex') : input;
+  const message = decodeFields(bytes);
+  const dataBytes = getBytes(message, 7) || getBytes(message, 1);
+  if (!dataBytes) {
+    throw new Error('Message has no data');
+  }
+
+  const data = decodeFields(dataBytes);
+  const bodyBytes = getBytes(data, 16);
+  const body = bodyBytes ? decodeFields(bodyBytes) : null;
+
+  return {
+    dataBytes,
+    hash: getBytes(message, 2),
+    hashScheme: getNumber(message, 3),
+    signature: getBytes(message, 4),
+    signatureScheme: getNumber(message, 5),
+    signer: getBytes(message, 6),
+    data: {
+      type: getNumber(data, 1),
+      fid: getNumber(data, 2),
+      timestamp: getNumber(data, 3),
+      network: getNumber(data, 4),
+      frameActionBody: body
+        ? {
+            url: bytesToText(getBytes(body, 1)),
+            buttonIndex: getNumber(body, 2),
+            inputText: bytesToText(getBytes(body, 4)),
+            state: bytesToText(getBytes(body, 5)),
+          }
+        : null,
+    },
+  };
+}
+
+export function encodeFrameActionData({
+  fid,
+  timestamp,
+  network = 1,
+  url = '',
+  buttonIndex,
+  inputText = '',
+  state = '',
+}) {
+  const body = encodeFields([
+    [1, Buffer.from(url)],
+    [2, buttonIndex],
+    [4, inputText ? Buffer.from(inputText) : null],
+    [5, state ? Buffer.from(state) : null],
+  ]);
+  return encodeFields([
+    [1, MESSAGE_TYPE_FRAME_ACTION],
+    [2, fid],
+    [3, timestamp],
+    [4, network],
+    [16, body],
+  ]);
+}
+
+export function encodeMessage({ dataBytes, hash, signature, signer }) {
+  return encodeFields([
+    [1, dataBytes],
+    [2, hash],
+    [3, HASH_SCHEME_BLAKE3],
+    [4, signature],
+    [5, SIGNATURE_SCHEME_ED25519],
+    [6, signer],
+  ]);
+}
+
+export function hashMessageData(dataBytes) {
+  return Buffer.from(blake3(dataBytes, { dkLen: 20 }));
+}
+
+export function toFarcasterTime(ms) {
+  return Math.floor((ms - FARCASTER_EPOCH) / 1000);
+}
+
+// `publicKey` is the raw 32-byte key, as Farcaster signers are given
+export function verifyEd25519(publicKey, payload, signature) {
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey)]),
+      format: 'der',
+      type: 'spki',
+    });
+    return crypto.verify(null, payload, key, signature);
+  } catch {
+    return false;
+  }
+}
+
+// Looks up signer keys through a hub's HTTP API. Any object with the same
+// `isActiveSigner(fid, signerHex)` shape can be used instead (see lib/localHub.js).
+export function createHttpHub({ url, fetchImpl = globalThis.fetch }) {
+  const baseUrl = String(url).replace(/\/+$/, '');
+  return {
+    async isActiveSigner(fid, signerHex) {
+      const res = await fetchImpl(
+        `${baseUrl}/v1/onChainSignersByFid?fid=${encodeURIComponent(fid)}&signer=${signerHex}`,
+      );
+      if (!res.ok) return false;
+      const event = await res.json();
+      return event?.signerEventBody?.eventType === 'SIGNER_EVENT_TYPE_ADD';
+    },
+  };
+}
+
+function reject(reason) {
+  return { valid: false, reason };
+}
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+}
+
+// Whether `url` is `base` or a page below it, on the same origin
+function isWithinUrl(url, base) {
+  const actual = parseUrl(url);
+  if (!actual || actual.origin !== base.origin) return false;
+  const withSlash = (path) => (path.endsWith('/') ? path : `${path}/`);
+  return withSlash(actual.pathname).startsWith(withSlash(base.pathname));
+}
+
+// `frameUrl` is where this server's frames live (https://chess.example). A
+// signed action only counts when it was made on one of them, on `network`:
+// a message from any other frame, or from testnet, is someone else's.
+export function createFrameVerifier({
+  hub,
+  frameUrl,
+  network = FARCASTER_NETWORK_MAINNET,
+  maxAgeMs = DEFAULT_MAX_AGE_MS,
+  now = Date.now,
+}) {
+  if (!hub || typeof hub.isActiveSigner !== 'function') {
+    throw new Error('createFrameVerifier requires a hub with isActiveSigner()');
+  }
+  const expectedUrl = frameUrl ? parseUrl(frameUrl) : null;
+
+  async function checkMessage(trustedData) {
+    const messageBytes = trustedData?.messageBytes;
+    if (!messageBytes || typeof messageBytes !== 'string') {
+      return reject('Missing signed frame message');
+    }
+
+    let message;
+    try {
+      message = decodeFrameMessage(messageBytes);
+    } catch {
+      return reject('Malformed frame message');
+    }
+
+    const { data } = message;
+    if (data.type !== MESSAGE_TYPE_FRAME_ACTION || !data.frameActionBody) {
+      return reject('Not a frame action');
+    }
+    if (!data.fid) {
+      return reject('Missing FID');
+    }
+    if (data.network !== network) {
+      return reject('Frame message is for another network');
+    }
+    if (!expectedUrl) {
+      return reject('Frame URL is not configured');
+    }
+    if (!isWithinUrl(data.frameActionBody.url, expectedUrl)) {
+      return reject('Frame message is for another frame');
+    }
+
+    if (message.hashScheme !== HASH_SCHEME_BLAKE3 || !message.hash) {
+      return reject('Unsupported hash scheme');
+    }
+    if (!hashMessageData(message.dataBytes).equals(Buffer.from(message.hash))) {
+      return reject('Message hash mismatch');
+    }
+
+    if (
+      message.signatureScheme !== SIGNATURE_SCHEME_ED25519 ||
+      !message.signature ||
+      !message.signer ||
+      message.signer.length !== 32
+    ) {
+      return reject('Unsupported signature scheme');
+    }
+    if (!verifyEd25519(message.signer, message.hash, message.signature)) {
+      return reject('Invalid signature');
+    }
+
+    const sentAt = FARCASTER_EPOCH + data.timestamp * 1000;
+    if (Math.abs(now() - sentAt) > maxAgeMs) {
+      return reject('Frame message expired');
+    }
+
+    const signerHex = `0x${Buffer.from(message.signer).toString('hex')}`;
+    let isSigner = false;
+    try {
+      isSigner = await hub.isActiveSigner(data.fid, signerHex);
+    } catch {
+      return reject('Could not reach hub');
+    }
+    if (!isSigner) {
+      return reject('Signer is not registered for this FID');
+    }
+
+    const body = data.frameActionBody;
+    return {
+      valid: true,
+      fid: String(data.fid),
+      buttonIndex: body.buttonIndex || null,
+      inputText: body.inputText || null,
+      state: body.state || null,
+      url: body.url,
+      timestamp: sentAt,
+    };
+  }
+
+  // Never throws: frame routes answer anything that fails with a read-only frame
+  async function verify(trustedData) {
+    try {
+      return await checkMessage(trustedData);
+    } catch {
+      return reject('Malformed frame message');
+    }
+  }
+
+  return { verify };
+}
@@ -0,0 +1,193 @@
+// The game frame's screens. Each view names the action behind every button and
+// those names travel in the frame state, so a press is read against the buttons
+// the viewer actually saw, not whatever the game would show now. Rendering only
+// reads the context it is given; working that out from a game is the server's job.
+
+export const FRAME_VIEWS = {
+  LOBBY: 'lobby',
+  YOUR_TURN: 'your-turn',
+  WAITING: 'waiting',
+  SPECTATOR: 'spectator',
+  VOTE: 'vote',
+  FINISHED: 'finished',
+  HISTORY: 'history',
+  SEEK: 'seek',
+};
+
+export const FRAME_ACTIONS = {
+  JOIN_WHITE: 'join-white',
+  JOIN_BLACK: 'join-black',
+  PLAY_SOLO: 'play-solo',
+  QUICK_MATCH: 'quick-match',
+  MOVE: 'move',
+  HISTORY: 'history',
+  AGREE_RESET: 'agree-reset',
+  RESIGN: 'resign',
+  VOTE: 'vote',
+  REFRESH: 'refresh',
+  NEW_GAME: 'new-game',
+  FIRST: 'first',
+  PREV: 'prev',
+  NEXT: 'next',
+  LAST: 'last',
+  BACK_TO_GAME: 'back-to-game',
+  CHECK_AGAIN: 'check-again',
+  CANCEL_SEARCH: 'cancel-search',
+  OPEN: 'open',
+};
+
+// Frames rendered before buttons were named only carry their view. These are
+// the buttons of the ones that didn't depend on the game; for the "player" view
+// the server reads the press against what the game shows now.
+const LEGACY_ACTIONS = {
+  seek: [FRAME_ACTIONS.CHECK_AGAIN, FRAME_ACTIONS.CANCEL_SEARCH],
+  replay: [FRAME_ACTIONS.FIRST, FRAME_ACTIONS.PREV, FRAME_ACTIONS.NEXT, FRAME_ACTIONS.LAST],
+  spectator: [FRAME_ACTIONS.REFRESH, FRAME_ACTIONS.HISTORY],
+  vote: [FRAME_ACTIONS.VOTE, FRAME_ACTIONS.REFRESH],
+};
+
+const MOVE_INPUT = 'Enter move (e.g., Nf3 or e2e4) or "reset"';
+
+const post = (name, label) => ({ name, label, action: 'post' });
+const link = (name, label, target) => ({ name, label, action: 'link', target });
+
+function activeTitle(context, suffix = '') {
+  const { mover, vsLabel, clockLabel = '', inCheck } = context;
+  return `ChessGrid - ${mover} to Move (${vsLabel})${clockLabel}${suffix}${inCheck ? ' - CHECK!' : ''}`;
+}
+
+function playerFrame(context, suffix) {
+  return {
+    title: activeTitle(context, suffix),
+    buttons: [
+      post(FRAME_ACTIONS.MOVE, 'Make Move'),
+      context.resetRequested
+        ? post(FRAME_ACTIONS.AGREE_RESET, 'Agree to Reset')
+        : post(FRAME_ACTIONS.HISTORY, 'History'),
+      post(FRAME_ACTIONS.RESIGN, 'Resign'),
+      link(FRAME_ACTIONS.OPEN, 'Open in Browser', context.shareUrl),
+    ],
+    textInput: MOVE_INPUT,
+  };
+}
+
+const VIEWS = {
+  [FRAME_VIEWS.LOBBY]: (context) => ({
+    title: `ChessGrid - Waiting (${context.vsLabel})${context.seated ? ' (1/2 joined)' : ''}`,
+    buttons: [
+      post(FRAME_ACTIONS.JOIN_WHITE, 'Join as White'),
+      post(FRAME_ACTIONS.JOIN_BLACK, 'Join as Black'),
+      post(FRAME_ACTIONS.PLAY_SOLO, 'Play Solo'),
+      post(FRAME_ACTIONS.QUICK_MATCH, 'Quick Match'),
+    ],
+    textInput: 'Type "bot 3" to play computer',
+  }),
+
+  [FRAME_VIEWS.YOUR_TURN]: (context) => playerFrame(context),
+
+  [FRAME_VIEWS.WAITING]: (context) => playerFrame(context, ' (Waiting...)'),
+
+  [FRAME_VIEWS.SPECTATOR]: (context) => ({
+    title: activeTitle(context, ' (Spectating)'),
+    buttons: [
+      post(FRAME_ACTIONS.REFRESH, 'Refresh'),
+      post(FRAME_ACTIONS.HISTORY, 'History'),
+      link(FRAME_ACTIONS.OPEN, 'Open in Browser', context.shareUrl),
+    ],
+  }),
+
+  [FRAME_VIEWS.VOTE]: (context) => ({
+    title: `ChessGrid - Crowd Vote for ${context.mover} (${context.vsLabel})${context.ballotLabel}`,
+    buttons: [
+      post(FRAME_ACTIONS.VOTE, 'Vote'),
+      post(FRAME_ACTIONS.REFRESH, 'Refresh'),
+      link(FRAME_ACTIONS.OPEN, 'Open in Browser', context.shareUrl),
+    ],
+    textInput: 'Vote for a move (e.g., Nf3 or e2e4)',
+  }),
+
+  [FRAME_VIEWS.FINISHED]: (context) => ({
+    title: `ChessGrid - ${context.resultLabel || 'Game Finished'} (${context.vsLabel})`,
+    buttons: [
+      context.spectating
+        ? post(FRAME_ACTIONS.REFRESH, 'Refresh')
+        : post(FRAME_ACTIONS.NEW_GAME, 'New Game'),
+      post(FRAME_ACTIONS.HISTORY, 'Replay'),
+      link(FRAME_ACTIONS.OPEN, 'Open in Browser', context.shareUrl),
+    ],
+  }),
+
+  // The ply being viewed rides in the state; at the last one the fourth button
+  // leads back to the game
+  [FRAME_VIEWS.HISTORY]: ({ ply, plies, plyLabel, clockLabel = '' }) => ({
+    title: `ChessGrid - Replay: ${plyLabel} (${ply}/${plies})${clockLabel}`,
+    buttons: [
+      post(FRAME_ACTIONS.FIRST, 'First'),
+      post(FRAME_ACTIONS.PREV, 'Prev'),
+      post(FRAME_ACTIONS.NEXT, 'Next'),
+      ply < plies
+        ? post(FRAME_ACTIONS.LAST, 'Last')
+        : post(FRAME_ACTIONS.BACK_TO_GAME, 'Back to Game'),
+    ],
+    state: { ply },
+  }),
+
+  [FRAME_VIEWS.SEEK]: (context) => ({
+    title: `ChessGrid - ${context.seekTitle} (${context.waitingFor})`,
+    buttons: [
+      post(FRAME_ACTIONS.CHECK_AGAIN, 'Check Again'),
+      post(FRAME_ACTIONS.CANCEL_SEARCH, 'Cancel Search'),
+      link(FRAME_ACTIONS.OPEN, 'Open Lobby', context.lobbyUrl),
+    ],
+    state: { seekId: context.seekId },
+  }),
+};
+
+// Which view of a game to show. `viewerColors` are the seats the viewer holds,
+// or null when the viewer is unknown (as for the cast itself), who could be
+// either player.
+export function chooseFrameView({ status, crowdTurn = false, moverColor, viewerColors = null }) {
+  if (status === 'waiting') return FRAME_VIEWS.LOBBY;
+  if (status === 'finished') return FRAME_VIEWS.FINISHED;
+  if (crowdTurn) return FRAME_VIEWS.VOTE;
+  if (!viewerColors) return FRAME_VIEWS.YOUR_TURN;
+  if (!viewerColors.length) return FRAME_VIEWS.SPECTATOR;
+  return viewerColors.includes(moverColor) ? FRAME_VIEWS.YOUR_TURN : FRAME_VIEWS.WAITING;
+}
+
+// The frame for a view: title, buttons, text input and image, plus the state to
+// send back with the next press. A `notice` is added to the title, and
+// `readOnly` (the reason a request couldn't be verified) leaves only the link.
+export function renderFrameView(view, context) {
+  const frame = VIEWS[view](context);
+  let { title, buttons, textInput = null } = frame;
+
+  if (context.notice) {
+    title += ` - ${context.notice}`;
+  }
+  if (context.readOnly) {
+    buttons = [link(FRAME_ACTIONS.OPEN, 'Open in Browser', context.shareUrl)];
+    textInput = null;
+    title += ` (Read-only: ${context.readOnly})`;
+  }
+
+  return {
+    imageUrl: context.imageUrl,
+    title,
+    buttons,
+    textInput,
+    state: {
+      gameId: context.gameId,
+      view,
+      actions: buttons.map((button) => button.name),
+      ...frame.state,
+    },
+  };
+}
+
+// The action of the pressed button, or null when the state doesn't say
+export function getPressedAction(state, buttonIndex) {
+  const actions = state?.actions || LEGACY_ACTIONS[state?.view];
+  const action = buttonIndex ? actions?.[buttonIndex - 1] : null;
+  return Object.values(FRAME_ACTIONS).includes(action) ? action : null;
+}
@@ -0,0 +1,88 @@
+// Per-game publish/subscribe with a short replay buffer so that reconnecting
+// clients (SSE Last-Event-ID) can catch up on what they missed.
+//
+// Event ids look like `<boot>:<seq>`. The boot prefix changes every time the
+// process starts, which lets us tell a stale id from a previous run apart from
+// one we can still replay from.
+export function createGameEventHub({ historyLimit = 100 } = {}) {
+  const boot = Date.now().toString(36);
+  const channels = new Map();
+
+  function getChannel(gameId) {
+    if (!channels.has(gameId)) {
+      channels.set(gameId, { seq: 0, history: [], listeners: new Set() });
+    }
+    return channels.get(gameId);
+  }
+
+  function publish(gameId, type, data = {}) {
+    const channel = getChannel(gameId);
+    channel.seq += 1;
+    const event = { id: `${boot}:${channel.seq}`, seq: channel.seq, type, data };
+    channel.history.push(event);
+    if (channel.history.length > historyLimit) {
+      channel.history.shift();
+    }
+    for (const listener of channel.listeners) {
+      listener(event);
+    }
+    return event;
+  }
+
+  // Sends an event to current listeners without adding it to the replay
+  // buffer, for state that only matters live. It reuses the latest event id,
+  // so a client that reconnects from it still replays everything after.
+  function broadcast(gameId, type, data = {}) {
+    const channel = channels.get(gameId);
+    if (!channel) return;
+    const event = { id: lastEventId(gameId), seq: channel.seq, type, data };
+    for (const listener of channel.listeners) {
+      listener(event);
+    }
+  }
+
+  function subscribe(gameId, listener) {
+    const channel = getChannel(gameId);
+    channel.listeners.add(listener);
+    return () => {
+      channel.listeners.delete(listener);
+    };
+  }
+
+  function lastEventId(gameId) {
+    return `${boot}:${channels.get(gameId)?.seq || 0}`;
+  }
+
+  // Returns the events after `eventId`, or `complete: false` when the gap can
+  // no longer be filled from the buffer and the client should resync instead.
+  function replaySince(gameId, eventId) {
+    if (!eventId) {
+      return { events: [], complete: false };
+    }
+    const [eventBoot, rawSeq] = String(eventId).split(':');
+    const seq = Number(rawSeq);
+    const channel = channels.get(gameId);
+    const currentSeq = channel?.seq || 0;
+
+    if (eventBoot !== boot || !Number.isInteger(seq) || seq < 0 || seq > currentSeq) {
+      return { events: [], complete: false };
+    }
+    if (seq === currentSeq) {
+      return { events: [], complete: true };
+    }
+
+    const events = channel.history.filter((event) => event.seq > seq);
+    const complete = events.length > 0 && events[0].seq === seq + 1;
+    return { events: complete ? events : [], complete };
+  }
+
+  function listenerCount(gameId) {
+    return channels.get(gameId)?.listeners.size || 0;
+  }
+
+  return { publish, broadcast, subscribe, lastEventId, replaySince, listenerCount };
+}
+
+export function formatServerSentEvent({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
@@ -0,0 +1,89 @@
+export const RESULTS = {
+  WHITE_WINS: '1-0',
+  BLACK_WINS: '0-1',
+  DRAW: '1/2-1/2',
+  ONGOING: '*',
+};
+
+export const TERMINATIONS = {
+  CHECKMATE: 'checkmate',
+  RESIGNATION: 'resignation',
+  STALEMATE: 'stalemate',
+  THREEFOLD: 'threefold-repetition',
+  FIFTY_MOVE: 'fifty-move-rule',
+  INSUFFICIENT_MATERIAL: 'insufficient-material',
+  TIMEOUT: 'timeout',
+  TIMEOUT_VS_INSUFFICIENT_MATERIAL: 'timeout-vs-insufficient-material',
+  AGREEMENT: 'agreement',
+  ABANDONMENT: 'abandonment',
+  KING_OF_THE_HILL: 'king-of-the-hill',
+  THREE_CHECKS: 'three-checks',
+  HORDE_DESTROYED: 'horde-destroyed',
+};
+
+const TERMINATION_LABELS = {
+  [TERMINATIONS.CHECKMATE]: 'Checkmate',
+  [TERMINATIONS.RESIGNATION]: 'Resignation',
+  [TERMINATIONS.STALEMATE]: 'Stalemate',
+  [TERMINATIONS.THREEFOLD]: 'Threefold repetition',
+  [TERMINATIONS.FIFTY_MOVE]: 'Fifty-move rule',
+  [TERMINATIONS.INSUFFICIENT_MATERIAL]: 'Insufficient material',
+  [TERMINATIONS.TIMEOUT]: 'Time forfeit',
+  [TERMINATIONS.TIMEOUT_VS_INSUFFICIENT_MATERIAL]: 'Timeout vs insufficient material',
+  [TERMINATIONS.AGREEMENT]: 'Draw by agreement',
+  [TERMINATIONS.ABANDONMENT]: 'Abandoned',
+  [TERMINATIONS.KING_OF_THE_HILL]: 'King reached the hill',
+  [TERMINATIONS.THREE_CHECKS]: 'Three checks',
+  [TERMINATIONS.HORDE_DESTROYED]: 'Horde destroyed',
+};
+
+export function describeTermination(termination) {
+  return TERMINATION_LABELS[termination] || null;
+}
+
+// `color` is the side that wins, as 'w'/'b' or 'white'/'black'
+export function winFor(color) {
+  return color === 'w' || color === 'white' ? RESULTS.WHITE_WINS : RESULTS.BLACK_WINS;
+}
+
+export function getWinnerColor(result) {
+  if (result === RESULTS.WHITE_WINS) return 'white';
+  if (result === RESULTS.BLACK_WINS) return 'black';
+  return null;
+}
+
+// Works out whether the position on the board has ended the game by itself.
+// `material: false` leaves out insufficient material, for variants where a
+// lone king can still win.
+export function detectBoardTermination(chess, { material = true } = {}) {
+  if (chess.isCheckmate()) {
+    return {
+      result: winFor(chess.turn() === 'w' ? 'b' : 'w'),
+      termination: TERMINATIONS.CHECKMATE,
+    };
+  }
+  if (chess.isStalemate()) {
+    return { result: RESULTS.DRAW, termination: TERMINATIONS.STALEMATE };
+  }
+  if (material && chess.isInsufficientMaterial()) {
+    return { result: RESULTS.DRAW, termination: TERMINATIONS.INSUFFICIENT_MATERIAL };
+  }
+  if (chess.isThreefoldRepetition()) {
+    return { result: RESULTS.DRAW, termination: TERMINATIONS.THREEFOLD };
+  }
+  if (chess.isDrawByFiftyMoves()) {
+    return { result: RESULTS.DRAW, termination: TERMINATIONS.FIFTY_MOVE };
+  }
+  return null;
+}
+
+// One-line summary such as "Black wins by resignation" or "Draw by stalemate"
+export function describeResult(result, termination) {
+  if (!result || result === RESULTS.ONGOING) return null;
+  const label = (describeTermination(termination) || 'result').toLowerCase();
+  if (result === RESULTS.DRAW) {
+    return termination === TERMINATIONS.AGREEMENT ? 'Draw by agreement' : `Draw (${label})`;
+  }
+  const winner = result === RESULTS.WHITE_WINS ? 'White' : 'Black';
+  return `${winner} wins (${label})`;
+}
@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+
+export const SEEK_TTL_MS = 10 * 60 * 1000;
+export const SEEK_COLORS = ['white', 'black', 'random'];
+
+// Open seeks waiting for an opponent. A seek is
+//
+//   { id, playerId, name, rating, timeControlKey, color, ratingRange, ... }
+//
+// where `ratingRange` ({ min, max }, either end optional) limits the opponents
+// it accepts. Any other fields are kept as they are, so the caller can store
+// what it needs to create the game. Each player has at most one open seek.
+//
+// Seeks that get paired are kept, with the caller's `match` details, until they
+// expire, so the player who was waiting can still look up their game.
+export function createSeekQueue({ now = Date.now, ttlMs = SEEK_TTL_MS } = {}) {
+  const seeks = new Map();
+
+  function prune() {
+    for (const [id, seek] of seeks) {
+      if (seek.expiresAt <= now()) seeks.delete(id);
+    }
+  }
+
+  function inRange(seek, rating) {
+    const { min = -Infinity, max = Infinity } = seek.ratingRange || {};
+    return rating >= min && rating <= max;
+  }
+
+  function colorsFit(a, b) {
+    return a.color === 'random' || b.color === 'random' || a.color !== b.color;
+  }
+
+  function isCompatible(a, b) {
+    return (
+      a.playerId !== b.playerId &&
+      a.timeControlKey === b.timeControlKey &&
+      colorsFit(a, b) &&
+      inRange(a, b.rating) &&
+      inRange(b, a.rating)
+    );
+  }
+
+  function list() {
+    prune();
+    return [...seeks.values()].filter((seek) => !seek.match);
+  }
+
+  function get(id) {
+    prune();
+    return seeks.get(id) || null;
+  }
+
+  function cancel(id) {
+    const seek = seeks.get(id);
+    if (!seek || seek.match) return false;
+    seeks.delete(id);
+    return true;
+  }
+
+  // Queues a seek, or pairs it straight away with the longest-waiting
+  // compatible one, which then leaves the queue. Returns the new seek and the
+  // opponent's seek (null while it waits).
+  function add(details) {
+    prune();
+    for (const open of list()) {
+      if (open.playerId === details.playerId) seeks.delete(open.id);
+    }
+
+    const seek = {
+      ...details,
+      id: crypto.randomUUID(),
+      createdAt: now(),
+      expiresAt: now() + ttlMs,
+      match: null,
+    };
+    const opponent = list().find((open) => isCompatible(open, seek)) || null;
+    if (!opponent) {
+      seeks.set(seek.id, seek);
+    }
+    return { seek, opponent };
+  }
+
+  // Pairs `seek` with one that is already waiting, as when a lobby player
+  // picks a seek from the list
+  function accept(id, details) {
+    const opponent = list().find((open) => open.id === id);
+    if (!opponent) {
+      throw new Error('That seek is no longer open');
+    }
+    const seek = { ...details, id: crypto.randomUUID(), createdAt: now(), match: null };
+    if (seek.playerId === opponent.playerId) {
+      throw new Error('You cannot accept your own seek');
+    }
+    if (!inRange(opponent, seek.rating)) {
+      throw new Error('Your rating is outside the range this seek accepts');
+    }
+    return { seek, opponent };
+  }
+
+  // Colors for a pairing, honouring whichever side asked for one
+  function assignColors(a, b) {
+    if (a.color === 'white' || b.color === 'black') return { white: a, black: b };
+    if (a.color === 'black' || b.color === 'white') return { white: b, black: a };
+    return crypto.randomInt(2) ? { white: a, black: b } : { white: b, black: a };
+  }
+
+  function markMatched(seek, match) {
+    seek.match = match;
+    seek.expiresAt = now() + ttlMs;
+    seeks.set(seek.id, seek);
+  }
+
+  return { add, accept, get, cancel, list, assignColors, markMatched };
+}
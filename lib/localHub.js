@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import {
+  encodeFrameActionData,
+  encodeMessage,
+  hashMessageData,
+  toFarcasterTime,
+} from './frameVerifier.js';
+
+// In-process stand-in for a Farcaster hub. It registers signer keys per FID and
+// can produce signed frame action messages, so the verification path can be
+// exercised locally without network access. Its keys double as Mini App app keys.
+// Frame actions are signed for `frameUrl` unless they name a `url` of their own.
+export function createLocalHub({ frameUrl = '' } = {}) {
+  const signers = new Map();
+
+  function addSigner(fid) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+    const signer = { fid: String(fid), publicKey: raw, privateKey };
+    const key = String(fid);
+    if (!signers.has(key)) signers.set(key, []);
+    signers.get(key).push(signer);
+    return signer;
+  }
+
+  function getSigner(fid) {
+    const list = signers.get(String(fid));
+    return list && list.length ? list[0] : addSigner(fid);
+  }
+
+  function signFrameAction({
+    fid,
+    buttonIndex,
+    inputText = '',
+    state = '',
+    url = frameUrl,
+    timestamp = Date.now(),
+    signer = getSigner(fid),
+  }) {
+    const dataBytes = encodeFrameActionData({
+      fid: Number(fid),
+      timestamp: toFarcasterTime(timestamp),
+      url,
+      buttonIndex,
+      inputText,
+      state,
+    });
+    const hash = hashMessageData(dataBytes);
+    const signature = crypto.sign(null, hash, signer.privateKey);
+    return encodeMessage({ dataBytes, hash, signature, signer: signer.publicKey }).toString('hex');
+  }
+
+  // Builds a full POST /frame body the way a Farcaster client would send it.
+  function frameRequest(action) {
+    const messageBytes = signFrameAction(action);
+    return {
+      untrustedData: {
+        fid: Number(action.fid),
+        buttonIndex: action.buttonIndex,
+        inputText: action.inputText,
+        state: action.state,
+        url: action.url ?? frameUrl,
+      },
+      trustedData: { messageBytes },
+    };
+  }
+
+  // Signs a Mini App webhook event as a client would, with the FID's app key
+  function signMiniAppEvent({ fid, signer = getSigner(fid), ...payload }) {
+    const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+    const header = encode({
+      fid: Number(fid),
+      type: 'app_key',
+      key: `0x${signer.publicKey.toString('hex')}`,
+    });
+    const body = encode(payload);
+    const signature = crypto.sign(null, Buffer.from(`${header}.${body}`), signer.privateKey);
+    return { header, payload: body, signature: signature.toString('base64url') };
+  }
+
+  async function isActiveSigner(fid, signerHex) {
+    const list = signers.get(String(fid)) || [];
+    const hex = String(signerHex).replace(/^0x/, '');
+    return list.some((s) => s.publicKey.toString('hex') === hex);
+  }
+
+  return { addSigner, signFrameAction, frameRequest, signMiniAppEvent, isActiveSigner };
+}
@@ -0,0 +1,60 @@
+import http from 'http';
+
+// Local stand-in for where notifications go: a webhook endpoint and a Farcaster
+// client's notification URL in one. It records every call it gets, and calls
+// carrying Mini App `tokens` are answered as a client would, accepting all but
+// `invalidTokens`. `failNext(count)` makes that many more calls fail, to
+// exercise retries.
+export async function createLocalReceiver() {
+  const requests = [];
+  const invalidTokens = new Set();
+  const failures = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      let json = null;
+      try {
+        json = JSON.parse(body);
+      } catch {
+        // Recorded as it came
+      }
+      requests.push({ path: req.url, headers: req.headers, body, json });
+
+      const status = failures.shift();
+      if (status) {
+        res.writeHead(status).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      if (!Array.isArray(json?.tokens)) {
+        res.end('{}');
+        return;
+      }
+      const result = { successfulTokens: [], invalidTokens: [], rateLimitedTokens: [] };
+      for (const token of json.tokens) {
+        (invalidTokens.has(token) ? result.invalidTokens : result.successfulTokens).push(token);
+      }
+      res.end(JSON.stringify({ result }));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    requests,
+    invalidTokens,
+    failNext(count, status = 503) {
+      failures.push(...Array(count).fill(status));
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
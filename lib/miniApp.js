@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import { verifyEd25519 } from './frameVerifier.js';
+
+// Farcaster Mini Apps (formerly Frames v2): the embed that puts a launch button
+// on a cast, the manifest at /.well-known/farcaster.json, and Quick Auth, which
+// vouches for the FID of the person using the app.
+
+export const QUICK_AUTH_ISSUER = 'https://auth.farcaster.xyz';
+
+const APP_NAME = 'ChessGrid';
+const SPLASH_BACKGROUND = '#312e81';
+const JWKS_TTL_MS = 60 * 60_000;
+
+// Events a Farcaster client posts to the manifest's `webhookUrl`. Clients from
+// the Frames v2 days still say "frame" where newer ones say "miniapp".
+export const MINI_APP_EVENTS = {
+  ADDED: 'miniapp_added',
+  REMOVED: 'miniapp_removed',
+  NOTIFICATIONS_ENABLED: 'notifications_enabled',
+  NOTIFICATIONS_DISABLED: 'notifications_disabled',
+};
+const LEGACY_EVENT_NAMES = { frame_added: 'miniapp_added', frame_removed: 'miniapp_removed' };
+
+// Signature algorithms a Quick Auth key may use, with the digest node wants for each
+const ALGORITHMS = { EdDSA: null, ES256: 'sha256', RS256: 'sha256' };
+
+// The card a cast shows: an image and one button that opens the app at `url`.
+// `legacy` gives the Frames v2 form that older clients read from `fc:frame`.
+export function buildMiniAppEmbed(
+  { baseUrl, imageUrl, url, buttonTitle },
+  { legacy = false } = {},
+) {
+  return {
+    version: legacy ? 'next' : '1',
+    imageUrl,
+    button: {
+      title: buttonTitle,
+      action: {
+        type: legacy ? 'launch_frame' : 'launch_miniapp',
+        name: APP_NAME,
+        url,
+        splashImageUrl: `${baseUrl}/miniapp/splash.png`,
+        splashBackgroundColor: SPLASH_BACKGROUND,
+      },
+    },
+  };
+}
+
+// The app's manifest. `accountAssociation` is the signed proof that the domain
+// belongs to a Farcaster account; it is left out until one has been set up.
+export function buildMiniAppManifest({ baseUrl, accountAssociation = null }) {
+  const app = {
+    version: '1',
+    name: APP_NAME,
+    subtitle: 'Chess on Farcaster',
+    description: 'Play chess against friends, the crowd or the computer, right in your feed.',
+    iconUrl: `${baseUrl}/miniapp/icon.png`,
+    homeUrl: `${baseUrl}/miniapp`,
+    imageUrl: `${baseUrl}/miniapp/image.png`,
+    buttonTitle: 'Play Chess',
+    splashImageUrl: `${baseUrl}/miniapp/splash.png`,
+    splashBackgroundColor: SPLASH_BACKGROUND,
+    primaryCategory: 'games',
+    tags: ['chess', 'games', 'puzzles'],
+    webhookUrl: `${baseUrl}/api/miniapp/webhook`,
+  };
+  return {
+    ...(accountAssociation && { accountAssociation }),
+    miniapp: app,
+    // Clients from the Frames v2 days read the same details from `frame`
+    frame: app,
+  };
+}
+
+// Fetches Quick Auth's signing keys, keeping them for an hour. Anything with
+// the same `async () => keys` shape can be used instead; tests sign their own.
+export function createHttpJwks({
+  url = `${QUICK_AUTH_ISSUER}/.well-known/jwks.json`,
+  fetchImpl = globalThis.fetch,
+  ttlMs = JWKS_TTL_MS,
+  now = Date.now,
+} = {}) {
+  let keys = null;
+  let fetchedAt = 0;
+  return async function getKeys() {
+    if (!keys || now() - fetchedAt > ttlMs) {
+      const res = await fetchImpl(url);
+      if (!res.ok) {
+        throw new Error(`Key request failed with ${res.status}`);
+      }
+      keys = (await res.json()).keys || [];
+      fetchedAt = now();
+    }
+    return keys;
+  };
+}
+
+function reject(reason) {
+  return { valid: false, reason };
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Any JSON decodes, but only an object can be a header or a set of claims
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function verifySignature(alg, jwk, signedPart, signature) {
+  try {
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    return crypto.verify(
+      ALGORITHMS[alg],
+      Buffer.from(signedPart),
+      alg === 'ES256' ? { key, dsaEncoding: 'ieee-p1363' } : key,
+      Buffer.from(signature, 'base64url'),
+    );
+  } catch {
+    return false;
+  }
+}
+
+// Checks a Quick Auth token (a JWT) the app got from the Mini App SDK. A valid
+// one was issued for `domain` and names the user's FID as its subject.
+export function createQuickAuthVerifier({ getKeys, issuer = QUICK_AUTH_ISSUER, now = Date.now }) {
+  if (typeof getKeys !== 'function') {
+    throw new Error('createQuickAuthVerifier requires getKeys()');
+  }
+
+  async function verify(token, { domain }) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      return reject('Missing or malformed token');
+    }
+
+    let header;
+    let claims;
+    try {
+      header = decodeSegment(parts[0]);
+      claims = decodeSegment(parts[1]);
+    } catch {
+      return reject('Missing or malformed token');
+    }
+    if (!isPlainObject(header) || !isPlainObject(claims)) {
+      return reject('Missing or malformed token');
+    }
+    if (!Object.hasOwn(ALGORITHMS, header.alg)) {
+      return reject('Unsupported signature algorithm');
+    }
+
+    let keys;
+    try {
+      keys = await getKeys();
+    } catch {
+      return reject('Signing keys unavailable');
+    }
+    const jwk = keys.find((key) => !header.kid || key.kid === header.kid);
+    if (!jwk) {
+      return reject('Unknown signing key');
+    }
+    if (!verifySignature(header.alg, jwk, `${parts[0]}.${parts[1]}`, parts[2])) {
+      return reject('Invalid signature');
+    }
+
+    if (claims.iss !== issuer) {
+      return reject('Token from another issuer');
+    }
+    const audiences = [].concat(claims.aud);
+    if (!audiences.includes(domain)) {
+      return reject('Token for another domain');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp * 1000 <= now()) {
+      return reject('Token has expired');
+    }
+    const fid = Number(claims.sub);
+    if (!Number.isSafeInteger(fid) || fid <= 0) {
+      return reject('Token has no FID');
+    }
+    return { valid: true, fid };
+  }
+
+  return { verify };
+}
+
+// Checks an event the client posted to the app's webhook. It comes as a JSON
+// Farcaster Signature: base64url `header` ({ fid, type, key }) and `payload`
+// segments, signed by an app key the hub must know for that FID. Returns
+// { valid, fid, event, notificationDetails } where `notificationDetails`
+// ({ url, token }) is only sent when notifications are turned on. Refusals of
+// events that aren't shaped like one at all carry `malformed: true`.
+export function createMiniAppEventVerifier({ hub }) {
+  if (!hub || typeof hub.isActiveSigner !== 'function') {
+    throw new Error('createMiniAppEventVerifier requires a hub with isActiveSigner()');
+  }
+
+  const malformed = (reason) => ({ ...reject(reason), malformed: true });
+
+  async function verify(body) {
+    const { header: encodedHeader, payload: encodedPayload, signature } = body || {};
+    let header;
+    let payload;
+    try {
+      header = decodeSegment(encodedHeader);
+      payload = decodeSegment(encodedPayload);
+    } catch {
+      return malformed('Malformed event');
+    }
+    if (!isPlainObject(header) || !isPlainObject(payload)) {
+      return malformed('Malformed event');
+    }
+
+    const fid = Number(header.fid);
+    if (!Number.isSafeInteger(fid) || fid <= 0) {
+      return malformed('Event has no FID');
+    }
+    const key = /^0x[0-9a-f]{64}$/i.test(header.key)
+      ? Buffer.from(header.key.slice(2), 'hex')
+      : null;
+    if (header.type !== 'app_key' || !key) {
+      return malformed('Unsupported signer type');
+    }
+    const signed = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+    if (!verifyEd25519(key, signed, Buffer.from(String(signature), 'base64url'))) {
+      return reject('Invalid signature');
+    }
+    try {
+      if (!(await hub.isActiveSigner(fid, header.key))) {
+        return reject('App key is not registered for this FID');
+      }
+    } catch {
+      return reject('Could not reach hub');
+    }
+
+    const event = LEGACY_EVENT_NAMES[payload.event] || payload.event;
+    if (!Object.values(MINI_APP_EVENTS).includes(event)) {
+      return malformed('Unknown event');
+    }
+    const details = payload.notificationDetails;
+    const notificationDetails =
+      /^https?:\/\//.test(details?.url) && typeof details.token === 'string'
+        ? { url: details.url, token: details.token }
+        : null;
+    return { valid: true, fid, event, notificationDetails };
+  }
+
+  return { verify };
+}
@@ -0,0 +1,114 @@
+// Reads a move typed by a person - SAN ("Nf3", "exd5", "e8=N", "O-O"), coordinates ("e2e4",
+// "e7-e8q") or words ("knight f3", "castle long") - and finds the legal move it means.
+
+const PIECE_WORDS = { king: 'K', queen: 'Q', rook: 'R', bishop: 'B', knight: 'N', pawn: '' };
+
+const CASTLING_INPUT = [
+  { pattern: /^(o-?o-?o|0-?0-?0|(castles? )?(queen ?side|long)( castles?)?)$/, sans: ['O-O-O'] },
+  { pattern: /^(o-?o|0-?0|(castles? )?(king ?side|short)( castles?)?)$/, sans: ['O-O'] },
+  { pattern: /^castles?$/, sans: ['O-O', 'O-O-O'] },
+];
+
+const SAN_PATTERN = /^([kqrbn])?([a-h])?([1-8])?(x)?([a-h][1-8])([qrbn])?$/i;
+
+// Move numbers ("12. Nf3"), check marks and annotations are ignored
+function tidy(text) {
+  return text
+    .trim()
+    .replace(/^\d+\.+\s*/, '')
+    .replace(/[+#!?]+$/, '')
+    .replace(/\s+/g, ' ');
+}
+
+// Rewrites words into SAN letters and drops the joining words and punctuation
+function compact(text) {
+  return text
+    .replace(/\b(king|queen|rook|bishop|knight|pawn)s?\b/gi, (word) => {
+      return PIECE_WORDS[word.toLowerCase().replace(/s$/, '')];
+    })
+    .replace(/\b(takes|captures)\b/gi, 'x')
+    .replace(/\b(to|on|promotes?|promoting|and)\b/gi, '')
+    .replace(/[\s=:-]/g, '');
+}
+
+// The ways a compacted input can be read. "bc4" could be a bishop move or a
+// pawn capture from the b-file, so both are tried.
+function interpret(input) {
+  const match = input.match(SAN_PATTERN);
+  if (!match) return [];
+  const [, piece, file, rank, capture, to, promotion] = match;
+  const readings = [
+    {
+      piece: piece?.toLowerCase() || null,
+      file: file?.toLowerCase() || null,
+      rank: rank || null,
+      capture: Boolean(capture),
+      to: to.toLowerCase(),
+      promotion: promotion?.toLowerCase() || null,
+    },
+  ];
+  if (piece === 'b' && !file) {
+    readings.push({ ...readings[0], piece: null, file: 'b' });
+  }
+  return readings;
+}
+
+// Castling can also be entered as the king's move to its castled square,
+// which in Chess960 is not where chess.js puts the move's `to`
+function getTargets(move) {
+  if (move.isKingsideCastle()) return [move.to, `g${move.from[1]}`];
+  if (move.isQueensideCastle()) return [move.to, `c${move.from[1]}`];
+  return [move.to];
+}
+
+function matches(move, reading) {
+  const coordinates = reading.file && reading.rank;
+  const piece = reading.piece || (coordinates ? null : 'p');
+  if (piece && move.piece !== piece) return false;
+  if (!getTargets(move).includes(reading.to)) return false;
+  if (reading.file && move.from[0] !== reading.file) return false;
+  if (reading.rank && move.from[1] !== reading.rank) return false;
+  // A pawn move without a file is a push, as in SAN, unless it says it takes
+  if (piece === 'p' && !reading.file && !reading.capture && move.from[0] !== reading.to[0]) {
+    return false;
+  }
+  if (reading.promotion) return move.promotion === reading.promotion;
+  // Promote to a queen unless another piece was asked for
+  return !move.promotion || move.promotion === 'q';
+}
+
+function findCandidates(chess, text) {
+  const moves = chess.moves({ verbose: true });
+  const castling = CASTLING_INPUT.find(({ pattern }) => pattern.test(text.toLowerCase()));
+  if (castling) {
+    return { read: true, candidates: moves.filter((move) => castling.sans.includes(move.san)) };
+  }
+
+  const readings = interpret(compact(text));
+  const candidates = moves.filter((move) => readings.some((reading) => matches(move, reading)));
+  return { read: readings.length > 0, candidates };
+}
+
+// Returns the chess.js move (with `from`, `to`, `promotion` and `san`) the
+// text stands for. Throws with a user-facing message when it can't be read,
+// isn't legal or could mean more than one move.
+export function readMove(chess, input) {
+  const text = tidy(String(input ?? ''));
+  if (!text) {
+    throw new Error('Enter a move first (e.g., Nf3 or e2e4)');
+  }
+
+  const { read, candidates } = findCandidates(chess, text);
+  if (!read) {
+    throw new Error(`Could not read move "${text.slice(0, 12)}"`);
+  }
+  if (candidates.length > 1) {
+    const sans = candidates.map((move) => move.san).sort();
+    throw new Error(`${text} is ambiguous: ${sans.slice(0, -1).join(', ')} or ${sans.at(-1)}`);
+  }
+  if (!candidates.length) {
+    const reason = chess.inCheck() ? ' - you are in check' : '';
+    throw new Error(`Illegal move: ${text.slice(0, 20)}${reason}`);
+  }
+  return candidates[0];
+}
@@ -0,0 +1,379 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+
+// Turn notifications for players who aren't watching their game. Each player
+// keeps their settings on their record:
+//
+//   { webhooks: [{ id, url, secret, origin, createdAt }],
+//     miniApp: [{ url, token, origin, addedAt }],
+//     muted: ['game-over', ...] }
+//
+// Webhooks get a JSON POST signed with the webhook's secret (see
+// signWebhookPayload). Mini App tokens come from the Farcaster client when the
+// player adds the app, and are sent to the client's notification `url`.
+// `origin` is the server address the target was registered through, so links in
+// notifications lead back to it.
+
+export const NOTIFICATION_KINDS = {
+  YOUR_TURN: 'your-turn',
+  CHALLENGE: 'challenge',
+  GAME_OVER: 'game-over',
+  DRAW_OFFER: 'draw-offer',
+};
+
+export const MAX_WEBHOOKS = 5;
+export const SIGNATURE_HEADER = 'X-ChessGrid-Signature';
+export const TIMESTAMP_HEADER = 'X-ChessGrid-Timestamp';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETRY_DELAYS_MS = [1_000, 5_000, 25_000];
+const DEFAULT_RATE_LIMIT = { max: 30, windowMs: 60 * 60_000 };
+
+// Limits Farcaster clients put on a notification
+const MINI_APP_LIMITS = { title: 32, body: 128, notificationId: 128, tokens: 100 };
+
+// Addresses on the server's side of the internet: loopback, private networks,
+// link-local (with cloud metadata at 169.254.169.254), shared and reserved
+// ranges. Notifications are never sent to them, so a player can't point a
+// webhook at internal services. IPv4-mapped IPv6 addresses match the IPv4
+// ranges; the other IPv6 forms that carry an IPv4 address (IPv4-compatible,
+// NAT64 and 6to4) are blocked whole.
+const NON_PUBLIC_RANGES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+]) {
+  NON_PUBLIC_RANGES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 96],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['fec0::', 10],
+  ['ff00::', 8],
+]) {
+  NON_PUBLIC_RANGES.addSubnet(prefix, bits, 'ipv6');
+}
+
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !NON_PUBLIC_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+export function getNotificationSettings(player) {
+  return { webhooks: [], miniApp: [], muted: [], ...player?.notifications };
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Returns the new settings and the webhook, whose secret is only shown this once.
+// Throws with a user-facing message for an unusable URL.
+export function addWebhook(settings, { url, origin }, now = Date.now()) {
+  if (typeof url !== 'string' || !isHttpUrl(url)) {
+    throw new Error('Webhook URL must be an http(s) URL');
+  }
+  if (settings.webhooks.length >= MAX_WEBHOOKS) {
+    throw new Error(`You can register up to ${MAX_WEBHOOKS} webhooks`);
+  }
+  const webhook = {
+    id: `wh_${crypto.randomUUID()}`,
+    url,
+    secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+    origin,
+    createdAt: now,
+  };
+  return { settings: { ...settings, webhooks: [...settings.webhooks, webhook] }, webhook };
+}
+
+export function removeWebhook(settings, webhookId) {
+  if (!settings.webhooks.some((webhook) => webhook.id === webhookId)) {
+    throw new Error('Webhook not found');
+  }
+  return { ...settings, webhooks: settings.webhooks.filter((webhook) => webhook.id !== webhookId) };
+}
+
+export function setMutedKinds(settings, kinds) {
+  if (!Array.isArray(kinds)) {
+    throw new Error('muted must be a list of notification kinds');
+  }
+  const known = Object.values(NOTIFICATION_KINDS);
+  const unknown = kinds.find((kind) => !known.includes(kind));
+  if (unknown !== undefined) {
+    throw new Error(`Unknown notification kind: ${String(unknown).slice(0, 20)}`);
+  }
+  return { ...settings, muted: known.filter((kind) => kinds.includes(kind)) };
+}
+
+// A client re-sends the token when notifications are turned back on, so a
+// token replaces any earlier one for the same client
+export function addMiniAppToken(settings, { url, token, origin }, now = Date.now()) {
+  const others = settings.miniApp.filter((entry) => entry.url !== url && entry.token !== token);
+  return { ...settings, miniApp: [...others, { url, token, origin, addedAt: now }] };
+}
+
+// Drops the given tokens, or all of them
+export function removeMiniAppTokens(settings, tokens = null) {
+  const miniApp = tokens ? settings.miniApp.filter((entry) => !tokens.includes(entry.token)) : [];
+  return { ...settings, miniApp };
+}
+
+// For a player who turns out to be someone else too (see players.redeemLinkCode)
+export function mergeNotificationSettings(into, from) {
+  const merged = getNotificationSettings({ notifications: into });
+  const other = getNotificationSettings({ notifications: from });
+  return {
+    webhooks: [...merged.webhooks, ...other.webhooks].slice(0, MAX_WEBHOOKS),
+    miniApp: [...merged.miniApp, ...other.miniApp],
+    muted: merged.muted,
+  };
+}
+
+// What the player sees of their settings: no secrets or tokens
+export function toPublicSettings(settings) {
+  return {
+    kinds: Object.values(NOTIFICATION_KINDS),
+    muted: settings.muted,
+    webhooks: settings.webhooks.map(({ id, url, createdAt }) => ({ id, url, createdAt })),
+    miniApp: settings.miniApp.length > 0,
+  };
+}
+
+// The signature sent with each webhook call: an HMAC-SHA256 of
+// `<timestamp>.<body>`, keyed with the webhook's secret
+export function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// For receivers: true when `signature` was made with `secret` for this body
+export function verifyWebhookSignature({ secret, timestamp, body, signature }) {
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature ?? ''));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function wait(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms).unref?.();
+  });
+}
+
+// Sends notifications, retrying failed calls after each of `retryDelaysMs`.
+// Calls that fail with a server error, 429 or no response at all are retried;
+// other refusals are final. A player gets each notification `key` once within
+// `dedupWindowMs` and at most `rateLimit.max` notifications per window.
+// `onInvalidTokens(recipient, tokens)` hears about Mini App tokens the client
+// no longer accepts.
+//
+// Every call first resolves its URL's host with `lookup` and is dropped unless
+// all of its addresses are public; redirects aren't followed, as they could
+// lead anywhere. Connections resolve the host through the same check and go to
+// the address it passed, so a host can't answer the check with a public address
+// and the connection with a private one. `allowPrivateTargets` lifts all that
+// for tests and local setups.
+export function createNotifier({
+  fetchImpl = fetch,
+  lookup = dns.promises.lookup,
+  allowPrivateTargets = false,
+  now = Date.now,
+  retryDelaysMs = DEFAULT_RETRY_DELAYS_MS,
+  dedupWindowMs = DAY_MS,
+  rateLimit = DEFAULT_RATE_LIMIT,
+  timeoutMs = 10_000,
+  onInvalidTokens = () => {},
+  onFailure = (target, reason) => console.warn(`Notification to ${target} failed: ${reason}`),
+} = {}) {
+  const sentKeys = new Map();
+  const recentSends = new Map();
+  const pending = new Set();
+
+  function forget(map, isStale) {
+    for (const [key, value] of map) {
+      if (isStale(value)) map.delete(key);
+    }
+  }
+
+  // Whether the player can be sent this notification now, noting it if so
+  function admit(recipientId, key) {
+    const at = now();
+    forget(sentKeys, (sentAt) => at - sentAt >= dedupWindowMs);
+    forget(recentSends, (times) => at - times.at(-1) >= rateLimit.windowMs);
+
+    const dedupKey = `${recipientId}:${key}`;
+    if (sentKeys.has(dedupKey)) return 'duplicate';
+    const times = (recentSends.get(recipientId) || []).filter((t) => at - t < rateLimit.windowMs);
+    if (times.length >= rateLimit.max) return 'rate-limited';
+
+    sentKeys.set(dedupKey, at);
+    recentSends.set(recipientId, [...times, at]);
+    return null;
+  }
+
+  // The host's addresses, as long as every one of them is public
+  async function resolvePublic(host) {
+    let addresses;
+    try {
+      addresses = net.isIP(host)
+        ? [{ address: host, family: net.isIP(host) }]
+        : await lookup(host, { all: true });
+    } catch {
+      throw new Error('URL host could not be resolved');
+    }
+    if (!addresses.length || !addresses.every(({ address }) => isPublicAddress(address))) {
+      throw new Error('URL must point to a public address');
+    }
+    return addresses;
+  }
+
+  // Throws with a user-facing message unless `url` may be sent notifications
+  async function checkTarget(url) {
+    if (typeof url !== 'string' || !isHttpUrl(url)) {
+      throw new Error('URL must be an http(s) URL');
+    }
+    if (allowPrivateTargets) return;
+    // IPv6 hosts keep their brackets in URLs
+    await resolvePublic(new URL(url).hostname.replace(/^\[(.*)\]$/, '$1'));
+  }
+
+  // Stands in for the DNS lookup when connecting (see net.connect's `lookup`)
+  function connectLookup(hostname, options, callback) {
+    resolvePublic(hostname).then((addresses) => {
+      if (options.all) callback(null, addresses);
+      else callback(null, addresses[0].address, addresses[0].family);
+    }, callback);
+  }
+  const dispatcher = allowPrivateTargets
+    ? undefined
+    : new Agent({ connect: { lookup: connectLookup } });
+
+  async function post(url, body, headers = {}) {
+    try {
+      await checkTarget(url);
+    } catch (err) {
+      return { error: err.message, retry: false };
+    }
+    try {
+      const res = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs),
+        dispatcher,
+      });
+      return { res, retry: res.status >= 500 || res.status === 429 };
+    } catch (err) {
+      // fetch says little more than "fetch failed" itself
+      return { error: err.cause?.message || err.message, retry: true };
+    }
+  }
+
+  // Makes the call until it succeeds or runs out of retries
+  async function withRetries(target, send) {
+    for (let attempt = 0; ; attempt++) {
+      const { res, error, retry } = await send();
+      if (res?.ok) return res;
+      if (!retry || attempt >= retryDelaysMs.length) {
+        onFailure(target, error || `status ${res.status}`);
+        return null;
+      }
+      await wait(retryDelaysMs[attempt]);
+    }
+  }
+
+  async function sendWebhook(webhook, notification, recipient) {
+    const payload = {
+      id: crypto.randomUUID(),
+      kind: notification.kind,
+      playerId: recipient.id,
+      gameId: notification.gameId,
+      title: notification.title,
+      body: notification.body,
+      url: `${webhook.origin}${notification.path}`,
+      createdAt: now(),
+    };
+    const body = JSON.stringify(payload);
+    // Retries carry the same delivery id, so receivers can drop repeats
+    await withRetries(webhook.url, () => {
+      const timestamp = String(Math.floor(now() / 1000));
+      return post(webhook.url, body, {
+        'X-ChessGrid-Event': notification.kind,
+        'X-ChessGrid-Delivery': payload.id,
+        [TIMESTAMP_HEADER]: timestamp,
+        [SIGNATURE_HEADER]: signWebhookPayload(webhook.secret, timestamp, body),
+      });
+    });
+  }
+
+  // One call per client, as each client has its own notification URL
+  async function sendMiniApp(url, entries, notification, recipient) {
+    const tokens = entries.map((entry) => entry.token).slice(0, MINI_APP_LIMITS.tokens);
+    const body = JSON.stringify({
+      notificationId: notification.key.slice(0, MINI_APP_LIMITS.notificationId),
+      title: notification.title.slice(0, MINI_APP_LIMITS.title),
+      body: notification.body.slice(0, MINI_APP_LIMITS.body),
+      targetUrl: `${entries[0].origin}${notification.path}`,
+      tokens,
+    });
+    const res = await withRetries(url, () => post(url, body));
+    if (!res) return;
+    const { result } = await res.json().catch(() => ({}));
+    if (result?.invalidTokens?.length) {
+      onInvalidTokens(recipient, result.invalidTokens);
+    }
+  }
+
+  // `recipient` is { id, notifications }; `notification` is
+  // { kind, key, gameId, title, body, path }, where `path` is the page to open.
+  // Returns why nothing was sent, or null once the calls are under way.
+  function notify(recipient, notification) {
+    const settings = getNotificationSettings(recipient);
+    if (settings.muted.includes(notification.kind)) return 'muted';
+    if (!settings.webhooks.length && !settings.miniApp.length) return 'no-targets';
+    const refusal = admit(recipient.id, notification.key);
+    if (refusal) return refusal;
+
+    const clients = new Map();
+    for (const entry of settings.miniApp) {
+      clients.set(entry.url, [...(clients.get(entry.url) || []), entry]);
+    }
+    const deliveries = [
+      ...settings.webhooks.map((webhook) => sendWebhook(webhook, notification, recipient)),
+      ...[...clients].map(([url, entries]) => sendMiniApp(url, entries, notification, recipient)),
+    ];
+    for (const delivery of deliveries) {
+      pending.add(delivery);
+      delivery.finally(() => pending.delete(delivery));
+    }
+    return null;
+  }
+
+  // Resolves once every notification sent so far has been delivered or given up on
+  async function idle() {
+    while (pending.size) {
+      await Promise.allSettled([...pending]);
+    }
+  }
+
+  return { notify, idle, checkTarget };
+}
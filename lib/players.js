@@ -0,0 +1,269 @@
+import crypto from 'crypto';
+import { mergeNotificationSettings } from './notifications.js';
+
+export const LINK_CODE_TTL_MS = 10 * 60 * 1000;
+
+// No 0/O or 1/I, so codes survive being read off one screen and typed into another
+const LINK_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const LINK_CODE_LENGTH = 6;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function createLinkCode() {
+  let code = '';
+  for (let i = 0; i < LINK_CODE_LENGTH; i++) {
+    code += LINK_CODE_ALPHABET[crypto.randomInt(LINK_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+export function normalizeDisplayName(name) {
+  const trimmed = String(name ?? '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return trimmed ? trimmed.slice(0, 40) : null;
+}
+
+// Stable player identities shared by the frame and the browser. A player can
+// hold a Farcaster FID, any number of web sessions, or both. Web sessions are
+// bearer tokens kept by the browser; only their hashes are stored. `onChange`
+// gets every batch of players that must be saved together.
+//
+// Linking an FID to a web session is a two-step handshake: the signed-in web
+// player asks for a short-lived code, then enters it in the link frame, whose
+// signed message proves the FID. If that FID already had its own player, that
+// player is merged into the web one and its id keeps resolving to the survivor.
+export function createPlayerRegistry({ onChange = () => {}, now = Date.now } = {}) {
+  const players = new Map();
+  const byFid = new Map();
+  const bySession = new Map();
+  const linkCodes = new Map();
+
+  function index(player) {
+    players.set(player.id, player);
+    if (player.mergedInto) return;
+    if (player.fid !== null) byFid.set(player.fid, player.id);
+    for (const hash of player.sessionHashes) {
+      bySession.set(hash, player.id);
+    }
+  }
+
+  function save(...changed) {
+    for (const player of changed) {
+      player.updatedAt = now();
+      index(player);
+    }
+    onChange(changed);
+  }
+
+  function load(records) {
+    records.forEach((record) =>
+      index({
+        sessionHashes: [],
+        fid: null,
+        ratings: {},
+        ratingHistory: [],
+        blocked: [],
+        ...record,
+      }),
+    );
+  }
+
+  function resolveId(id) {
+    let current = players.get(String(id));
+    const seen = new Set();
+    while (current?.mergedInto && !seen.has(current.id)) {
+      seen.add(current.id);
+      current = players.get(current.mergedInto);
+    }
+    return current || null;
+  }
+
+  function get(id) {
+    if (id === null || id === undefined) return null;
+    return resolveId(id);
+  }
+
+  function create({ name, fid = null } = {}) {
+    const player = {
+      id: `p_${crypto.randomUUID()}`,
+      name: normalizeDisplayName(name) || (fid !== null ? `FID ${fid}` : 'Guest'),
+      fid: fid !== null ? Number(fid) : null,
+      sessionHashes: [],
+      ratings: {},
+      ratingHistory: [],
+      blocked: [],
+      mergedInto: null,
+      createdAt: now(),
+      updatedAt: now(),
+    };
+    save(player);
+    return player;
+  }
+
+  function getByFid(fid) {
+    if (fid === null || fid === undefined) return null;
+    return get(byFid.get(Number(fid)));
+  }
+
+  function ensureFidPlayer(fid) {
+    return getByFid(fid) || create({ fid: Number(fid) });
+  }
+
+  function createSession(player) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    player.sessionHashes.push(hashSecret(token));
+    save(player);
+    return token;
+  }
+
+  function getBySession(token) {
+    if (!token) return null;
+    return get(bySession.get(hashSecret(token)));
+  }
+
+  function rename(player, name) {
+    const normalized = normalizeDisplayName(name);
+    if (!normalized) {
+      throw new Error('Name cannot be empty');
+    }
+    player.name = normalized;
+    save(player);
+    return player;
+  }
+
+  function issueLinkCode(player) {
+    for (const [code, entry] of linkCodes) {
+      if (entry.expiresAt <= now() || entry.playerId === player.id) linkCodes.delete(code);
+    }
+    let code = createLinkCode();
+    while (linkCodes.has(code)) code = createLinkCode();
+    const expiresAt = now() + LINK_CODE_TTL_MS;
+    linkCodes.set(code, { playerId: player.id, expiresAt });
+    return { code, expiresAt };
+  }
+
+  function merge(from, into) {
+    into.sessionHashes.push(...from.sessionHashes);
+    into.blocked = [...new Set([...into.blocked, ...from.blocked])];
+    into.ratingHistory = [...into.ratingHistory, ...from.ratingHistory].sort((a, b) => a.at - b.at);
+    if (from.notifications) {
+      into.notifications = mergeNotificationSettings(into.notifications, from.notifications);
+      delete from.notifications;
+    }
+    from.sessionHashes = [];
+    from.fid = null;
+    from.mergedInto = into.id;
+    save(from);
+  }
+
+  // Throws with a user-facing message when the code can't be used
+  function redeemLinkCode(code, fid) {
+    const key = String(code || '')
+      .trim()
+      .toUpperCase();
+    const entry = linkCodes.get(key);
+    if (!entry || entry.expiresAt <= now()) {
+      linkCodes.delete(key);
+      throw new Error('That link code is invalid or has expired');
+    }
+
+    const player = get(entry.playerId);
+    const numericFid = Number(fid);
+    if (player.fid !== null && player.fid !== numericFid) {
+      throw new Error(`That account is already linked to FID ${player.fid}`);
+    }
+    linkCodes.delete(key);
+
+    const existing = getByFid(numericFid);
+    if (existing && existing.id !== player.id) {
+      merge(existing, player);
+    }
+    player.fid = numericFid;
+    save(player);
+    return player;
+  }
+
+  // Stores a finished game's new ratings for both players as one change.
+  // `entry` goes on the player's rating history, which outlives the game.
+  function setRatings(updates) {
+    for (const { player, bucket, rating, entry } of updates) {
+      player.ratings = { ...player.ratings, [bucket]: rating };
+      player.ratingHistory = [...player.ratingHistory, entry];
+    }
+    save(...updates.map(({ player }) => player));
+  }
+
+  // Daily puzzle results (see lib/puzzles.js)
+  function setPuzzleProgress(player, progress) {
+    player.puzzles = progress;
+    save(player);
+    return player;
+  }
+
+  // Webhooks, Mini App tokens and muted kinds (see lib/notifications.js)
+  function setNotifications(player, notifications) {
+    player.notifications = notifications;
+    save(player);
+    return player;
+  }
+
+  // Blocked players' chat is hidden from `player` in every game
+  function setBlocked(player, otherId, blocked) {
+    const other = get(otherId);
+    if (!other) {
+      throw new Error('Player not found');
+    }
+    if (other.id === player.id) {
+      throw new Error('You cannot block yourself');
+    }
+    const current = new Set(player.blocked);
+    if (blocked) {
+      current.add(other.id);
+    } else {
+      current.delete(other.id);
+    }
+    player.blocked = [...current];
+    save(player);
+    return player;
+  }
+
+  // Players rated in `bucket`, best first
+  function listRated(bucket) {
+    return [...players.values()]
+      .filter((player) => !player.mergedInto && player.ratings?.[bucket])
+      .sort((a, b) => b.ratings[bucket].rating - a.ratings[bucket].rating);
+  }
+
+  function toPublic(player) {
+    if (!player) return null;
+    return {
+      id: player.id,
+      name: player.name,
+      fid: player.fid,
+      ratings: player.ratings || {},
+      createdAt: player.createdAt,
+    };
+  }
+
+  return {
+    load,
+    get,
+    create,
+    getByFid,
+    ensureFidPlayer,
+    createSession,
+    getBySession,
+    rename,
+    issueLinkCode,
+    redeemLinkCode,
+    setRatings,
+    setBlocked,
+    setPuzzleProgress,
+    setNotifications,
+    listRated,
+    toPublic,
+  };
+}
@@ -0,0 +1,107 @@
+import { Chess, DEFAULT_POSITION, validateFen } from 'chess.js';
+import { VARIANTS, createVariantGame, getVariantStartFen, parseVariant } from './variants.js';
+
+// Four-field FENs (no move counters) are common in the wild, so fill those in
+function normalizeFen(input) {
+  const fields = String(input).trim().split(/\s+/);
+  if (fields.length === 4) fields.push('0', '1');
+  return fields.join(' ');
+}
+
+function assertPlayableFen(fen) {
+  const { ok, error } = validateFen(fen);
+  if (!ok) {
+    throw new Error(error);
+  }
+
+  // chess.js accepts positions where the side that just moved is still in check
+  const chess = new Chess(fen);
+  const waiting = chess.turn() === 'w' ? 'b' : 'w';
+  const [king] = chess.findPiece({ type: 'k', color: waiting });
+  if (chess.isAttacked(king, chess.turn())) {
+    throw new Error('Invalid FEN: the side not to move is in check');
+  }
+}
+
+export function buildStartingGame(startFen = null, startMoves = [], variant = VARIANTS.STANDARD) {
+  const chess = createVariantGame(variant, startFen);
+  for (const san of startMoves) {
+    chess.move(san);
+  }
+  return chess;
+}
+
+// Replays a stored move list, stopping at the first move that no longer
+// applies. Returns the game and how many of the moves were played.
+export function replayMoves(startFen, moves, variant = VARIANTS.STANDARD) {
+  const chess = createVariantGame(variant, startFen);
+  let played = 0;
+  for (const san of moves) {
+    try {
+      chess.move(san);
+    } catch {
+      break;
+    }
+    played += 1;
+  }
+  return { chess, played };
+}
+
+// Compares placement, side to move and castling rights. En passant squares
+// are left out because FEN writers disagree on when to include them.
+export function isSamePosition(fenA, fenB) {
+  const key = (fen) => String(fen).split(' ').slice(0, 3).join(' ');
+  return key(fenA) === key(fenB);
+}
+
+// Works out where a new game starts from an optional `fen` or `pgn`. Returns
+// the starting FEN (null for the standard position) and the moves a PGN had
+// already played, and throws with a user-facing message for anything that
+// can't be played on from.
+export function parseStartingPosition({ fen, pgn } = {}) {
+  if (fen && pgn) {
+    throw new Error('Give either a FEN or a PGN, not both');
+  }
+  if (!fen && !pgn) {
+    return { startFen: null, startMoves: [] };
+  }
+
+  let startFen = null;
+  let startMoves = [];
+  if (fen) {
+    startFen = normalizeFen(fen);
+  } else {
+    const imported = new Chess();
+    try {
+      imported.loadPgn(String(pgn));
+    } catch (err) {
+      throw new Error(`Could not read PGN: ${err.message}`);
+    }
+    startFen = imported.getHeaders().FEN || null;
+    startMoves = imported.history();
+  }
+
+  if (startFen) {
+    assertPlayableFen(startFen);
+    if (startFen === DEFAULT_POSITION) startFen = null;
+  }
+
+  if (buildStartingGame(startFen, startMoves).isGameOver()) {
+    throw new Error('That position is already finished');
+  }
+  return { startFen, startMoves };
+}
+
+// The variant and starting point of a new game. Standard games can start from a
+// `fen` or `pgn`; other variants start from their own position, and Chess960
+// draws it from `seed`.
+export function parseGameSetup({ variant, seed, fen, pgn } = {}) {
+  const parsed = parseVariant(variant);
+  if (parsed === VARIANTS.STANDARD) {
+    return { variant: parsed, ...parseStartingPosition({ fen, pgn }) };
+  }
+  if (fen || pgn) {
+    throw new Error('Variant games start from their own position');
+  }
+  return { variant: parsed, startFen: getVariantStartFen(parsed, { seed }), startMoves: [] };
+}
@@ -0,0 +1,84 @@
+export const DEFAULT_ABANDON_AFTER_MS = 60 * 1000;
+
+// Who is connected to each game's live updates. A connection joins as a seat
+// ('white', 'black' or 'both' for a solo player) or as 'spectator'. A seat that
+// was connected and has had no connection since `abandonAfterMs` can have the
+// game claimed against it; seats that never connected (frame players, the
+// computer) never can.
+export function createPresenceTracker({
+  abandonAfterMs = DEFAULT_ABANDON_AFTER_MS,
+  now = () => Date.now(),
+} = {}) {
+  const games = new Map();
+  let nextId = 0;
+
+  function getEntry(gameId) {
+    if (!games.has(gameId)) {
+      games.set(gameId, { connections: new Map(), disconnectedAt: { white: null, black: null } });
+    }
+    return games.get(gameId);
+  }
+
+  function isOnline(entry, color) {
+    for (const role of entry.connections.values()) {
+      if (role === color || role === 'both') return true;
+    }
+    return false;
+  }
+
+  // Returns a function that ends the connection
+  function connect(gameId, role) {
+    const entry = getEntry(gameId);
+    const id = ++nextId;
+    entry.connections.set(id, role);
+    for (const color of ['white', 'black']) {
+      if (isOnline(entry, color)) entry.disconnectedAt[color] = null;
+    }
+
+    return () => {
+      if (!entry.connections.delete(id)) return;
+      for (const color of ['white', 'black']) {
+        if ((role === color || role === 'both') && !isOnline(entry, color)) {
+          entry.disconnectedAt[color] = now();
+        }
+      }
+      if (!entry.connections.size && !entry.disconnectedAt.white && !entry.disconnectedAt.black) {
+        games.delete(gameId);
+      }
+    };
+  }
+
+  function describeSeat(entry, color) {
+    const disconnectedAt = entry?.disconnectedAt[color] ?? null;
+    return {
+      connected: Boolean(entry) && isOnline(entry, color),
+      disconnectedAt,
+      claimableAt: disconnectedAt === null ? null : disconnectedAt + abandonAfterMs,
+    };
+  }
+
+  function snapshot(gameId) {
+    const entry = games.get(gameId);
+    const roles = [...(entry?.connections.values() || [])];
+    return {
+      white: describeSeat(entry, 'white'),
+      black: describeSeat(entry, 'black'),
+      spectators: roles.filter((role) => role === 'spectator').length,
+    };
+  }
+
+  function canClaimAgainst(gameId, color) {
+    const { claimableAt } = describeSeat(games.get(gameId), color);
+    return claimableAt !== null && now() >= claimableAt;
+  }
+
+  // Forgets a seat's disconnection, as when the game is reset or ends
+  function clear(gameId) {
+    const entry = games.get(gameId);
+    if (!entry) return;
+    entry.disconnectedAt = { white: null, black: null };
+    if (!entry.connections.size) games.delete(gameId);
+  }
+
+  return { connect, snapshot, canClaimAgainst, clear };
+}
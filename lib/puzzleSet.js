@@ -0,0 +1,61 @@
+// The local puzzle set. `fen` has the solver to move; `solution` is in UCI and
+// alternates the solver's moves with the replies the server plays for the
+// opponent, so it always has an odd length.
+export const PUZZLES = [
+  {
+    id: 'back-rank-1',
+    fen: '6k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1',
+    solution: ['d1d8'],
+    themes: ['mateIn1', 'backRankMate'],
+    rating: 800,
+  },
+  {
+    id: 'hanging-queen-1',
+    fen: 'rnb1kbnr/pppp1ppp/8/4p3/4P2q/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3',
+    solution: ['f3h4'],
+    themes: ['hangingPiece', 'opening'],
+    rating: 500,
+  },
+  {
+    id: 'fools-mate-1',
+    fen: 'rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq - 0 2',
+    solution: ['d8h4'],
+    themes: ['mateIn1', 'opening'],
+    rating: 600,
+  },
+  {
+    id: 'smothered-1',
+    fen: 'r5rk/6pp/7N/8/8/1Q6/8/6K1 w - - 0 1',
+    solution: ['b3g8', 'a8g8', 'h6f7'],
+    themes: ['mateIn2', 'smotheredMate', 'sacrifice'],
+    rating: 1400,
+  },
+  {
+    id: 'scholars-1',
+    fen: 'r1bqkbnr/pppp1ppp/2n5/4p3/2B1P3/5Q2/PPPP1PPP/RNB1K1NR w KQkq - 4 4',
+    solution: ['f3f7'],
+    themes: ['mateIn1', 'opening'],
+    rating: 600,
+  },
+  {
+    id: 'royal-fork-1',
+    fen: '4k3/8/8/1N1q4/8/8/8/4K3 w - - 0 1',
+    solution: ['b5c7', 'e8d8', 'c7d5'],
+    themes: ['fork', 'endgame'],
+    rating: 1000,
+  },
+  {
+    id: 'back-rank-2',
+    fen: '3r2k1/5ppp/8/8/8/8/5PPP/6K1 b - - 0 1',
+    solution: ['d8d1'],
+    themes: ['mateIn1', 'backRankMate'],
+    rating: 800,
+  },
+  {
+    id: 'skewer-1',
+    fen: '4q3/8/8/8/4k3/8/8/K6R w - - 0 1',
+    solution: ['h1e1', 'e4d5', 'e1e8'],
+    themes: ['skewer', 'endgame'],
+    rating: 1100,
+  },
+];
@@ -0,0 +1,146 @@
+import { Chess } from 'chess.js';
+import { DEFAULT_RATING, updateRating } from './ratings.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Puzzle ratings are fixed, so they are treated as settled opponents
+const PUZZLE_RD = 75;
+
+export function getPuzzleDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+// Everyone gets the same puzzle each UTC day, working through the set in order
+export function getDailyPuzzle(puzzles, now = Date.now()) {
+  return puzzles[Math.floor(now / DAY_MS) % puzzles.length];
+}
+
+function parseUci(uci) {
+  return { from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] };
+}
+
+export function getSolverColor(puzzle) {
+  return new Chess(puzzle.fen).turn() === 'w' ? 'white' : 'black';
+}
+
+export function startAttempt(puzzle, day) {
+  return { puzzleId: puzzle.id, day, ply: 0, status: 'solving', lastMove: null };
+}
+
+// The position the attempt has reached
+export function getAttemptFen(puzzle, attempt) {
+  const chess = new Chess(puzzle.fen);
+  puzzle.solution.slice(0, attempt.ply).forEach((uci) => chess.move(parseUci(uci)));
+  return chess.fen();
+}
+
+// Checks the solver's next move ({ from, to, promotion }). Any mate counts,
+// even if it isn't the one in the solution. A right move that doesn't finish
+// the puzzle is answered with the opponent's reply from the solution. Throws
+// with a user-facing message for illegal moves.
+export function playPuzzleMove(puzzle, attempt, move) {
+  if (attempt.status !== 'solving') {
+    throw new Error('This puzzle is over');
+  }
+  const chess = new Chess(getAttemptFen(puzzle, attempt));
+  let played;
+  try {
+    played = chess.move({ ...move, promotion: move.promotion || 'q' });
+  } catch {
+    throw new Error(`${move.from}${move.to} is not a legal move here`);
+  }
+
+  const expected = puzzle.solution[attempt.ply];
+  const uci = `${played.from}${played.to}${played.promotion || ''}`;
+  attempt.lastMove = { from: played.from, to: played.to };
+  if (uci !== expected && !chess.isCheckmate()) {
+    chess.undo();
+    attempt.status = 'failed';
+    return { correct: false, san: played.san, answer: chess.move(parseUci(expected)).san };
+  }
+
+  attempt.ply += 1;
+  if (chess.isCheckmate() || attempt.ply >= puzzle.solution.length) {
+    attempt.status = 'solved';
+    return { correct: true, san: played.san, reply: null };
+  }
+
+  const reply = chess.move(parseUci(puzzle.solution[attempt.ply]));
+  attempt.ply += 1;
+  attempt.lastMove = { from: reply.from, to: reply.to };
+  return { correct: true, san: played.san, reply: reply.san };
+}
+
+export function createPuzzleProgress() {
+  return {
+    rating: { ...DEFAULT_RATING },
+    solved: 0,
+    failed: 0,
+    streak: 0,
+    bestStreak: 0,
+    lastSolvedDay: null,
+    history: [],
+  };
+}
+
+function previousDay(day) {
+  return getPuzzleDay(Date.parse(`${day}T00:00:00Z`) - DAY_MS);
+}
+
+// Days solved in a row, counting a streak as alive until a day is missed
+export function getCurrentStreak(progress, day) {
+  if (!progress?.lastSolvedDay) return 0;
+  const alive = progress.lastSolvedDay === day || progress.lastSolvedDay === previousDay(day);
+  return alive ? progress.streak : 0;
+}
+
+// Only the first finished attempt at each day's puzzle counts
+export function hasPlayedDaily(progress, day) {
+  return Boolean(progress?.history.some((entry) => entry.day === day));
+}
+
+// Records a finished daily puzzle. The rating moves as if the puzzle were an
+// opponent of its own rating, and the streak counts days solved in a row.
+export function recordPuzzleResult(progress, puzzle, { day, solved, now = Date.now() }) {
+  const next = { ...(progress || createPuzzleProgress()) };
+  const before = next.rating;
+  next.rating = updateRating(
+    before,
+    { rating: puzzle.rating, rd: PUZZLE_RD, volatility: DEFAULT_RATING.volatility },
+    solved ? 1 : 0,
+  );
+
+  if (solved) {
+    next.solved += 1;
+    next.streak = next.lastSolvedDay === previousDay(day) ? next.streak + 1 : 1;
+    next.bestStreak = Math.max(next.bestStreak, next.streak);
+    next.lastSolvedDay = day;
+  } else {
+    next.failed += 1;
+    next.streak = 0;
+  }
+  next.history = [
+    ...next.history,
+    {
+      puzzleId: puzzle.id,
+      day,
+      solved,
+      ratingBefore: Math.round(before.rating),
+      ratingAfter: Math.round(next.rating.rating),
+      at: now,
+    },
+  ].slice(-100);
+  return next;
+}
+
+// What the API shows of a puzzle before it is solved
+export function toPublicPuzzle(puzzle) {
+  return {
+    id: puzzle.id,
+    fen: puzzle.fen,
+    color: getSolverColor(puzzle),
+    themes: puzzle.themes,
+    rating: puzzle.rating,
+    moves: Math.ceil(puzzle.solution.length / 2),
+  };
+}
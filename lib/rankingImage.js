@@ -0,0 +1,40 @@
+import { ASPECT_RATIOS, escapeXml, renderPiece } from './boardImage.js';
+
+// Ranked list card in the frame's 1.91:1 shape, used for the leaderboard and
+// tournament standings. `rows` are `{ rank, name, detail, value }`, already
+// formatted as text.
+export function createRankingSVG({ title, rows, emptyText = 'Nobody here yet' }) {
+  const { width, height } = ASPECT_RATIOS['1.91:1'];
+  const rowHeight = 46;
+  const top = 150;
+
+  const body = rows.length
+    ? rows
+        .map((row, i) => {
+          const y = top + i * rowHeight;
+          const shade = i % 2 ? '#3730a3' : '#312e81';
+          return `<rect x="60" y="${y - 32}" width="${width - 120}" height="${rowHeight}" rx="8" fill="${shade}"/>
+  <text x="90" y="${y}" class="rank">${row.rank}</text>
+  <text x="170" y="${y}" class="name">${escapeXml(String(row.name).slice(0, 26))}</text>
+  <text x="${width - 480}" y="${y}" class="detail">${escapeXml(String(row.detail).slice(0, 30))}</text>
+  <text x="${width - 90}" y="${y}" class="value" text-anchor="end">${escapeXml(row.value)}</text>`;
+        })
+        .join('\n  ')
+    : `<text x="${width / 2}" y="${top + 60}" class="name" text-anchor="middle">${escapeXml(emptyText)}</text>`;
+
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+  <defs>
+    <style>
+      .title { font-family: sans-serif; font-size: 48px; font-weight: bold; fill: #ffffff; }
+      .rank { font-family: sans-serif; font-size: 26px; font-weight: bold; fill: #facc15; }
+      .name { font-family: sans-serif; font-size: 26px; fill: #ffffff; }
+      .detail { font-family: sans-serif; font-size: 20px; fill: #c7d2fe; }
+      .value { font-family: sans-serif; font-size: 26px; font-weight: bold; fill: #ffffff; }
+    </style>
+  </defs>
+  <rect width="${width}" height="${height}" fill="#1e1b4b"/>
+  ${renderPiece({ type: 'k', color: 'w' }, 60, 24, 72)}
+  <text x="150" y="84" class="title">${escapeXml(String(title).slice(0, 40))}</text>
+  ${body}
+</svg>`;
+}
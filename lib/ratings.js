@@ -0,0 +1,107 @@
+import { getTimeControlCategory } from './clock.js';
+
+// Glicko-2, with each game treated as its own rating period so ratings move as
+// soon as a game ends. See http://www.glicko.net/glicko/glicko2.pdf.
+const GLICKO_SCALE = 173.7178;
+const VOLATILITY_CHANGE = 0.5;
+const CONVERGENCE = 0.000001;
+const MIN_RD = 45;
+const MAX_RD = 350;
+
+export const DEFAULT_RATING = { rating: 1500, rd: MAX_RD, volatility: 0.06 };
+
+// Ratings with a deviation above this are shown as provisional
+export const PROVISIONAL_RD = 110;
+
+// One rating per time-control category from lib/clock.js; untimed games are 'correspondence'
+export const RATING_BUCKETS = {
+  bullet: 'Bullet',
+  blitz: 'Blitz',
+  rapid: 'Rapid',
+  classical: 'Classical',
+  correspondence: 'Untimed',
+};
+
+export function getRatingBucket(control) {
+  return getTimeControlCategory(control);
+}
+
+function newVolatility(phi, sigma, v, delta) {
+  const a = Math.log(sigma ** 2);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    return (
+      (ex * (delta ** 2 - phi ** 2 - v - ex)) / (2 * (phi ** 2 + v + ex) ** 2) -
+      (x - a) / VOLATILITY_CHANGE ** 2
+    );
+  };
+
+  let A = a;
+  let B;
+  if (delta ** 2 > phi ** 2 + v) {
+    B = Math.log(delta ** 2 - phi ** 2 - v);
+  } else {
+    let k = 1;
+    while (f(a - k * VOLATILITY_CHANGE) < 0) k += 1;
+    B = a - k * VOLATILITY_CHANGE;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  return Math.exp(A / 2);
+}
+
+// New rating for `player` after scoring `score` (1, 0.5 or 0) against `opponent`
+export function updateRating(player, opponent, score) {
+  const mu = (player.rating - 1500) / GLICKO_SCALE;
+  const phi = player.rd / GLICKO_SCALE;
+  const opponentMu = (opponent.rating - 1500) / GLICKO_SCALE;
+  const opponentPhi = opponent.rd / GLICKO_SCALE;
+
+  const g = 1 / Math.sqrt(1 + (3 * opponentPhi ** 2) / Math.PI ** 2);
+  const expected = 1 / (1 + Math.exp(-g * (mu - opponentMu)));
+  const v = 1 / (g ** 2 * expected * (1 - expected));
+  const delta = v * g * (score - expected);
+
+  const volatility = newVolatility(phi, player.volatility, v, delta);
+  const phiStar = Math.sqrt(phi ** 2 + volatility ** 2);
+  const newPhi = 1 / Math.sqrt(1 / phiStar ** 2 + 1 / v);
+  const newMu = mu + newPhi ** 2 * g * (score - expected);
+
+  return {
+    rating: newMu * GLICKO_SCALE + 1500,
+    rd: Math.min(MAX_RD, Math.max(MIN_RD, newPhi * GLICKO_SCALE)),
+    volatility,
+  };
+}
+
+// Rates one game from White's score. Both sides are updated from their ratings
+// before the game, so the order doesn't matter.
+export function rateGame(white, black, whiteScore) {
+  return {
+    white: updateRating(white, black, whiteScore),
+    black: updateRating(black, white, 1 - whiteScore),
+  };
+}
+
+export function isProvisional(rating) {
+  return !rating || rating.rd > PROVISIONAL_RD;
+}
+
+// "1620" or "1500?" for provisional ratings
+export function formatRating(rating) {
+  const value = Math.round((rating || DEFAULT_RATING).rating);
+  return isProvisional(rating) ? `${value}?` : String(value);
+}
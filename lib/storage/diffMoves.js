@@ -0,0 +1,9 @@
+// How `next` differs from `previous`: the length of the shared prefix and the
+// moves after it. A takeback or reset shows up as `keep` < previous.length.
+export function diffMoves(previous, next) {
+  let keep = 0;
+  while (keep < previous.length && keep < next.length && previous[keep] === next[keep]) {
+    keep += 1;
+  }
+  return { keep, added: next.slice(keep) };
+}
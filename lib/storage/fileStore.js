@@ -0,0 +1,261 @@
+import fs from 'fs';
+import { dirname, join } from 'path';
+import { diffMoves } from './diffMoves.js';
+
+const LOG_SUFFIX = '.jsonl';
+
+// One append-only log per game, one JSON line per save:
+//
+//   { at, truncate?, moves?, meta?, set?, unset? }
+//
+// `truncate` cuts the move list back (takebacks, resets) and `moves` appends
+// to it. `meta` replaces the rest of the game and is only written in
+// snapshots; other saves write just the top-level fields that changed, in
+// `set`, and the ones that went away, in `unset`. So a move writes its SAN and
+// the few small fields it touched, not the chat or the analysis. A line is
+// written with a single append, so a crash can at worst leave a torn last line,
+// which loading skips. Once the lines after the snapshot add up to more than
+// `compactAfterBytes`, or to more than the snapshot itself, the log is replaced
+// by a fresh snapshot, written to a temporary file and renamed into place.
+//
+// Players and tournaments each live in one shared log. Each line holds full
+// records saved together, e.g. `{ players: [...] }`, so a batch lands as a
+// whole or not at all; the last record for an id wins, and compaction keeps
+// one per line.
+export function createFileGameStore({
+  dir,
+  playersFile = null,
+  tournamentsFile = null,
+  compactAfter = 200,
+  compactAfterBytes = 64 * 1024,
+}) {
+  const entries = new Map();
+
+  // `fields` holds each top-level meta field as JSON, to tell what a save changed
+  function getEntry(gameId) {
+    if (!entries.has(gameId)) {
+      entries.set(gameId, {
+        moves: [],
+        fields: null,
+        snapshotBytes: 0,
+        appendedBytes: 0,
+        queue: Promise.resolve(),
+      });
+    }
+    return entries.get(gameId);
+  }
+
+  // Fields JSON would leave out (undefined ones) are left out here too
+  function toFields(meta) {
+    const fields = new Map();
+    for (const [key, value] of Object.entries(meta)) {
+      const json = JSON.stringify(value);
+      if (json !== undefined) fields.set(key, json);
+    }
+    return fields;
+  }
+
+  function logFile(gameId) {
+    return join(dir, `${encodeURIComponent(gameId)}${LOG_SUFFIX}`);
+  }
+
+  // Writes for one game run strictly in order; other games don't wait on them
+  function enqueue(entry, task) {
+    const run = entry.queue.then(task);
+    entry.queue = run.catch(() => {});
+    return run;
+  }
+
+  async function writeAtomic(file, contents) {
+    const temp = `${file}.tmp`;
+    const handle = await fs.promises.open(temp, 'w');
+    try {
+      await handle.writeFile(contents, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(temp, file);
+  }
+
+  function parseLines(raw, file, onEvent) {
+    let damaged = false;
+    const lines = raw.split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        const torn = index >= lines.length - 2;
+        console.warn(`Skipping ${torn ? 'torn last' : 'unreadable'} line ${index + 1} of ${file}`);
+        damaged = true;
+        return;
+      }
+      onEvent(event);
+    });
+    return damaged;
+  }
+
+  function replayLog(raw, file) {
+    const state = { meta: null, moves: [] };
+    state.damaged = parseLines(raw, file, (event) => {
+      if (Number.isInteger(event.truncate)) state.moves.length = event.truncate;
+      if (Array.isArray(event.moves)) state.moves.push(...event.moves);
+      if (event.meta) state.meta = event.meta;
+      if (event.set) state.meta = { ...state.meta, ...event.set };
+      if (Array.isArray(event.unset) && state.meta) {
+        event.unset.forEach((key) => delete state.meta[key]);
+      }
+    });
+    return state;
+  }
+
+  async function loadAll() {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const records = [];
+    for (const name of await fs.promises.readdir(dir)) {
+      if (name.endsWith(`${LOG_SUFFIX}.tmp`)) {
+        // Left over from a compaction that never got as far as the rename
+        await fs.promises.rm(join(dir, name), { force: true });
+        continue;
+      }
+      if (!name.endsWith(LOG_SUFFIX)) continue;
+
+      const gameId = decodeURIComponent(name.slice(0, -LOG_SUFFIX.length));
+      const file = join(dir, name);
+      const raw = await fs.promises.readFile(file, 'utf8');
+      const state = replayLog(raw, file);
+      if (!state.meta) continue;
+
+      const entry = getEntry(gameId);
+      // Where the snapshot ends isn't known, so the whole log counts as appended
+      entry.appendedBytes = Buffer.byteLength(raw);
+      if (state.damaged) {
+        // Rewrite the log so later appends don't land on the end of a broken line
+        const snapshot = { at: Date.now(), truncate: 0, moves: state.moves, meta: state.meta };
+        const contents = `${JSON.stringify(snapshot)}\n`;
+        await writeAtomic(file, contents);
+        entry.snapshotBytes = Buffer.byteLength(contents);
+        entry.appendedBytes = 0;
+      }
+      entry.moves = [...state.moves];
+      entry.fields = toFields(state.meta);
+      records.push({ gameId, meta: state.meta, moves: state.moves });
+    }
+    return records;
+  }
+
+  function save(gameId, { meta, moves }) {
+    const entry = getEntry(gameId);
+    const fields = toFields(meta);
+    const { keep, added } = diffMoves(entry.moves, moves);
+
+    const event = { at: Date.now() };
+    if (keep < entry.moves.length) event.truncate = keep;
+    if (added.length) event.moves = added;
+    if (entry.fields) {
+      const set = {};
+      for (const [key, json] of fields) {
+        if (entry.fields.get(key) !== json) set[key] = meta[key];
+      }
+      const unset = [...entry.fields.keys()].filter((key) => !fields.has(key));
+      if (Object.keys(set).length) event.set = set;
+      if (unset.length) event.unset = unset;
+    }
+    if (entry.fields && Object.keys(event).length === 1) {
+      return entry.queue;
+    }
+
+    const isNew = !entry.fields;
+    entry.moves = [...moves];
+    entry.fields = fields;
+    const file = logFile(gameId);
+
+    // Serialise now: the caller's game keeps changing while the write waits
+    const line = `${JSON.stringify(event)}\n`;
+    const appendedBytes = entry.appendedBytes + Buffer.byteLength(line);
+    if (isNew || appendedBytes > Math.max(compactAfterBytes, entry.snapshotBytes)) {
+      const snapshot = `${JSON.stringify({ at: event.at, truncate: 0, moves, meta })}\n`;
+      entry.snapshotBytes = Buffer.byteLength(snapshot);
+      entry.appendedBytes = 0;
+      return enqueue(entry, async () => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await writeAtomic(file, snapshot);
+      });
+    }
+
+    entry.appendedBytes = appendedBytes;
+    return enqueue(entry, async () => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.appendFile(file, line, 'utf8');
+    });
+  }
+
+  // A shared log of whole records, one `{ [key]: [...] }` batch per line
+  function createRecordLog(file, key) {
+    const log = { lines: 0, records: new Map(), queue: Promise.resolve() };
+
+    function snapshot() {
+      return [...log.records.values()].map((record) => `{"${key}":[${record}]}\n`).join('');
+    }
+
+    async function load() {
+      if (!file || !fs.existsSync(file)) return [];
+      const raw = await fs.promises.readFile(file, 'utf8');
+      log.lines = 0;
+      const damaged = parseLines(raw, file, (event) => {
+        for (const record of event[key] || []) {
+          log.records.set(record.id, JSON.stringify(record));
+        }
+        log.lines += 1;
+      });
+      if (damaged) {
+        await writeAtomic(file, snapshot());
+        log.lines = log.records.size;
+      }
+      return [...log.records.values()].map((line) => JSON.parse(line));
+    }
+
+    function saveBatch(records) {
+      if (!file) return Promise.resolve();
+      for (const record of records) {
+        log.records.set(record.id, JSON.stringify(record));
+      }
+      const line = JSON.stringify({ [key]: records });
+
+      // Compact once most of the log is superseded records
+      if (log.lines + 1 >= Math.max(compactAfter, 2 * log.records.size)) {
+        log.lines = log.records.size;
+        const contents = snapshot();
+        return enqueue(log, () => writeAtomic(file, contents));
+      }
+
+      log.lines += 1;
+      return enqueue(log, async () => {
+        await fs.promises.mkdir(dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, `${line}\n`, 'utf8');
+      });
+    }
+
+    return { load, saveBatch, log };
+  }
+
+  const playerLog = createRecordLog(playersFile, 'players');
+  const tournamentLog = createRecordLog(tournamentsFile, 'tournaments');
+
+  async function close() {
+    const logs = [...entries.values(), playerLog.log, tournamentLog.log];
+    await Promise.all(logs.map((entry) => entry.queue));
+  }
+
+  return {
+    loadAll,
+    save,
+    loadPlayers: playerLog.load,
+    savePlayers: playerLog.saveBatch,
+    loadTournaments: tournamentLog.load,
+    saveTournament: (tournament) => tournamentLog.saveBatch([tournament]),
+    close,
+  };
+}
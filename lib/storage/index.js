@@ -0,0 +1,36 @@
+import { join } from 'path';
+import { createFileGameStore } from './fileStore.js';
+import { createSqliteGameStore } from './sqliteStore.js';
+
+export { diffMoves } from './diffMoves.js';
+
+// Every storage backend implements the same small interface:
+//
+//   loadAll()            -> Promise<Array<{ gameId, meta, moves }>>
+//   save(gameId, record) -> Promise, where record is { meta, moves }
+//   loadPlayers()        -> Promise<Array<player>>
+//   savePlayers(players) -> Promise, saving plain records with an `id` all together
+//   loadTournaments()    -> Promise<Array<tournament>>
+//   saveTournament(t)    -> Promise, where t is a plain record with an `id`
+//   close()              -> Promise, resolved once pending writes are done
+//
+// `moves` is the game's SAN move list and is kept apart from the rest of the
+// game, so games can be rebuilt by replaying their moves. `meta` is everything
+// else, as plain JSON. Backends write only what changed where they can: the
+// file store appends the new SANs and the top-level meta fields that changed,
+// and SQLite inserts the new moves and overwrites the game's one meta row.
+export const STORAGE_DRIVERS = ['file', 'sqlite'];
+
+export async function createGameStore({ driver = 'file', dir }) {
+  if (driver === 'file') {
+    return createFileGameStore({
+      dir: join(dir, 'games'),
+      playersFile: join(dir, 'players.jsonl'),
+      tournamentsFile: join(dir, 'tournaments.jsonl'),
+    });
+  }
+  if (driver === 'sqlite') {
+    return createSqliteGameStore({ file: join(dir, 'games.sqlite') });
+  }
+  throw new Error(`Unknown storage driver "${driver}" (expected ${STORAGE_DRIVERS.join(' or ')})`);
+}
@@ -0,0 +1,130 @@
+import fs from 'fs';
+import { dirname } from 'path';
+import { diffMoves } from './diffMoves.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS games (
+    id TEXT PRIMARY KEY,
+    meta TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS players (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS tournaments (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS moves (
+    game_id TEXT NOT NULL,
+    ply INTEGER NOT NULL,
+    san TEXT NOT NULL,
+    PRIMARY KEY (game_id, ply)
+  );
+`;
+
+// Embedded SQLite store. Each save is one transaction, and WAL mode keeps a
+// crash from leaving a half-written game behind. better-sqlite3 is an optional
+// dependency, so it is only loaded when this driver is picked.
+export async function createSqliteGameStore({ file }) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch {
+    throw new Error('The sqlite storage driver needs the better-sqlite3 package installed');
+  }
+
+  if (file !== ':memory:') {
+    fs.mkdirSync(dirname(file), { recursive: true });
+  }
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const savedMoves = new Map();
+  const upsertGame = db.prepare(
+    `INSERT INTO games (id, meta, updated_at) VALUES (?, ?, ?)
+     ON CONFLICT(id) DO UPDATE SET meta = excluded.meta, updated_at = excluded.updated_at`,
+  );
+  const deleteMovesFrom = db.prepare('DELETE FROM moves WHERE game_id = ? AND ply >= ?');
+  const insertMove = db.prepare('INSERT INTO moves (game_id, ply, san) VALUES (?, ?, ?)');
+  const upsertPlayer = db.prepare(
+    `INSERT INTO players (id, data, updated_at) VALUES (?, ?, ?)
+     ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+  );
+  const upsertTournament = db.prepare(
+    `INSERT INTO tournaments (id, data, updated_at) VALUES (?, ?, ?)
+     ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+  );
+
+  const writeGame = db.transaction((gameId, meta, keep, added) => {
+    upsertGame.run(gameId, JSON.stringify(meta), Date.now());
+    deleteMovesFrom.run(gameId, keep);
+    added.forEach((san, i) => insertMove.run(gameId, keep + i, san));
+  });
+
+  async function loadAll() {
+    const records = new Map();
+    for (const row of db.prepare('SELECT id, meta FROM games').all()) {
+      records.set(row.id, { gameId: row.id, meta: JSON.parse(row.meta), moves: [] });
+    }
+    for (const row of db.prepare('SELECT game_id, san FROM moves ORDER BY game_id, ply').all()) {
+      records.get(row.game_id)?.moves.push(row.san);
+    }
+    for (const record of records.values()) {
+      savedMoves.set(record.gameId, [...record.moves]);
+    }
+    return [...records.values()];
+  }
+
+  async function save(gameId, { meta, moves }) {
+    const { keep, added } = diffMoves(savedMoves.get(gameId) || [], moves);
+    writeGame(gameId, meta, keep, added);
+    savedMoves.set(gameId, [...moves]);
+  }
+
+  async function loadPlayers() {
+    return db
+      .prepare('SELECT data FROM players')
+      .all()
+      .map((row) => JSON.parse(row.data));
+  }
+
+  const writePlayers = db.transaction((players) => {
+    for (const player of players) {
+      upsertPlayer.run(player.id, JSON.stringify(player), Date.now());
+    }
+  });
+
+  async function savePlayers(players) {
+    writePlayers(players);
+  }
+
+  async function loadTournaments() {
+    return db
+      .prepare('SELECT data FROM tournaments')
+      .all()
+      .map((row) => JSON.parse(row.data));
+  }
+
+  async function saveTournament(tournament) {
+    upsertTournament.run(tournament.id, JSON.stringify(tournament), Date.now());
+  }
+
+  async function close() {
+    db.close();
+  }
+
+  return {
+    loadAll,
+    save,
+    loadPlayers,
+    savePlayers,
+    loadTournaments,
+    saveTournament,
+    close,
+  };
+}
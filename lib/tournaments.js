@@ -0,0 +1,445 @@
+import crypto from 'crypto';
+import { RESULTS } from './gameResult.js';
+
+export const TOURNAMENT_FORMATS = ['round-robin', 'swiss', 'arena'];
+export const MAX_TOURNAMENT_PLAYERS = 64;
+export const DEFAULT_ARENA_MINUTES = 60;
+
+const PAIRING_SEARCH_LIMIT = 20_000;
+
+function pairKey(a, b) {
+  return [a, b].sort().join('|');
+}
+
+function scoreFor(result, color) {
+  if (result === RESULTS.DRAW) return 0.5;
+  if (result === RESULTS.WHITE_WINS) return color === 'white' ? 1 : 0;
+  if (result === RESULTS.BLACK_WINS) return color === 'black' ? 1 : 0;
+  return null;
+}
+
+// Circle method: everyone meets everyone once, one player sitting out each
+// round when the number is odd. Returns `{ pairs: [[white, black]], bye }`
+// for each round.
+export function scheduleRoundRobin(playerIds) {
+  let slots = playerIds.length % 2 ? [...playerIds, null] : [...playerIds];
+  const rounds = [];
+  for (let round = 0; round < slots.length - 1; round++) {
+    const pairs = [];
+    let bye = null;
+    for (let board = 0; board < slots.length / 2; board++) {
+      const a = slots[board];
+      const b = slots[slots.length - 1 - board];
+      if (a === null || b === null) {
+        bye = a ?? b;
+        continue;
+      }
+      // The fixed player swaps colors every round; the other boards alternate
+      const swap = board === 0 ? round % 2 === 1 : board % 2 === 1;
+      pairs.push(swap ? [b, a] : [a, b]);
+    }
+    rounds.push({ pairs, bye });
+    slots = [slots[0], slots[slots.length - 1], ...slots.slice(1, -1)];
+  }
+  return rounds;
+}
+
+// Pairs top-down without rematches, backtracking when a choice leaves the
+// rest unpairable. Gives up (returns null) after a bounded search.
+function pairWithoutRematches(pool, played) {
+  let steps = 0;
+  function pairFrom(remaining) {
+    if (!remaining.length) return [];
+    const [first, ...rest] = remaining;
+    for (const candidate of rest) {
+      if (++steps > PAIRING_SEARCH_LIMIT) return null;
+      if (played.has(pairKey(first, candidate))) continue;
+      const tail = pairFrom(rest.filter((id) => id !== candidate));
+      if (tail) return [[first, candidate], ...tail];
+    }
+    return null;
+  }
+  return pairFrom(pool);
+}
+
+// White goes to whoever has had fewer whites, then to whoever had black last
+// time, then to the higher-ranked player
+function orientColors(a, b, colors) {
+  const balance = (id) => colors.get(id)?.balance ?? 0;
+  const last = (id) => colors.get(id)?.last ?? null;
+  if (balance(a) !== balance(b)) return balance(a) < balance(b) ? [a, b] : [b, a];
+  if (last(a) !== last(b)) return last(a) === 'white' || last(b) === 'black' ? [b, a] : [a, b];
+  return [a, b];
+}
+
+// Pairs a Swiss round. `ranking` lists player ids best first. The bye goes to
+// the lowest-ranked player who hasn't had one, and rematches are avoided while
+// any pairing without them exists.
+export function pairSwissRound(
+  ranking,
+  { played = new Set(), hadBye = new Set(), colors = new Map() } = {},
+) {
+  let pool = [...ranking];
+  let bye = null;
+  if (pool.length % 2) {
+    bye = [...pool].reverse().find((id) => !hadBye.has(id)) ?? pool[pool.length - 1];
+    pool = pool.filter((id) => id !== bye);
+  }
+
+  let pairs = pairWithoutRematches(pool, played);
+  if (!pairs) {
+    pairs = [];
+    for (let i = 0; i < pool.length; i += 2) pairs.push([pool[i], pool[i + 1]]);
+  }
+  return { pairs: pairs.map(([a, b]) => orientColors(a, b, colors)), bye };
+}
+
+// Scores, tiebreaks and color history for every registered player, best first.
+// Round-robin and Swiss score 1 / ½ / 0 and a Swiss bye is worth a win. Arena
+// scores 2 / 1 / 0, doubled once a player has won two games in a row.
+export function computeStandings(tournament) {
+  const rows = new Map(
+    tournament.players.map((player) => [
+      player.playerId,
+      {
+        playerId: player.playerId,
+        name: player.name,
+        rating: player.rating,
+        score: 0,
+        played: 0,
+        wins: 0,
+        draws: 0,
+        losses: 0,
+        byes: 0,
+        streak: 0,
+        buchholz: 0,
+        sonnebornBerger: 0,
+        opponents: [],
+        colors: { balance: 0, last: null },
+      },
+    ]),
+  );
+
+  for (const { playerId } of tournament.byes) {
+    const row = rows.get(playerId);
+    row.byes += 1;
+    if (tournament.format === 'swiss') row.score += 1;
+  }
+
+  const finished = tournament.pairings
+    .filter((pairing) => pairing.result)
+    .sort((a, b) => a.finishedAt - b.finishedAt);
+  for (const pairing of tournament.pairings) {
+    rows.get(pairing.white).colors.balance += 1;
+    rows.get(pairing.white).colors.last = 'white';
+    rows.get(pairing.black).colors.balance -= 1;
+    rows.get(pairing.black).colors.last = 'black';
+  }
+
+  for (const pairing of finished) {
+    for (const color of ['white', 'black']) {
+      const row = rows.get(pairing[color]);
+      const opponent = pairing[color === 'white' ? 'black' : 'white'];
+      const points = scoreFor(pairing.result, color);
+      row.played += 1;
+      row.opponents.push({ playerId: opponent, points });
+      if (points === 1) row.wins += 1;
+      else if (points === 0.5) row.draws += 1;
+      else row.losses += 1;
+
+      if (tournament.format === 'arena') {
+        const onFire = row.streak >= 2;
+        row.score += points * 2 * (onFire ? 2 : 1);
+        row.streak = points === 1 ? row.streak + 1 : 0;
+      } else {
+        row.score += points;
+      }
+    }
+  }
+
+  for (const row of rows.values()) {
+    for (const { playerId, points } of row.opponents) {
+      const opponentScore = rows.get(playerId).score;
+      row.buchholz += opponentScore;
+      row.sonnebornBerger += points * opponentScore;
+    }
+  }
+
+  const tiebreaks =
+    tournament.format === 'round-robin'
+      ? ['sonnebornBerger', 'buchholz']
+      : tournament.format === 'swiss'
+        ? ['buchholz', 'sonnebornBerger']
+        : ['played'];
+  const standings = [...rows.values()].sort((a, b) => {
+    for (const key of ['score', ...tiebreaks, 'rating']) {
+      if (b[key] !== a[key]) return b[key] - a[key];
+    }
+    return 0;
+  });
+  standings.forEach((row, i) => {
+    row.rank = i + 1;
+  });
+  return standings;
+}
+
+// Results between each pair of players, from each row player's point of view
+export function buildCrosstable(tournament) {
+  const standings = computeStandings(tournament);
+  const symbol = (points) => (points === 1 ? '1' : points === 0.5 ? '½' : '0');
+  return standings.map((row) => {
+    const results = {};
+    for (const { playerId, points } of row.opponents) {
+      (results[playerId] ||= []).push(symbol(points));
+    }
+    return { playerId: row.playerId, name: row.name, rank: row.rank, score: row.score, results };
+  });
+}
+
+// Runs tournaments: registration, pairing each round (or continuously, for an
+// arena), and collecting results. `createGame(tournament, pairing)` must start
+// a game for a new pairing and return its id; `onChange(tournament)` is called
+// whenever a tournament needs saving. Methods throw with user-facing messages.
+export function createTournamentDirector({ createGame, onChange = () => {}, now = Date.now }) {
+  const tournaments = new Map();
+
+  function save(tournament) {
+    tournament.updatedAt = now();
+    onChange(tournament);
+  }
+
+  function load(records) {
+    records.forEach((record) => tournaments.set(record.id, record));
+  }
+
+  function get(id) {
+    return tournaments.get(id) || null;
+  }
+
+  function list() {
+    return [...tournaments.values()].sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  function mustGet(id) {
+    const tournament = get(id);
+    if (!tournament) throw new Error('Tournament not found');
+    return tournament;
+  }
+
+  function create({ name, format, rounds, timeControl = null, durationMinutes, createdBy }) {
+    if (!TOURNAMENT_FORMATS.includes(format)) {
+      throw new Error(`Format must be one of ${TOURNAMENT_FORMATS.join(', ')}`);
+    }
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('A tournament needs a name');
+    if (rounds !== undefined && rounds !== null && !(Number.isInteger(rounds) && rounds > 0)) {
+      throw new Error('rounds must be a positive whole number');
+    }
+    const minutes = durationMinutes ?? DEFAULT_ARENA_MINUTES;
+    if (format === 'arena' && !(minutes > 0 && minutes <= 24 * 60)) {
+      throw new Error('durationMinutes must be between 1 and 1440');
+    }
+
+    const tournament = {
+      id: crypto.randomUUID(),
+      name: trimmed.slice(0, 60),
+      format,
+      status: 'registering',
+      createdBy,
+      timeControl,
+      rounds: format === 'swiss' ? rounds || null : null,
+      durationMs: format === 'arena' ? minutes * 60_000 : null,
+      currentRound: 0,
+      schedule: null,
+      players: [],
+      pairings: [],
+      byes: [],
+      createdAt: now(),
+      startedAt: null,
+      endsAt: null,
+      finishedAt: null,
+    };
+    tournaments.set(tournament.id, tournament);
+    save(tournament);
+    return tournament;
+  }
+
+  function join(id, { playerId, name, rating }) {
+    const tournament = mustGet(id);
+    if (tournament.status !== 'registering') throw new Error('Registration has closed');
+    if (tournament.players.some((player) => player.playerId === playerId)) {
+      throw new Error('You are already registered');
+    }
+    if (tournament.players.length >= MAX_TOURNAMENT_PLAYERS) {
+      throw new Error('The tournament is full');
+    }
+    tournament.players.push({ playerId, name, rating, joinedAt: now() });
+    save(tournament);
+    return tournament;
+  }
+
+  function leave(id, playerId) {
+    const tournament = mustGet(id);
+    if (tournament.status !== 'registering') {
+      throw new Error('Players can only leave before the start');
+    }
+    const before = tournament.players.length;
+    tournament.players = tournament.players.filter((player) => player.playerId !== playerId);
+    if (tournament.players.length === before) throw new Error('You are not registered');
+    save(tournament);
+    return tournament;
+  }
+
+  function addPairing(tournament, white, black, round) {
+    const pairing = { round, white, black, gameId: null, result: null, finishedAt: null };
+    tournament.pairings.push(pairing);
+    pairing.gameId = createGame(tournament, pairing);
+  }
+
+  function startRound(tournament) {
+    tournament.currentRound += 1;
+    const round = tournament.currentRound;
+    let plan;
+    if (tournament.format === 'round-robin') {
+      plan = tournament.schedule[round - 1];
+    } else {
+      const standings = computeStandings(tournament);
+      plan = pairSwissRound(
+        standings.map((row) => row.playerId),
+        {
+          played: new Set(tournament.pairings.map((p) => pairKey(p.white, p.black))),
+          hadBye: new Set(tournament.byes.map((bye) => bye.playerId)),
+          colors: new Map(standings.map((row) => [row.playerId, row.colors])),
+        },
+      );
+    }
+    if (plan.bye) tournament.byes.push({ round, playerId: plan.bye });
+    plan.pairs.forEach(([white, black]) => addPairing(tournament, white, black, round));
+  }
+
+  // Pairs every arena player who isn't in a game, strongest first, avoiding an
+  // immediate rematch where there is a choice
+  function pairArena(tournament) {
+    if (now() >= tournament.endsAt) return;
+    const busy = new Set();
+    const lastOpponent = new Map();
+    for (const pairing of tournament.pairings) {
+      if (!pairing.result) busy.add(pairing.white).add(pairing.black);
+      lastOpponent.set(pairing.white, pairing.black);
+      lastOpponent.set(pairing.black, pairing.white);
+    }
+
+    const standings = computeStandings(tournament);
+    const waiting = standings.filter((row) => !busy.has(row.playerId));
+    while (waiting.length >= 2) {
+      const first = waiting.shift();
+      let index = waiting.findIndex((row) => lastOpponent.get(first.playerId) !== row.playerId);
+      if (index === -1) index = 0;
+      const [second] = waiting.splice(index, 1);
+      const [white, black] = orientColors(
+        first.playerId,
+        second.playerId,
+        new Map(standings.map((row) => [row.playerId, row.colors])),
+      );
+      addPairing(tournament, white, black, null);
+    }
+  }
+
+  function finish(tournament) {
+    tournament.status = 'finished';
+    tournament.finishedAt = now();
+  }
+
+  function start(id, playerId) {
+    const tournament = mustGet(id);
+    if (tournament.createdBy !== playerId) throw new Error('Only the organiser can start it');
+    if (tournament.status !== 'registering') throw new Error('The tournament has already started');
+    if (tournament.players.length < 2) throw new Error('At least two players are needed');
+
+    const ids = tournament.players.map((player) => player.playerId);
+    tournament.status = 'running';
+    tournament.startedAt = now();
+    if (tournament.format === 'round-robin') {
+      tournament.schedule = scheduleRoundRobin(ids);
+      tournament.rounds = tournament.schedule.length;
+    } else if (tournament.format === 'swiss') {
+      // Enough rounds to separate the field, but never more than there are opponents
+      const suggested = Math.max(3, Math.ceil(Math.log2(ids.length)));
+      tournament.rounds = Math.min(tournament.rounds || suggested, ids.length - 1);
+    }
+
+    if (tournament.format === 'arena') {
+      tournament.endsAt = now() + tournament.durationMs;
+      pairArena(tournament);
+    } else {
+      startRound(tournament);
+    }
+    save(tournament);
+    return tournament;
+  }
+
+  // Moves an arena past its end time once no games are left running
+  function checkClock(id) {
+    const tournament = get(id);
+    if (!tournament || tournament.format !== 'arena' || tournament.status !== 'running') return;
+    if (now() < tournament.endsAt) return;
+    if (tournament.pairings.every((pairing) => pairing.result)) {
+      finish(tournament);
+      save(tournament);
+    }
+  }
+
+  // Records a finished game and pairs whatever comes next
+  function recordResult(id, gameId, result) {
+    const tournament = get(id);
+    const pairing = tournament?.pairings.find((p) => p.gameId === gameId);
+    if (!pairing || pairing.result) return;
+    pairing.result = result;
+    pairing.finishedAt = now();
+
+    if (tournament.format === 'arena') {
+      pairArena(tournament);
+      checkClock(id);
+    } else {
+      const roundDone = tournament.pairings
+        .filter((p) => p.round === tournament.currentRound)
+        .every((p) => p.result);
+      if (roundDone && tournament.currentRound < tournament.rounds) {
+        startRound(tournament);
+      } else if (roundDone) {
+        finish(tournament);
+      }
+    }
+    save(tournament);
+  }
+
+  // The player's unfinished game, if they have one
+  function getCurrentPairing(id, playerId) {
+    const tournament = get(id);
+    return (
+      tournament?.pairings.find(
+        (p) => !p.result && (p.white === playerId || p.black === playerId),
+      ) || null
+    );
+  }
+
+  return {
+    load,
+    get,
+    list,
+    create,
+    join,
+    leave,
+    start,
+    recordResult,
+    checkClock,
+    getCurrentPairing,
+  };
+}
+
+// "2½" rather than "2.5", as on a chess crosstable
+export function formatScore(score) {
+  const whole = Math.floor(score);
+  const half = score - whole === 0.5 ? '½' : '';
+  return whole === 0 && half ? half : `${whole}${half}`;
+}
@@ -0,0 +1,410 @@
+import crypto from 'crypto';
+import { Chess, DEFAULT_POSITION } from 'chess.js';
+import { RESULTS, TERMINATIONS, detectBoardTermination, winFor } from './gameResult.js';
+
+export const VARIANTS = {
+  STANDARD: 'standard',
+  CHESS960: 'chess960',
+  KING_OF_THE_HILL: 'kingOfTheHill',
+  THREE_CHECK: 'threeCheck',
+  HORDE: 'horde',
+};
+
+// Also the PGN Variant tag, spelt the way other servers write it
+const VARIANT_NAMES = {
+  [VARIANTS.STANDARD]: 'Standard',
+  [VARIANTS.CHESS960]: 'Chess960',
+  [VARIANTS.KING_OF_THE_HILL]: 'King of the Hill',
+  [VARIANTS.THREE_CHECK]: 'Three-check',
+  [VARIANTS.HORDE]: 'Horde',
+};
+
+const VARIANT_ALIASES = {
+  standard: VARIANTS.STANDARD,
+  chess: VARIANTS.STANDARD,
+  chess960: VARIANTS.CHESS960,
+  960: VARIANTS.CHESS960,
+  fischerrandom: VARIANTS.CHESS960,
+  kingofthehill: VARIANTS.KING_OF_THE_HILL,
+  koth: VARIANTS.KING_OF_THE_HILL,
+  threecheck: VARIANTS.THREE_CHECK,
+  '3check': VARIANTS.THREE_CHECK,
+  horde: VARIANTS.HORDE,
+};
+
+export const HORDE_FEN =
+  'rnbqkbnr/pppppppp/8/1PP2PP1/PPPPPPPP/PPPPPPPP/PPPPPPPP/PPPPPPPP w kq - 0 1';
+
+const HILL_SQUARES = ['d4', 'e4', 'd5', 'e5'];
+const CHECKS_TO_WIN = 3;
+
+// chess.js move flags and the 0x88 board it keeps internally
+const KSIDE_CASTLE = 32;
+const QSIDE_CASTLE = 64;
+const NORMAL_MOVE = 1;
+const BACK_RANK = { w: 0x70, b: 0x00 };
+
+export function getVariantName(variant) {
+  return VARIANT_NAMES[variant] || VARIANT_NAMES[VARIANTS.STANDARD];
+}
+
+// Accepts the names above in any case or spacing ("King of the Hill", "koth",
+// "960"); a missing variant is standard chess
+export function parseVariant(input) {
+  if (input === undefined || input === null || input === '') {
+    return VARIANTS.STANDARD;
+  }
+  const variant =
+    VARIANT_ALIASES[
+      String(input)
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '')
+    ];
+  if (!variant) {
+    throw new Error(`Unknown variant "${String(input).slice(0, 20)}"`);
+  }
+  return variant;
+}
+
+// Back rank for Chess960 start number `n` (0-959, 518 is the standard
+// position), using Scharnagl's numbering
+export function getChess960BackRank(n) {
+  const rank = new Array(8).fill(null);
+  const place = (piece, index) => {
+    const empty = rank.flatMap((square, i) => (square ? [] : [i]));
+    rank[empty[index]] = piece;
+  };
+
+  rank[(n % 4) * 2 + 1] = 'B';
+  rank[(Math.floor(n / 4) % 4) * 2] = 'B';
+  const rest = Math.floor(n / 16);
+  place('Q', rest % 6);
+  const [first, second] = [
+    [0, 1],
+    [0, 2],
+    [0, 3],
+    [0, 4],
+    [1, 2],
+    [1, 3],
+    [1, 4],
+    [2, 3],
+    [2, 4],
+    [3, 4],
+  ][Math.floor(rest / 6)];
+  // Placing the second knight first keeps the first one's index unchanged
+  place('N', second);
+  place('N', first);
+  ['R', 'K', 'R'].forEach((piece) => place(piece, 0));
+  return rank.join('');
+}
+
+// The same seed always gives the same start; without one it is random
+export function getChess960Number(seed) {
+  if (seed === undefined || seed === null || seed === '') {
+    return crypto.randomInt(960);
+  }
+  return crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0) % 960;
+}
+
+// The FEN a variant game starts from, or null when it is the standard position
+export function getVariantStartFen(variant, { seed } = {}) {
+  if (variant === VARIANTS.CHESS960) {
+    const pieces = getChess960BackRank(getChess960Number(seed));
+    return `${pieces.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${pieces} w KQkq - 0 1`;
+  }
+  if (variant === VARIANTS.HORDE) {
+    return HORDE_FEN;
+  }
+  return null;
+}
+
+function algebraic(square) {
+  return `${'abcdefgh'[square & 15]}${8 - (square >> 4)}`;
+}
+
+// chess.js only castles with a king on e1/e8 and rooks in the corners. For
+// Chess960 its castling is switched off and replaced: the rook each right
+// belongs to is the outermost one on that side of the king (as in X-FEN), and
+// castling is stored as the king moving onto that rook, so SAN, history and
+// undo all keep working. Moves given as the king's destination (e1g1) are
+// accepted too.
+//
+// This and the Horde patch below work on chess.js' private fields, so
+// package.json pins its exact version and the variant tests check that each
+// field they use is still there before it can be upgraded.
+function enableChess960Castling(chess) {
+  const rooks = { w: {}, b: {} };
+  const base = {
+    load: chess.load.bind(chess),
+    moves: chess._moves.bind(chess),
+    makeMove: chess._makeMove.bind(chess),
+    undoMove: chess._undoMove.bind(chess),
+    move: chess.move.bind(chess),
+  };
+
+  const isOwnRook = (color, square) =>
+    chess._board[square]?.type === 'r' && chess._board[square]?.color === color;
+
+  function findRooks() {
+    for (const color of ['w', 'b']) {
+      const king = chess._kings[color];
+      const row = BACK_RANK[color];
+      const squares = [...Array(8).keys()].map((file) => row + file);
+      rooks[color] = {
+        [KSIDE_CASTLE]: squares.findLast((sq) => sq > king && isOwnRook(color, sq)),
+        [QSIDE_CASTLE]: squares.find((sq) => sq < king && isOwnRook(color, sq)),
+      };
+      if (king >> 4 !== row >> 4) {
+        chess._castling[color] = 0;
+      }
+      for (const side of [KSIDE_CASTLE, QSIDE_CASTLE]) {
+        if (rooks[color][side] === undefined) {
+          chess._castling[color] &= ~side;
+        }
+      }
+    }
+    chess._hash = chess._computeHash();
+  }
+
+  function destinations(color, side) {
+    const row = BACK_RANK[color];
+    return side === KSIDE_CASTLE
+      ? { king: row + 6, rook: row + 5 }
+      : { king: row + 2, rook: row + 3 };
+  }
+
+  function castlingMoves(square) {
+    const us = chess._turn;
+    const them = us === 'w' ? 'b' : 'w';
+    const king = chess._kings[us];
+    if (king < 0 || (square && square !== algebraic(king)) || chess._attacked(them, king)) {
+      return [];
+    }
+
+    const moves = [];
+    for (const side of [KSIDE_CASTLE, QSIDE_CASTLE]) {
+      const rook = rooks[us][side];
+      if (!(chess._castling[us] & side) || !isOwnRook(us, rook)) continue;
+      const to = destinations(us, side);
+      const span = [king, rook, to.king, to.rook];
+      let clear = true;
+      for (let sq = Math.min(...span); sq <= Math.max(...span); sq++) {
+        if (sq !== king && sq !== rook && chess._board[sq]) clear = false;
+      }
+      const step = to.king > king ? 1 : -1;
+      for (let sq = king; clear && sq !== to.king; sq += step) {
+        if (chess._attacked(them, sq + step)) clear = false;
+      }
+      if (clear) {
+        moves.push({
+          color: us,
+          from: king,
+          to: rook,
+          piece: 'k',
+          captured: undefined,
+          flags: side,
+        });
+      }
+    }
+    return moves;
+  }
+
+  chess._moves = (options = {}) => {
+    const rights = chess._castling;
+    chess._castling = { w: 0, b: 0 };
+    let moves;
+    try {
+      moves = base.moves(options);
+    } finally {
+      chess._castling = rights;
+    }
+    if (options.piece && options.piece.toLowerCase() !== 'k') {
+      return moves;
+    }
+
+    const us = chess._turn;
+    const castles = castlingMoves(options.square?.toLowerCase()).filter((move) => {
+      if (options.legal === false) return true;
+      chess._makeMove(move);
+      const legal = !chess._isKingAttacked(us);
+      chess._undoMove();
+      return legal;
+    });
+    return [...moves, ...castles];
+  };
+
+  chess._makeMove = (move) => {
+    const us = chess._turn;
+    const them = us === 'w' ? 'b' : 'w';
+    if (!(move.flags & (KSIDE_CASTLE | QSIDE_CASTLE))) {
+      const rights = { ...chess._castling };
+      base.makeMove(move);
+      // Worked out again, as chess.js only knows about rooks in the corners
+      if (move.piece === 'k') rights[us] = 0;
+      for (const side of [KSIDE_CASTLE, QSIDE_CASTLE]) {
+        if (move.from === rooks[us][side]) rights[us] &= ~side;
+        if (move.to === rooks[them][side]) rights[them] &= ~side;
+      }
+      chess._castling = rights;
+      chess._hash = chess._computeHash();
+      return;
+    }
+
+    chess._push(move);
+    const king = chess._board[move.from];
+    const rook = chess._board[move.to];
+    const to = destinations(us, move.flags);
+    delete chess._board[move.from];
+    delete chess._board[move.to];
+    chess._board[to.king] = king;
+    chess._board[to.rook] = rook;
+    chess._kings = { ...chess._kings, [us]: to.king };
+    chess._castling = { ...chess._castling, [us]: 0 };
+    chess._epSquare = -1;
+    chess._halfMoves += 1;
+    if (us === 'b') chess._moveNumber += 1;
+    chess._turn = them;
+    chess._hash = chess._computeHash();
+  };
+
+  chess._undoMove = () => {
+    const last = chess._history[chess._history.length - 1];
+    if (!last || !(last.move.flags & (KSIDE_CASTLE | QSIDE_CASTLE))) {
+      const move = base.undoMove();
+      chess._hash = chess._computeHash();
+      return move;
+    }
+
+    chess._history.pop();
+    const { move } = last;
+    const to = destinations(last.turn, move.flags);
+    const king = chess._board[to.king];
+    const rook = chess._board[to.rook];
+    delete chess._board[to.king];
+    delete chess._board[to.rook];
+    chess._board[move.from] = king;
+    chess._board[move.to] = rook;
+    chess._kings = last.kings;
+    chess._turn = last.turn;
+    chess._castling = last.castling;
+    chess._epSquare = last.epSquare;
+    chess._halfMoves = last.halfMoves;
+    chess._moveNumber = last.moveNumber;
+    chess._hash = chess._computeHash();
+    return move;
+  };
+
+  chess.load = (fen, options) => {
+    base.load(fen, options);
+    findRooks();
+  };
+
+  chess.move = (move, options) => {
+    if (move && typeof move === 'object' && typeof move.from === 'string') {
+      const legal = chess._moves({ square: move.from });
+      const direct = legal.some((candidate) => algebraic(candidate.to) === move.to);
+      const castle = legal.find(
+        (candidate) =>
+          candidate.flags & (KSIDE_CASTLE | QSIDE_CASTLE) &&
+          algebraic(destinations(candidate.color, candidate.flags).king) === move.to,
+      );
+      if (!direct && castle) {
+        return base.move({ ...move, to: algebraic(castle.to) }, options);
+      }
+    }
+    return base.move(move, options);
+  };
+}
+
+// Horde pawns still on the first rank may move two squares, without en passant
+function enableHordePawns(chess) {
+  const baseMoves = chess._moves.bind(chess);
+  chess._moves = (options = {}) => {
+    const moves = baseMoves(options);
+    const forSquare = options.square?.toLowerCase();
+    if (chess._turn !== 'w' || (options.piece && options.piece.toLowerCase() !== 'p')) {
+      return moves;
+    }
+    for (let from = BACK_RANK.w; from < BACK_RANK.w + 8; from++) {
+      const piece = chess._board[from];
+      if (piece?.type !== 'p' || piece.color !== 'w') continue;
+      if (forSquare && forSquare !== algebraic(from)) continue;
+      if (!chess._board[from - 16] && !chess._board[from - 32]) {
+        moves.push({
+          color: 'w',
+          from,
+          to: from - 32,
+          piece: 'p',
+          captured: undefined,
+          flags: NORMAL_MOVE,
+        });
+      }
+    }
+    return moves;
+  };
+}
+
+// A chess.js game that plays by the variant's rules, from `fen` or the
+// variant's usual start
+export function createVariantGame(variant = VARIANTS.STANDARD, fen = null) {
+  if (variant === VARIANTS.CHESS960) {
+    const chess = new Chess();
+    enableChess960Castling(chess);
+    chess.load(fen || DEFAULT_POSITION);
+    return chess;
+  }
+  if (variant === VARIANTS.HORDE) {
+    // The horde has no king, which chess.js only allows without validation
+    const chess = new Chess(fen || HORDE_FEN, { skipValidation: true });
+    enableHordePawns(chess);
+    return chess;
+  }
+  return fen ? new Chess(fen) : new Chess();
+}
+
+// Checks given by each side so far, for Three-check
+export function countChecks(chess) {
+  const checks = { white: 0, black: 0 };
+  for (const move of chess.history({ verbose: true })) {
+    if (/[+#]$/.test(move.san)) {
+      checks[move.color === 'w' ? 'white' : 'black'] += 1;
+    }
+  }
+  return checks;
+}
+
+function getVariantWin(variant, chess) {
+  const mover = chess.turn() === 'w' ? 'b' : 'w';
+  if (variant === VARIANTS.KING_OF_THE_HILL) {
+    const onHill = HILL_SQUARES.some((square) => {
+      const piece = chess.get(square);
+      return piece?.type === 'k' && piece.color === mover;
+    });
+    return onHill ? { result: winFor(mover), termination: TERMINATIONS.KING_OF_THE_HILL } : null;
+  }
+  if (variant === VARIANTS.THREE_CHECK) {
+    const checks = countChecks(chess)[mover === 'w' ? 'white' : 'black'];
+    return checks >= CHECKS_TO_WIN
+      ? { result: winFor(mover), termination: TERMINATIONS.THREE_CHECKS }
+      : null;
+  }
+  if (variant === VARIANTS.HORDE) {
+    const hordeLeft = chess.board().some((row) => row.some((piece) => piece?.color === 'w'));
+    return hordeLeft
+      ? null
+      : { result: RESULTS.BLACK_WINS, termination: TERMINATIONS.HORDE_DESTROYED };
+  }
+  return null;
+}
+
+// Whether the position has ended the game under the variant's rules. A bare
+// king can still reach the hill, and chess.js miscounts the horde's material,
+// so insufficient material doesn't end those games.
+export function detectVariantTermination(variant, chess) {
+  return (
+    getVariantWin(variant, chess) ||
+    detectBoardTermination(chess, {
+      material: variant !== VARIANTS.KING_OF_THE_HILL && variant !== VARIANTS.HORDE,
+    })
+  );
+}
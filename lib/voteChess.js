@@ -0,0 +1,79 @@
+// Vote chess: one or both sides are played by whoever turns up. While a crowd
+// side is to move anyone can vote for a move; the first vote opens a window
+// and when it closes the most-voted move is played.
+export const DEFAULT_VOTE_WINDOW_SECONDS = 300;
+export const MIN_VOTE_WINDOW_SECONDS = 30;
+export const MAX_VOTE_WINDOW_SECONDS = 24 * 60 * 60;
+
+// Reads the `vote` option when creating a game: 'white', 'black' or 'both'
+// for the crowd's sides. Returns null when it is absent and throws with a
+// user-facing message when it is invalid.
+export function parseVoteOptions({ vote, windowSeconds } = {}) {
+  if (vote === undefined || vote === null || vote === '' || vote === false) return null;
+
+  const normalized = String(vote).toLowerCase();
+  const sides =
+    normalized === 'both' ? ['white', 'black'] : ['white', 'black'].filter((c) => c === normalized);
+  if (!sides.length) {
+    throw new Error('vote must be "white", "black" or "both"');
+  }
+
+  const seconds = windowSeconds === undefined ? DEFAULT_VOTE_WINDOW_SECONDS : Number(windowSeconds);
+  if (
+    !Number.isInteger(seconds) ||
+    seconds < MIN_VOTE_WINDOW_SECONDS ||
+    seconds > MAX_VOTE_WINDOW_SECONDS
+  ) {
+    throw new Error(
+      `windowSeconds must be a whole number between ${MIN_VOTE_WINDOW_SECONDS} and ${MAX_VOTE_WINDOW_SECONDS}`,
+    );
+  }
+
+  return { sides, windowMs: seconds * 1000, ballot: null, results: [] };
+}
+
+// Records `voterId`'s vote for `san` at half-move `ply`. A vote for a new ply
+// starts a fresh ballot; voting again replaces the voter's earlier choice.
+export function castVote(vote, { voterId, san, ply, now = Date.now() }) {
+  if (!vote.ballot || vote.ballot.ply !== ply) {
+    vote.ballot = { ply, opensAt: now, closesAt: now + vote.windowMs, votes: {} };
+  }
+  vote.ballot.votes[voterId] = { san, at: now };
+  return vote.ballot;
+}
+
+// Moves with their vote counts, most votes first. Ties go to the move that was
+// voted for first, then to SAN order, so a tally always picks the same move.
+export function tallyVotes(ballot) {
+  const moves = new Map();
+  for (const { san, at } of Object.values(ballot?.votes || {})) {
+    const entry = moves.get(san) || { san, votes: 0, firstAt: at };
+    entry.votes += 1;
+    entry.firstAt = Math.min(entry.firstAt, at);
+    moves.set(san, entry);
+  }
+  return [...moves.values()].sort(
+    (a, b) => b.votes - a.votes || a.firstAt - b.firstAt || a.san.localeCompare(b.san),
+  );
+}
+
+export function isBallotDue(vote, now = Date.now()) {
+  return Boolean(vote?.ballot) && now >= vote.ballot.closesAt;
+}
+
+// Closes the ballot and returns the winning move, keeping a record of how
+// each move was chosen
+export function closeBallot(vote) {
+  const tally = tallyVotes(vote.ballot);
+  const winner = tally[0] || null;
+  if (winner) {
+    vote.results.push({
+      ply: vote.ballot.ply,
+      san: winner.san,
+      votes: winner.votes,
+      voters: Object.keys(vote.ballot.votes).length,
+    });
+  }
+  vote.ballot = null;
+  return winner?.san || null;
+}
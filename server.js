@@ -1,13 +1,123 @@
 ﻿import express from 'express';
 import cors from 'cors';
-import { Chess } from 'chess.js';
 import { v4 as uuidv4 } from 'uuid';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
+import { Chess, DEFAULT_POSITION } from 'chess.js';
+import { createFrameVerifier, createHttpHub } from './lib/frameVerifier.js';
+import {
+  ASPECT_RATIOS,
+  createFrameImageSVG,
+  createIconSVG,
+  createPuzzleImageSVG,
+  svgToPNG,
+} from './lib/boardImage.js';
+import { createRankingSVG } from './lib/rankingImage.js';
+import { PUZZLES } from './lib/puzzleSet.js';
+import {
+  getAttemptFen,
+  getCurrentStreak,
+  getDailyPuzzle,
+  getPuzzleDay,
+  getSolverColor,
+  hasPlayedDaily,
+  playPuzzleMove,
+  recordPuzzleResult,
+  startAttempt,
+  toPublicPuzzle,
+} from './lib/puzzles.js';
+import { createGameEventHub, formatServerSentEvent } from './lib/gameEvents.js';
+import {
+  createClock,
+  describeTimeControl,
+  formatClock,
+  getFlaggedColor,
+  getRemaining,
+  getTimeControlCategory,
+  hasMatingMaterial,
+  parseTimeControl,
+  pressClock,
+  snapshotClock,
+  stopClock,
+} from './lib/clock.js';
+import {
+  RESULTS,
+  TERMINATIONS,
+  describeResult,
+  describeTermination,
+  getWinnerColor,
+  winFor,
+} from './lib/gameResult.js';
+import { createEngineWorker, parseEngineLevel } from './lib/engine.js';
+import { analyzeGame, buildAnnotatedPgn } from './lib/analysis.js';
+import { buildStartingGame, isSamePosition, parseGameSetup, replayMoves } from './lib/position.js';
+import { VARIANTS, countChecks, detectVariantTermination, getVariantName } from './lib/variants.js';
+import { readMove } from './lib/moveInput.js';
+import {
+  FRAME_ACTIONS,
+  FRAME_VIEWS,
+  chooseFrameView,
+  getPressedAction,
+  renderFrameView,
+} from './lib/frameViews.js';
+import { createGameStore } from './lib/storage/index.js';
+import { createPlayerRegistry, normalizeDisplayName } from './lib/players.js';
+import {
+  MINI_APP_EVENTS,
+  buildMiniAppEmbed,
+  buildMiniAppManifest,
+  createHttpJwks,
+  createMiniAppEventVerifier,
+  createQuickAuthVerifier,
+} from './lib/miniApp.js';
+import {
+  NOTIFICATION_KINDS,
+  addMiniAppToken,
+  addWebhook,
+  createNotifier,
+  getNotificationSettings,
+  removeMiniAppTokens,
+  removeWebhook,
+  setMutedKinds,
+  toPublicSettings,
+} from './lib/notifications.js';
+import { SEEK_COLORS, createSeekQueue } from './lib/lobby.js';
+import { DEFAULT_ABANDON_AFTER_MS, createPresenceTracker } from './lib/presence.js';
+import {
+  DEFAULT_BLOCKED_WORDS,
+  addChatMessage,
+  createChatLog,
+  createChatRateLimiter,
+  createWordFilter,
+  getMutedIds,
+  setMuted,
+} from './lib/chat.js';
+import {
+  castVote,
+  closeBallot,
+  isBallotDue,
+  parseVoteOptions,
+  tallyVotes,
+} from './lib/voteChess.js';
+import {
+  buildCrosstable,
+  computeStandings,
+  createTournamentDirector,
+  formatScore,
+} from './lib/tournaments.js';
+import {
+  DEFAULT_RATING,
+  RATING_BUCKETS,
+  formatRating,
+  getRatingBucket,
+  isProvisional,
+  rateGame,
+} from './lib/ratings.js';
 
 dotenv.config();
 
@@ -48,14 +158,106 @@ app.use(cors());
 app.use(express.json());
 app.use('/static', express.static('public'));
 
+// Where the server is reached, such as https://chess.example. Signed frame
+// actions only count when they were made on its frames.
+const PUBLIC_URL = process.env.PUBLIC_URL || null;
+
+// Frame actions are only trusted once their signed message has been checked
+// against a hub. Tests swap this for one backed by lib/localHub.js.
+const hub = createHttpHub({
+  url: process.env.FARCASTER_HUB_URL || 'https://nemes.farcaster.xyz:2281',
+});
+app.locals.frameVerifier = createFrameVerifier({
+  hub,
+  frameUrl: PUBLIC_URL,
+  maxAgeMs: Number(process.env.FRAME_MAX_AGE_MS) || undefined,
+});
+// Mini App sign-ins carry a Quick Auth token; tests swap in their own keys
+app.locals.quickAuthVerifier = createQuickAuthVerifier({ getKeys: createHttpJwks() });
+// The domain those tokens must be issued for. The request's own host can't be
+// used: behind a trusted proxy the client picks it.
+app.locals.miniAppDomain =
+  process.env.MINIAPP_DOMAIN || (PUBLIC_URL ? new URL(PUBLIC_URL).hostname : null);
+// Events from the Mini App's client are signed with the user's app key
+app.locals.miniAppEventVerifier = createMiniAppEventVerifier({ hub });
+// Tests swap this for one with short retries, sending to lib/localReceiver.js
+app.locals.notifier = createNotifier({
+  allowPrivateTargets: process.env.ALLOW_PRIVATE_WEBHOOKS === 'true',
+  onInvalidTokens: (recipient, tokens) => {
+    const player = playerRegistry.get(recipient.id);
+    if (player) {
+      playerRegistry.setNotifications(
+        player,
+        removeMiniAppTokens(getNotificationSettings(player), tokens),
+      );
+    }
+  },
+});
+
 const games = new Map();
+const gameEvents = createGameEventHub();
+const flagTimers = new Map();
+const voteTimers = new Map();
+// The computer and post-game analysis think on worker threads of their own, so
+// a long analysis doesn't keep the computer from moving
+const engine = createEngineWorker();
+const analysisEngine = createEngineWorker();
+const analysisJobs = new Map();
+const lobby = createSeekQueue();
+const presence = createPresenceTracker({
+  abandonAfterMs: process.env.ABANDON_TIMEOUT_SECONDS
+    ? Number(process.env.ABANDON_TIMEOUT_SECONDS) * 1000
+    : DEFAULT_ABANDON_AFTER_MS,
+});
+const lobbyEvents = createGameEventHub();
+const LOBBY_CHANNEL = 'lobby';
+// Chat is delivered per room (`<gameId>:<room>`) and never replayed; clients
+// fetch the history when they connect
+const chatEvents = createGameEventHub({ historyLimit: 1 });
+const chatLimiter = createChatRateLimiter();
+const chatFilter = createWordFilter([
+  ...DEFAULT_BLOCKED_WORDS,
+  ...(process.env.CHAT_BLOCKED_WORDS || '').split(','),
+]);
+
+const DATA_DIR = process.env.DATA_DIR || join(__dirname, 'data');
+const LEGACY_GAMES_FILE = join(DATA_DIR, 'games.json');
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'file';
+const gameStore = await createGameStore({ driver: STORAGE_DRIVER, dir: DATA_DIR });
+const playerRegistry = createPlayerRegistry({
+  onChange: (changed) => {
+    gameStore.savePlayers(changed).catch((err) => {
+      console.error(`Failed to save players ${changed.map((p) => p.id).join(', ')}:`, err.message);
+    });
+  },
+});
+playerRegistry.load(await gameStore.loadPlayers());
+
+const arenaTimers = new Map();
+// Daily puzzle attempts in progress, by `<playerId>:<day>`. Only finished
+// attempts are saved, on the player.
+const puzzleAttempts = new Map();
+const tournamentDirector = createTournamentDirector({
+  createGame: createTournamentGame,
+  onChange: (tournament) => {
+    gameStore.saveTournament(tournament).catch((err) => {
+      console.error(`Failed to save tournament ${tournament.id}:`, err.message);
+    });
+    scheduleArenaEnd(tournament);
+  },
+});
+tournamentDirector.load(await gameStore.loadTournaments());
+tournamentDirector.list().forEach(scheduleArenaEnd);
 
-const DATA_DIR = join(__dirname, 'data');
-const GAMES_FILE = join(DATA_DIR, 'games.json');
+const FRAME_IMAGE_ASPECT = '1.91:1';
+const IMAGE_CACHE_LIMIT = 200;
+const imageCache = new Map();
 
 const PLAYER_SOURCES = {
   WEB: 'web',
   FRAME: 'frame',
+  BOT: 'bot',
+  CROWD: 'crowd',
 };
 
 function createPlayer({ id, name, token = null, source = PLAYER_SOURCES.WEB }) {
@@ -68,6 +270,24 @@ function createPlayer({ id, name, token = null, source = PLAYER_SOURCES.WEB }) {
   };
 }
 
+function createBotPlayer(level) {
+  return createPlayer({
+    id: `bot-${level}`,
+    name: `Computer (level ${level})`,
+    source: PLAYER_SOURCES.BOT,
+  });
+}
+
+// Stands in for everyone voting on a side's moves in a vote game
+function createCrowdPlayer(color) {
+  return createPlayer({ id: `crowd-${color}`, name: 'The Crowd', source: PLAYER_SOURCES.CROWD });
+}
+
+function createFramePlayer(fid) {
+  const account = playerRegistry.ensureFidPlayer(fid);
+  return createPlayer({ id: account.id, name: account.name, source: PLAYER_SOURCES.FRAME });
+}
+
 function formatPlayerName(name, fallback = 'Player') {
   if (!name) return fallback;
   const trimmed = String(name).trim();
@@ -75,37 +295,90 @@ function formatPlayerName(name, fallback = 'Player') {
   return trimmed.slice(0, 40);
 }
 
+// Seats store the player id they were taken with. Resolving it follows merges,
+// so a seat taken before an FID was linked still points at the merged player.
+function resolvePlayerId(playerId) {
+  return playerRegistry.get(playerId)?.id || playerId;
+}
+
 function sanitizePlayer(player) {
   if (!player) return null;
   return {
-    id: player.id,
+    id: resolvePlayerId(player.id),
     name: player.name,
+    fid: playerRegistry.get(player.id)?.fid ?? null,
     source: player.source,
     joinedAt: player.joinedAt,
   };
 }
 
+function getLastMove(chess) {
+  const history = chess.history({ verbose: true });
+  const move = history[history.length - 1];
+  return move ? { from: move.from, to: move.to } : null;
+}
+
+// Resets go back to wherever the game was set up to start, not always move one
 function resetGameState(game) {
-  game.chess = new Chess();
-  game.currentPlayer = 'w';
+  game.chess = buildStartingGame(game.startFen, game.startMoves, game.variant);
+  game.currentPlayer = game.chess.turn();
   game.selectedSquare = null;
   game.validMoves = [];
-  game.lastMove = null;
+  game.lastMove = getLastMove(game.chess);
   game.status = 'waiting';
-  game.moveHistory = [];
+  game.moveHistory = [...game.startMoves];
+  game.moveClocks = game.startMoves.map(() => null);
+  game.resetRequestedBy = null;
+  game.offers = createOffers();
+  game.result = RESULTS.ONGOING;
+  game.termination = null;
+  game.ratingChange = null;
+  game.analysis = null;
+  if (game.vote) {
+    game.vote.ballot = null;
+  }
+  if (game.clock) {
+    game.clock = createClock(game.clock.control);
+  }
 }
 
-function createNewGame() {
+function createOffers() {
+  return { draw: null, takeback: null };
+}
+
+function createNewGame({
+  timeControl = null,
+  variant = VARIANTS.STANDARD,
+  startFen = null,
+  startMoves = [],
+  vote = null,
+} = {}) {
+  const chess = buildStartingGame(startFen, startMoves, variant);
   const game = {
-    chess: new Chess(),
+    chess,
+    variant,
+    startFen,
+    startMoves,
     whitePlayer: null,
     blackPlayer: null,
-    currentPlayer: 'w',
+    currentPlayer: chess.turn(),
     selectedSquare: null,
     validMoves: [],
-    lastMove: null,
+    lastMove: getLastMove(chess),
     status: 'waiting',
-    moveHistory: [],
+    result: RESULTS.ONGOING,
+    termination: null,
+    ratingChange: null,
+    tournament: null,
+    moveHistory: [...startMoves],
+    moveClocks: startMoves.map(() => null),
+    resetRequestedBy: null,
+    offers: createOffers(),
+    clock: timeControl ? createClock(timeControl) : null,
+    bot: null,
+    vote,
+    analysis: null,
+    chat: createChatLog(),
     createdAt: Date.now(),
     updatedAt: Date.now(),
   };
@@ -119,73 +392,140 @@ function getOrCreateGame(gameId) {
   return games.get(gameId);
 }
 
+// Stored games keep their move list apart from everything else (see lib/storage)
 function serializeGame(game) {
   return {
-    whitePlayer: game.whitePlayer,
-    blackPlayer: game.blackPlayer,
-    currentPlayer: game.currentPlayer,
-    lastMove: game.lastMove,
-    status: game.status,
-    moveHistory: game.moveHistory,
-    createdAt: game.createdAt,
-    updatedAt: game.updatedAt,
-    fen: game.chess.fen(),
+    meta: {
+      variant: game.variant,
+      startFen: game.startFen,
+      startMoves: game.startMoves,
+      whitePlayer: game.whitePlayer,
+      blackPlayer: game.blackPlayer,
+      status: game.status,
+      result: game.result,
+      termination: game.termination,
+      ratingChange: game.ratingChange,
+      tournament: game.tournament,
+      resetRequestedBy: game.resetRequestedBy,
+      offers: game.offers,
+      clock: game.clock,
+      moveClocks: game.moveClocks,
+      bot: game.bot,
+      vote: game.vote,
+      analysis: game.analysis,
+      chat: game.chat,
+      createdAt: game.createdAt,
+      updatedAt: game.updatedAt,
+      fen: game.chess.fen(),
+    },
+    moves: game.moveHistory,
   };
 }
 
-function persistGamesToDisk() {
-  try {
-    if (!fs.existsSync(DATA_DIR)) {
-      fs.mkdirSync(DATA_DIR, { recursive: true });
-    }
-    const payload = {};
-    for (const [gameId, game] of games.entries()) {
-      payload[gameId] = serializeGame(game);
-    }
-    fs.writeFileSync(GAMES_FILE, JSON.stringify(payload, null, 2), 'utf8');
-  } catch (err) {
-    // Best-effort persistence; log but don't crash server
-    console.error('Failed to persist games to disk:', err.message);
+// Saves in the background; a failed write is logged rather than failing the request
+function persistGame(gameId, game) {
+  gameStore.save(gameId, serializeGame(game)).catch((err) => {
+    console.error(`Failed to save game ${gameId}:`, err.message);
+  });
+}
+
+// Frame seats saved before player accounts existed use the bare FID as their id
+function migrateSeat(seat) {
+  if (seat?.source === PLAYER_SOURCES.FRAME && /^\d+$/.test(seat.id)) {
+    return { ...seat, id: playerRegistry.ensureFidPlayer(seat.id).id };
   }
+  return seat || null;
 }
 
-function loadGamesFromDisk() {
-  try {
-    if (!fs.existsSync(GAMES_FILE)) return;
-    const raw = fs.readFileSync(GAMES_FILE, 'utf8');
-    if (!raw.trim()) return;
-    const parsed = JSON.parse(raw);
-    for (const [gameId, data] of Object.entries(parsed)) {
-      const chess = new Chess();
-      try {
-        if (data.fen) {
-          chess.load(data.fen);
-        }
-      } catch {
-        // fallback to new game if FEN invalid
-      }
-      const game = {
-        chess,
-        whitePlayer: data.whitePlayer || null,
-        blackPlayer: data.blackPlayer || null,
-        currentPlayer: data.currentPlayer || 'w',
-        selectedSquare: null,
-        validMoves: [],
-        lastMove: data.lastMove || null,
-        status: data.status || 'waiting',
-        moveHistory: Array.isArray(data.moveHistory) ? data.moveHistory : [],
-        createdAt: data.createdAt || Date.now(),
-        updatedAt: data.updatedAt || Date.now(),
-      };
+// Games saved before clock readings were kept get none for their earlier moves
+function restoreMoveClocks(saved, plies) {
+  const clocks = Array.isArray(saved) ? saved.slice(0, plies) : [];
+  return [...Array(plies - clocks.length).fill(null), ...clocks];
+}
+
+// Rebuilds a stored game by replaying its moves from the starting position. The
+// stored FEN is only a cross-check. If the moves stop applying part way, the
+// game resumes from the last position they reach and that is logged.
+function restoreGame(gameId, meta, moves) {
+  const startFen = meta.startFen || null;
+  const variant = meta.variant || VARIANTS.STANDARD;
+  const { chess, played } = replayMoves(startFen, moves, variant);
+  if (played < moves.length) {
+    console.warn(
+      `Game ${gameId}: move ${played + 1} (${moves[played]}) no longer applies, resuming after move ${played}`,
+    );
+  } else if (meta.fen && !isSamePosition(meta.fen, chess.fen())) {
+    console.warn(`Game ${gameId}: replayed position differs from the stored FEN`);
+  }
+
+  return {
+    chess,
+    variant,
+    startFen,
+    startMoves: Array.isArray(meta.startMoves) ? meta.startMoves : [],
+    whitePlayer: migrateSeat(meta.whitePlayer),
+    blackPlayer: migrateSeat(meta.blackPlayer),
+    currentPlayer: chess.turn(),
+    selectedSquare: null,
+    validMoves: [],
+    lastMove: getLastMove(chess),
+    status: meta.status || 'waiting',
+    result: meta.result || RESULTS.ONGOING,
+    termination: meta.termination || null,
+    ratingChange: meta.ratingChange || null,
+    tournament: meta.tournament || null,
+    moveHistory: chess.history(),
+    moveClocks: restoreMoveClocks(meta.moveClocks, chess.history().length),
+    resetRequestedBy: meta.resetRequestedBy || null,
+    offers: meta.offers || createOffers(),
+    clock: meta.clock || null,
+    bot: meta.bot || null,
+    vote: meta.vote || null,
+    analysis: meta.analysis || null,
+    chat: meta.chat || createChatLog(),
+    createdAt: meta.createdAt || Date.now(),
+    updatedAt: meta.updatedAt || Date.now(),
+  };
+}
+
+// Older versions kept every game in one games.json. Those games are copied into
+// the store once, and the file is renamed so the import doesn't run again.
+async function importLegacyGames() {
+  if (!fs.existsSync(LEGACY_GAMES_FILE)) return [];
+
+  const parsed = JSON.parse((await fs.promises.readFile(LEGACY_GAMES_FILE, 'utf8')) || '{}');
+  const records = Object.entries(parsed).map(([gameId, data]) => {
+    const { moveHistory = [], ...meta } = data;
+    const { chess, played } = replayMoves(meta.startFen || null, moveHistory, meta.variant);
+    // Trust the saved FEN over a move list that doesn't lead to it
+    if (meta.fen && (played < moveHistory.length || !isSamePosition(chess.fen(), meta.fen))) {
+      return { gameId, meta: { ...meta, startFen: meta.fen, startMoves: [] }, moves: [] };
+    }
+    return { gameId, meta, moves: moveHistory };
+  });
+
+  await Promise.all(records.map((record) => gameStore.save(record.gameId, record)));
+  await fs.promises.rename(LEGACY_GAMES_FILE, `${LEGACY_GAMES_FILE}.imported`);
+  console.log(`Imported ${records.length} games from ${LEGACY_GAMES_FILE}.`);
+  return records;
+}
+
+async function loadGames() {
+  const records = [...(await gameStore.loadAll()), ...(await importLegacyGames())];
+  for (const { gameId, meta, moves } of records) {
+    try {
+      const game = restoreGame(gameId, meta, moves);
       games.set(gameId, game);
+      scheduleFlagCheck(gameId, game);
+      scheduleVoteClose(gameId, game);
+    } catch (err) {
+      console.error(`Could not restore game ${gameId}:`, err.message);
     }
-    console.log(`Loaded ${games.size} games from disk.`);
-  } catch (err) {
-    console.error('Failed to load games from disk:', err.message);
   }
+  console.log(`Loaded ${games.size} games from ${STORAGE_DRIVER} storage.`);
 }
 
-loadGamesFromDisk();
+await loadGames();
 
 function assignPlayer(game, color, player) {
   if (color === 'white') {
@@ -205,93 +545,100 @@ function assignPlayer(game, color, player) {
   game.updatedAt = Date.now();
 }
 
+// Seats `player` as `color` with the computer playing the other side
+function seatAgainstBot(game, player, color, level) {
+  const botColor = color === 'white' ? 'black' : 'white';
+  assignPlayer(game, color, player);
+  assignPlayer(game, botColor, createBotPlayer(level));
+  game.bot = { color: botColor, level };
+}
+
+// Frame input for a game against the computer: "bot", "bot 4", "bot black 2".
+// Returns null when the input is empty and false when it can't be read.
+function parseBotRequest(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return null;
+  const match = trimmed.match(/^(?:bot|computer)(?:\s+(white|black))?(?:\s+(\d+))?$/i);
+  if (!match) return false;
+  try {
+    return { color: (match[1] || 'white').toLowerCase(), level: parseEngineLevel(match[2]) };
+  } catch {
+    return false;
+  }
+}
+
+function getSeatColors(game, playerId) {
+  if (!playerId) return [];
+  const colors = [];
+  const resolvedId = resolvePlayerId(playerId);
+  if (game.whitePlayer && resolvePlayerId(game.whitePlayer.id) === resolvedId) colors.push('white');
+  if (game.blackPlayer && resolvePlayerId(game.blackPlayer.id) === resolvedId) colors.push('black');
+  return colors;
+}
+
+// A seat's public details, with the player's rating for the game's time control
 function getPlayerDisplay(game, color) {
-  return color === 'white' ? sanitizePlayer(game.whitePlayer) : sanitizePlayer(game.blackPlayer);
+  const seat = color === 'white' ? game.whitePlayer : game.blackPlayer;
+  const display = sanitizePlayer(seat);
+  const account = seat && playerRegistry.get(seat.id);
+  if (!display || !account) return display;
+
+  const rating = account.ratings[getRatingBucket(game.clock?.control)];
+  return {
+    ...display,
+    rating: Math.round((rating || DEFAULT_RATING).rating),
+    provisional: isProvisional(rating),
+  };
 }
 
 function buildShareUrl(req, gameId) {
   return `${req.protocol}://${req.get('host')}/play?gameId=${gameId}`;
 }
 
-function createChessBoardSVG(fen, highlightedSquares = [], lastMove = null) {
-  const chess = new Chess(fen);
-  const board = chess.board();
-
-  const squareSize = 75;
-  const boardSize = squareSize * 8;
-
-  const pieceMap = {
-    P: '♙',
-    p: '♟',
-    R: '♖',
-    r: '♜',
-    N: '♘',
-    n: '♞',
-    B: '♗',
-    b: '♝',
-    Q: '♕',
-    q: '♛',
-    K: '♔',
-    k: '♚',
-  };
+function getImageAspect(req) {
+  return Object.hasOwn(ASPECT_RATIOS, req.query.aspect) ? req.query.aspect : FRAME_IMAGE_ASPECT;
+}
 
-  let svg = `<svg width="${boardSize}" height="${boardSize}" xmlns="http://www.w3.org/2000/svg">
-  <defs>
-    <style>
-      .square-label { font-size: 12px; fill: rgba(0,0,0,0.4); font-weight: bold; }
-    </style>
-  </defs>
-  <rect width="${boardSize}" height="${boardSize}" fill="#f0d9b5"/>
-`;
-
-  for (let row = 0; row < 8; row++) {
-    for (let col = 0; col < 8; col++) {
-      const isLight = (row + col) % 2 === 0;
-      const x = col * squareSize;
-      const y = row * squareSize;
-      const square = `${String.fromCharCode(97 + col)}${8 - row}`;
-
-      let fill = isLight ? '#f0d9b5' : '#b58863';
-
-      if (lastMove && (lastMove.from === square || lastMove.to === square)) {
-        fill = '#cdd26a';
-      }
+function getImageKey(fen, lastMove, aspectRatio) {
+  const move = lastMove ? `${lastMove.from}${lastMove.to}` : '-';
+  return crypto.createHash('sha1').update(`${fen}|${move}|${aspectRatio}`).digest('hex');
+}
 
-      if (highlightedSquares.includes(square)) {
-        fill = '#f6f769';
-      }
+// Frame clients cache images by URL, so the query string changes with every position
+function buildImageUrl(req, gameId, game, aspectRatio = FRAME_IMAGE_ASPECT) {
+  const version = getImageKey(game.chess.fen(), game.lastMove, aspectRatio).slice(0, 12);
+  const aspect = aspectRatio === FRAME_IMAGE_ASPECT ? '' : `&aspect=${aspectRatio}`;
+  return `${req.protocol}://${req.get('host')}/image/${encodeURIComponent(gameId)}.png?v=${version}${aspect}`;
+}
 
-      svg += `<rect x="${x}" y="${y}" width="${squareSize}" height="${squareSize}" fill="${fill}" stroke="#000" stroke-width="1"/>`;
+function sendBoardImage(req, res, { fen, lastMove, captured, maxAge }) {
+  const aspectRatio = getImageAspect(req);
+  const key = getImageKey(fen, lastMove, aspectRatio);
 
-      if (row === 7) {
-        svg += `<text x="${x + squareSize - 10}" y="${y + squareSize - 5}" class="square-label">${String.fromCharCode(97 + col)}</text>`;
-      }
-      if (col === 0) {
-        svg += `<text x="${x + 5}" y="${y + 15}" class="square-label">${8 - row}</text>`;
-      }
+  res.set('ETag', `"${key}"`);
+  res.set('Cache-Control', `public, max-age=${maxAge}, must-revalidate`);
+  if (req.fresh) {
+    return res.status(304).end();
+  }
 
-      const piece = board[row][col];
-      if (piece) {
-        const symbolKey = piece.color === 'w' ? piece.type.toUpperCase() : piece.type;
-        const glyph = pieceMap[symbolKey];
-        if (glyph) {
-          svg += `<text x="${x + squareSize / 2}" y="${
-            y + squareSize * 0.7
-          }" font-size="50" text-anchor="middle" fill="${
-            piece.color === 'w' ? '#ffffff' : '#000000'
-          }" stroke="${piece.color === 'w' ? '#ffffff' : '#000000'}" stroke-width="1">${glyph}</text>`;
-        }
-      }
+  let png = imageCache.get(key);
+  if (!png) {
+    png = svgToPNG(createFrameImageSVG({ fen, lastMove, captured, aspectRatio }));
+    imageCache.set(key, png);
+    if (imageCache.size > IMAGE_CACHE_LIMIT) {
+      imageCache.delete(imageCache.keys().next().value);
     }
   }
 
-  svg += `</svg>`;
-  return svg;
+  return res.type('png').send(png);
 }
 
-function svgToDataURL(svg) {
-  const base64 = Buffer.from(svg).toString('base64');
-  return `data:image/svg+xml;base64,${base64}`;
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
 }
 
 function generateFrameHTML(
@@ -301,19 +648,28 @@ function generateFrameHTML(
   state = null,
   textInput = null,
   title = null,
+  embed = null,
 ) {
+  // Mini App clients read the JSON embeds and open the app; everyone else
+  // keeps using the vNext frame below them
+  const embedParam = embed
+    ? `\n    <meta name="fc:miniapp" content="${escapeAttribute(JSON.stringify(embed.miniapp))}"/>
+    <meta name="fc:frame" content="${escapeAttribute(JSON.stringify(embed.frame))}"/>`
+    : '';
   const stateParam = state
     ? `\n    <meta property="fc:frame:state" content="${encodeURIComponent(JSON.stringify(state))}"/>`
     : '';
   const textInputParam = textInput
-    ? `\n    <meta property="fc:frame:input:text" content="${textInput}"/>`
+    ? `\n    <meta property="fc:frame:input:text" content="${escapeAttribute(textInput)}"/>`
+    : '';
+  const titleParam = title
+    ? `\n    <meta property="og:title" content="${escapeAttribute(title)}"/>`
     : '';
-  const titleParam = title ? `\n    <meta property="og:title" content="${title}"/>` : '';
 
   const buttonsMeta = buttons
     .map(
       (btn, i) => `
-    <meta property="fc:frame:button:${i + 1}" content="${btn.label}"/>
+    <meta property="fc:frame:button:${i + 1}" content="${escapeAttribute(btn.label)}"/>
     <meta property="fc:frame:button:${i + 1}:action" content="${btn.action || 'post'}"/>${
       btn.target
         ? `\n    <meta property="fc:frame:button:${i + 1}:target" content="${btn.target}"/>`
@@ -327,7 +683,8 @@ function generateFrameHTML(
 <head>
     <meta property="fc:frame" content="vNext"/>
     <meta property="fc:frame:image" content="${imageUrl}"/>
-    <meta property="og:image" content="${imageUrl}"/>${titleParam}${textInputParam}${buttonsMeta}
+    <meta property="fc:frame:image:aspect_ratio" content="${FRAME_IMAGE_ASPECT}"/>
+    <meta property="og:image" content="${imageUrl}"/>${embedParam}${titleParam}${textInputParam}${buttonsMeta}
     <meta property="fc:frame:post_url" content="${postUrl}"/>${stateParam}
     <title>ChessGrid - Farcaster Chess</title>
 </head>
@@ -338,8 +695,8 @@ function generateFrameHTML(
 </html>`;
 }
 
-function getCapturedPieces(game) {
-  const history = game.chess.history({ verbose: true });
+function getCapturedPieces(game, ply = Infinity) {
+  const history = game.chess.history({ verbose: true }).slice(0, ply);
   const captured = {
     white: [],
     black: [],
@@ -354,516 +711,2993 @@ function getCapturedPieces(game) {
   return captured;
 }
 
-function getValidMoves(chess, square) {
-  const moves = chess.moves({ square, verbose: true });
-  return moves.map((m) => m.to);
+function getPositionAtPly(game, ply) {
+  const history = game.chess.history({ verbose: true });
+  if (!Number.isInteger(ply) || ply < 0 || ply > history.length) {
+    return null;
+  }
+  if (ply === 0) {
+    return {
+      fen: history.length ? history[0].before : game.chess.fen(),
+      lastMove: null,
+      captured: { white: [], black: [] },
+      san: null,
+      moveNumber: null,
+      color: null,
+      clock: getClockAtPly(game, 0),
+    };
+  }
+  const move = history[ply - 1];
+  return {
+    fen: move.after,
+    lastMove: { from: move.from, to: move.to },
+    captured: getCapturedPieces(game, ply),
+    san: move.san,
+    moveNumber: Number(move.before.split(' ')[5]),
+    color: move.color,
+    clock: getClockAtPly(game, ply),
+  };
 }
 
-app.get('/', (req, res) => {
-  const gameId = req.query.gameId || uuidv4();
-  const game = getOrCreateGame(gameId);
-  const shareUrl = buildShareUrl(req, gameId);
-
-  const whiteDisplay = getPlayerDisplay(game, 'white');
-  const blackDisplay = getPlayerDisplay(game, 'black');
-  const whiteName = whiteDisplay?.name || 'White';
-  const blackName = blackDisplay?.name || 'Black';
-  const vsLabel = `${whiteName} vs ${blackName}`;
-
-  const highlightedSquares = game.selectedSquare ? [game.selectedSquare, ...game.validMoves] : [];
-  const boardImage = svgToDataURL(
-    createChessBoardSVG(game.chess.fen(), highlightedSquares, game.lastMove),
-  );
+// Both clocks as they stood after `ply`: null in untimed games and for moves
+// that were played before readings were kept
+function getClockAtPly(game, ply) {
+  if (!game.clock) return null;
+  const { initialMs } = game.clock.control;
+  const reading = ply === 0 ? { w: initialMs, b: initialMs } : game.moveClocks[ply - 1];
+  return reading ? { white: reading.w, black: reading.b } : null;
+}
 
-  const buttons = [];
-  let title = `ChessGrid - ${vsLabel}`;
-  let textInput = null;
-
-  if (game.status === 'waiting') {
-    buttons.push({ label: 'Join as White', action: 'post' });
-    buttons.push({ label: 'Join as Black', action: 'post' });
-    buttons.push({ label: 'Play Solo', action: 'post' });
-    buttons.push({ label: 'Open in Browser', action: 'link', target: shareUrl });
-    title = `ChessGrid - Waiting (${vsLabel})`;
-    if (game.whitePlayer || game.blackPlayer) {
-      title += ' (1/2 joined)';
-    }
-  } else if (game.status === 'active') {
-    const isWhiteTurn = game.currentPlayer === 'w';
-    const playerColor = isWhiteTurn ? 'White' : 'Black';
-    title = `ChessGrid - ${playerColor} to Move (${vsLabel})`;
-
-    buttons.push({ label: 'Make Move', action: 'post' });
-    buttons.push({ label: 'New Game', action: 'post' });
-    buttons.push({ label: 'Resign', action: 'post' });
-    buttons.push({ label: 'Open in Browser', action: 'link', target: shareUrl });
-
-    textInput = 'Enter move (e.g., e2e4)';
-
-    if (game.chess.isCheck()) {
-      title += ' - CHECK!';
-    }
-    if (game.chess.isCheckmate()) {
-      title = `ChessGrid - Checkmate (${vsLabel})`;
-      game.status = 'finished';
-    } else if (game.chess.isDraw()) {
-      title = `ChessGrid - Draw (${vsLabel})`;
-      game.status = 'finished';
-    }
-  } else if (game.status === 'finished') {
-    title = `ChessGrid - Game Finished (${vsLabel})`;
-    buttons.push({ label: 'New Game', action: 'post' });
-    buttons.push({ label: 'Open in Browser', action: 'link', target: shareUrl });
-  }
-
-  const html = generateFrameHTML(
-    boardImage,
-    buttons,
-    `${req.protocol}://${req.get('host')}/frame`,
-    { gameId, action: 'view' },
-    textInput,
-    title,
-  );
+// "12. Nf3" or "12... Nf6"
+function formatPlyLabel(position) {
+  if (!position.san) return 'Start';
+  return `${position.moveNumber}${position.color === 'w' ? '.' : '...'} ${position.san}`;
+}
 
-  res.send(html);
-});
+function getPublicGameState(gameId, game) {
+  return {
+    gameId,
+    fen: game.chess.fen(),
+    variant: game.variant,
+    startFen: game.startFen,
+    currentPlayer: game.currentPlayer,
+    status: game.status,
+    isCheck: game.chess.isCheck(),
+    isCheckmate: game.chess.isCheckmate(),
+    isDraw: game.chess.isDraw(),
+    moveHistory: game.moveHistory,
+    lastMove: game.lastMove,
+    capturedPieces: getCapturedPieces(game),
+    players: {
+      white: getPlayerDisplay(game, 'white'),
+      black: getPlayerDisplay(game, 'black'),
+    },
+    availableColors: {
+      white: !game.whitePlayer,
+      black: !game.blackPlayer,
+    },
+    timeControl: game.clock
+      ? {
+          label: describeTimeControl(game.clock.control),
+          category: getTimeControlCategory(game.clock.control),
+        }
+      : null,
+    clock: snapshotClock(game.clock),
+    result: game.result,
+    termination: game.termination,
+    resultText: describeResult(game.result, game.termination),
+    offers: game.offers,
+    bot: game.bot,
+    vote: getPublicVote(game),
+    presence: presence.snapshot(gameId),
+    rated: Boolean(getRatedPlayers(game)),
+    ratingChange: game.ratingChange,
+    tournament: game.tournament,
+    checks: game.variant === VARIANTS.THREE_CHECK ? countChecks(game.chess) : null,
+  };
+}
 
-// Informational landing page for browsers
-app.get('/info', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'index.html'));
-});
+// Every event carries the full public state so clients can render it directly
+function publishGameEvent(gameId, type, details = {}) {
+  const game = games.get(gameId);
+  if (!game) return;
+  gameEvents.publish(gameId, type, { ...details, game: getPublicGameState(gameId, game) });
+  notifyGameEvent(gameId, game, type, details);
+}
 
-app.post('/frame', (req, res) => {
-  const body = req.body || {};
-  const untrustedData = body.untrustedData || {};
-  const buttonIndex = untrustedData.buttonIndex || null;
-  const inputText = untrustedData.inputText || null;
+// Sends a notification to the player in `color`'s seat, unless the seat has no
+// account behind it (the computer) or they are already watching the game
+function notifySeat(gameId, game, color, notification) {
+  const seat = color === 'white' ? game.whitePlayer : game.blackPlayer;
+  const player = seat && playerRegistry.get(seat.id);
+  if (!player || presence.snapshot(gameId)[color].connected) return;
+  app.locals.notifier.notify(player, {
+    ...notification,
+    key: `${notification.kind}:${gameId}:${notification.key}`,
+    gameId,
+    path: `/miniapp?gameId=${encodeURIComponent(gameId)}`,
+  });
+}
 
-  let state = {};
-  if (untrustedData.state) {
-    try {
-      state = JSON.parse(decodeURIComponent(untrustedData.state));
-    } catch {
-      try {
-        state = JSON.parse(untrustedData.state);
-      } catch {
-        state = {};
-      }
+// Tells players away from the board what a game event means for them. Games
+// against the computer or yourself are played at the board, so stay quiet.
+function notifyGameEvent(gameId, game, type, details) {
+  const white = game.whitePlayer && resolvePlayerId(game.whitePlayer.id);
+  const black = game.blackPlayer && resolvePlayerId(game.blackPlayer.id);
+  if (game.bot || white === black) return;
+  const opponentOf = (color) => (color === 'white' ? 'black' : 'white');
+  const nameOf = (color) => getPlayerDisplay(game, color)?.name || color;
+
+  if (type === 'move' && game.status === 'active' && !isCrowdTurn(game)) {
+    const mover = getMoverColor(game);
+    notifySeat(gameId, game, mover, {
+      kind: NOTIFICATION_KINDS.YOUR_TURN,
+      key: `${game.moveHistory.length}:${details.san}`,
+      title: 'Your move',
+      body: `${nameOf(opponentOf(mover))} played ${details.san}. It's your move.`,
+    });
+  } else if (
+    type === 'join' &&
+    game.status === 'active' &&
+    ['white', 'black'].includes(details.color)
+  ) {
+    notifyChallenge(gameId, game, opponentOf(details.color));
+  } else if (type === 'draw' && details.action === 'offer') {
+    notifySeat(gameId, game, opponentOf(details.by), {
+      kind: NOTIFICATION_KINDS.DRAW_OFFER,
+      key: game.moveHistory.length,
+      title: 'Draw offered',
+      body: `${nameOf(details.by)} offers a draw.`,
+    });
+  } else if (type === 'game-end') {
+    const result = describeResult(game.result, game.termination);
+    for (const color of ['white', 'black']) {
+      notifySeat(gameId, game, color, {
+        kind: NOTIFICATION_KINDS.GAME_OVER,
+        key: 'end',
+        title: 'Game over',
+        body: `${result} (${nameOf('white')} vs ${nameOf('black')})`,
+      });
     }
   }
+}
 
-  const fid = String(untrustedData.fid || 'unknown');
-  const gameId = state.gameId || req.query.gameId || uuidv4();
-  const game = getOrCreateGame(gameId);
-  const shareUrl = buildShareUrl(req, gameId);
-
-  const whiteDisplay = getPlayerDisplay(game, 'white');
-  const blackDisplay = getPlayerDisplay(game, 'black');
-  const whiteName = whiteDisplay?.name || 'White';
-  const blackName = blackDisplay?.name || 'Black';
-  const vsLabel = `${whiteName} vs ${blackName}`;
-
-  if (buttonIndex) {
-    if (game.status === 'waiting') {
-      if (buttonIndex === 1) {
-        assignPlayer(
-          game,
-          'white',
-          createPlayer({
-            id: fid,
-            name: `FID ${fid}`,
-            source: PLAYER_SOURCES.FRAME,
-          }),
-        );
-        if (game.blackPlayer) game.status = 'active';
-      } else if (buttonIndex === 2) {
-        assignPlayer(
-          game,
-          'black',
-          createPlayer({
-            id: fid,
-            name: `FID ${fid}`,
-            source: PLAYER_SOURCES.FRAME,
-          }),
-        );
-        if (game.whitePlayer) game.status = 'active';
-      } else if (buttonIndex === 3) {
-        const player = createPlayer({
-          id: fid,
-          name: `FID ${fid}`,
-          source: PLAYER_SOURCES.FRAME,
-        });
-        assignPlayer(game, 'white', player);
-        assignPlayer(game, 'black', player);
-        game.status = 'active';
-      }
-    } else if (game.status === 'active') {
-      if (buttonIndex === 1 && inputText) {
-        const movePattern = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/i;
-        const match = inputText.trim().match(movePattern);
-
-        if (match) {
-          const from = match[1].toLowerCase();
-          const to = match[2].toLowerCase();
-          const promotion = match[3] ? match[3].toLowerCase() : null;
-
-          try {
-            const piece = game.chess.get(from);
-            if (!piece || piece.color === game.currentPlayer) {
-              const move = game.chess.move({
-                from,
-                to,
-                promotion: promotion || 'q',
-              });
-
-              if (move) {
-                game.lastMove = { from, to };
-                game.currentPlayer = game.chess.turn();
-                game.selectedSquare = null;
-                game.validMoves = [];
-                game.moveHistory.push(move.san);
-
-                if (game.chess.isCheckmate() || game.chess.isDraw()) {
-                  game.status = 'finished';
-                }
-              }
-            }
-          } catch {
-            // ignore invalid moves for frames
-          }
-        }
-      } else if (buttonIndex === 2) {
-        // View History: could be extended to a dedicated view
-      } else if (buttonIndex === 3) {
-        games.set(gameId, createNewGame());
-        persistGamesToDisk();
-      } else if (buttonIndex === 4) {
-        game.status = 'finished';
-      }
-    } else if (game.status === 'finished') {
-      if (buttonIndex === 1) {
-        games.set(gameId, createNewGame());
-        persistGamesToDisk();
-      }
-    }
+// Someone sat down across from the player in `color`: a join, or a pairing
+// from the lobby or a tournament
+function notifyChallenge(gameId, game, color) {
+  const opponent = getPlayerDisplay(game, color === 'white' ? 'black' : 'white')?.name;
+  const timeControl = game.clock ? `a ${describeTimeControl(game.clock.control)}` : 'an untimed';
+  notifySeat(gameId, game, color, {
+    kind: NOTIFICATION_KINDS.CHALLENGE,
+    key: 'start',
+    title: "You've been challenged",
+    body: `${opponent || 'Someone'} is playing you in ${timeControl} game. You have ${color}.`,
+  });
+}
+
+// Presence changes go out live but, unlike game events, aren't replayed
+function publishPresence(gameId) {
+  const game = games.get(gameId);
+  if (!game) return;
+  gameEvents.broadcast(gameId, 'presence', { game: getPublicGameState(gameId, game) });
+}
+
+// Frame titles name the variant, with the check count in Three-check
+function describeVariant(game) {
+  if (game.variant === VARIANTS.STANDARD) return '';
+  if (game.variant === VARIANTS.THREE_CHECK) {
+    const { white, black } = countChecks(game.chess);
+    return `, Three-check, checks ${white}-${black}`;
   }
+  return `, ${getVariantName(game.variant)}`;
+}
 
-  const highlightedSquares = game.selectedSquare ? [game.selectedSquare, ...game.validMoves] : [];
-  const boardImage = svgToDataURL(
-    createChessBoardSVG(game.chess.fen(), highlightedSquares, game.lastMove),
-  );
+function formatClockLabel(game) {
+  if (!game.clock) return '';
+  const white = formatClock(getRemaining(game.clock, 'w'));
+  const black = formatClock(getRemaining(game.clock, 'b'));
+  return ` [${white} | ${black}]`;
+}
 
-  const buttons = [];
-  let title = `ChessGrid - ${vsLabel}`;
-  let textInput = null;
-
-  if (game.status === 'waiting') {
-    buttons.push({ label: 'Join as White', action: 'post' });
-    buttons.push({ label: 'Join as Black', action: 'post' });
-    buttons.push({ label: 'Play Solo', action: 'post' });
-    buttons.push({ label: 'Open in Browser', action: 'link', target: shareUrl });
-    title = `ChessGrid - Waiting (${vsLabel})`;
-    if (game.whitePlayer || game.blackPlayer) {
-      title += ' (1/2 joined)';
-    }
-  } else if (game.status === 'active') {
-    const isWhiteTurn = game.currentPlayer === 'w';
-    const playerColor = isWhiteTurn ? 'White' : 'Black';
-    const playerInfo = isWhiteTurn ? game.whitePlayer : game.blackPlayer;
-    const isYourTurn =
-      (playerInfo && playerInfo.id === fid) ||
-      (game.whitePlayer &&
-        game.blackPlayer &&
-        game.whitePlayer.id === fid &&
-        game.blackPlayer.id === fid);
-
-    title = `ChessGrid - ${playerColor} to Move (${vsLabel})`;
-    if (!isYourTurn) {
-      title += ' (Waiting...)';
-    }
-
-    buttons.push({ label: 'Make Move', action: 'post' });
-    buttons.push({ label: 'New Game', action: 'post' });
-    buttons.push({ label: 'Resign', action: 'post' });
-    buttons.push({ label: 'Open in Browser', action: 'link', target: shareUrl });
-
-    textInput = 'Enter move (e.g., e2e4)';
-
-    if (game.chess.isCheck()) {
-      title += ' - CHECK!';
-    }
-    if (game.chess.isCheckmate()) {
-      title = `ChessGrid - Checkmate (${vsLabel})`;
-      game.status = 'finished';
-    } else if (game.chess.isDraw()) {
-      title = `ChessGrid - Draw (${vsLabel})`;
-      game.status = 'finished';
-    }
-  } else if (game.status === 'finished') {
-    title = `ChessGrid - Game Finished (${vsLabel})`;
-    buttons.push({ label: 'New Game', action: 'post' });
-    buttons.push({ label: 'Open in Browser', action: 'link', target: shareUrl });
-  }
-
-  const html = generateFrameHTML(
-    boardImage,
-    buttons,
-    `${req.protocol}://${req.get('host')}/frame`,
-    { gameId, action: 'view' },
-    textInput,
-    title,
-  );
+// Whether a player is someone who can come back as themselves: signed in on the
+// web or known by their FID. Guests made up for a single join are not, and
+// rating their games would let anyone farm points off throwaway opponents.
+function hasLastingIdentity(player) {
+  return player.sessionHashes.length > 0 || player.fid !== null;
+}
 
-  res.send(html);
-});
+// Games between two different people are rated; solo games, games against the
+// computer and games with a guest are not
+function getRatedPlayers(game) {
+  if (game.bot || !game.whitePlayer || !game.blackPlayer) return null;
+  const white = playerRegistry.get(game.whitePlayer.id);
+  const black = playerRegistry.get(game.blackPlayer.id);
+  if (!white || !black || white.id === black.id) return null;
+  if (!hasLastingIdentity(white) || !hasLastingIdentity(black)) return null;
+  return { white, black };
+}
 
-app.post('/move', (req, res) => {
-  const { gameId, from, to, promotion, playerToken } = req.body || {};
+// Updates both players' ratings from the result, adds the game to their rating
+// histories and keeps the change on the game for its page
+function rateFinishedGame(gameId, game) {
+  const rated = getRatedPlayers(game);
+  if (!rated || game.ratingChange) return;
 
-  if (!gameId || !from || !to) {
-    return res.status(400).json({ error: 'Missing gameId, from or to' });
+  const bucket = getRatingBucket(game.clock?.control);
+  const before = {
+    white: rated.white.ratings[bucket] || { ...DEFAULT_RATING, games: 0 },
+    black: rated.black.ratings[bucket] || { ...DEFAULT_RATING, games: 0 },
+  };
+  const whiteScore =
+    game.result === RESULTS.DRAW ? 0.5 : getWinnerColor(game.result) === 'white' ? 1 : 0;
+  const after = rateGame(before.white, before.black, whiteScore);
+  const at = Date.now();
+  const rounded = (ratings, color) => Math.round(ratings[color].rating);
+
+  // Games can be started over under the same id, so the history keeps its own copy
+  playerRegistry.setRatings(
+    ['white', 'black'].map((color) => {
+      const opponent = color === 'white' ? 'black' : 'white';
+      return {
+        player: rated[color],
+        bucket,
+        rating: { ...after[color], games: before[color].games + 1 },
+        entry: {
+          gameId,
+          bucket,
+          at,
+          color,
+          result: game.result,
+          opponent: { ...game[`${opponent}Player`] },
+          opponentRating: rounded(before, opponent),
+          before: rounded(before, color),
+          after: rounded(after, color),
+        },
+      };
+    }),
+  );
+
+  const change = (color) => ({
+    playerId: rated[color].id,
+    before: rounded(before, color),
+    after: rounded(after, color),
+  });
+  game.ratingChange = { bucket, at, white: change('white'), black: change('black') };
+}
+
+function finishGame(gameId, game, result, termination) {
+  game.status = 'finished';
+  game.result = result;
+  game.termination = termination;
+  game.resetRequestedBy = null;
+  game.offers = createOffers();
+  stopClock(game.clock);
+  game.updatedAt = Date.now();
+  rateFinishedGame(gameId, game);
+  if (game.tournament) {
+    tournamentDirector.recordResult(game.tournament.id, gameId, result);
   }
+}
 
-  if (!games.has(gameId)) {
-    return res.status(404).json({ error: 'Game not found' });
+function publishGameEnd(gameId, game) {
+  const details = { result: game.result, termination: game.termination };
+  if (game.result === RESULTS.DRAW) {
+    publishGameEvent(gameId, 'draw', details);
   }
+  publishGameEvent(gameId, 'game-end', details);
+}
 
-  const game = games.get(gameId);
+// Ends an active game whose running clock has hit zero. Reads call this lazily and
+// a timer calls it when the clock is due to run out, so nobody has to move first.
+function checkFlag(gameId, game) {
+  if (game.status !== 'active' || !game.clock) return false;
+  const flagged = getFlaggedColor(game.clock);
+  if (!flagged) return false;
 
-  const hasWebPlayers = Boolean(
-    (game.whitePlayer && game.whitePlayer.token) || (game.blackPlayer && game.blackPlayer.token),
-  );
+  stopClock(game.clock);
+  game.clock.remaining[flagged] = 0;
 
-  if (hasWebPlayers) {
-    if (!playerToken) {
-      return res.status(403).json({ error: 'Missing player token' });
-    }
+  const opponent = flagged === 'w' ? 'b' : 'w';
+  if (hasMatingMaterial(game.chess, opponent)) {
+    finishGame(gameId, game, winFor(opponent), TERMINATIONS.TIMEOUT);
+  } else {
+    finishGame(gameId, game, RESULTS.DRAW, TERMINATIONS.TIMEOUT_VS_INSUFFICIENT_MATERIAL);
+  }
+  persistGame(gameId, game);
+  publishGameEnd(gameId, game);
+  return true;
+}
+
+function scheduleFlagCheck(gameId, game) {
+  clearTimeout(flagTimers.get(gameId));
+  flagTimers.delete(gameId);
+  if (game.status !== 'active' || !game.clock?.running) return;
+
+  const delay = getRemaining(game.clock, game.clock.running) + 50;
+  const timer = setTimeout(
+    () => {
+      flagTimers.delete(gameId);
+      if (games.get(gameId) === game) {
+        checkFlag(gameId, game);
+      }
+    },
+    Math.max(0, delay),
+  );
+  timer.unref();
+  flagTimers.set(gameId, timer);
+}
 
-    const allowedColors = [];
-    if (game.whitePlayer?.token === playerToken) allowedColors.push('white');
-    if (game.blackPlayer?.token === playerToken) allowedColors.push('black');
+// Plays a move for the side to move and records it. chess.js throws on illegal moves.
+function applyMove(gameId, game, moveInput) {
+  const mover = game.chess.turn();
+  const move = game.chess.move(moveInput);
 
-    if (!allowedColors.length) {
-      return res.status(403).json({ error: 'Invalid player token' });
-    }
+  game.currentPlayer = game.chess.turn();
+  game.selectedSquare = null;
+  game.validMoves = [];
+  game.lastMove = { from: move.from, to: move.to };
+  game.moveHistory.push(move.san);
+  game.resetRequestedBy = null;
+  game.offers = createOffers();
+  game.updatedAt = Date.now();
 
-    const currentColor = game.currentPlayer === 'w' ? 'white' : 'black';
-    if (!allowedColors.includes(currentColor)) {
-      return res.status(423).json({ error: 'Not your turn' });
-    }
+  if (game.clock) {
+    pressClock(game.clock, mover);
   }
+  game.moveClocks.push(game.clock ? { ...game.clock.remaining } : null);
 
-  try {
-    const move = game.chess.move({
-      from,
-      to,
-      promotion: promotion || 'q',
-    });
+  const ending = detectVariantTermination(game.variant, game.chess);
+  if (ending) {
+    finishGame(gameId, game, ending.result, ending.termination);
+  }
+  scheduleFlagCheck(gameId, game);
 
-    if (!move) {
-      return res.status(400).json({ error: 'Invalid move' });
-    }
+  persistGame(gameId, game);
 
-    game.currentPlayer = game.chess.turn();
-    game.selectedSquare = null;
-    game.validMoves = [];
-    game.lastMove = { from, to };
-    game.moveHistory.push(move.san);
+  publishGameEvent(gameId, 'move', { san: move.san, from: move.from, to: move.to });
+  if (ending) {
+    publishGameEnd(gameId, game);
+  }
 
-    if (game.chess.isCheckmate() || game.chess.isDraw()) {
-      game.status = 'finished';
-    }
+  return move;
+}
 
-    persistGamesToDisk();
+// Lets the computer reply when it is its turn. Resolves with the move it played,
+// or null when it had none or the game moved on while it was thinking.
+async function playBotMove(gameId, game) {
+  if (!game.bot || game.status !== 'active') return null;
+  if (game.currentPlayer !== game.bot.color[0]) return null;
 
-    return res.json({
-      success: true,
-      move,
-      fen: game.chess.fen(),
-      status: game.status,
-      moveHistory: game.moveHistory,
-    });
-  } catch (error) {
-    return res.status(400).json({ error: error.message });
+  const position = game.chess.fen();
+  const ply = game.moveHistory.length;
+  let reply;
+  try {
+    reply = await engine.search(game.chess, { level: game.bot.level });
+  } catch (err) {
+    console.error(`The computer failed to move in game ${gameId}:`, err.message);
+    return null;
   }
-});
+  const unchanged =
+    games.get(gameId) === game &&
+    game.bot &&
+    game.status === 'active' &&
+    game.moveHistory.length === ply &&
+    game.chess.fen() === position;
+  if (!reply || !unchanged) return null;
+  return applyMove(gameId, game, reply.move);
+}
 
-app.get('/game/:gameId', (req, res) => {
-  const { gameId } = req.params;
+function getMoverColor(game) {
+  return game.currentPlayer === 'w' ? 'white' : 'black';
+}
 
-  if (!games.has(gameId)) {
-    return res.status(404).json({ error: 'Game not found' });
+function isCrowdTurn(game) {
+  return (
+    Boolean(game.vote) && game.status === 'active' && game.vote.sides.includes(getMoverColor(game))
+  );
+}
+
+function getPublicVote(game) {
+  if (!game.vote) return null;
+  const { sides, windowMs, ballot, results } = game.vote;
+  return {
+    sides,
+    windowSeconds: windowMs / 1000,
+    ballot: ballot
+      ? {
+          ply: ballot.ply,
+          closesAt: ballot.closesAt,
+          voters: Object.keys(ballot.votes).length,
+          tally: tallyVotes(ballot).map(({ san, votes }) => ({ san, votes })),
+        }
+      : null,
+    results,
+  };
+}
+
+// Plays the crowd's move once its ballot has closed. As with checkFlag, reads
+// call this lazily and a timer calls it at the deadline. A ballot that
+// outlived its turn, say because the game ended, is dropped instead.
+function closeVoteIfDue(gameId, game) {
+  if (!isBallotDue(game.vote)) return false;
+
+  if (!isCrowdTurn(game) || game.vote.ballot.ply !== game.moveHistory.length) {
+    game.vote.ballot = null;
+    persistGame(gameId, game);
+    return false;
   }
+  applyMove(gameId, game, closeBallot(game.vote));
+  playBotMove(gameId, game);
+  return true;
+}
 
-  const game = games.get(gameId);
+function scheduleVoteClose(gameId, game) {
+  clearTimeout(voteTimers.get(gameId));
+  voteTimers.delete(gameId);
+  if (!game.vote?.ballot) return;
 
-  res.json({
-    gameId,
+  const timer = setTimeout(
+    () => {
+      voteTimers.delete(gameId);
+      if (games.get(gameId) === game) {
+        closeVoteIfDue(gameId, game);
+      }
+    },
+    Math.max(0, game.vote.ballot.closesAt - Date.now()) + 50,
+  );
+  timer.unref();
+  voteTimers.set(gameId, timer);
+}
+
+// Counts a vote from the frame. Returns the notice to show the voter.
+function submitVote(gameId, game, voterId, inputText) {
+  if (!inputText?.trim()) {
+    return 'Enter a move to vote for (e.g., Nf3 or e2e4)';
+  }
+  let san;
+  try {
+    san = readMove(game.chess, inputText).san;
+  } catch (err) {
+    return err.message;
+  }
+
+  const opening = !game.vote.ballot;
+  castVote(game.vote, { voterId, san, ply: game.moveHistory.length });
+  game.updatedAt = Date.now();
+  persistGame(gameId, game);
+  if (opening) {
+    scheduleVoteClose(gameId, game);
+  }
+  publishGameEvent(gameId, 'vote', { san });
+  return `Vote counted for ${san}`;
+}
+
+// Tally, countdown and the viewer's own vote for the crowd's frame
+function describeBallot(game, voterId) {
+  const { ballot, windowMs } = game.vote;
+  if (!ballot) {
+    return ` - No votes yet; the first vote starts a ${formatClock(windowMs)} countdown`;
+  }
+  const tally = tallyVotes(ballot)
+    .slice(0, 3)
+    .map(({ san, votes }) => `${san} ${votes}`)
+    .join(', ');
+  const mine = voterId && ballot.votes[voterId];
+  return ` - Votes: ${tally} - ${formatClock(ballot.closesAt - Date.now())} left${
+    mine ? ` - Your vote: ${mine.san}` : ''
+  }`;
+}
+
+// The board with the tally in the side panel, the viewer's own vote highlighted
+function buildVoteImageUrl(req, gameId, game, voterId) {
+  const { ballot } = game.vote;
+  const tally = tallyVotes(ballot)
+    .map(({ san, votes }) => `${san}${votes}`)
+    .join('.');
+  const version = crypto
+    .createHash('sha1')
+    .update(`${game.chess.fen()}|${tally}|${Math.floor(Date.now() / 60_000)}`)
+    .digest('hex')
+    .slice(0, 12);
+  const mine = voterId && ballot?.votes[voterId];
+  const query = new URLSearchParams({ v: version });
+  if (mine) query.set('mine', mine.san);
+  return `${req.protocol}://${req.get('host')}/image/${encodeURIComponent(gameId)}/vote.png?${query}`;
+}
+
+function formatPgnDate(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`;
+}
+
+function getPgnHeaders(req, gameId, game) {
+  const headers = {
+    Event: 'ChessGrid game',
+    Site: buildShareUrl(req, gameId),
+    Date: formatPgnDate(game.createdAt),
+    White: game.whitePlayer?.name || '?',
+    Black: game.blackPlayer?.name || '?',
+    Result: game.result || RESULTS.ONGOING,
+  };
+  if (game.variant !== VARIANTS.STANDARD) {
+    headers.Variant = getVariantName(game.variant);
+  }
+  if (game.startFen) {
+    headers.SetUp = '1';
+    headers.FEN = game.startFen;
+  }
+  if (game.termination) {
+    headers.Termination = describeTermination(game.termination);
+  }
+  if (game.clock) {
+    headers.TimeControl = `${game.clock.control.initialMs / 1000}+${game.clock.control.incrementMs / 1000}`;
+  }
+  return headers;
+}
+
+function buildPgn(req, gameId, game) {
+  const headers = getPgnHeaders(req, gameId, game);
+  for (const [key, value] of Object.entries(headers)) {
+    game.chess.setHeader(key, value);
+  }
+  return game.chess.pgn();
+}
+
+function resignGame(gameId, game, color) {
+  finishGame(gameId, game, winFor(color === 'white' ? 'b' : 'w'), TERMINATIONS.RESIGNATION);
+  persistGame(gameId, game);
+  publishGameEvent(gameId, 'resign', { color });
+  publishGameEnd(gameId, game);
+}
+
+// The moves played in this game, leaving out those of an imported starting position
+function getPlayedMoves(game) {
+  return game.chess.history({ verbose: true }).slice(game.startMoves.length);
+}
+
+// Undoes the last move made by `color`, plus the opponent's reply if there was one.
+// The clocks go back to where they stood before the first undone move.
+function takeBackMoves(game, color) {
+  const plies = game.chess.turn() === color[0] ? 2 : 1;
+  const played = getPlayedMoves(game).length;
+  if (played < plies) {
+    return false;
+  }
+
+  for (let i = 0; i < plies; i++) {
+    game.chess.undo();
+    game.moveHistory.pop();
+    game.moveClocks.pop();
+  }
+
+  game.lastMove = getLastMove(game.chess);
+  game.currentPlayer = game.chess.turn();
+  game.selectedSquare = null;
+  game.validMoves = [];
+  game.offers = createOffers();
+  game.updatedAt = Date.now();
+
+  if (game.clock) {
+    stopClock(game.clock);
+    const { initialMs } = game.clock.control;
+    game.clock.remaining = { ...(game.moveClocks.at(-1) || { w: initialMs, b: initialMs }) };
+    if (played > plies) {
+      game.clock.running = game.chess.turn();
+      game.clock.turnStartedAt = Date.now();
+    }
+  }
+  return true;
+}
+
+function getSessionToken(req) {
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// The player making a web request: whoever holds the request's session, or a
+// new guest player for callers that don't keep one
+function resolveWebPlayer(req) {
+  return (
+    playerRegistry.getBySession(getSessionToken(req)) ||
+    playerRegistry.create({ name: req.body?.name })
+  );
+}
+
+function getTokenColors(game, playerToken) {
+  if (!playerToken) return [];
+  const colors = [];
+  if (game.whitePlayer?.token === playerToken) colors.push('white');
+  if (game.blackPlayer?.token === playerToken) colors.push('black');
+  return colors;
+}
+
+// Shared guard for the web-player game actions below. Solo players hold both
+// seats, so they act for whichever side is to move.
+function authorizeGameAction(req, res) {
+  const { gameId } = req.params;
+  if (!games.has(gameId)) {
+    res.status(404).json({ error: 'Game not found' });
+    return null;
+  }
+
+  const game = games.get(gameId);
+  checkFlag(gameId, game);
+  if (game.status !== 'active') {
+    res.status(409).json({ error: 'Game is not in progress' });
+    return null;
+  }
+
+  const colors = getTokenColors(game, req.body?.playerToken);
+  if (!colors.length) {
+    res.status(403).json({ error: 'Invalid player token' });
+    return null;
+  }
+
+  const moverColor = game.currentPlayer === 'w' ? 'white' : 'black';
+  const color = colors.length === 2 ? moverColor : colors[0];
+  return { gameId, game, color, isSolo: colors.length === 2 };
+}
+
+function getValidMoves(chess, square) {
+  const moves = chess.moves({ square, verbose: true });
+  return moves.map((m) => m.to);
+}
+
+app.get('/', (req, res) => {
+  const gameId = req.query.gameId || uuidv4();
+
+  // "Play this position" links create the game from the given starting point
+  if (!games.has(gameId) && (req.query.fen || req.query.pgn || req.query.variant)) {
+    let challenge;
+    try {
+      challenge = createNewGame(parseGameSetup(req.query));
+    } catch (err) {
+      return res.status(400).send(`Invalid position: ${escapeAttribute(err.message)}`);
+    }
+    games.set(gameId, challenge);
+    persistGame(gameId, challenge);
+  }
+
+  const game = getOrCreateGame(gameId);
+  checkFlag(gameId, game);
+  closeVoteIfDue(gameId, game);
+
+  const { view, context } = describeGameFrame(req, gameId, game);
+  sendFrame(req, res, renderFrameView(view, context), buildGameEmbed(req, gameId, game));
+});
+
+// Informational landing page for browsers
+app.get('/info', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'index.html'));
+});
+
+// Whether someone other than the viewer has asked to reset the game
+function hasOpponentResetRequest(game, viewerId) {
+  return Boolean(game.resetRequestedBy && game.resetRequestedBy !== viewerId);
+}
+
+// Tournament games stand as they were played, as their results count towards the
+// standings; nothing wipes or replaces them
+const TOURNAMENT_RESET_ERROR = 'Tournament games cannot be started over';
+
+// Both seats must agree before an active game is wiped; the computer always does
+function requestFrameReset(gameId, game, seatColors, viewerId) {
+  if (game.tournament) return TOURNAMENT_RESET_ERROR;
+  const isSolo = seatColors.length === 2 || Boolean(game.bot);
+  let notice;
+  if (isSolo || hasOpponentResetRequest(game, viewerId)) {
+    resetGameState(game);
+    game.status = 'active';
+    notice = 'Board reset';
+  } else {
+    game.resetRequestedBy = viewerId;
+    notice = 'Reset requested - waiting for your opponent to agree';
+  }
+  game.updatedAt = Date.now();
+  persistGame(gameId, game);
+  publishGameEvent(gameId, game.resetRequestedBy ? 'reset-request' : 'reset');
+  playBotMove(gameId, game);
+  return notice;
+}
+
+// Typed into the move box to ask for (or, solo, make) a fresh start
+const FRAME_RESET_PATTERN = /^(reset|new( game)?)$/i;
+
+// Where each replay button goes from the ply being viewed
+const HISTORY_STEPS = {
+  [FRAME_ACTIONS.FIRST]: () => 0,
+  [FRAME_ACTIONS.PREV]: (ply) => ply - 1,
+  [FRAME_ACTIONS.NEXT]: (ply) => ply + 1,
+  [FRAME_ACTIONS.LAST]: (ply, plies) => plies,
+};
+
+// The buttons only a seated player of an active game may use
+const PLAYER_ACTIONS = [FRAME_ACTIONS.MOVE, FRAME_ACTIONS.AGREE_RESET, FRAME_ACTIONS.RESIGN];
+
+function buildPlyImageUrl(req, gameId, ply, position) {
+  const version = getImageKey(position.fen, position.lastMove, FRAME_IMAGE_ASPECT).slice(0, 12);
+  return `${req.protocol}://${req.get('host')}/image/${encodeURIComponent(gameId)}/ply/${ply}.png?v=${version}`;
+}
+
+function sendFrame(req, res, frame, embed = null) {
+  res.send(
+    generateFrameHTML(
+      frame.imageUrl,
+      frame.buttons,
+      `${req.protocol}://${req.get('host')}/frame`,
+      frame.state,
+      frame.textInput,
+      frame.title,
+      embed,
+    ),
+  );
+}
+
+// The launch card for casts of a game: its board, and a button that opens it
+// in the Mini App
+function buildGameEmbed(req, gameId, game) {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const details = {
+    baseUrl,
+    imageUrl: buildImageUrl(req, gameId, game, '3:2'),
+    url: `${baseUrl}/miniapp?gameId=${encodeURIComponent(gameId)}`,
+    buttonTitle: game.status === 'finished' ? 'View Game' : 'Play on the Board',
+  };
+  return {
+    miniapp: buildMiniAppEmbed(details),
+    frame: buildMiniAppEmbed(details, { legacy: true }),
+  };
+}
+
+// Everything the game views show, worked out for one viewer. `viewer` ({ id })
+// is null when it is unknown, as for the cast itself or an unverified request.
+function describeGameFrame(req, gameId, game, viewer = null) {
+  const viewerColors = viewer ? getSeatColors(game, viewer.id) : null;
+  const moverColor = getMoverColor(game);
+  const crowdTurn = isCrowdTurn(game);
+  const whiteName = getPlayerDisplay(game, 'white')?.name || 'White';
+  const blackName = getPlayerDisplay(game, 'black')?.name || 'Black';
+
+  return {
+    view: chooseFrameView({ status: game.status, crowdTurn, moverColor, viewerColors }),
+    context: {
+      gameId,
+      vsLabel: `${whiteName} vs ${blackName}${describeVariant(game)}`,
+      shareUrl: buildShareUrl(req, gameId),
+      imageUrl: crowdTurn
+        ? buildVoteImageUrl(req, gameId, game, viewer?.id)
+        : buildImageUrl(req, gameId, game),
+      seated: Boolean(game.whitePlayer || game.blackPlayer),
+      mover: moverColor === 'white' ? 'White' : 'Black',
+      clockLabel: formatClockLabel(game),
+      inCheck: game.chess.isCheck(),
+      resetRequested: Boolean(viewer) && hasOpponentResetRequest(game, viewer.id),
+      ballotLabel: crowdTurn ? describeBallot(game, viewer?.id) : '',
+      resultLabel: describeResult(game.result, game.termination),
+      spectating: Boolean(viewerColors && !viewerColors.length),
+    },
+  };
+}
+
+// Steps through a game one ply at a time
+function renderHistoryFrame(req, gameId, game, ply) {
+  const position = getPositionAtPly(game, ply);
+  return renderFrameView(FRAME_VIEWS.HISTORY, {
+    gameId,
+    imageUrl: buildPlyImageUrl(req, gameId, ply, position),
+    ply,
+    plies: game.chess.history().length,
+    plyLabel: formatPlyLabel(position),
+    clockLabel: position.clock
+      ? ` [${formatClock(position.clock.white)} | ${formatClock(position.clock.black)}]`
+      : '',
+  });
+}
+
+// Shown while a frame player's Quick Match seek waits in the lobby
+function renderSeekFrame(req, gameId, seek, seekTitle) {
+  return renderFrameView(FRAME_VIEWS.SEEK, {
+    gameId,
+    imageUrl: buildImageUrl(req, gameId, getOrCreateGame(gameId)),
+    seekId: seek.id,
+    seekTitle,
+    waitingFor: seek.timeControl ? describeTimeControl(seek.timeControl) : 'an untimed game',
+    lobbyUrl: `${req.protocol}://${req.get('host')}/lobby`,
+  });
+}
+
+app.post('/frame', async (req, res) => {
+  const body = req.body || {};
+  const untrustedData = body.untrustedData || {};
+  const verification = await req.app.locals.frameVerifier.verify(body.trustedData);
+  const verified = verification.valid;
+
+  // Without a verified message the request may only look at the game, never act on it
+  let buttonIndex = verified ? verification.buttonIndex : null;
+  const inputText = verified ? verification.inputText : null;
+  const rawState = verified ? verification.state : untrustedData.state;
+
+  let state = {};
+  if (rawState) {
+    try {
+      state = JSON.parse(decodeURIComponent(rawState));
+    } catch {
+      try {
+        state = JSON.parse(rawState);
+      } catch {
+        state = {};
+      }
+    }
+  }
+
+  const fid = verified ? verification.fid : null;
+  let gameId = state.gameId || req.query.gameId || uuidv4();
+
+  // A button on another frame (such as a tournament's "Play My Game") that
+  // leads here only opens the game; its index means nothing to this one
+  if (!state.gameId) {
+    buttonIndex = null;
+  }
+  let action = getPressedAction(state, buttonIndex);
+  let notice = null;
+  const viewerId = () => playerRegistry.getByFid(fid)?.id || null;
+
+  // A Quick Match search keeps its own frame until it is paired or cancelled
+  if (verified && state.view === FRAME_VIEWS.SEEK) {
+    const seek = lobby.get(state.seekId);
+    if (seek?.match) {
+      gameId = seek.match.gameId;
+      notice = 'Opponent found';
+    } else if (seek && action === FRAME_ACTIONS.CANCEL_SEARCH) {
+      lobby.cancel(seek.id);
+      publishLobbyEvent('cancel', { seekId: seek.id });
+      notice = 'Search cancelled';
+    } else if (seek) {
+      return sendFrame(
+        req,
+        res,
+        renderSeekFrame(req, gameId, seek, 'Still searching for an opponent'),
+      );
+    } else {
+      notice = 'Search expired';
+    }
+    buttonIndex = null;
+    action = null;
+  }
+
+  // A replay keeps its own frame until the viewer goes back to the game
+  const step = HISTORY_STEPS[action];
+  if (step && games.has(gameId)) {
+    const replayed = games.get(gameId);
+    const plies = replayed.chess.history().length;
+    const clampPly = (ply) => Math.min(Math.max(0, ply), plies);
+    const current = clampPly(Number.parseInt(state.ply, 10) || 0);
+    // Before buttons were named, "Last" at the last ply was "Back to Game"
+    if (action !== FRAME_ACTIONS.LAST || current < plies) {
+      return sendFrame(
+        req,
+        res,
+        renderHistoryFrame(req, gameId, replayed, clampPly(step(current, plies))),
+      );
+    }
+  }
+  if (step || action === FRAME_ACTIONS.BACK_TO_GAME) {
+    buttonIndex = null;
+    action = null;
+  }
+
+  let game = getOrCreateGame(gameId);
+  checkFlag(gameId, game);
+  closeVoteIfDue(gameId, game);
+
+  // Frames from before buttons were named gave everyone the players' buttons,
+  // so read the press against those
+  if (buttonIndex && !action) {
+    const seated = getSeatColors(game, viewerId()).length > 0;
+    const { view, context } = describeGameFrame(
+      req,
+      gameId,
+      game,
+      seated ? { id: viewerId() } : null,
+    );
+    action = getPressedAction(renderFrameView(view, context).state, buttonIndex);
+  }
+
+  if (action === FRAME_ACTIONS.QUICK_MATCH && game.status === 'waiting') {
+    const account = playerRegistry.ensureFidPlayer(fid);
+    const { seek, match } = queueSeek(buildSeek(account, { source: PLAYER_SOURCES.FRAME }));
+    if (!match) {
+      return sendFrame(req, res, renderSeekFrame(req, gameId, seek, 'Searching for an opponent'));
+    }
+    gameId = match.gameId;
+    game = games.get(gameId);
+    notice = 'Opponent found';
+    action = null;
+  }
+
+  const seatColors = getSeatColors(game, viewerId());
+  let openHistory = false;
+
+  if (action === FRAME_ACTIONS.JOIN_WHITE || action === FRAME_ACTIONS.JOIN_BLACK) {
+    const color = action === FRAME_ACTIONS.JOIN_WHITE ? 'white' : 'black';
+    const seat = color === 'white' ? game.whitePlayer : game.blackPlayer;
+    if (seat) {
+      notice = `${color === 'white' ? 'White' : 'Black'} is already taken`;
+    } else if (seatColors.length) {
+      notice = 'You already have a seat in this game';
+    } else if (game.status !== 'waiting') {
+      notice = 'This game has already started';
+    } else {
+      const player = createFramePlayer(fid);
+      assignPlayer(game, color, player);
+      persistGame(gameId, game);
+      publishGameEvent(gameId, 'join', { color, player: sanitizePlayer(player) });
+    }
+  } else if (action === FRAME_ACTIONS.PLAY_SOLO) {
+    const botRequest = parseBotRequest(inputText);
+    if (game.status !== 'waiting' || game.whitePlayer || game.blackPlayer) {
+      notice = 'Solo play needs an empty game';
+    } else if (botRequest === false) {
+      notice = 'To play the computer type "bot", "bot 4" or "bot black 2"';
+    } else if (botRequest && game.variant !== VARIANTS.STANDARD) {
+      notice = 'The computer only plays standard chess';
+    } else {
+      const player = createFramePlayer(fid);
+      if (botRequest) {
+        seatAgainstBot(game, player, botRequest.color, botRequest.level);
+      } else {
+        assignPlayer(game, 'white', player);
+        assignPlayer(game, 'black', player);
+      }
+      game.status = 'active';
+      persistGame(gameId, game);
+      publishGameEvent(gameId, 'join', {
+        color: botRequest ? botRequest.color : 'both',
+        player: sanitizePlayer(player),
+      });
+      await playBotMove(gameId, game);
+    }
+  } else if (action === FRAME_ACTIONS.VOTE) {
+    // Anyone but the crowd's opponent can vote
+    if (!isCrowdTurn(game)) {
+      notice = 'Voting has closed';
+    } else if (seatColors.length) {
+      notice = "Players can't vote on their opponent's moves";
+    } else {
+      const voterId = playerRegistry.ensureFidPlayer(fid).id;
+      notice = submitVote(gameId, game, voterId, inputText);
+    }
+  } else if (action === FRAME_ACTIONS.HISTORY) {
+    openHistory = game.status !== 'waiting';
+  } else if (PLAYER_ACTIONS.includes(action)) {
+    if (game.status === 'finished') {
+      notice = 'Game over';
+    } else if (game.status !== 'active') {
+      notice = 'This game has not started yet';
+    } else if (!seatColors.length) {
+      notice = 'Only seated players can do that - you are spectating';
+    } else if (action === FRAME_ACTIONS.RESIGN) {
+      // A solo player resigns on behalf of whichever side is to move
+      resignGame(gameId, game, seatColors.length === 2 ? getMoverColor(game) : seatColors[0]);
+    } else if (
+      action === FRAME_ACTIONS.AGREE_RESET ||
+      FRAME_RESET_PATTERN.test(inputText?.trim() || '')
+    ) {
+      notice = requestFrameReset(gameId, game, seatColors, viewerId());
+    } else if (!seatColors.includes(getMoverColor(game))) {
+      notice = 'Not your turn';
+    } else {
+      try {
+        const { from, to, promotion } = readMove(game.chess, inputText);
+        applyMove(gameId, game, { from, to, promotion });
+        await playBotMove(gameId, game);
+      } catch (err) {
+        notice = err.message;
+      }
+    }
+  } else if (action === FRAME_ACTIONS.NEW_GAME && game.status === 'finished') {
+    if (!seatColors.length) {
+      notice = 'Only the players of this game can start a new one';
+    } else if (game.tournament) {
+      notice = TOURNAMENT_RESET_ERROR;
+    } else {
+      if (game.bot) {
+        // Rematch against the same computer opponent
+        resetGameState(game);
+        game.status = 'active';
+      } else {
+        game = createNewGame({
+          variant: game.variant,
+          startFen: game.startFen,
+          startMoves: game.startMoves,
+        });
+        games.set(gameId, game);
+        presence.clear(gameId);
+      }
+      persistGame(gameId, game);
+      publishGameEvent(gameId, 'reset');
+      await playBotMove(gameId, game);
+    }
+  }
+
+  if (openHistory) {
+    return sendFrame(req, res, renderHistoryFrame(req, gameId, game, game.chess.history().length));
+  }
+
+  const { view, context } = describeGameFrame(
+    req,
+    gameId,
+    game,
+    verified ? { id: viewerId() } : null,
+  );
+  sendFrame(
+    req,
+    res,
+    renderFrameView(view, {
+      ...context,
+      notice,
+      readOnly: verified ? null : verification.reason,
+    }),
+  );
+});
+
+app.post('/move', async (req, res) => {
+  const { gameId, from, to, promotion, playerToken } = req.body || {};
+
+  if (!gameId || !from || !to) {
+    return res.status(400).json({ error: 'Missing gameId, from or to' });
+  }
+
+  if (!games.has(gameId)) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  const game = games.get(gameId);
+
+  if (checkFlag(gameId, game)) {
+    return res.status(409).json({ error: 'Time is up', status: game.status });
+  }
+  if (game.status === 'finished') {
+    return res.status(409).json({ error: 'Game is over', status: game.status });
+  }
+  if (isCrowdTurn(game)) {
+    return res.status(423).json({ error: 'The crowd is voting on this move' });
+  }
+
+  // Once anyone is seated, only the seat's own token moves for it. Frame players
+  // have no token and move from the frame, where their signature seats them.
+  if (game.whitePlayer || game.blackPlayer) {
+    if (!playerToken) {
+      return res.status(403).json({ error: 'Missing player token' });
+    }
+
+    const allowedColors = getTokenColors(game, playerToken);
+
+    if (!allowedColors.length) {
+      return res.status(403).json({ error: 'Invalid player token' });
+    }
+
+    const currentColor = game.currentPlayer === 'w' ? 'white' : 'black';
+    if (!allowedColors.includes(currentColor)) {
+      return res.status(423).json({ error: 'Not your turn' });
+    }
+  }
+
+  let move;
+  try {
+    move = applyMove(gameId, game, {
+      from,
+      to,
+      promotion: promotion || 'q',
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const reply = await playBotMove(gameId, game);
+
+  return res.json({
+    success: true,
+    move,
+    reply,
     fen: game.chess.fen(),
-    currentPlayer: game.currentPlayer,
     status: game.status,
-    isCheck: game.chess.isCheck(),
-    isCheckmate: game.chess.isCheckmate(),
-    isDraw: game.chess.isDraw(),
     moveHistory: game.moveHistory,
-    lastMove: game.lastMove,
-    capturedPieces: getCapturedPieces(game),
-    players: {
-      white: getPlayerDisplay(game, 'white'),
-      black: getPlayerDisplay(game, 'black'),
-    },
-    availableColors: {
-      white: !game.whitePlayer,
-      black: !game.blackPlayer,
-    },
+  });
+});
+
+app.get('/game/:gameId', (req, res) => {
+  const { gameId } = req.params;
+
+  if (!games.has(gameId)) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  const game = games.get(gameId);
+  checkFlag(gameId, game);
+  closeVoteIfDue(gameId, game);
+
+  res.json({
+    ...getPublicGameState(gameId, game),
     shareUrl: buildShareUrl(req, gameId),
   });
 });
 
-app.get('/games', (req, res) => {
-  const activeGames = Array.from(games.entries()).map(([gameId, game]) => ({
-    gameId,
-    status: game.status,
-    currentPlayer: game.currentPlayer,
-    moveCount: game.moveHistory.length,
-  }));
+app.get('/game/:gameId/events', (req, res) => {
+  const { gameId } = req.params;
+
+  if (!games.has(gameId)) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  // EventSource can't send headers, so seated players pass their token in the
+  // query string; everyone else is watching
+  const colors = getTokenColors(games.get(gameId), req.query.playerToken);
+  const disconnect = presence.connect(
+    gameId,
+    colors.length === 2 ? 'both' : colors[0] || 'spectator',
+  );
+  publishPresence(gameId);
+
+  // EventSource resends the last id it saw when it reconnects
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const { events, complete } = gameEvents.replaySince(gameId, lastEventId);
+  if (complete) {
+    events.forEach((event) => res.write(formatServerSentEvent(event)));
+  } else {
+    res.write(
+      formatServerSentEvent({
+        id: gameEvents.lastEventId(gameId),
+        type: 'sync',
+        data: { game: getPublicGameState(gameId, games.get(gameId)) },
+      }),
+    );
+  }
+
+  const unsubscribe = gameEvents.subscribe(gameId, (event) => {
+    res.write(formatServerSentEvent(event));
+  });
+  // Chat carries the latest game event id so it doesn't disturb replay
+  const chatRoom = colors.length ? 'players' : 'spectators';
+  const unsubscribeChat = chatEvents.subscribe(`${gameId}:${chatRoom}`, (event) => {
+    res.write(formatServerSentEvent({ ...event, id: gameEvents.lastEventId(gameId) }));
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25_000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    unsubscribeChat();
+    disconnect();
+    publishPresence(gameId);
+  });
+});
+
+app.get('/image/:gameId.png', (req, res) => {
+  const { gameId } = req.params;
+
+  if (!games.has(gameId)) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  const game = games.get(gameId);
+  return sendBoardImage(req, res, {
+    fen: game.chess.fen(),
+    lastMove: game.lastMove,
+    captured: getCapturedPieces(game),
+    maxAge: 0,
+  });
+});
+
+app.get(['/image/:gameId/ply/:ply.png', '/game/:gameId/ply/:ply.png'], (req, res) => {
+  const { gameId } = req.params;
+
+  if (!games.has(gameId)) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  const position = getPositionAtPly(games.get(gameId), Number(req.params.ply));
+  if (!position) {
+    return res.status(404).json({ error: 'Ply not found' });
+  }
+
+  return sendBoardImage(req, res, { ...position, maxAge: 86400 });
+});
+
+// The board with the current vote tally; `mine` highlights the viewer's vote
+app.get('/image/:gameId/vote.png', (req, res) => {
+  const game = games.get(req.params.gameId);
+  if (!game?.vote) {
+    return res.status(404).json({ error: 'Vote game not found' });
+  }
+
+  const { ballot } = game.vote;
+  const tally = tallyVotes(ballot);
+  const notes = {
+    heading: ballot ? `${formatClock(ballot.closesAt - Date.now())} left` : 'No votes yet',
+    lines: tally.map(({ san, votes }) => ({
+      text: `${san}  ${votes}`,
+      highlight: san === req.query.mine,
+    })),
+  };
+  const svg = createFrameImageSVG({
+    fen: game.chess.fen(),
+    lastMove: game.lastMove,
+    captured: getCapturedPieces(game),
+    aspectRatio: FRAME_IMAGE_ASPECT,
+    notes: isCrowdTurn(game) ? notes : null,
+  });
+  res.set('Cache-Control', 'public, max-age=10');
+  res.type('png').send(svgToPNG(svg));
+});
+
+app.get('/games', (req, res) => {
+  const activeGames = Array.from(games.entries()).map(([gameId, game]) => ({
+    gameId,
+    status: game.status,
+    currentPlayer: game.currentPlayer,
+    moveCount: game.moveHistory.length,
+  }));
+
+  res.json({ games: activeGames });
+});
+
+app.get('/play', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'play.html'));
+});
+
+// The Mini App is the board page, framed by the Farcaster client
+app.get('/miniapp', (req, res) => {
+  res.removeHeader('X-Frame-Options');
+  res.sendFile(join(__dirname, 'public', 'play.html'));
+});
+
+app.get('/.well-known/farcaster.json', (req, res) => {
+  const { MINIAPP_ACCOUNT_HEADER, MINIAPP_ACCOUNT_PAYLOAD, MINIAPP_ACCOUNT_SIGNATURE } =
+    process.env;
+  const accountAssociation = MINIAPP_ACCOUNT_HEADER
+    ? {
+        header: MINIAPP_ACCOUNT_HEADER,
+        payload: MINIAPP_ACCOUNT_PAYLOAD,
+        signature: MINIAPP_ACCOUNT_SIGNATURE,
+      }
+    : null;
+  res.json(
+    buildMiniAppManifest({ baseUrl: `${req.protocol}://${req.get('host')}`, accountAssociation }),
+  );
+});
+
+app.get(['/miniapp/icon.png', '/miniapp/splash.png'], (req, res) => {
+  res.set('Cache-Control', 'public, max-age=86400');
+  res.type('png').send(svgToPNG(createIconSVG(req.path.endsWith('icon.png') ? 1024 : 200)));
+});
+
+app.get('/miniapp/image.png', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=86400');
+  res
+    .type('png')
+    .send(svgToPNG(createFrameImageSVG({ fen: DEFAULT_POSITION, aspectRatio: '3:2' })));
+});
+
+// Signs the Mini App's user in: a Quick Auth token vouches for their FID, and
+// is traded for a session of that FID's player
+app.post('/api/miniapp/session', async (req, res) => {
+  const domain = req.app.locals.miniAppDomain;
+  if (!domain) {
+    return res.status(503).json({ error: 'Mini App sign-in is not configured' });
+  }
+
+  let verification;
+  try {
+    verification = await req.app.locals.quickAuthVerifier.verify(req.body?.token, { domain });
+  } catch (err) {
+    console.warn('Failed to check a Quick Auth token:', err.message);
+    return res.status(401).json({ error: 'The token could not be checked' });
+  }
+  if (!verification.valid) {
+    return res.status(401).json({ error: verification.reason });
+  }
+
+  const player = playerRegistry.ensureFidPlayer(verification.fid);
+  // Players first seen through a frame only have their FID for a name
+  const name = normalizeDisplayName(req.body?.name);
+  if (name && player.name === `FID ${player.fid}`) {
+    playerRegistry.rename(player, name);
+  }
+  const sessionToken = playerRegistry.createSession(player);
+  res.json({ success: true, player: playerRegistry.toPublic(player), sessionToken });
+});
+
+// The manifest's `webhookUrl`: the client says when a user adds or removes the
+// app and turns its notifications on or off, handing over a token to send them with
+app.post('/api/miniapp/webhook', async (req, res) => {
+  let verification;
+  try {
+    verification = await req.app.locals.miniAppEventVerifier.verify(req.body);
+  } catch (err) {
+    console.warn('Failed to check a Mini App event:', err.message);
+    return res.status(401).json({ error: 'The event could not be checked' });
+  }
+  if (!verification.valid) {
+    return res.status(verification.malformed ? 400 : 401).json({ error: verification.reason });
+  }
+
+  const { fid, event, notificationDetails } = verification;
+  const player = playerRegistry.ensureFidPlayer(fid);
+  const settings = getNotificationSettings(player);
+  const turnedOn = [MINI_APP_EVENTS.ADDED, MINI_APP_EVENTS.NOTIFICATIONS_ENABLED].includes(event);
+  if (turnedOn && notificationDetails) {
+    playerRegistry.setNotifications(
+      player,
+      addMiniAppToken(settings, {
+        ...notificationDetails,
+        origin: `${req.protocol}://${req.get('host')}`,
+      }),
+    );
+  } else if (!turnedOn) {
+    playerRegistry.setNotifications(player, removeMiniAppTokens(settings));
+  }
+  res.json({ success: true });
+});
+
+// Engine analysis of a finished game. It is worked out once and kept with the
+// game; asking again while it runs waits for the same job.
+function getGameAnalysis(gameId, game) {
+  const moves = game.chess.history();
+  if (game.analysis?.plies === moves.length) {
+    return Promise.resolve(game.analysis);
+  }
+  if (!analysisJobs.has(gameId)) {
+    const job = analyzeGame(analysisEngine, { startFen: game.startFen, moves })
+      .then((analysis) => {
+        game.analysis = { ...analysis, plies: moves.length, analyzedAt: Date.now() };
+        persistGame(gameId, game);
+        return game.analysis;
+      })
+      .finally(() => analysisJobs.delete(gameId));
+    analysisJobs.set(gameId, job);
+  }
+  return analysisJobs.get(gameId);
+}
+
+app.get('/api/games/:gameId/analysis', async (req, res) => {
+  const { gameId } = req.params;
+  const game = games.get(gameId);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  if (game.status !== 'finished') {
+    return res.status(409).json({ error: 'Analysis is available once the game is over' });
+  }
+  if (game.variant !== VARIANTS.STANDARD) {
+    return res.status(409).json({ error: 'Analysis is only available for standard chess' });
+  }
+
+  try {
+    res.json({ analysis: await getGameAnalysis(gameId, game) });
+  } catch (err) {
+    console.error(`Failed to analyse game ${gameId}:`, err.message);
+    res.status(500).json({ error: 'Failed to analyse the game' });
+  }
+});
+
+app.get('/game/:gameId/pgn', async (req, res) => {
+  const { gameId } = req.params;
+
+  if (!games.has(gameId)) {
+    return res.status(404).send('Game not found');
+  }
+
+  const game = games.get(gameId);
+  // ?annotated=1 exports the analysis, which is only run for finished games
+  if (req.query.annotated && req.query.annotated !== '0') {
+    if (game.status !== 'finished') {
+      return res.status(409).send('Analysis is available once the game is over');
+    }
+    if (game.variant !== VARIANTS.STANDARD) {
+      return res.status(409).send('Analysis is only available for standard chess');
+    }
+    try {
+      const analysis = await getGameAnalysis(gameId, game);
+      return res
+        .type('text/plain')
+        .send(buildAnnotatedPgn(getPgnHeaders(req, gameId, game), analysis));
+    } catch (err) {
+      console.error(`Failed to analyse game ${gameId}:`, err.message);
+      return res.status(500).send('Failed to generate PGN');
+    }
+  }
+
+  try {
+    const pgn = buildPgn(req, gameId, game);
+    res.type('text/plain').send(pgn || '');
+  } catch (err) {
+    res.status(500).send('Failed to generate PGN');
+  }
+});
+
+// One position of the game for stepping through it; ply 0 is the starting position
+app.get('/game/:gameId/ply/:ply', (req, res) => {
+  const { gameId } = req.params;
+
+  if (!games.has(gameId)) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  const game = games.get(gameId);
+  const ply = Number(req.params.ply);
+  const position = getPositionAtPly(game, ply);
+  if (!position) {
+    return res.status(404).json({ error: 'Ply not found' });
+  }
+
+  res.json({
+    gameId,
+    ply,
+    plies: game.chess.history().length,
+    ...position,
+    label: formatPlyLabel(position),
+    imageUrl: buildPlyImageUrl(req, gameId, ply, position),
+  });
+});
+
+app.post('/api/games', (req, res) => {
+  let timeControl;
+  let start;
+  let vote;
+  try {
+    timeControl = parseTimeControl(req.body?.timeControl);
+    start = parseGameSetup({
+      variant: req.body?.variant,
+      seed: req.body?.seed,
+      fen: req.body?.fen,
+      pgn: req.body?.pgn,
+    });
+    vote = parseVoteOptions({ vote: req.body?.vote, windowSeconds: req.body?.voteWindowSeconds });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (vote && timeControl) {
+    return res.status(400).json({ error: 'Vote games are untimed' });
+  }
+
+  const gameId = uuidv4();
+  const game = createNewGame({ timeControl, ...start, vote });
+  vote?.sides.forEach((color) => assignPlayer(game, color, createCrowdPlayer(color)));
+  games.set(gameId, game);
+  persistGame(gameId, game);
+  res.json({
+    success: true,
+    gameId,
+    shareUrl: buildShareUrl(req, gameId),
+    timeControl: timeControl ? describeTimeControl(timeControl) : null,
+    vote: getPublicVote(game),
+    variant: game.variant,
+    fen: game.chess.fen(),
+  });
+});
+
+app.post('/api/games/:gameId/join', (req, res) => {
+  const { gameId } = req.params;
+  const { color = 'random', name } = req.body || {};
+
+  if (!games.has(gameId)) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  const normalizedColor = String(color).toLowerCase();
+  const allowedColors = ['white', 'black', 'random'];
+  if (!allowedColors.includes(normalizedColor)) {
+    return res.status(400).json({ error: 'Invalid color choice' });
+  }
+
+  const game = games.get(gameId);
+  const openColors = [];
+  if (!game.whitePlayer) openColors.push('white');
+  if (!game.blackPlayer) openColors.push('black');
+
+  if (!openColors.length) {
+    return res.status(409).json({ error: 'Game is full' });
+  }
+
+  let targetColor = normalizedColor;
+  if (normalizedColor === 'random') {
+    targetColor = openColors[Math.floor(Math.random() * openColors.length)];
+  }
+
+  if (targetColor === 'white' && game.whitePlayer) {
+    return res.status(409).json({ error: 'White is already taken' });
+  }
+  if (targetColor === 'black' && game.blackPlayer) {
+    return res.status(409).json({ error: 'Black is already taken' });
+  }
+
+  const token = uuidv4();
+  const account = resolveWebPlayer(req);
+  const player = createPlayer({
+    id: account.id,
+    name: formatPlayerName(name, account.name),
+    token,
+    source: PLAYER_SOURCES.WEB,
+  });
+
+  assignPlayer(game, targetColor, player);
+
+  persistGame(gameId, game);
+  publishGameEvent(gameId, 'join', { color: targetColor, player: sanitizePlayer(player) });
+
+  res.json({
+    success: true,
+    gameId,
+    color: targetColor,
+    token,
+    player: sanitizePlayer(player),
+  });
+});
+
+// Solo game against the built-in engine. The human picks a side (or 'random')
+// and the computer moves straight away when it has White.
+async function startBotGame(req, res) {
+  const { gameId } = req.params;
+  const { name, color = 'white', level } = req.body || {};
+
+  const normalizedColor = String(color).toLowerCase();
+  if (!['white', 'black', 'random'].includes(normalizedColor)) {
+    return res.status(400).json({ error: 'Invalid color choice' });
+  }
+
+  let engineLevel;
+  try {
+    engineLevel = parseEngineLevel(level);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  let game = games.get(gameId);
+  if (!game) {
+    game = createNewGame();
+    games.set(gameId, game);
+  }
+  // The engine doesn't know the variants' rules
+  if (game.variant !== VARIANTS.STANDARD) {
+    return res.status(400).json({ error: 'The computer only plays standard chess' });
+  }
+
+  resetGameState(game);
+
+  const humanColor =
+    normalizedColor === 'random' ? (Math.random() < 0.5 ? 'white' : 'black') : normalizedColor;
+  const token = uuidv4();
+  const account = resolveWebPlayer(req);
+  const player = createPlayer({
+    id: account.id,
+    name: formatPlayerName(name, account.name),
+    token,
+    source: PLAYER_SOURCES.WEB,
+  });
+
+  seatAgainstBot(game, player, humanColor, engineLevel);
+  game.status = 'active';
+
+  persistGame(gameId, game);
+  publishGameEvent(gameId, 'join', { color: humanColor, player: sanitizePlayer(player) });
+  await playBotMove(gameId, game);
+
+  return res.json({
+    success: true,
+    gameId,
+    token,
+    mode: 'computer',
+    color: humanColor,
+    level: engineLevel,
+    player: sanitizePlayer(player),
+    fen: game.chess.fen(),
+  });
+}
+
+app.post('/api/games/:gameId/solo', async (req, res) => {
+  const { gameId } = req.params;
+  const { name, opponent, playerToken } = req.body || {};
+
+  // Either setup starts the game over, so once someone is seated only its own
+  // players can do it
+  const existing = games.get(gameId);
+  if (existing?.tournament) {
+    return res.status(409).json({ error: TOURNAMENT_RESET_ERROR });
+  }
+  if (existing?.whitePlayer || existing?.blackPlayer) {
+    if (!getTokenColors(existing, playerToken).length) {
+      return res.status(403).json({ error: 'Only the players of this game can start it over' });
+    }
+  }
+
+  if (opponent === 'computer') {
+    return startBotGame(req, res);
+  }
+
+  const token = uuidv4();
+  const account = resolveWebPlayer(req);
+  const soloName = formatPlayerName(name, account.name);
+
+  let game = games.get(gameId);
+  if (!game) {
+    game = createNewGame();
+    games.set(gameId, game);
+  }
+
+  resetGameState(game);
+  game.bot = null;
+
+  const whitePlayer = createPlayer({
+    id: account.id,
+    name: `${soloName} (White)`,
+    token,
+    source: PLAYER_SOURCES.WEB,
+  });
+  const blackPlayer = createPlayer({
+    id: account.id,
+    name: `${soloName} (Black)`,
+    token,
+    source: PLAYER_SOURCES.WEB,
+  });
+
+  assignPlayer(game, 'white', whitePlayer);
+  assignPlayer(game, 'black', blackPlayer);
+  game.status = 'active';
+
+  persistGame(gameId, game);
+  publishGameEvent(gameId, 'join', { color: 'both', player: sanitizePlayer(whitePlayer) });
+
+  res.json({
+    success: true,
+    gameId,
+    token,
+    mode: 'solo',
+    player: {
+      id: account.id,
+      name: soloName,
+    },
+  });
+});
+
+app.post('/api/games/:gameId/resign', (req, res) => {
+  const auth = authorizeGameAction(req, res);
+  if (!auth) return;
+
+  const { gameId, game, color } = auth;
+  resignGame(gameId, game, color);
+
+  res.json({ success: true, result: game.result, termination: game.termination });
+});
+
+// Ends the game when the opponent has been disconnected for longer than the
+// abandonment timeout, as a win or, if the claimant prefers, a draw
+app.post('/api/games/:gameId/claim-abandonment', (req, res) => {
+  const auth = authorizeGameAction(req, res);
+  if (!auth) return;
+
+  const { gameId, game, color, isSolo } = auth;
+  const outcome = String(req.body?.outcome || 'win').toLowerCase();
+  if (!['win', 'draw'].includes(outcome)) {
+    return res.status(400).json({ error: 'outcome must be "win" or "draw"' });
+  }
+  const opponent = color === 'white' ? 'black' : 'white';
+  if (isSolo || !presence.canClaimAgainst(gameId, opponent)) {
+    return res.status(409).json({
+      error: 'Your opponent has not abandoned the game',
+      presence: presence.snapshot(gameId),
+    });
+  }
+
+  finishGame(
+    gameId,
+    game,
+    outcome === 'draw' ? RESULTS.DRAW : winFor(color),
+    TERMINATIONS.ABANDONMENT,
+  );
+  persistGame(gameId, game);
+  publishGameEnd(gameId, game);
+  res.json({ success: true, result: game.result, termination: game.termination });
+});
+
+// Who a chat request is from and which room they belong in. Seated players
+// (by game token) talk in the players' room; everyone else is a spectator and
+// needs a player session to post.
+function resolveChatViewer(req, game) {
+  const colors = getTokenColors(game, req.body?.playerToken || req.query.playerToken);
+  if (colors.length) {
+    const seat = colors[0] === 'white' ? game.whitePlayer : game.blackPlayer;
+    return {
+      room: 'players',
+      playerId: resolvePlayerId(seat.id),
+      name: seat.name,
+      color: colors.length === 2 ? null : colors[0],
+    };
+  }
+  const account = playerRegistry.getBySession(getSessionToken(req));
+  return { room: 'spectators', playerId: account?.id || null, name: account?.name, color: null };
+}
+
+// Players whose messages the viewer doesn't see: those muted in this game and
+// those blocked on the viewer's account
+function getHiddenChatIds(game, viewerId) {
+  const blocked = playerRegistry.get(viewerId)?.blocked || [];
+  return [...new Set([...getMutedIds(game.chat, viewerId), ...blocked])];
+}
+
+function findChatGame(req, res) {
+  const game = games.get(req.params.gameId);
+  if (!game) {
+    res.status(404).json({ error: 'Game not found' });
+    return null;
+  }
+  const viewer = resolveChatViewer(req, game);
+  if (req.method !== 'GET' && !viewer.playerId) {
+    res.status(401).json({ error: 'Sign in with a player session to chat' });
+    return null;
+  }
+  return { gameId: req.params.gameId, game, viewer };
+}
+
+app.get('/api/games/:gameId/chat', (req, res) => {
+  const found = findChatGame(req, res);
+  if (!found) return;
+
+  const { game, viewer } = found;
+  const hidden = getHiddenChatIds(game, viewer.playerId);
+  res.json({
+    room: viewer.room,
+    messages: game.chat[viewer.room].filter((message) => !hidden.includes(message.playerId)),
+    hiddenPlayerIds: hidden,
+  });
+});
+
+app.post('/api/games/:gameId/chat', (req, res) => {
+  const found = findChatGame(req, res);
+  if (!found) return;
+
+  const { gameId, game, viewer } = found;
+  if (!chatLimiter.allow(viewer.playerId)) {
+    return res.status(429).json({ error: 'You are sending messages too quickly' });
+  }
+
+  let message;
+  try {
+    message = addChatMessage(game.chat, {
+      ...viewer,
+      text: req.body?.text,
+      filter: chatFilter,
+      now: Date.now(),
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  persistGame(gameId, game);
+  chatEvents.publish(`${gameId}:${viewer.room}`, 'chat', { message });
+  res.json({ success: true, room: viewer.room, message });
+});
+
+// Muting only applies to this game; blocking (/api/players/me/blocks) applies everywhere
+app.post('/api/games/:gameId/chat/mute', (req, res) => {
+  const found = findChatGame(req, res);
+  if (!found) return;
+
+  const { gameId, game, viewer } = found;
+  const playerId = req.body?.playerId ? resolvePlayerId(String(req.body.playerId)) : null;
+  if (!playerId) {
+    return res.status(400).json({ error: 'playerId is required' });
+  }
+  if (playerId === viewer.playerId) {
+    return res.status(400).json({ error: 'You cannot mute yourself' });
+  }
+
+  setMuted(game.chat, viewer.playerId, playerId, req.body?.muted !== false);
+  persistGame(gameId, game);
+  res.json({ success: true, hiddenPlayerIds: getHiddenChatIds(game, viewer.playerId) });
+});
+
+// Reports are kept with the game for moderators and logged
+app.post('/api/games/:gameId/chat/:messageId/report', (req, res) => {
+  const found = findChatGame(req, res);
+  if (!found) return;
+
+  const { gameId, game, viewer } = found;
+  const message = game.chat[viewer.room].find((entry) => entry.id === req.params.messageId);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  const reason = String(req.body?.reason || '')
+    .trim()
+    .slice(0, 500);
+  game.chat.reports.push({
+    messageId: message.id,
+    room: viewer.room,
+    playerId: message.playerId,
+    text: message.text,
+    reportedBy: viewer.playerId,
+    reason,
+    at: Date.now(),
+  });
+  console.warn(
+    `Game ${gameId}: chat message ${message.id} from ${message.playerId} reported by ${viewer.playerId}${reason ? ` (${reason})` : ''}`,
+  );
+  persistGame(gameId, game);
+  res.status(202).json({ success: true });
+});
+
+app.post('/api/games/:gameId/draw', async (req, res) => {
+  const auth = authorizeGameAction(req, res);
+  if (!auth) return;
+
+  const { gameId, game, color, isSolo } = auth;
+  const action = String(req.body?.action || 'offer').toLowerCase();
+  const pending = game.offers.draw;
+
+  if (action === 'offer' && game.bot) {
+    // The computer takes a draw only when it thinks it is worse
+    const botToMove = game.currentPlayer === game.bot.color[0];
+    let outlook;
+    try {
+      outlook = await engine.search(game.chess, { level: game.bot.level, depth: 2 });
+    } catch {
+      outlook = null;
+    }
+    if (game.status !== 'active') {
+      return res.status(409).json({ error: 'Game is not in progress' });
+    }
+    const botScore = outlook ? (botToMove ? outlook.score : -outlook.score) : 0;
+    if (botScore > -150) {
+      publishGameEvent(gameId, 'draw', { action: 'decline', by: game.bot.color });
+      return res.json({ success: true, accepted: false, offers: game.offers });
+    }
+  } else if (action === 'offer') {
+    if (pending?.by === color && !isSolo) {
+      return res.status(409).json({ error: 'You have already offered a draw' });
+    }
+    // Offering while the opponent's offer is open, or playing both sides, agrees the draw
+    if (!pending && !isSolo) {
+      game.offers.draw = { by: color, at: Date.now() };
+      game.updatedAt = Date.now();
+      persistGame(gameId, game);
+      publishGameEvent(gameId, 'draw', { action: 'offer', by: color });
+      return res.json({ success: true, offers: game.offers });
+    }
+  } else if (action === 'accept') {
+    if (!pending || (pending.by === color && !isSolo)) {
+      return res.status(409).json({ error: 'There is no draw offer to accept' });
+    }
+  } else if (action === 'decline') {
+    if (!pending) {
+      return res.status(409).json({ error: 'There is no draw offer to decline' });
+    }
+    game.offers.draw = null;
+    game.updatedAt = Date.now();
+    persistGame(gameId, game);
+    publishGameEvent(gameId, 'draw', { action: 'decline', by: color });
+    return res.json({ success: true, offers: game.offers });
+  } else {
+    return res.status(400).json({ error: 'Action must be offer, accept or decline' });
+  }
+
+  finishGame(gameId, game, RESULTS.DRAW, TERMINATIONS.AGREEMENT);
+  persistGame(gameId, game);
+  publishGameEnd(gameId, game);
+  return res.json({
+    success: true,
+    accepted: true,
+    result: game.result,
+    termination: game.termination,
+  });
+});
+
+app.post('/api/games/:gameId/takeback', (req, res) => {
+  const auth = authorizeGameAction(req, res);
+  if (!auth) return;
+
+  const { gameId, game, color, isSolo } = auth;
+  const action = String(req.body?.action || 'request').toLowerCase();
+  const pending = game.offers.takeback;
+
+  let takebackFor = null;
+  if (action === 'request') {
+    if (isSolo) {
+      // Undo just the last move, whichever side played it
+      takebackFor = game.currentPlayer === 'w' ? 'black' : 'white';
+    } else if (game.bot) {
+      // The computer always agrees, taking its reply back along with your move
+      if (!getPlayedMoves(game).some((move) => move.color === color[0])) {
+        return res.status(409).json({ error: 'You have no move to take back' });
+      }
+      takebackFor = color;
+    } else if (pending?.by === color) {
+      return res.status(409).json({ error: 'You have already asked for a takeback' });
+    } else {
+      if (!getPlayedMoves(game).some((move) => move.color === color[0])) {
+        return res.status(409).json({ error: 'You have no move to take back' });
+      }
+      game.offers.takeback = { by: color, at: Date.now() };
+      game.updatedAt = Date.now();
+      persistGame(gameId, game);
+      publishGameEvent(gameId, 'takeback', { action: 'request', by: color });
+      return res.json({ success: true, offers: game.offers });
+    }
+  } else if (action === 'accept') {
+    if (!pending || pending.by === color) {
+      return res.status(409).json({ error: 'There is no takeback request to accept' });
+    }
+    takebackFor = pending.by;
+  } else if (action === 'decline') {
+    if (!pending) {
+      return res.status(409).json({ error: 'There is no takeback request to decline' });
+    }
+    game.offers.takeback = null;
+    game.updatedAt = Date.now();
+    persistGame(gameId, game);
+    publishGameEvent(gameId, 'takeback', { action: 'decline', by: color });
+    return res.json({ success: true, offers: game.offers });
+  } else {
+    return res.status(400).json({ error: 'Action must be request, accept or decline' });
+  }
+
+  if (!takeBackMoves(game, takebackFor)) {
+    return res.status(409).json({ error: 'There is no move to take back' });
+  }
+  scheduleFlagCheck(gameId, game);
+  persistGame(gameId, game);
+  publishGameEvent(gameId, 'takeback', { action: 'accept', by: color, for: takebackFor });
+
+  return res.json({
+    success: true,
+    fen: game.chess.fen(),
+    moveHistory: game.moveHistory,
+    lastMove: game.lastMove,
+  });
+});
+
+function requirePlayerSession(req, res) {
+  const player = playerRegistry.getBySession(getSessionToken(req));
+  if (!player) {
+    res.status(401).json({ error: 'Sign in with a player session first' });
+  }
+  return player;
+}
+
+// Record and recent games for a player, counted over games they played against
+// someone else. Solo games show up in the list but not in the record.
+function getPlayerGames(playerId) {
+  const stats = { games: 0, wins: 0, losses: 0, draws: 0 };
+  const recent = [];
+
+  for (const [gameId, game] of games) {
+    const colors = getSeatColors(game, playerId);
+    if (!colors.length) continue;
+
+    const color = colors.length === 2 ? 'both' : colors[0];
+    if (color !== 'both' && game.status === 'finished') {
+      const winner = getWinnerColor(game.result);
+      stats.games += 1;
+      if (game.result === RESULTS.DRAW) stats.draws += 1;
+      else if (winner === color) stats.wins += 1;
+      else if (winner) stats.losses += 1;
+    }
+
+    const opponent = color === 'white' ? game.blackPlayer : game.whitePlayer;
+    recent.push({
+      gameId,
+      color,
+      opponent: color === 'both' ? null : sanitizePlayer(opponent),
+      status: game.status,
+      result: game.result,
+      termination: game.termination,
+      updatedAt: game.updatedAt,
+    });
+  }
+
+  recent.sort((a, b) => b.updatedAt - a.updatedAt);
+  return { stats, recentGames: recent.slice(0, 10) };
+}
+
+app.post('/api/players', (req, res) => {
+  const player = playerRegistry.create({ name: req.body?.name });
+  const sessionToken = playerRegistry.createSession(player);
+  res.json({ success: true, player: playerRegistry.toPublic(player), sessionToken });
+});
+
+app.get('/api/players/me', (req, res) => {
+  const player = requirePlayerSession(req, res);
+  if (!player) return;
+  res.json({ player: playerRegistry.toPublic(player), blocked: player.blocked });
+});
+
+app.patch('/api/players/me', (req, res) => {
+  const player = requirePlayerSession(req, res);
+  if (!player) return;
+
+  try {
+    playerRegistry.rename(player, req.body?.name);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({ success: true, player: playerRegistry.toPublic(player) });
+});
+
+// First half of linking a Farcaster account: the code is entered in the link frame
+app.post('/api/players/me/link-code', (req, res) => {
+  const player = requirePlayerSession(req, res);
+  if (!player) return;
+
+  const { code, expiresAt } = playerRegistry.issueLinkCode(player);
+  res.json({
+    code,
+    expiresAt,
+    frameUrl: `${req.protocol}://${req.get('host')}/link`,
+  });
+});
+
+app.post('/api/players/me/blocks', (req, res) => {
+  const player = requirePlayerSession(req, res);
+  if (!player) return;
+
+  try {
+    playerRegistry.setBlocked(player, req.body?.playerId, true);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({ success: true, blocked: player.blocked });
+});
+
+app.delete('/api/players/me/blocks/:playerId', (req, res) => {
+  const player = requirePlayerSession(req, res);
+  if (!player) return;
+
+  try {
+    playerRegistry.setBlocked(player, req.params.playerId, false);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({ success: true, blocked: player.blocked });
+});
+
+app.get('/api/players/me/notifications', (req, res) => {
+  const player = requirePlayerSession(req, res);
+  if (!player) return;
+  res.json({ notifications: toPublicSettings(getNotificationSettings(player)) });
+});
+
+// Opting out is per kind of notification: `muted` lists the kinds not to send
+app.patch('/api/players/me/notifications', (req, res) => {
+  const player = requirePlayerSession(req, res);
+  if (!player) return;
+
+  let settings;
+  try {
+    settings = setMutedKinds(getNotificationSettings(player), req.body?.muted);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  playerRegistry.setNotifications(player, settings);
+  res.json({ success: true, notifications: toPublicSettings(settings) });
+});
+
+// The secret that signs the webhook's calls is only ever shown in this response
+app.post('/api/players/me/webhooks', async (req, res) => {
+  const player = requirePlayerSession(req, res);
+  if (!player) return;
+
+  let added;
+  try {
+    // Its calls are checked again when they're made, as the host may move
+    await req.app.locals.notifier.checkTarget(req.body?.url);
+    added = addWebhook(getNotificationSettings(player), {
+      url: req.body?.url,
+      origin: `${req.protocol}://${req.get('host')}`,
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  playerRegistry.setNotifications(player, added.settings);
+  const { id, url, secret, createdAt } = added.webhook;
+  res.json({ success: true, webhook: { id, url, createdAt }, secret });
+});
+
+app.delete('/api/players/me/webhooks/:webhookId', (req, res) => {
+  const player = requirePlayerSession(req, res);
+  if (!player) return;
+
+  let settings;
+  try {
+    settings = removeWebhook(getNotificationSettings(player), req.params.webhookId);
+  } catch (err) {
+    return res.status(404).json({ error: err.message });
+  }
+  playerRegistry.setNotifications(player, settings);
+  res.json({ success: true, notifications: toPublicSettings(settings) });
+});
+
+app.get('/api/players/:playerId', (req, res) => {
+  const player = playerRegistry.get(req.params.playerId);
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  res.json({ player: playerRegistry.toPublic(player), ...getPlayerGames(player.id) });
+});
+
+function getTimeControlKey(control) {
+  return control ? describeTimeControl(control) : 'untimed';
+}
+
+function parseRatingRange(input) {
+  if (input === undefined || input === null) return null;
+  const range = {};
+  for (const end of ['min', 'max']) {
+    if (input[end] === undefined || input[end] === null || input[end] === '') continue;
+    const value = Number(input[end]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`ratingRange.${end} must be a number`);
+    }
+    range[end] = value;
+  }
+  if (range.min !== undefined && range.max !== undefined && range.min > range.max) {
+    throw new Error('ratingRange.min cannot be above ratingRange.max');
+  }
+  return Object.keys(range).length ? range : null;
+}
+
+// Seek details for `account`. Throws with a user-facing message on bad input.
+function buildSeek(account, { timeControl, color = 'random', ratingRange, source }) {
+  const control = parseTimeControl(timeControl);
+  const normalizedColor = String(color).toLowerCase();
+  if (!SEEK_COLORS.includes(normalizedColor)) {
+    throw new Error('Invalid color choice');
+  }
+  const bucket = getRatingBucket(control);
+  return {
+    playerId: account.id,
+    name: account.name,
+    rating: Math.round((account.ratings[bucket] || DEFAULT_RATING).rating),
+    timeControl: control,
+    timeControlKey: getTimeControlKey(control),
+    bucket,
+    color: normalizedColor,
+    ratingRange: parseRatingRange(ratingRange),
+    source,
+  };
+}
+
+function toPublicSeek(seek) {
+  return {
+    id: seek.id,
+    playerId: seek.playerId,
+    name: seek.name,
+    rating: seek.rating,
+    timeControl: seek.timeControl ? describeTimeControl(seek.timeControl) : null,
+    bucket: seek.bucket,
+    color: seek.color,
+    ratingRange: seek.ratingRange,
+    status: seek.match ? 'matched' : 'open',
+    createdAt: seek.createdAt,
+    expiresAt: seek.expiresAt,
+  };
+}
+
+// Lobby events carry the open seeks, so clients can redraw the list directly
+function publishLobbyEvent(type, details = {}) {
+  lobbyEvents.publish(LOBBY_CHANNEL, type, {
+    ...details,
+    seeks: lobby.list().map(toPublicSeek),
+  });
+}
+
+// Creates the game for a pairing and seats both sides. Web players get a game
+// token as if they had joined; frame players are seated by their player id.
+function startPairing(seek, opponent) {
+  const { white, black } = lobby.assignColors(seek, opponent);
+  const gameId = uuidv4();
+  const game = createNewGame({ timeControl: seek.timeControl });
+  games.set(gameId, game);
+
+  for (const [color, side] of [
+    ['white', white],
+    ['black', black],
+  ]) {
+    const token = side.source === PLAYER_SOURCES.WEB ? uuidv4() : null;
+    const player = createPlayer({ id: side.playerId, name: side.name, token, source: side.source });
+    assignPlayer(game, color, player);
+    lobby.markMatched(side, { gameId, color, token });
+  }
+
+  persistGame(gameId, game);
+  publishLobbyEvent('pairing', { gameId, seekIds: [seek.id, opponent.id] });
+  // The new seek's player is at the lobby; the one who was waiting may not be
+  notifyChallenge(gameId, game, opponent === white ? 'white' : 'black');
+  return seek.match;
+}
 
-  res.json({ games: activeGames });
+function queueSeek(details) {
+  const { seek, opponent } = lobby.add(details);
+  if (opponent) {
+    return { seek, match: startPairing(seek, opponent) };
+  }
+  publishLobbyEvent('seek', { seekId: seek.id });
+  return { seek, match: null };
+}
+
+// The seek named in the URL, when it belongs to the session's player
+function findOwnSeek(req, res) {
+  const player = requirePlayerSession(req, res);
+  if (!player) return null;
+  const seek = lobby.get(req.params.seekId);
+  if (!seek || seek.playerId !== player.id) {
+    res.status(404).json({ error: 'Seek not found' });
+    return null;
+  }
+  return seek;
+}
+
+app.get('/api/lobby/seeks', (req, res) => {
+  res.json({ seeks: lobby.list().map(toPublicSeek) });
 });
 
-app.get('/play', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'play.html'));
+app.post('/api/lobby/seeks', (req, res) => {
+  const player = requirePlayerSession(req, res);
+  if (!player) return;
+
+  let details;
+  try {
+    details = buildSeek(player, { ...req.body, source: PLAYER_SOURCES.WEB });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { seek, match } = queueSeek(details);
+  res.json({ success: true, seek: toPublicSeek(seek), match });
 });
 
-app.get('/game/:gameId/pgn', (req, res) => {
-  const { gameId } = req.params;
+app.get('/api/lobby/seeks/:seekId', (req, res) => {
+  const seek = findOwnSeek(req, res);
+  if (!seek) return;
+  res.json({ seek: toPublicSeek(seek), match: seek.match });
+});
 
-  if (!games.has(gameId)) {
-    return res.status(404).send('Game not found');
+app.delete('/api/lobby/seeks/:seekId', (req, res) => {
+  const seek = findOwnSeek(req, res);
+  if (!seek) return;
+  if (!lobby.cancel(seek.id)) {
+    return res.status(409).json({ error: 'That seek has already been paired', match: seek.match });
   }
+  publishLobbyEvent('cancel', { seekId: seek.id });
+  res.json({ success: true });
+});
 
-  const game = games.get(gameId);
+app.post('/api/lobby/seeks/:seekId/accept', (req, res) => {
+  const player = requirePlayerSession(req, res);
+  if (!player) return;
+
+  const target = lobby.get(req.params.seekId);
+  if (!target) {
+    return res.status(404).json({ error: 'Seek not found' });
+  }
+  let pairing;
   try {
-    const pgn = game.chess.pgn();
-    res.type('text/plain').send(pgn || '');
+    const details = buildSeek(player, {
+      timeControl: target.timeControl,
+      source: PLAYER_SOURCES.WEB,
+    });
+    pairing = lobby.accept(target.id, details);
   } catch (err) {
-    res.status(500).send('Failed to generate PGN');
+    return res.status(409).json({ error: err.message });
   }
+  res.json({ success: true, match: startPairing(pairing.seek, pairing.opponent) });
 });
 
-app.post('/api/games', (req, res) => {
+app.get('/api/lobby/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+  res.write(
+    formatServerSentEvent({
+      id: lobbyEvents.lastEventId(LOBBY_CHANNEL),
+      type: 'sync',
+      data: { seeks: lobby.list().map(toPublicSeek) },
+    }),
+  );
+
+  const unsubscribe = lobbyEvents.subscribe(LOBBY_CHANNEL, (event) => {
+    res.write(formatServerSentEvent(event));
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25_000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+app.get('/lobby', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'lobby.html'));
+});
+
+// Starts the game for a tournament pairing. Both seats get a game token, so
+// either player can play from the browser as well as from the frame.
+function createTournamentGame(tournament, pairing) {
   const gameId = uuidv4();
-  games.set(gameId, createNewGame());
-  persistGamesToDisk();
+  const game = createNewGame({ timeControl: tournament.timeControl });
+  game.tournament = { id: tournament.id, round: pairing.round };
+  for (const color of ['white', 'black']) {
+    const entry = tournament.players.find((player) => player.playerId === pairing[color]);
+    const name = playerRegistry.get(entry.playerId)?.name || entry.name;
+    assignPlayer(game, color, createPlayer({ id: entry.playerId, name, token: uuidv4() }));
+  }
+  games.set(gameId, game);
+  persistGame(gameId, game);
+  notifyChallenge(gameId, game, 'white');
+  notifyChallenge(gameId, game, 'black');
+  return gameId;
+}
+
+// Arenas end on the clock, so they get a timer rather than waiting for a result
+function scheduleArenaEnd(tournament) {
+  if (tournament.format !== 'arena' || tournament.status !== 'running') return;
+  if (arenaTimers.has(tournament.id)) return;
+  const timer = setTimeout(
+    () => {
+      arenaTimers.delete(tournament.id);
+      tournamentDirector.checkClock(tournament.id);
+    },
+    Math.max(0, tournament.endsAt - Date.now()) + 50,
+  );
+  timer.unref();
+  arenaTimers.set(tournament.id, timer);
+}
+
+function toPublicTournament(tournament) {
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    format: tournament.format,
+    status: tournament.status,
+    createdBy: tournament.createdBy,
+    timeControl: tournament.timeControl ? describeTimeControl(tournament.timeControl) : null,
+    rounds: tournament.rounds,
+    currentRound: tournament.currentRound,
+    endsAt: tournament.endsAt,
+    players: tournament.players.map(({ playerId, name, rating }) => ({ playerId, name, rating })),
+    createdAt: tournament.createdAt,
+    startedAt: tournament.startedAt,
+    finishedAt: tournament.finishedAt,
+  };
+}
+
+function getPublicStandings(tournament) {
+  return computeStandings(tournament).map(
+    ({ rank, playerId, name, rating, score, played, wins, draws, losses, byes, ...rest }) => ({
+      rank,
+      playerId,
+      name,
+      rating,
+      score,
+      played,
+      wins,
+      draws,
+      losses,
+      byes,
+      buchholz: rest.buchholz,
+      sonnebornBerger: rest.sonnebornBerger,
+    }),
+  );
+}
+
+// Seeds by the account's rating for the tournament's time control
+function joinTournament(tournament, account) {
+  const rating = account.ratings[getRatingBucket(tournament.timeControl)];
+  tournamentDirector.join(tournament.id, {
+    playerId: account.id,
+    name: account.name,
+    rating: Math.round((rating || DEFAULT_RATING).rating),
+  });
+}
+
+function findTournament(req, res) {
+  const tournament = tournamentDirector.get(req.params.tournamentId);
+  if (!tournament) {
+    res.status(404).json({ error: 'Tournament not found' });
+  }
+  return tournament;
+}
+
+// Runs a director action for the session's player, answering 400 with the
+// director's message when it refuses
+function handleTournamentAction(action) {
+  return (req, res) => {
+    const player = requirePlayerSession(req, res);
+    if (!player) return;
+    const tournament = findTournament(req, res);
+    if (!tournament) return;
+    try {
+      action(tournament, player, req);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.json({ success: true, tournament: toPublicTournament(tournament) });
+  };
+}
+
+app.get('/api/tournaments', (req, res) => {
+  res.json({ tournaments: tournamentDirector.list().map(toPublicTournament) });
+});
+
+app.post('/api/tournaments', (req, res) => {
+  const player = requirePlayerSession(req, res);
+  if (!player) return;
+
+  const { name, format, rounds, timeControl, durationMinutes } = req.body || {};
+  let tournament;
+  try {
+    tournament = tournamentDirector.create({
+      name,
+      format,
+      rounds: rounds === undefined ? undefined : Number(rounds),
+      timeControl: parseTimeControl(timeControl),
+      durationMinutes: durationMinutes === undefined ? undefined : Number(durationMinutes),
+      createdBy: player.id,
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   res.json({
     success: true,
-    gameId,
-    shareUrl: buildShareUrl(req, gameId),
+    tournament: toPublicTournament(tournament),
+    frameUrl: `${req.protocol}://${req.get('host')}/tournament/${tournament.id}`,
   });
 });
 
-app.post('/api/games/:gameId/join', (req, res) => {
-  const { gameId } = req.params;
-  const { color = 'random', name } = req.body || {};
+app.get('/api/tournaments/:tournamentId', (req, res) => {
+  const tournament = findTournament(req, res);
+  if (!tournament) return;
+  res.json({
+    tournament: toPublicTournament(tournament),
+    pairings: tournament.pairings.map(({ round, white, black, gameId, result }) => ({
+      round,
+      white,
+      black,
+      gameId,
+      result,
+    })),
+    byes: tournament.byes,
+  });
+});
 
-  if (!games.has(gameId)) {
-    return res.status(404).json({ error: 'Game not found' });
+app.post(
+  '/api/tournaments/:tournamentId/join',
+  handleTournamentAction((tournament, player) => joinTournament(tournament, player)),
+);
+
+app.post(
+  '/api/tournaments/:tournamentId/leave',
+  handleTournamentAction((tournament, player) =>
+    tournamentDirector.leave(tournament.id, player.id),
+  ),
+);
+
+app.post(
+  '/api/tournaments/:tournamentId/start',
+  handleTournamentAction((tournament, player) =>
+    tournamentDirector.start(tournament.id, player.id),
+  ),
+);
+
+app.get('/api/tournaments/:tournamentId/standings', (req, res) => {
+  const tournament = findTournament(req, res);
+  if (!tournament) return;
+  res.json({ standings: getPublicStandings(tournament) });
+});
+
+app.get('/api/tournaments/:tournamentId/crosstable', (req, res) => {
+  const tournament = findTournament(req, res);
+  if (!tournament) return;
+  res.json({ crosstable: buildCrosstable(tournament) });
+});
+
+// The session player's game in progress, with the token to play it
+app.get('/api/tournaments/:tournamentId/pairing', (req, res) => {
+  const player = requirePlayerSession(req, res);
+  if (!player) return;
+  const tournament = findTournament(req, res);
+  if (!tournament) return;
+
+  const pairing = tournamentDirector.getCurrentPairing(tournament.id, player.id);
+  const game = pairing && games.get(pairing.gameId);
+  if (!game) {
+    return res.json({ pairing: null });
+  }
+  const color = pairing.white === player.id ? 'white' : 'black';
+  res.json({
+    pairing: {
+      round: pairing.round,
+      gameId: pairing.gameId,
+      color,
+      token: (color === 'white' ? game.whitePlayer : game.blackPlayer).token,
+      opponent: getPlayerDisplay(game, color === 'white' ? 'black' : 'white'),
+    },
+  });
+});
+
+function describePairing(tournament, playerId) {
+  const pairing = tournamentDirector.getCurrentPairing(tournament.id, playerId);
+  if (pairing) {
+    const color = pairing.white === playerId ? 'white' : 'black';
+    const opponentId = color === 'white' ? pairing.black : pairing.white;
+    const opponent = tournament.players.find((player) => player.playerId === opponentId);
+    return `vs ${opponent?.name || '?'} (${color === 'white' ? 'White' : 'Black'})`;
   }
+  if (
+    tournament.byes.some(
+      (bye) => bye.round === tournament.currentRound && bye.playerId === playerId,
+    )
+  ) {
+    return 'bye';
+  }
+  return tournament.status === 'running' ? 'waiting' : '';
+}
 
-  const normalizedColor = String(color).toLowerCase();
-  const allowedColors = ['white', 'black', 'random'];
-  if (!allowedColors.includes(normalizedColor)) {
-    return res.status(400).json({ error: 'Invalid color choice' });
+function describeTournamentStage(tournament) {
+  if (tournament.status === 'registering') {
+    return `Registration open (${tournament.players.length} players)`;
+  }
+  if (tournament.status === 'finished') return 'Finished';
+  if (tournament.format === 'arena') {
+    const minutes = Math.max(0, Math.ceil((tournament.endsAt - Date.now()) / 60_000));
+    return `Arena, ${minutes} min left`;
   }
+  return `Round ${tournament.currentRound} of ${tournament.rounds}`;
+}
 
-  const game = games.get(gameId);
-  const openColors = [];
-  if (!game.whitePlayer) openColors.push('white');
-  if (!game.blackPlayer) openColors.push('black');
+// Standings image with everyone's current pairing, plus the viewer's own
+// game in the title and a button straight to it
+function generateTournamentFrame(req, tournament, { viewerId = null, notice = null } = {}) {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const buttons = [{ label: 'Refresh', action: 'post' }];
+  let title = `${tournament.name} - ${describeTournamentStage(tournament)}`;
 
-  if (!openColors.length) {
-    return res.status(409).json({ error: 'Game is full' });
+  if (tournament.status === 'registering') {
+    buttons.push({ label: 'Join', action: 'post' });
+  }
+  const pairing = viewerId && tournamentDirector.getCurrentPairing(tournament.id, viewerId);
+  if (pairing) {
+    title += ` - You play ${describePairing(tournament, viewerId)}`;
+    buttons.push({
+      label: 'Play My Game',
+      action: 'post',
+      target: `${baseUrl}/frame?gameId=${encodeURIComponent(pairing.gameId)}`,
+    });
+  }
+  if (notice) {
+    title += ` - ${notice}`;
   }
 
-  let targetColor = normalizedColor;
-  if (normalizedColor === 'random') {
-    targetColor = openColors[Math.floor(Math.random() * openColors.length)];
+  const imageUrl = `${baseUrl}/tournament/${tournament.id}/image.png?v=${tournament.updatedAt}`;
+  return generateFrameHTML(
+    imageUrl,
+    buttons,
+    `${baseUrl}/tournament/${tournament.id}`,
+    { tournamentId: tournament.id, view: tournament.status },
+    null,
+    title,
+  );
+}
+
+app.get('/tournament/:tournamentId', (req, res) => {
+  const tournament = tournamentDirector.get(req.params.tournamentId);
+  if (!tournament) {
+    return res.status(404).send('Tournament not found');
   }
+  res.send(generateTournamentFrame(req, tournament));
+});
 
-  if (targetColor === 'white' && game.whitePlayer) {
-    return res.status(409).json({ error: 'White is already taken' });
+app.post('/tournament/:tournamentId', async (req, res) => {
+  const tournament = tournamentDirector.get(req.params.tournamentId);
+  if (!tournament) {
+    return res.status(404).send('Tournament not found');
   }
-  if (targetColor === 'black' && game.blackPlayer) {
-    return res.status(409).json({ error: 'Black is already taken' });
+  const verification = await req.app.locals.frameVerifier.verify(req.body?.trustedData);
+  if (!verification.valid) {
+    return res.send(
+      generateTournamentFrame(req, tournament, { notice: `Read-only: ${verification.reason}` }),
+    );
   }
 
-  const token = uuidv4();
-  const displayName = formatPlayerName(
-    name,
-    targetColor === 'white' ? 'White Player' : 'Black Player',
-  );
+  let notice = null;
+  let viewer = playerRegistry.getByFid(verification.fid);
+  if (verification.buttonIndex === 2 && tournament.status === 'registering') {
+    viewer = playerRegistry.ensureFidPlayer(verification.fid);
+    try {
+      joinTournament(tournament, viewer);
+      notice = 'You are in';
+    } catch (err) {
+      notice = err.message;
+    }
+  }
+  res.send(generateTournamentFrame(req, tournament, { viewerId: viewer?.id, notice }));
+});
 
-  const player = createPlayer({
-    id: `${token}-${targetColor}`,
-    name: displayName,
-    token,
-    source: PLAYER_SOURCES.WEB,
+app.get('/tournament/:tournamentId/image.png', (req, res) => {
+  const tournament = tournamentDirector.get(req.params.tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  const svg = createRankingSVG({
+    title: tournament.name,
+    emptyText: 'Nobody has joined yet',
+    rows: computeStandings(tournament)
+      .slice(0, 10)
+      .map((row) => ({
+        rank: row.rank,
+        name: row.name,
+        detail: describePairing(tournament, row.playerId),
+        value: formatScore(row.score),
+      })),
   });
+  res.set('Cache-Control', 'public, max-age=30');
+  res.type('png').send(svgToPNG(svg));
+});
 
-  assignPlayer(game, targetColor, player);
+// Rating changes from every rated game the player finished, oldest first
+function getRatingHistory(player, bucket = null) {
+  return player.ratingHistory
+    .filter((entry) => !bucket || entry.bucket === bucket)
+    .map((entry) => ({
+      ...entry,
+      opponent: sanitizePlayer(entry.opponent),
+      change: entry.after - entry.before,
+    }));
+}
 
-  persistGamesToDisk();
+app.get('/api/players/:playerId/ratings', (req, res) => {
+  const player = playerRegistry.get(req.params.playerId);
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  const bucket = req.query.bucket || null;
+  if (bucket && !RATING_BUCKETS[bucket]) {
+    return res.status(400).json({ error: `Unknown rating bucket "${bucket}"` });
+  }
+  res.json({ ratings: player.ratings, history: getRatingHistory(player, bucket) });
+});
 
-  res.json({
-    success: true,
-    gameId,
-    color: targetColor,
-    token,
-    player: sanitizePlayer(player),
-  });
+// Frames play untimed games, so that is the board shown unless another is asked for
+const DEFAULT_LEADERBOARD_BUCKET = 'correspondence';
+const LEADERBOARD_PAGE_SIZE = 20;
+
+function getLeaderboard(bucket, { page = 1, limit = LEADERBOARD_PAGE_SIZE } = {}) {
+  const rated = playerRegistry.listRated(bucket);
+  const start = (page - 1) * limit;
+  return {
+    bucket,
+    label: RATING_BUCKETS[bucket],
+    page,
+    limit,
+    total: rated.length,
+    pages: Math.max(1, Math.ceil(rated.length / limit)),
+    players: rated.slice(start, start + limit).map((player, i) => {
+      const rating = player.ratings[bucket];
+      return {
+        rank: start + i + 1,
+        id: player.id,
+        name: player.name,
+        fid: player.fid,
+        rating: Math.round(rating.rating),
+        rd: Math.round(rating.rd),
+        provisional: isProvisional(rating),
+        games: rating.games,
+      };
+    }),
+  };
+}
+
+function parsePositiveInt(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+app.get('/api/leaderboard', (req, res) => {
+  const bucket = req.query.bucket || DEFAULT_LEADERBOARD_BUCKET;
+  if (!RATING_BUCKETS[bucket]) {
+    return res.status(400).json({ error: `Unknown rating bucket "${bucket}"` });
+  }
+  const page = parsePositiveInt(req.query.page, 1);
+  const limit = parsePositiveInt(req.query.limit, LEADERBOARD_PAGE_SIZE);
+  if (!page || !limit || limit > 100) {
+    return res.status(400).json({ error: 'page must be 1 or more and limit between 1 and 100' });
+  }
+  res.json({ buckets: Object.keys(RATING_BUCKETS), ...getLeaderboard(bucket, { page, limit }) });
 });
 
-app.post('/api/games/:gameId/solo', (req, res) => {
-  const { gameId } = req.params;
-  const { name } = req.body || {};
+// The leaderboard frame cycles through the time controls. It only ever shows
+// public data, so unsigned button presses are good enough here.
+function generateLeaderboardFrame(req, bucket) {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const imageUrl = `${baseUrl}/leaderboard/image.png?bucket=${bucket}&t=${Math.floor(Date.now() / 60_000)}`;
+  return generateFrameHTML(
+    imageUrl,
+    [
+      { label: '◀', action: 'post' },
+      { label: '▶', action: 'post' },
+      { label: 'Play Chess', action: 'link', target: `${baseUrl}/play` },
+    ],
+    `${baseUrl}/leaderboard`,
+    { bucket },
+    null,
+    `ChessGrid Leaderboard - ${RATING_BUCKETS[bucket]}`,
+  );
+}
 
-  const soloName = formatPlayerName(name, 'Solo Player');
-  const token = uuidv4();
+function readLeaderboardBucket(value) {
+  return RATING_BUCKETS[value] ? value : DEFAULT_LEADERBOARD_BUCKET;
+}
 
-  let game = games.get(gameId);
-  if (!game) {
-    game = createNewGame();
-    games.set(gameId, game);
+app.get('/leaderboard', (req, res) => {
+  res.send(generateLeaderboardFrame(req, readLeaderboardBucket(req.query.bucket)));
+});
+
+app.post('/leaderboard', (req, res) => {
+  const untrustedData = req.body?.untrustedData || {};
+  let state = {};
+  try {
+    state = JSON.parse(decodeURIComponent(untrustedData.state || '{}'));
+  } catch {
+    state = {};
   }
 
-  resetGameState(game);
+  const buckets = Object.keys(RATING_BUCKETS);
+  const current = buckets.indexOf(readLeaderboardBucket(state.bucket));
+  const step = Number(untrustedData.buttonIndex) === 1 ? -1 : 1;
+  const next = buckets[(current + step + buckets.length) % buckets.length];
+  res.send(generateLeaderboardFrame(req, next));
+});
 
-  const whitePlayer = createPlayer({
-    id: `${token}-white`,
-    name: `${soloName} (White)`,
-    token,
-    source: PLAYER_SOURCES.WEB,
-  });
-  const blackPlayer = createPlayer({
-    id: `${token}-black`,
-    name: `${soloName} (Black)`,
-    token,
-    source: PLAYER_SOURCES.WEB,
+app.get('/leaderboard/image.png', (req, res) => {
+  const board = getLeaderboard(readLeaderboardBucket(req.query.bucket), { limit: 10 });
+  const svg = createRankingSVG({
+    title: `Leaderboard · ${board.label}`,
+    emptyText: 'No rated games yet',
+    rows: board.players.map((row) => ({
+      rank: row.rank,
+      name: row.name,
+      detail: `${row.games} ${row.games === 1 ? 'game' : 'games'}`,
+      value: `${row.rating}${row.provisional ? '?' : ''}`,
+    })),
   });
+  res.set('Cache-Control', 'public, max-age=60');
+  res.type('png').send(svgToPNG(svg));
+});
 
-  assignPlayer(game, 'white', whitePlayer);
-  assignPlayer(game, 'black', blackPlayer);
-  game.status = 'active';
+function generateLinkFrame(req, title, { done = false } = {}) {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const buttons = done
+    ? [{ label: 'Play Chess', action: 'link', target: `${baseUrl}/play` }]
+    : [{ label: 'Link', action: 'post' }];
+  return generateFrameHTML(
+    `${baseUrl}/link/image.png`,
+    buttons,
+    `${baseUrl}/link`,
+    null,
+    done ? null : 'Enter link code',
+    title,
+  );
+}
+
+app.get('/link', (req, res) => {
+  res.send(generateLinkFrame(req, 'ChessGrid - Link your Farcaster account'));
+});
+
+// Second half of linking: the signed frame message proves which FID entered the code
+app.post('/link', async (req, res) => {
+  const verification = await req.app.locals.frameVerifier.verify(req.body?.trustedData);
+  if (!verification.valid) {
+    return res.send(
+      generateLinkFrame(req, `ChessGrid - Link your account (Read-only: ${verification.reason})`),
+    );
+  }
+
+  try {
+    const player = playerRegistry.redeemLinkCode(verification.inputText, verification.fid);
+    res.send(
+      generateLinkFrame(req, `ChessGrid - Linked FID ${player.fid} to ${player.name}`, {
+        done: true,
+      }),
+    );
+  } catch (err) {
+    res.send(generateLinkFrame(req, `ChessGrid - ${err.message}`));
+  }
+});
+
+app.get('/link/image.png', (req, res) =>
+  sendBoardImage(req, res, {
+    fen: DEFAULT_POSITION,
+    lastMove: null,
+    captured: { white: [], black: [] },
+    maxAge: 86400,
+  }),
+);
+
+function getPuzzleForDay(day) {
+  return getDailyPuzzle(PUZZLES, Date.parse(`${day}T00:00:00Z`));
+}
+
+// The player's attempt at today's puzzle. Attempts from earlier days are
+// dropped as they are passed over.
+function getPuzzleAttempt(playerId, day, puzzle) {
+  for (const [key, attempt] of puzzleAttempts) {
+    if (attempt.day !== day) puzzleAttempts.delete(key);
+  }
+  const key = `${playerId}:${day}`;
+  if (!puzzleAttempts.has(key)) {
+    const attempt = startAttempt(puzzle, day);
+    // A finished attempt lost in a restart still counts as played
+    const played = playerRegistry.get(playerId)?.puzzles?.history.find((e) => e.day === day);
+    if (played) attempt.status = played.solved ? 'solved' : 'failed';
+    puzzleAttempts.set(key, attempt);
+  }
+  return puzzleAttempts.get(key);
+}
+
+function generatePuzzleFrame(req, { day, player = null, notice = null }) {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const puzzle = getPuzzleForDay(day);
+  const attempt = player ? getPuzzleAttempt(player.id, day, puzzle) : null;
+  const solving = !attempt || attempt.status === 'solving';
+  const color = getSolverColor(puzzle);
+
+  const params = new URLSearchParams({ v: `${attempt?.ply || 0}${attempt?.status || ''}` });
+  if (player) params.set('player', player.id);
+  if (notice) params.set('notice', notice);
+  const buttons = solving
+    ? [{ label: 'Move', action: 'post' }]
+    : [{ label: 'Play Chess', action: 'link', target: `${baseUrl}/play` }];
+  let title = `ChessGrid Daily Puzzle - ${color === 'white' ? 'White' : 'Black'} to move`;
+  if (notice) title += ` - ${notice}`;
+
+  return generateFrameHTML(
+    `${baseUrl}/puzzle/${day}/image.png?${params}`,
+    buttons,
+    `${baseUrl}/puzzle`,
+    { view: 'puzzle', day },
+    solving ? 'Your move (e.g., Nf3 or e2e4)' : null,
+    title,
+  );
+}
+
+app.get('/puzzle', (req, res) => {
+  res.send(generatePuzzleFrame(req, { day: getPuzzleDay() }));
+});
+
+// Moves come in one at a time through the text input; the server answers each
+// right move with the opponent's reply
+app.post('/puzzle', async (req, res) => {
+  const day = getPuzzleDay();
+  const verification = await req.app.locals.frameVerifier.verify(req.body?.trustedData);
+  if (!verification.valid) {
+    return res.send(generatePuzzleFrame(req, { day, notice: `Read-only: ${verification.reason}` }));
+  }
+
+  const player = playerRegistry.ensureFidPlayer(verification.fid);
+  const puzzle = getPuzzleForDay(day);
+  const attempt = getPuzzleAttempt(player.id, day, puzzle);
+  let notice = null;
 
-  persistGamesToDisk();
+  if (attempt.status !== 'solving') {
+    notice = 'Come back tomorrow for a new puzzle';
+  } else {
+    try {
+      const { from, to, promotion } = readMove(
+        new Chess(getAttemptFen(puzzle, attempt)),
+        verification.inputText,
+      );
+      const result = playPuzzleMove(puzzle, attempt, { from, to, promotion });
+      if (!result.correct) {
+        notice = `${result.san}? Best was ${result.answer}`;
+      } else if (result.reply) {
+        notice = `${result.san} ${result.reply} - keep going`;
+      } else {
+        notice = `${result.san} - solved!`;
+      }
+      if (attempt.status !== 'solving' && !hasPlayedDaily(player.puzzles, day)) {
+        playerRegistry.setPuzzleProgress(
+          player,
+          recordPuzzleResult(player.puzzles, puzzle, { day, solved: attempt.status === 'solved' }),
+        );
+      }
+    } catch (err) {
+      notice = err.message;
+    }
+  }
+
+  res.send(generatePuzzleFrame(req, { day, player, notice }));
+});
+
+app.get('/puzzle/:day/image.png', (req, res) => {
+  const { day } = req.params;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || Number.isNaN(Date.parse(day))) {
+    return res.status(404).json({ error: 'Puzzle not found' });
+  }
+  const puzzle = getPuzzleForDay(day);
+  const player = req.query.player ? playerRegistry.get(req.query.player) : null;
+  const attempt = player ? puzzleAttempts.get(`${player.id}:${day}`) : null;
+  const color = getSolverColor(puzzle);
+
+  const lines = [];
+  if (attempt?.status === 'solved') {
+    lines.push({ text: 'Solved!', highlight: true });
+  } else if (attempt?.status === 'failed') {
+    lines.push({ text: 'Not this time', highlight: true });
+  } else {
+    lines.push({ text: `${color === 'white' ? 'White' : 'Black'} to move`, highlight: true });
+  }
+  if (req.query.notice) lines.push({ text: String(req.query.notice) });
+  lines.push({ text: `${day} · rated ${puzzle.rating}` });
+  if (attempt && attempt.status !== 'solving') {
+    lines.push({ text: puzzle.themes.join(', ') });
+  }
+  if (player?.puzzles) {
+    lines.push({ text: `Your rating ${formatRating(player.puzzles.rating)}` });
+    lines.push({ text: `Streak ${getCurrentStreak(player.puzzles, day)}` });
+  }
+
+  const svg = createPuzzleImageSVG({
+    fen: attempt ? getAttemptFen(puzzle, attempt) : puzzle.fen,
+    orientation: color,
+    lastMove: attempt?.lastMove || null,
+    heading: 'Daily Puzzle',
+    lines,
+  });
+  res.set('Cache-Control', 'public, max-age=60');
+  res.type('png').send(svgToPNG(svg));
+});
 
+app.get('/api/puzzles/daily', (req, res) => {
+  const day = getPuzzleDay();
   res.json({
-    success: true,
-    gameId,
-    token,
-    mode: 'solo',
-    player: {
-      name: soloName,
+    day,
+    puzzle: toPublicPuzzle(getPuzzleForDay(day)),
+    frameUrl: `${req.protocol}://${req.get('host')}/puzzle`,
+  });
+});
+
+app.get('/api/players/:playerId/puzzles', (req, res) => {
+  const player = playerRegistry.get(req.params.playerId);
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  const progress = player.puzzles;
+  if (!progress) {
+    return res.json({ puzzles: null });
+  }
+  res.json({
+    puzzles: {
+      rating: Math.round(progress.rating.rating),
+      provisional: isProvisional(progress.rating),
+      solved: progress.solved,
+      failed: progress.failed,
+      streak: getCurrentStreak(progress, getPuzzleDay()),
+      bestStreak: progress.bestStreak,
+      history: progress.history,
     },
   });
 });
@@ -884,6 +3718,14 @@ app.get('/game/:gameId/moves/:square', (req, res) => {
 const PORT = process.env.PORT || 3000;
 
 if (process.env.NODE_ENV !== 'test') {
+  // Let queued writes finish before exiting
+  const shutdown = async () => {
+    await gameStore.close();
+    process.exit(0);
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+
   app.listen(PORT, () => {
     console.log(`ChessGrid server running on port ${PORT}`);
     console.log(`Frame URL: http://localhost:${PORT}`);
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeGame, buildAnnotatedPgn, formatEval, toWhiteEval } from '../lib/analysis.js';
+import { MATE_SCORE, createEngineWorker } from '../lib/engine.js';
+
+test('engine scores become evaluations from White’s side', () => {
+  assert.deepEqual(toWhiteEval(35, 'w'), { cp: 35, mate: null });
+  assert.deepEqual(toWhiteEval(35, 'b'), { cp: -35, mate: null });
+  // Mated three plies from now: two of the mating side's moves
+  assert.deepEqual(toWhiteEval(MATE_SCORE - 3, 'b'), { cp: -1000, mate: -2 });
+  assert.equal(formatEval({ cp: -35, mate: null }), '-0.35');
+  assert.equal(formatEval({ cp: 1000, mate: 1 }), '#1');
+});
+
+test('moves are judged against the engine’s choice and annotated', async () => {
+  // White is a pawn up, or five once Black puts a knight on c6
+  const engine = {
+    search: async (chess) => {
+      const fen = chess.fen();
+      const white = fen.startsWith('r1bqkbnr/pppp1ppp/2n5') ? 500 : 100;
+      const turn = fen.split(' ')[1];
+      return {
+        score: turn === 'w' ? white : -white,
+        move: { san: turn === 'w' ? 'Nf3' : { 1: 'e5', 2: 'Nf6' }[fen.split(' ')[5]] },
+      };
+    },
+  };
+  const analysis = await analyzeGame(engine, {
+    startFen: 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1',
+    moves: ['e5', 'Nf3', 'Nc6'],
+  });
+  assert.deepEqual(
+    analysis.moves.map(({ san, classification }) => [san, classification]),
+    [
+      ['e5', 'best'],
+      ['Nf3', 'best'],
+      ['Nc6', 'blunder'],
+    ],
+  );
+  assert.equal(analysis.accuracy.white, 100);
+
+  const pgn = buildAnnotatedPgn({ Event: 'Test "game"', Result: '*' }, analysis);
+  assert.match(
+    pgn,
+    /^\[Event "Test \\"game\\""\]\n\[Result "\*"\]\n\n1\.\.\. e5 \{ \[%eval 1\.00\] \}/,
+  );
+  assert.match(pgn, /2\.\.\. Nc6 \$4\s\{ \[%eval 5\.00\] Nf6 was best\. \} \*\n$/);
+});
+
+test('games are analysed on the engine worker, off the main thread', async () => {
+  const worker = createEngineWorker();
+  let ticks = 0;
+  const timer = setInterval(() => ticks++, 1);
+  const analysis = await analyzeGame(
+    worker,
+    { moves: ['f3', 'e5', 'g4', 'Qh4#'] },
+    { depth: 2, timeMs: 100 },
+  );
+  clearInterval(timer);
+  await worker.close();
+
+  assert.equal(analysis.moves[2].classification, 'blunder');
+  assert.deepEqual(
+    analysis.moves.slice(-1).map((entry) => [entry.classification, entry.eval.mate]),
+    [['best', 0]],
+  );
+  assert.ok(ticks > 0);
+});
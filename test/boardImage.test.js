@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { svgToPNG } from '../lib/boardImage.js';
+
+test('text is drawn with the bundled font wherever the server runs', () => {
+  const svg = (text) =>
+    `<svg xmlns="http://www.w3.org/2000/svg" width="240" height="60">
+  <rect width="240" height="60" fill="#312e81"/>
+  <text x="10" y="42" style="font-family: sans-serif; font-size: 30px; font-weight: bold; fill: #ffffff">${text}</text>
+</svg>`;
+
+  const blank = svgToPNG(svg(''));
+  assert.notDeepEqual(svgToPNG(svg('Qxf7#')), blank);
+  assert.notDeepEqual(svgToPNG(svg('1-0')), svgToPNG(svg('0-1')));
+});
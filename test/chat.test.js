@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CHAT_HISTORY_LIMIT,
+  addChatMessage,
+  createChatLog,
+  createChatRateLimiter,
+  createWordFilter,
+  getMutedIds,
+  setMuted,
+} from '../lib/chat.js';
+
+test('the word filter masks blocked words and words built on them', () => {
+  const filter = createWordFilter(['darn', 'a.b']);
+  assert.equal(filter('Darn it, darnedest move'), '**** it, ********* move');
+  assert.equal(filter('undarned aXb a.b'), 'undarned aXb ***');
+  assert.equal(createWordFilter([' ', ''])('darn'), 'darn');
+});
+
+test('the rate limiter allows a burst per key within the window', () => {
+  let clock = 0;
+  const limiter = createChatRateLimiter({ limit: 2, windowMs: 1000, now: () => clock });
+  assert.equal(limiter.allow('a'), true);
+  assert.equal(limiter.allow('a'), true);
+  assert.equal(limiter.allow('a'), false);
+  assert.equal(limiter.allow('b'), true);
+  clock = 1001;
+  assert.equal(limiter.allow('a'), true);
+});
+
+test('messages are checked, filtered and capped per room', () => {
+  const chat = createChatLog();
+  const send = (text) =>
+    addChatMessage(chat, { room: 'players', playerId: 'p1', name: 'P1', text, now: 1 });
+  assert.throws(() => send('   '), /empty/);
+  assert.throws(() => send('x'.repeat(281)), /280 characters/);
+
+  const message = addChatMessage(chat, {
+    room: 'spectators',
+    playerId: 'p2',
+    name: 'P2',
+    text: '  darn  ',
+    filter: createWordFilter(['darn']),
+    now: 5,
+  });
+  assert.equal(message.text, '****');
+  assert.equal(chat.players.length, 0);
+
+  for (let i = 0; i <= CHAT_HISTORY_LIMIT; i++) send(`m${i}`);
+  assert.equal(chat.players.length, CHAT_HISTORY_LIMIT);
+  assert.equal(chat.players[0].text, 'm1');
+
+  setMuted(chat, 'p1', 'p2', true);
+  assert.deepEqual(getMutedIds(chat, 'p1'), ['p2']);
+  setMuted(chat, 'p1', 'p2', false);
+  assert.deepEqual(getMutedIds(chat, 'p1'), []);
+  assert.deepEqual(getMutedIds(chat, null), []);
+});
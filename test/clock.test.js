@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Chess } from 'chess.js';
+import {
+  createClock,
+  getFlaggedColor,
+  getRemaining,
+  hasMatingMaterial,
+  parseTimeControl,
+  pressClock,
+} from '../lib/clock.js';
+
+test('time controls parse presets, shorthand and custom delay clocks', () => {
+  assert.deepEqual(parseTimeControl('blitz'), {
+    initialMs: 300000,
+    incrementMs: 3000,
+    type: 'fischer',
+  });
+  assert.deepEqual(parseTimeControl('3+2'), {
+    initialMs: 180000,
+    incrementMs: 2000,
+    type: 'fischer',
+  });
+  assert.equal(
+    parseTimeControl({ initial: 60, increment: 2, type: 'bronstein' }).type,
+    'bronstein',
+  );
+  assert.equal(parseTimeControl(undefined), null);
+  assert.throws(() => parseTimeControl('forever'));
+  assert.throws(() => parseTimeControl({ initial: 60, type: 'hourglass' }));
+});
+
+test('fischer, bronstein and simple delay clocks credit time differently', () => {
+  const run = (type) => {
+    const clock = createClock({ initialMs: 60000, incrementMs: 5000, type });
+    pressClock(clock, 'w', 0); // first move is free and starts black's clock
+    pressClock(clock, 'b', 3000); // black spends 3s
+    return clock.remaining.b;
+  };
+
+  assert.equal(run('fischer'), 62000);
+  assert.equal(run('bronstein'), 60000);
+  assert.equal(run('delay'), 60000);
+});
+
+test('a running clock flags when it reaches zero', () => {
+  const clock = createClock({ initialMs: 20000, incrementMs: 0, type: 'fischer' });
+  pressClock(clock, 'w', 0);
+  assert.equal(getRemaining(clock, 'b', 5000), 15000);
+  assert.equal(getFlaggedColor(clock, 19999), null);
+  assert.equal(getFlaggedColor(clock, 20000), 'b');
+});
+
+test('lone king or single minor piece cannot win on time', () => {
+  assert.equal(hasMatingMaterial(new Chess('8/8/8/4k3/8/8/8/4K3 w - - 0 1'), 'w'), false);
+  assert.equal(hasMatingMaterial(new Chess('8/8/8/4k3/8/8/8/4KN2 w - - 0 1'), 'w'), false);
+  assert.equal(hasMatingMaterial(new Chess('8/8/8/4k3/8/8/8/3BKN2 w - - 0 1'), 'w'), true);
+  assert.equal(hasMatingMaterial(new Chess('8/8/8/4k3/8/8/4P3/4K3 w - - 0 1'), 'w'), true);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Chess } from 'chess.js';
+import {
+  MATE_SCORE,
+  createEngine,
+  createEngineWorker,
+  evaluate,
+  parseEngineLevel,
+} from '../lib/engine.js';
+
+test('engine finds mates and wins material', () => {
+  const engine = createEngine();
+
+  const backRank = engine.search('6k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1', { level: 3 });
+  assert.equal(backRank.move.san, 'Rd8#');
+  assert.equal(backRank.score, MATE_SCORE - 1);
+
+  const hangingQueen = engine.search(
+    'rnb1kbnr/pppp1ppp/8/4p3/3q4/2N2N2/PPPPPPPP/R1BQKB1R w KQkq - 0 1',
+    { level: 3 },
+  );
+  assert.equal(hangingQueen.move.san, 'Nxd4');
+
+  const promotion = engine.search('8/P6k/8/8/8/8/8/K7 w - - 0 1', { level: 3 });
+  assert.deepEqual(
+    { from: promotion.move.from, to: promotion.move.to, promotion: promotion.move.promotion },
+    { from: 'a7', to: 'a8', promotion: 'q' },
+  );
+
+  assert.equal(engine.search('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1'), null);
+});
+
+test('engine accepts a game and stays within its time budget', () => {
+  let clock = 0;
+  const engine = createEngine({ now: () => (clock += 5) });
+  const game = new Chess();
+  ['e4', 'e5', 'Nf3', 'Nc6'].forEach((san) => game.move(san));
+
+  const result = engine.search(game, { level: 5, timeMs: 200 });
+  assert.ok(game.moves().includes(result.move.san));
+  assert.ok(result.depth >= 1 && result.depth < 6);
+});
+
+test('the engine worker searches games off the main thread', async () => {
+  const worker = createEngineWorker();
+  const game = new Chess('6k1/5ppp/8/8/8/8/5PPP/2R3K1 w - - 0 1');
+  game.move('Rd1');
+  game.move('Kh8');
+
+  let ticks = 0;
+  const timer = setInterval(() => ticks++, 1);
+  const [mate, quick] = await Promise.all([
+    worker.search(game, { level: 3 }),
+    worker.search(new Chess(), { level: 1 }),
+  ]);
+  clearInterval(timer);
+  assert.equal(mate.move.san, 'Rd8#');
+  assert.ok(new Chess().moves().includes(quick.move.san));
+  assert.ok(ticks > 0);
+
+  await assert.rejects(worker.search(game, { level: 9 }), /between 1 and 5/);
+  await worker.close();
+});
+
+test('evaluation and levels', () => {
+  assert.equal(evaluate(new Chess()), 0);
+  assert.ok(evaluate(new Chess('4k3/8/8/8/8/8/8/3QK3 w - - 0 1')) > 800);
+
+  assert.equal(parseEngineLevel(), 3);
+  assert.equal(parseEngineLevel('5'), 5);
+  assert.throws(() => parseEngineLevel(9), /between 1 and 5/);
+});
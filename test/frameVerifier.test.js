@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  createFrameVerifier,
+  decodeFrameMessage,
+  encodeFrameActionData,
+  encodeMessage,
+  hashMessageData,
+  toFarcasterTime,
+} from '../lib/frameVerifier.js';
+import { createLocalHub } from '../lib/localHub.js';
+
+const FRAME_URL = 'https://chess.test';
+
+test('verifier accepts a message signed by a registered signer', async () => {
+  const hub = createLocalHub({ frameUrl: FRAME_URL });
+  const verifier = createFrameVerifier({ hub, frameUrl: FRAME_URL });
+  const messageBytes = hub.signFrameAction({
+    fid: 4242,
+    buttonIndex: 2,
+    inputText: 'e2e4',
+    state: '{"gameId":"abc"}',
+  });
+
+  const result = await verifier.verify({ messageBytes });
+  assert.equal(result.valid, true);
+  assert.equal(result.fid, '4242');
+  assert.equal(result.buttonIndex, 2);
+  assert.equal(result.inputText, 'e2e4');
+  assert.equal(result.state, '{"gameId":"abc"}');
+});
+
+test('verifier rejects tampered, stale and unregistered messages', async () => {
+  const hub = createLocalHub({ frameUrl: FRAME_URL });
+  const now = Date.now();
+  const verifier = createFrameVerifier({
+    hub,
+    frameUrl: FRAME_URL,
+    maxAgeMs: 60_000,
+    now: () => now,
+  });
+
+  const signed = hub.signFrameAction({ fid: 7, buttonIndex: 1, timestamp: now });
+  const decoded = decodeFrameMessage(signed);
+  assert.equal(decoded.data.fid, 7);
+
+  // Flip the FID inside the signed data so the hash no longer matches
+  const tampered = signed.replace(/1007/, '1008');
+  assert.notEqual(tampered, signed);
+  const tamperedResult = await verifier.verify({ messageBytes: tampered });
+  assert.equal(tamperedResult.valid, false);
+
+  const stale = hub.signFrameAction({ fid: 7, buttonIndex: 1, timestamp: now - 120_000 });
+  assert.equal((await verifier.verify({ messageBytes: stale })).reason, 'Frame message expired');
+
+  const otherHub = createLocalHub({ frameUrl: FRAME_URL });
+  const foreign = otherHub.signFrameAction({ fid: 7, buttonIndex: 1, timestamp: now });
+  assert.equal(
+    (await verifier.verify({ messageBytes: foreign })).reason,
+    'Signer is not registered for this FID',
+  );
+
+  assert.equal((await verifier.verify(undefined)).valid, false);
+});
+
+test('verifier refuses fields sent with the wrong wire type instead of throwing', async () => {
+  const hub = createLocalHub({ frameUrl: FRAME_URL });
+  const verifier = createFrameVerifier({ hub, frameUrl: FRAME_URL });
+  const dataBytes = encodeFrameActionData({ fid: 7, timestamp: 0, buttonIndex: 1 });
+  const signer = Buffer.alloc(32);
+
+  // Each byte field in turn arrives as a varint
+  for (const fields of [
+    { hash: 5, signature: Buffer.alloc(64), signer },
+    { hash: Buffer.alloc(20), signature: 5, signer },
+    { hash: Buffer.alloc(20), signature: Buffer.alloc(64), signer: 5 },
+    { dataBytes: 5, hash: Buffer.alloc(20), signature: Buffer.alloc(64), signer },
+  ]) {
+    const messageBytes = encodeMessage({ dataBytes, ...fields }).toString('hex');
+    assert.deepEqual(await verifier.verify({ messageBytes }), {
+      valid: false,
+      reason: 'Malformed frame message',
+    });
+  }
+});
+
+test('verifier only takes actions made on its own frames', async () => {
+  const hub = createLocalHub();
+  const verifier = createFrameVerifier({ hub, frameUrl: FRAME_URL });
+  const verify = async (url) =>
+    (await verifier.verify({ messageBytes: hub.signFrameAction({ fid: 9, buttonIndex: 1, url }) }))
+      .reason || null;
+
+  assert.equal(await verify(`${FRAME_URL}/?gameId=abc`), null);
+  assert.equal(await verify(`${FRAME_URL}/tournament/t1`), null);
+  for (const url of [
+    'https://other-frame.example/?gameId=abc',
+    'https://chess.test.evil.example/',
+    'http://chess.test/',
+    'not a url',
+    '',
+  ]) {
+    assert.equal(await verify(url), 'Frame message is for another frame', url);
+  }
+
+  const unconfigured = createFrameVerifier({ hub });
+  const messageBytes = hub.signFrameAction({ fid: 9, buttonIndex: 1, url: `${FRAME_URL}/` });
+  assert.equal((await unconfigured.verify({ messageBytes })).reason, 'Frame URL is not configured');
+
+  const below = createFrameVerifier({ hub, frameUrl: `${FRAME_URL}/chess` });
+  const sibling = hub.signFrameAction({ fid: 9, buttonIndex: 1, url: `${FRAME_URL}/chessboard` });
+  assert.equal(
+    (await below.verify({ messageBytes: sibling })).reason,
+    'Frame message is for another frame',
+  );
+});
+
+test('verifier refuses actions signed on another Farcaster network', async () => {
+  const hub = createLocalHub({ frameUrl: FRAME_URL });
+  const verifier = createFrameVerifier({ hub, frameUrl: FRAME_URL });
+  // Signed by a registered key, but on testnet
+  const signer = hub.addSigner(11);
+  const dataBytes = encodeFrameActionData({
+    fid: 11,
+    timestamp: toFarcasterTime(Date.now()),
+    network: 2,
+    url: `${FRAME_URL}/`,
+    buttonIndex: 1,
+  });
+  const hash = hashMessageData(dataBytes);
+  const signature = crypto.sign(null, hash, signer.privateKey);
+  const messageBytes = encodeMessage({
+    dataBytes,
+    hash,
+    signature,
+    signer: signer.publicKey,
+  }).toString('hex');
+  assert.equal(
+    (await verifier.verify({ messageBytes })).reason,
+    'Frame message is for another network',
+  );
+});
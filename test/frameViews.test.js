@@ -0,0 +1,143 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import {
+  FRAME_ACTIONS,
+  FRAME_VIEWS,
+  chooseFrameView,
+  getPressedAction,
+  renderFrameView,
+} from '../lib/frameViews.js';
+
+// node:test only has snapshots from Node 22, so they are kept by hand here.
+// Run with UPDATE_SNAPSHOTS=1 to rewrite them after an intended change.
+const SNAPSHOT_FILE = new URL('./frameViews.test.js.snapshot', import.meta.url);
+const updating = Boolean(process.env.UPDATE_SNAPSHOTS);
+const saved = existsSync(SNAPSHOT_FILE) ? JSON.parse(readFileSync(SNAPSHOT_FILE, 'utf8')) : {};
+const snapshots = {};
+
+function assertSnapshot(name, value) {
+  const actual = JSON.parse(JSON.stringify(value));
+  snapshots[name] = actual;
+  if (!updating) {
+    assert.ok(name in saved, `No snapshot for "${name}" - run with UPDATE_SNAPSHOTS=1`);
+    assert.deepEqual(actual, saved[name], `Snapshot "${name}" changed`);
+  }
+}
+
+after(() => {
+  if (updating) {
+    writeFileSync(SNAPSHOT_FILE, `${JSON.stringify(snapshots, null, 2)}\n`);
+  }
+});
+
+const game = {
+  gameId: 'game-1',
+  vsLabel: 'alice vs bob',
+  shareUrl: 'https://chess.test/play?gameId=game-1',
+  imageUrl: 'https://chess.test/image/game-1.png?v=abc',
+  mover: 'White',
+  clockLabel: ' [4:58 | 5:00]',
+  inCheck: false,
+  resetRequested: false,
+};
+
+test('every view renders to the same frame', () => {
+  const frames = {
+    'lobby, empty': [FRAME_VIEWS.LOBBY, { ...game, vsLabel: 'White vs Black', clockLabel: '' }],
+    'lobby, one seat taken': [
+      FRAME_VIEWS.LOBBY,
+      { ...game, vsLabel: 'alice vs Black', seated: true },
+    ],
+    'your turn': [FRAME_VIEWS.YOUR_TURN, game],
+    'your turn, in check with a reset request': [
+      FRAME_VIEWS.YOUR_TURN,
+      { ...game, inCheck: true, resetRequested: true },
+    ],
+    waiting: [FRAME_VIEWS.WAITING, { ...game, mover: 'Black' }],
+    spectator: [FRAME_VIEWS.SPECTATOR, game],
+    vote: [
+      FRAME_VIEWS.VOTE,
+      {
+        ...game,
+        imageUrl: 'https://chess.test/image/game-1/vote.png?v=abc&mine=e4',
+        ballotLabel: ' - Votes: e4 2, d4 1 - 0:59 left - Your vote: e4',
+      },
+    ],
+    'finished, player': [FRAME_VIEWS.FINISHED, { ...game, resultLabel: 'White wins by checkmate' }],
+    'finished, spectator': [FRAME_VIEWS.FINISHED, { ...game, spectating: true }],
+    'history, mid-game': [
+      FRAME_VIEWS.HISTORY,
+      {
+        gameId: 'game-1',
+        imageUrl: 'https://chess.test/image/game-1/ply/3.png?v=abc',
+        ply: 3,
+        plies: 10,
+        plyLabel: '2. Nf3',
+        clockLabel: ' [4:50 | 4:55]',
+      },
+    ],
+    'history, last ply': [
+      FRAME_VIEWS.HISTORY,
+      {
+        gameId: 'game-1',
+        imageUrl: 'https://chess.test/image/game-1/ply/10.png?v=abc',
+        ply: 10,
+        plies: 10,
+        plyLabel: '5... Nf6',
+      },
+    ],
+    seek: [
+      FRAME_VIEWS.SEEK,
+      {
+        gameId: 'game-1',
+        imageUrl: game.imageUrl,
+        seekId: 'seek-1',
+        seekTitle: 'Searching for an opponent',
+        waitingFor: '5+3',
+        lobbyUrl: 'https://chess.test/lobby',
+      },
+    ],
+    'your turn, with a notice': [FRAME_VIEWS.YOUR_TURN, { ...game, notice: 'Illegal move: e5' }],
+    'read-only': [FRAME_VIEWS.YOUR_TURN, { ...game, readOnly: 'Invalid signature' }],
+  };
+
+  for (const [name, [view, context]] of Object.entries(frames)) {
+    assertSnapshot(name, renderFrameView(view, context));
+  }
+  assert.deepEqual(
+    new Set(Object.values(frames).map(([view]) => view)),
+    new Set(Object.values(FRAME_VIEWS)),
+  );
+});
+
+test('the view follows the game and who is looking', () => {
+  const active = { status: 'active', moverColor: 'white' };
+  assert.equal(chooseFrameView({ status: 'waiting' }), FRAME_VIEWS.LOBBY);
+  assert.equal(chooseFrameView({ status: 'finished', viewerColors: [] }), FRAME_VIEWS.FINISHED);
+  assert.equal(
+    chooseFrameView({ ...active, crowdTurn: true, viewerColors: ['black'] }),
+    FRAME_VIEWS.VOTE,
+  );
+  assert.equal(chooseFrameView(active), FRAME_VIEWS.YOUR_TURN);
+  assert.equal(chooseFrameView({ ...active, viewerColors: [] }), FRAME_VIEWS.SPECTATOR);
+  assert.equal(chooseFrameView({ ...active, viewerColors: ['white'] }), FRAME_VIEWS.YOUR_TURN);
+  assert.equal(chooseFrameView({ ...active, viewerColors: ['black'] }), FRAME_VIEWS.WAITING);
+  assert.equal(
+    chooseFrameView({ ...active, viewerColors: ['white', 'black'] }),
+    FRAME_VIEWS.YOUR_TURN,
+  );
+});
+
+test('a press is read against the buttons in the state it came with', () => {
+  const { state } = renderFrameView(FRAME_VIEWS.FINISHED, game);
+  assert.equal(getPressedAction(state, 1), FRAME_ACTIONS.NEW_GAME);
+  assert.equal(getPressedAction(state, 2), FRAME_ACTIONS.HISTORY);
+  assert.equal(getPressedAction(state, 5), null);
+  assert.equal(getPressedAction({ ...state, actions: ['delete-game'] }, 1), null);
+
+  // Older frames only carried their view
+  assert.equal(getPressedAction({ view: 'replay' }, 4), FRAME_ACTIONS.LAST);
+  assert.equal(getPressedAction({ view: 'vote' }, 1), FRAME_ACTIONS.VOTE);
+  assert.equal(getPressedAction({ view: 'player' }, 1), null);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameEventHub, formatServerSentEvent } from '../lib/gameEvents.js';
+
+test('event hub replays missed events after a known id', () => {
+  const hub = createGameEventHub({ historyLimit: 2 });
+  const received = [];
+  const unsubscribe = hub.subscribe('g1', (event) => received.push(event.type));
+
+  const first = hub.publish('g1', 'join');
+  const second = hub.publish('g1', 'move');
+  hub.publish('g1', 'move');
+  unsubscribe();
+  hub.publish('g1', 'game-end');
+
+  assert.deepEqual(received, ['join', 'move', 'move']);
+
+  const replay = hub.replaySince('g1', second.id);
+  assert.equal(replay.complete, true);
+  assert.deepEqual(
+    replay.events.map((event) => event.type),
+    ['move', 'game-end'],
+  );
+
+  // The first event has fallen out of the buffer, so the gap cannot be filled
+  assert.equal(hub.replaySince('g1', first.id).complete, false);
+  assert.equal(hub.replaySince('g1', 'stale-boot:1').complete, false);
+  assert.equal(hub.replaySince('g1', hub.lastEventId('g1')).complete, true);
+});
+
+test('broadcasts reach listeners without entering the replay buffer', () => {
+  const hub = createGameEventHub();
+  const received = [];
+  hub.subscribe('g1', (event) => received.push(event));
+
+  const move = hub.publish('g1', 'move');
+  hub.broadcast('g1', 'presence');
+  assert.deepEqual(
+    received.map((event) => [event.type, event.id]),
+    [
+      ['move', move.id],
+      ['presence', move.id],
+    ],
+  );
+  assert.deepEqual(hub.replaySince('g1', move.id), { events: [], complete: true });
+});
+
+test('events are formatted as SSE frames', () => {
+  const text = formatServerSentEvent({ id: 'a:1', type: 'move', data: { san: 'e4' } });
+  assert.equal(text, 'id: a:1\nevent: move\ndata: {"san":"e4"}\n\n');
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Chess } from 'chess.js';
+import { describeResult, detectBoardTermination } from '../lib/gameResult.js';
+
+test('board terminations map to results', () => {
+  const mate = new Chess();
+  ['f3', 'e5', 'g4', 'Qh4#'].forEach((san) => mate.move(san));
+  assert.deepEqual(detectBoardTermination(mate), { result: '0-1', termination: 'checkmate' });
+
+  const stalemate = new Chess('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1');
+  assert.deepEqual(detectBoardTermination(stalemate), {
+    result: '1/2-1/2',
+    termination: 'stalemate',
+  });
+
+  const bare = new Chess('8/8/8/4k3/8/8/8/4K3 w - - 0 1');
+  assert.equal(detectBoardTermination(bare).termination, 'insufficient-material');
+
+  const fiftyMoves = new Chess('8/8/8/4k3/8/8/8/R3K3 w - - 100 80');
+  assert.equal(detectBoardTermination(fiftyMoves).termination, 'fifty-move-rule');
+
+  const repeated = new Chess();
+  ['Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'Nf6', 'Ng1', 'Ng8'].forEach((san) => repeated.move(san));
+  assert.equal(detectBoardTermination(repeated).termination, 'threefold-repetition');
+
+  assert.equal(detectBoardTermination(new Chess()), null);
+});
+
+test('results are described for display', () => {
+  assert.equal(describeResult('0-1', 'resignation'), 'Black wins (resignation)');
+  assert.equal(describeResult('1/2-1/2', 'agreement'), 'Draw by agreement');
+  assert.equal(describeResult('*', null), null);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSeekQueue } from '../lib/lobby.js';
+
+const seek = (playerId, extra = {}) => ({
+  playerId,
+  name: playerId,
+  rating: 1500,
+  timeControlKey: '3+2',
+  color: 'random',
+  ratingRange: null,
+  ...extra,
+});
+
+test('seeks pair with the longest-waiting compatible seek', () => {
+  let clock = 0;
+  const queue = createSeekQueue({ now: () => clock, ttlMs: 1000 });
+
+  assert.equal(queue.add(seek('a', { color: 'white' })).opponent, null);
+  clock += 1;
+  assert.equal(queue.add(seek('b', { timeControlKey: 'untimed' })).opponent, null);
+  assert.equal(queue.add(seek('c', { ratingRange: { min: 1600 } })).opponent, null);
+  // Posting again replaces the player's seek, and both sides can't have white
+  assert.equal(queue.add(seek('a', { color: 'white' })).opponent, null);
+  assert.equal(queue.add(seek('d', { color: 'white' })).opponent, null);
+  assert.deepEqual(
+    queue.list().map((open) => open.playerId),
+    ['b', 'c', 'a', 'd'],
+  );
+
+  const { seek: mine, opponent } = queue.add(seek('e', { color: 'black' }));
+  assert.equal(opponent.playerId, 'a');
+  assert.deepEqual(queue.assignColors(mine, opponent), { white: opponent, black: mine });
+  queue.markMatched(opponent, { gameId: 'g1' });
+  assert.equal(queue.get(opponent.id).match.gameId, 'g1');
+  assert.ok(!queue.list().includes(opponent));
+
+  assert.throws(() => queue.accept(queue.list()[1].id, seek('f')), /outside the range/);
+  assert.throws(() => queue.accept('missing', seek('f')), /no longer open/);
+
+  clock += 1000;
+  assert.deepEqual(queue.list(), []);
+  assert.equal(queue.get(opponent.id), null);
+});
@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createLocalHub } from '../lib/localHub.js';
+import {
+  MINI_APP_EVENTS,
+  QUICK_AUTH_ISSUER,
+  buildMiniAppEmbed,
+  buildMiniAppManifest,
+  createHttpJwks,
+  createMiniAppEventVerifier,
+  createQuickAuthVerifier,
+} from '../lib/miniApp.js';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1' };
+
+function signToken(claims, key = privateKey) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const signedPart = `${encode({ alg: 'EdDSA', typ: 'JWT', kid: 'key-1' })}.${encode(claims)}`;
+  return `${signedPart}.${crypto.sign(null, Buffer.from(signedPart), key).toString('base64url')}`;
+}
+
+test('Quick Auth tokens are checked for signature, issuer, domain and expiry', async () => {
+  const now = Date.UTC(2026, 0, 1);
+  const verifier = createQuickAuthVerifier({ getKeys: async () => [jwk], now: () => now });
+  const claims = {
+    iss: QUICK_AUTH_ISSUER,
+    aud: 'chess.test',
+    sub: 4242,
+    exp: now / 1000 + 60,
+  };
+  const verify = (token) => verifier.verify(token, { domain: 'chess.test' });
+
+  assert.deepEqual(await verify(signToken(claims)), { valid: true, fid: 4242 });
+  assert.equal(
+    (await verify(signToken({ ...claims, aud: ['other.test'] }))).reason,
+    'Token for another domain',
+  );
+  assert.equal(
+    (await verify(signToken({ ...claims, exp: now / 1000 }))).reason,
+    'Token has expired',
+  );
+  assert.equal(
+    (await verify(signToken({ ...claims, iss: 'https://evil.test' }))).reason,
+    'Token from another issuer',
+  );
+  assert.equal((await verify(signToken({ ...claims, sub: 'alice' }))).reason, 'Token has no FID');
+  assert.equal((await verify('not-a-token')).reason, 'Missing or malformed token');
+  const [header, payload, signature] = signToken(claims).split('.');
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+  for (const token of [
+    `${encode(null)}.${payload}.${signature}`,
+    `${encode(['EdDSA'])}.${payload}.${signature}`,
+    `${header}.${encode(null)}.${signature}`,
+    `${header}.${encode(42)}.${signature}`,
+  ]) {
+    assert.equal((await verify(token)).reason, 'Missing or malformed token');
+  }
+
+  const stranger = crypto.generateKeyPairSync('ed25519').privateKey;
+  assert.equal((await verify(signToken(claims, stranger))).reason, 'Invalid signature');
+});
+
+test('signing keys are fetched once and kept for an hour', async () => {
+  let now = 0;
+  let fetches = 0;
+  const getKeys = createHttpJwks({
+    fetchImpl: async () => {
+      fetches++;
+      return { ok: true, json: async () => ({ keys: [jwk] }) };
+    },
+    now: () => now,
+  });
+
+  assert.deepEqual(await getKeys(), [jwk]);
+  now += 30 * 60_000;
+  await getKeys();
+  assert.equal(fetches, 1);
+  now += 31 * 60_000;
+  await getKeys();
+  assert.equal(fetches, 2);
+});
+
+test('the embed and manifest point at the app', () => {
+  const details = {
+    baseUrl: 'https://chess.test',
+    imageUrl: 'https://chess.test/image/g1.png',
+    url: 'https://chess.test/miniapp?gameId=g1',
+    buttonTitle: 'Play on the Board',
+  };
+  const embed = buildMiniAppEmbed(details);
+  assert.equal(embed.version, '1');
+  assert.equal(embed.button.action.type, 'launch_miniapp');
+  assert.equal(embed.button.action.url, details.url);
+  assert.equal(buildMiniAppEmbed(details, { legacy: true }).button.action.type, 'launch_frame');
+
+  const manifest = buildMiniAppManifest({ baseUrl: 'https://chess.test' });
+  assert.equal(manifest.accountAssociation, undefined);
+  assert.equal(manifest.miniapp.homeUrl, 'https://chess.test/miniapp');
+  assert.equal(manifest.miniapp.webhookUrl, 'https://chess.test/api/miniapp/webhook');
+  assert.deepEqual(manifest.frame, manifest.miniapp);
+
+  const accountAssociation = { header: 'h', payload: 'p', signature: 's' };
+  assert.deepEqual(
+    buildMiniAppManifest({ baseUrl: 'https://chess.test', accountAssociation }).accountAssociation,
+    accountAssociation,
+  );
+});
+
+test('client events must be signed by an app key the hub knows', async () => {
+  const hub = createLocalHub();
+  const verifier = createMiniAppEventVerifier({ hub });
+  const details = { url: 'https://client.test/notify', token: 'tok' };
+
+  const added = hub.signMiniAppEvent({
+    fid: 7,
+    event: 'frame_added',
+    notificationDetails: details,
+  });
+  assert.deepEqual(await verifier.verify(added), {
+    valid: true,
+    fid: 7,
+    event: MINI_APP_EVENTS.ADDED,
+    notificationDetails: details,
+  });
+
+  const stranger = createLocalHub().signMiniAppEvent({ fid: 7, event: 'miniapp_removed' });
+  assert.equal((await verifier.verify(stranger)).reason, 'App key is not registered for this FID');
+  const unknown = hub.signMiniAppEvent({ fid: 7, event: 'miniapp_renamed' });
+  assert.equal((await verifier.verify(unknown)).reason, 'Unknown event');
+  assert.equal((await verifier.verify({})).reason, 'Malformed event');
+
+  // Segments that decode to something other than an object are refused, even when signed
+  const signer = hub.addSigner(8);
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const sign = (header, payload) => ({
+    header,
+    payload,
+    signature: crypto
+      .sign(null, Buffer.from(`${header}.${payload}`), signer.privateKey)
+      .toString('base64url'),
+  });
+  const header = encode({ fid: 8, type: 'app_key', key: `0x${signer.publicKey.toString('hex')}` });
+  for (const event of [
+    sign(encode(null), encode({ event: 'miniapp_added' })),
+    sign(encode([8]), encode({ event: 'miniapp_added' })),
+    sign(header, encode(null)),
+    sign(header, encode('miniapp_added')),
+  ]) {
+    assert.deepEqual(await verifier.verify(event), {
+      valid: false,
+      reason: 'Malformed event',
+      malformed: true,
+    });
+  }
+  assert.equal((await verifier.verify(sign(header, encode({ event: 'miniapp_added' })))).fid, 8);
+});
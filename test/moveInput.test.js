@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Chess } from 'chess.js';
+import { readMove } from '../lib/moveInput.js';
+import { VARIANTS, createVariantGame } from '../lib/variants.js';
+
+const read = (fen, text) => readMove(fen ? new Chess(fen) : new Chess(), text).san;
+
+test('SAN, coordinates and words all read as the same move', () => {
+  for (const text of [
+    'Nf3',
+    'nf3',
+    'Ng1f3',
+    'g1f3',
+    'g1-f3',
+    'knight f3',
+    'Knight to f3',
+    '1. Nf3',
+  ]) {
+    assert.equal(read(null, text), 'Nf3', text);
+  }
+  assert.equal(read(null, 'E2E4'), 'e4');
+  assert.equal(read(null, 'pawn e4'), 'e4');
+
+  const captures = 'k7/8/8/3p4/2P1P3/8/8/7K w - - 0 1';
+  assert.equal(read(captures, 'exd5'), 'exd5');
+  assert.equal(read(captures, 'ed5'), 'exd5');
+  assert.equal(read(captures, 'e4 takes d5'), 'exd5');
+
+  // "b" can be the bishop or the b-file
+  assert.equal(read('k7/8/8/8/8/2p5/1P6/B6K w - - 0 1', 'bc3'), 'bxc3');
+});
+
+test('castling and promotion are read as typed', () => {
+  const castling = '4k3/8/8/8/8/8/8/R3K2R w KQ - 0 1';
+  assert.equal(read(castling, '0-0'), 'O-O');
+  assert.equal(read(castling, 'o-o-o'), 'O-O-O');
+  assert.equal(read(castling, 'castle long'), 'O-O-O');
+  assert.equal(read(castling, 'e1g1'), 'O-O');
+
+  const promotion = '8/1P5k/8/8/8/8/8/K7 w - - 0 1';
+  assert.equal(read(promotion, 'b8'), 'b8=Q');
+  assert.equal(read(promotion, 'b8=N'), 'b8=N');
+  assert.equal(read(promotion, 'b7b8r'), 'b8=R');
+  assert.equal(read(promotion, 'b8 knight'), 'b8=N');
+
+  const chess960 = createVariantGame(VARIANTS.CHESS960, '1r2k2r/8/8/8/8/8/8/1R3KR1 w KQkq - 0 1');
+  assert.equal(readMove(chess960, 'f1g1').san, 'O-O');
+  assert.equal(readMove(chess960, 'f1c1').san, 'O-O-O');
+});
+
+test('rejected moves say why', () => {
+  assert.throws(() => read(null, ''), /Enter a move first/);
+  assert.throws(() => read(null, 'hello'), /Could not read move "hello"/);
+  assert.throws(() => read(null, 'e5'), /^Error: Illegal move: e5$/);
+  assert.throws(
+    () => read('4k3/8/8/8/8/8/4r3/4K3 w - - 0 1', 'Kd2'),
+    /Illegal move: Kd2 - you are in check/,
+  );
+  assert.throws(
+    () => read('k7/8/8/8/8/8/8/1N3N1K w - - 0 1', 'Nd2'),
+    /Nd2 is ambiguous: Nbd2 or Nfd2/,
+  );
+  assert.throws(
+    () => read('4k3/8/8/8/8/8/8/R3K2R w KQ - 0 1', 'castle'),
+    /castle is ambiguous: O-O or O-O-O/,
+  );
+});
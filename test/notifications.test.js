@@ -0,0 +1,240 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { createLocalReceiver } from '../lib/localReceiver.js';
+import {
+  NOTIFICATION_KINDS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  addMiniAppToken,
+  addWebhook,
+  createNotifier,
+  getNotificationSettings,
+  isPublicAddress,
+  removeWebhook,
+  setMutedKinds,
+  toPublicSettings,
+  verifyWebhookSignature,
+} from '../lib/notifications.js';
+
+// The receiver listens on 127.0.0.1, which notifiers only send to when allowed
+let receiver;
+
+before(async () => {
+  receiver = await createLocalReceiver();
+});
+
+after(() => receiver.close());
+
+const yourTurn = (key) => ({
+  kind: NOTIFICATION_KINDS.YOUR_TURN,
+  key,
+  gameId: 'game-1',
+  title: 'Your move',
+  body: 'alice played e4. It is your move.',
+  path: '/miniapp?gameId=game-1',
+});
+
+function withWebhook(path) {
+  const { settings, webhook } = addWebhook(getNotificationSettings(null), {
+    url: `${receiver.url}${path}`,
+    origin: 'https://chess.test',
+  });
+  return { recipient: { id: 'p_1', notifications: settings }, webhook };
+}
+
+test('settings keep webhooks, muted kinds and tokens, and show no secrets', () => {
+  const empty = getNotificationSettings({});
+  assert.throws(() => addWebhook(empty, { url: 'ftp://chess.test' }), /http\(s\) URL/);
+  const { settings, webhook } = addWebhook(empty, { url: 'https://hooks.test/chess' });
+  assert.match(webhook.secret, /^whsec_/);
+
+  const muted = setMutedKinds(settings, [NOTIFICATION_KINDS.GAME_OVER]);
+  assert.throws(() => setMutedKinds(settings, ['everything']), /Unknown notification kind/);
+  const withToken = addMiniAppToken(muted, { url: 'https://client.test/notify', token: 't1' });
+  assert.deepEqual(toPublicSettings(withToken), {
+    kinds: ['your-turn', 'challenge', 'game-over', 'draw-offer'],
+    muted: ['game-over'],
+    webhooks: [{ id: webhook.id, url: webhook.url, createdAt: webhook.createdAt }],
+    miniApp: true,
+  });
+
+  assert.equal(removeWebhook(withToken, webhook.id).webhooks.length, 0);
+  assert.throws(() => removeWebhook(withToken, 'wh_missing'), /Webhook not found/);
+});
+
+test('webhook calls are signed and retried with the same delivery id', async () => {
+  const failures = [];
+  const notifier = createNotifier({
+    allowPrivateTargets: true,
+    retryDelaysMs: [5, 5],
+    onFailure: (target, reason) => failures.push(reason),
+  });
+  const { recipient, webhook } = withWebhook('/hooks/retried');
+
+  receiver.failNext(2);
+  assert.equal(notifier.notify(recipient, yourTurn('1:e4')), null);
+  await notifier.idle();
+
+  const calls = receiver.requests.filter((call) => call.path === '/hooks/retried');
+  assert.equal(calls.length, 3);
+  assert.equal(new Set(calls.map((call) => call.headers['x-chessgrid-delivery'])).size, 1);
+  const { headers, body, json } = calls.at(-1);
+  assert.ok(
+    verifyWebhookSignature({
+      secret: webhook.secret,
+      timestamp: headers[TIMESTAMP_HEADER.toLowerCase()],
+      body,
+      signature: headers[SIGNATURE_HEADER.toLowerCase()],
+    }),
+  );
+  assert.equal(json.kind, 'your-turn');
+  assert.equal(json.url, 'https://chess.test/miniapp?gameId=game-1');
+  assert.deepEqual(failures, []);
+
+  // A refusal is final, and a receiver that stays down is given up on
+  receiver.failNext(1, 410);
+  notifier.notify(recipient, yourTurn('3:Nf3'));
+  await notifier.idle();
+  receiver.failNext(3);
+  notifier.notify(recipient, yourTurn('5:Bc4'));
+  await notifier.idle();
+  assert.deepEqual(failures, ['status 410', 'status 503']);
+});
+
+test('notifications are muted, deduplicated and rate limited per player', async () => {
+  let now = 0;
+  const notifier = createNotifier({
+    allowPrivateTargets: true,
+    now: () => now,
+    rateLimit: { max: 2, windowMs: 60_000 },
+  });
+  const { recipient } = withWebhook('/hooks/limited');
+
+  assert.equal(notifier.notify({ id: 'p_2' }, yourTurn('1:e4')), 'no-targets');
+  const muted = setMutedKinds(recipient.notifications, [NOTIFICATION_KINDS.YOUR_TURN]);
+  assert.equal(notifier.notify({ ...recipient, notifications: muted }, yourTurn('1:e4')), 'muted');
+
+  assert.equal(notifier.notify(recipient, yourTurn('1:e4')), null);
+  assert.equal(notifier.notify(recipient, yourTurn('1:e4')), 'duplicate');
+  assert.equal(notifier.notify(recipient, yourTurn('3:Nf3')), null);
+  assert.equal(notifier.notify(recipient, yourTurn('5:Bc4')), 'rate-limited');
+  now += 60_000;
+  assert.equal(notifier.notify(recipient, yourTurn('5:Bc4')), null);
+  await notifier.idle();
+});
+
+test('Mini App notifications go to the client, which can refuse stale tokens', async () => {
+  const refused = [];
+  const notifier = createNotifier({
+    allowPrivateTargets: true,
+    onInvalidTokens: (recipient, tokens) => refused.push(...tokens),
+  });
+  let settings = getNotificationSettings(null);
+  for (const token of ['fresh', 'stale']) {
+    settings = addMiniAppToken(settings, {
+      url: `${receiver.url}/client/${token}`,
+      token,
+      origin: 'https://chess.test',
+    });
+  }
+  receiver.invalidTokens.add('stale');
+
+  notifier.notify({ id: 'p_3', notifications: settings }, yourTurn('1:e4'));
+  await notifier.idle();
+
+  const call = receiver.requests.find((request) => request.path === '/client/fresh');
+  assert.deepEqual(call.json, {
+    notificationId: '1:e4',
+    title: 'Your move',
+    body: 'alice played e4. It is your move.',
+    targetUrl: 'https://chess.test/miniapp?gameId=game-1',
+    tokens: ['fresh'],
+  });
+  assert.deepEqual(refused, ['stale']);
+});
+
+test('notifications only go to public addresses', async () => {
+  const hosts = {
+    'hooks.test': ['93.184.216.34'],
+    'metadata.test': ['169.254.169.254'],
+    'split.test': ['93.184.216.34', '10.0.0.8'],
+    'local.test': ['::1'],
+  };
+  const fetches = [];
+  const failures = [];
+  const notifier = createNotifier({
+    lookup: async (host) => {
+      if (!hosts[host]) throw new Error(`getaddrinfo ENOTFOUND ${host}`);
+      return hosts[host].map((address) => ({ address, family: net.isIP(address) }));
+    },
+    fetchImpl: async (url, init) => {
+      fetches.push([url, init.redirect]);
+      return new Response('{}');
+    },
+    onFailure: (target, reason) => failures.push([target, reason]),
+  });
+
+  for (const url of [
+    'http://127.0.0.1:3000/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://10.1.2.3/hook',
+    'http://172.20.0.1/hook',
+    'http://192.168.1.10/hook',
+    'http://100.64.0.1/hook',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[::127.0.0.1]/hook',
+    'http://[2002:7f00:1::]/hook',
+    'http://[fe80::1]/hook',
+    'http://[fd00::1]/hook',
+    'https://metadata.test/hook',
+    'https://split.test/hook',
+    'https://local.test/hook',
+  ]) {
+    await assert.rejects(notifier.checkTarget(url), /URL must point to a public address/, url);
+  }
+  await assert.rejects(notifier.checkTarget('https://nowhere.test/'), /could not be resolved/);
+  await assert.rejects(notifier.checkTarget('ftp://hooks.test/'), /http\(s\) URL/);
+  await notifier.checkTarget('https://hooks.test/chess');
+  await notifier.checkTarget('http://93.184.216.34/chess');
+  assert.equal(isPublicAddress('2606:4700::1111'), true);
+
+  const { settings } = addWebhook(getNotificationSettings(null), {
+    url: 'https://hooks.test/chess',
+    origin: 'https://chess.test',
+  });
+  const recipient = { id: 'p_4', notifications: settings };
+  notifier.notify(recipient, yourTurn('1:e4'));
+  await notifier.idle();
+  assert.deepEqual(fetches, [['https://hooks.test/chess', 'manual']]);
+
+  // A host that moves to a private address later is checked again on every call
+  hosts['hooks.test'] = ['169.254.169.254'];
+  notifier.notify(recipient, yourTurn('3:Nf3'));
+  await notifier.idle();
+  assert.equal(fetches.length, 1);
+  assert.deepEqual(failures, [['https://hooks.test/chess', 'URL must point to a public address']]);
+});
+
+test('notifications connect to the address that passed the check', async () => {
+  // The host answers the check with a public address, then the connection
+  // with the receiver's
+  const answers = ['93.184.216.34'];
+  const failures = [];
+  const notifier = createNotifier({
+    lookup: async () => [{ address: answers.shift() || '127.0.0.1', family: 4 }],
+    retryDelaysMs: [],
+    onFailure: (target, reason) => failures.push([target, reason]),
+  });
+  const url = `http://localhost:${new URL(receiver.url).port}/rebound`;
+  const { settings } = addWebhook(getNotificationSettings(null), {
+    url,
+    origin: 'https://chess.test',
+  });
+  notifier.notify({ id: 'p_5', notifications: settings }, yourTurn('1:e4'));
+  await notifier.idle();
+  assert.deepEqual(failures, [[url, 'URL must point to a public address']]);
+  assert.equal(receiver.requests.filter((call) => call.path === '/rebound').length, 0);
+});
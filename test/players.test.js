@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LINK_CODE_TTL_MS, createPlayerRegistry } from '../lib/players.js';
+
+test('players keep their sessions and names', () => {
+  const saved = [];
+  const registry = createPlayerRegistry({ onChange: (changed) => saved.push(...changed) });
+
+  const player = registry.create({ name: '  Magnus   C ' });
+  assert.equal(player.name, 'Magnus C');
+  const token = registry.createSession(player);
+  assert.equal(registry.getBySession(token), player);
+  assert.equal(registry.getBySession('not-a-session'), null);
+  assert.ok(!JSON.stringify(player).includes(token));
+
+  assert.throws(() => registry.rename(player, '   '), /cannot be empty/);
+  registry.rename(player, 'Magnus');
+  assert.ok(saved.every((changed) => changed === player) && saved.length === 3);
+
+  const reloaded = createPlayerRegistry();
+  reloaded.load([JSON.parse(JSON.stringify(player))]);
+  assert.equal(reloaded.getBySession(token).name, 'Magnus');
+  assert.equal(reloaded.ensureFidPlayer(12).name, 'FID 12');
+});
+
+test('link codes merge an FID player into the web player', () => {
+  let clock = 1000;
+  const registry = createPlayerRegistry({ now: () => clock });
+  const framePlayer = registry.ensureFidPlayer(55);
+  const webPlayer = registry.create({ name: 'Web' });
+
+  const { code } = registry.issueLinkCode(webPlayer);
+  assert.match(code, /^[A-HJ-NP-Z2-9]{6}$/);
+  assert.throws(() => registry.redeemLinkCode('ZZZZZZ', 55), /invalid or has expired/);
+
+  registry.redeemLinkCode(code.toLowerCase(), 55);
+  assert.equal(registry.getByFid(55), webPlayer);
+  assert.equal(registry.get(framePlayer.id), webPlayer);
+  assert.equal(webPlayer.fid, 55);
+
+  // A linked player can't take a second FID, and codes run out
+  const second = registry.issueLinkCode(webPlayer);
+  assert.throws(() => registry.redeemLinkCode(second.code, 56), /already linked to FID 55/);
+  const late = registry.issueLinkCode(registry.create());
+  clock += LINK_CODE_TTL_MS;
+  assert.throws(() => registry.redeemLinkCode(late.code, 57), /invalid or has expired/);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Chess } from 'chess.js';
+import {
+  buildStartingGame,
+  isSamePosition,
+  parseStartingPosition,
+  replayMoves,
+} from '../lib/position.js';
+
+test('starting positions come from a FEN or a PGN', () => {
+  assert.deepEqual(parseStartingPosition({}), { startFen: null, startMoves: [] });
+
+  const fromFen = parseStartingPosition({ fen: '4k3/8/8/8/8/8/4P3/4K3 b - -' });
+  assert.equal(fromFen.startFen, '4k3/8/8/8/8/8/4P3/4K3 b - - 0 1');
+
+  const fromPgn = parseStartingPosition({ pgn: '[Event "x"]\n\n1. e4 e5 2. Nf3 *' });
+  assert.equal(fromPgn.startFen, null);
+  assert.deepEqual(fromPgn.startMoves, ['e4', 'e5', 'Nf3']);
+  assert.equal(buildStartingGame(fromPgn.startFen, fromPgn.startMoves).turn(), 'b');
+
+  const setUp = parseStartingPosition({
+    pgn: '[SetUp "1"]\n[FEN "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1"]\n\n1. e4 *',
+  });
+  assert.equal(setUp.startFen, '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1');
+  assert.deepEqual(setUp.startMoves, ['e4']);
+});
+
+test('unplayable starting positions are rejected', () => {
+  assert.throws(() => parseStartingPosition({ fen: 'not a fen' }), /Invalid FEN/);
+  assert.throws(
+    () => parseStartingPosition({ fen: '4k3/8/8/8/8/8/8/4K3 w - - 0 1 extra' }),
+    /Invalid FEN/,
+  );
+  assert.throws(
+    () => parseStartingPosition({ fen: '4k3/8/8/8/8/8/8/8 w - - 0 1' }),
+    /missing white king/,
+  );
+  assert.throws(
+    () => parseStartingPosition({ fen: '4k3/8/8/8/4R3/8/8/3K4 w - - 0 1' }),
+    /not to move is in check/,
+  );
+  assert.throws(
+    () => parseStartingPosition({ fen: '7k/5Q2/6K1/8/8/8/8/8 b - - 0 1' }),
+    /already finished/,
+  );
+  assert.throws(() => parseStartingPosition({ pgn: '1. e4 e5 2. Ke3 Ke6 3. Qxf7 *' }), /PGN/);
+  assert.throws(() => parseStartingPosition({ fen: 'x', pgn: 'y' }), /not both/);
+});
+
+test('stored move lists are replayed up to the first bad move', () => {
+  const { chess, played } = replayMoves(null, ['e4', 'e5', 'Ke3', 'Nf3']);
+  assert.equal(played, 2);
+  assert.deepEqual(chess.history(), ['e4', 'e5']);
+
+  assert.ok(
+    isSamePosition(chess.fen(), 'rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e6 0 2'),
+  );
+  assert.ok(!isSamePosition(chess.fen(), new Chess().fen()));
+});
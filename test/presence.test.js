@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPresenceTracker } from '../lib/presence.js';
+
+test('presence counts spectators and times disconnected seats', () => {
+  let clock = 0;
+  const presence = createPresenceTracker({ abandonAfterMs: 1000, now: () => clock });
+
+  const whiteTab = presence.connect('g1', 'white');
+  const secondWhiteTab = presence.connect('g1', 'white');
+  const spectator = presence.connect('g1', 'spectator');
+  presence.connect('g1', 'spectator');
+  assert.deepEqual(presence.snapshot('g1'), {
+    white: { connected: true, disconnectedAt: null, claimableAt: null },
+    black: { connected: false, disconnectedAt: null, claimableAt: null },
+    spectators: 2,
+  });
+
+  // Black never connected, so it can't be claimed against
+  clock = 5000;
+  assert.equal(presence.canClaimAgainst('g1', 'black'), false);
+
+  // White is only gone once its last tab closes
+  whiteTab();
+  assert.equal(presence.snapshot('g1').white.connected, true);
+  secondWhiteTab();
+  spectator();
+  spectator();
+  assert.deepEqual(presence.snapshot('g1').white, {
+    connected: false,
+    disconnectedAt: 5000,
+    claimableAt: 6000,
+  });
+  assert.equal(presence.snapshot('g1').spectators, 1);
+
+  clock = 5999;
+  assert.equal(presence.canClaimAgainst('g1', 'white'), false);
+  clock = 6000;
+  assert.equal(presence.canClaimAgainst('g1', 'white'), true);
+
+  // Reconnecting clears it
+  presence.connect('g1', 'both');
+  assert.equal(presence.canClaimAgainst('g1', 'white'), false);
+  assert.equal(presence.snapshot('g1').black.connected, true);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChessBoardSVG } from '../lib/boardImage.js';
+import { PUZZLES } from '../lib/puzzleSet.js';
+import {
+  getAttemptFen,
+  getCurrentStreak,
+  getDailyPuzzle,
+  playPuzzleMove,
+  recordPuzzleResult,
+  startAttempt,
+} from '../lib/puzzles.js';
+
+const skewer = PUZZLES.find((puzzle) => puzzle.id === 'skewer-1');
+const smothered = PUZZLES.find((puzzle) => puzzle.id === 'smothered-1');
+
+test('the daily puzzle changes at midnight UTC', () => {
+  const day = Date.parse('2026-03-01T00:00:00Z');
+  assert.equal(getDailyPuzzle(PUZZLES, day), getDailyPuzzle(PUZZLES, day + 86_399_999));
+  assert.notEqual(getDailyPuzzle(PUZZLES, day), getDailyPuzzle(PUZZLES, day + 86_400_000));
+});
+
+test('right moves get the opponent’s reply and wrong ones end the attempt', () => {
+  const attempt = startAttempt(skewer, '2026-03-01');
+  assert.throws(() => playPuzzleMove(skewer, attempt, { from: 'h1', to: 'h9' }), /not a legal/);
+  assert.deepEqual(playPuzzleMove(skewer, attempt, { from: 'h1', to: 'e1' }), {
+    correct: true,
+    san: 'Re1+',
+    reply: 'Kd5',
+  });
+  assert.equal(getAttemptFen(skewer, attempt).split(' ')[0], '4q3/8/8/3k4/8/8/8/K3R3');
+  assert.equal(playPuzzleMove(skewer, attempt, { from: 'e1', to: 'e8' }).correct, true);
+  assert.equal(attempt.status, 'solved');
+  assert.throws(() => playPuzzleMove(skewer, attempt, { from: 'e8', to: 'e7' }), /over/);
+
+  const wrong = startAttempt(smothered, '2026-03-01');
+  assert.deepEqual(playPuzzleMove(smothered, wrong, { from: 'b3', to: 'b8' }), {
+    correct: false,
+    san: 'Qb8',
+    answer: 'Qxg8+',
+  });
+  assert.equal(wrong.status, 'failed');
+});
+
+test('results move the puzzle rating and count daily streaks', () => {
+  let progress = recordPuzzleResult(null, skewer, { day: '2026-03-01', solved: true });
+  progress = recordPuzzleResult(progress, skewer, { day: '2026-03-02', solved: true });
+  assert.equal(progress.streak, 2);
+  assert.ok(progress.rating.rating > 1500);
+  assert.equal(getCurrentStreak(progress, '2026-03-03'), 2);
+  assert.equal(getCurrentStreak(progress, '2026-03-04'), 0);
+
+  progress = recordPuzzleResult(progress, skewer, { day: '2026-03-05', solved: true });
+  assert.equal(progress.streak, 1);
+  progress = recordPuzzleResult(progress, smothered, { day: '2026-03-06', solved: false });
+  assert.deepEqual([progress.streak, progress.bestStreak, progress.failed], [0, 2, 1]);
+});
+
+test('boards can be drawn from Black’s side', () => {
+  const fen = '4k3/8/8/8/8/8/8/4K3 w - - 0 1';
+  // The bottom-left corner is a1 for White and h8 for Black
+  assert.match(createChessBoardSVG(fen), /<text x="65" y="595" class="square-label">a<\/text>/);
+  assert.match(
+    createChessBoardSVG(fen, [], null, 'black'),
+    /<text x="65" y="595" class="square-label">h<\/text>/,
+  );
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_RATING,
+  formatRating,
+  getRatingBucket,
+  rateGame,
+  updateRating,
+} from '../lib/ratings.js';
+
+test('Glicko-2 updates match the reference values', () => {
+  const { white, black } = rateGame(DEFAULT_RATING, DEFAULT_RATING, 1);
+  assert.equal(Math.round(white.rating), 1662);
+  assert.equal(Math.round(black.rating), 1338);
+  assert.equal(Math.round(white.rd), 290);
+
+  // First game of the example in Glickman's paper
+  const example = updateRating(
+    { rating: 1500, rd: 200, volatility: 0.06 },
+    { rating: 1400, rd: 30 },
+    1,
+  );
+  assert.equal(Math.round(example.rating), 1564);
+  assert.ok(Math.abs(example.volatility - 0.06) < 0.0001);
+
+  // A draw against a weaker player costs rating
+  const draw = rateGame(
+    { rating: 1800, rd: 60, volatility: 0.06 },
+    { rating: 1500, rd: 60, volatility: 0.06 },
+    0.5,
+  );
+  assert.ok(draw.white.rating < 1800 && draw.black.rating > 1500);
+});
+
+test('buckets and display', () => {
+  assert.equal(getRatingBucket(null), 'correspondence');
+  assert.equal(getRatingBucket({ initialMs: 180_000, incrementMs: 2000 }), 'blitz');
+  assert.equal(formatRating(undefined), '1500?');
+  assert.equal(formatRating({ rating: 1712.4, rd: 60 }), '1712');
+});
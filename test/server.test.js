@@ -1,13 +1,33 @@
 import { before, test } from 'node:test';
 import assert from 'node:assert/strict';
 import request from 'supertest';
+import { Chess } from 'chess.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { createFrameVerifier } from '../lib/frameVerifier.js';
+import { createLocalHub } from '../lib/localHub.js';
+import { createLocalReceiver } from '../lib/localReceiver.js';
+import {
+  QUICK_AUTH_ISSUER,
+  createMiniAppEventVerifier,
+  createQuickAuthVerifier,
+} from '../lib/miniApp.js';
+import { createNotifier, verifyWebhookSignature } from '../lib/notifications.js';
+import { PUZZLES } from '../lib/puzzleSet.js';
 
 let app;
+const FRAME_URL = 'https://chess.test';
+const hub = createLocalHub({ frameUrl: `${FRAME_URL}/` });
 
 before(async () => {
   process.env.NODE_ENV = 'test';
+  process.env.DATA_DIR = fs.mkdtempSync(join(os.tmpdir(), 'chessgrid-test-'));
   const mod = await import('../server.js');
   app = mod.default;
+  app.locals.frameVerifier = createFrameVerifier({ hub, frameUrl: FRAME_URL });
+  app.locals.miniAppEventVerifier = createMiniAppEventVerifier({ hub });
 });
 
 test('GET /games returns a list of games', async () => {
@@ -60,3 +80,1391 @@ test('solo game flow: create, move, and inspect game state', async () => {
   assert.ok(gameRes.body.moveHistory.length >= 1);
   assert.equal(gameRes.body.currentPlayer, 'b', 'after e2e4 it should be black to move');
 });
+
+test('frame actions without a valid signature are read-only', async () => {
+  const createRes = await request(app).post('/api/games').send({});
+  const { gameId } = createRes.body;
+  const state = JSON.stringify({ gameId });
+
+  const res = await request(app)
+    .post('/frame')
+    .send({ untrustedData: { fid: 1, buttonIndex: 1, state } })
+    .expect(200);
+  assert.ok(res.text.includes('Read-only'));
+  assert.ok(!res.text.includes('Join as White'));
+
+  const gameRes = await request(app).get(`/game/${gameId}`).expect(200);
+  assert.equal(gameRes.body.players.white, null);
+});
+
+test('verified frame join seats the signing FID', async () => {
+  const createRes = await request(app).post('/api/games').send({});
+  const { gameId } = createRes.body;
+  const state = JSON.stringify({ gameId });
+
+  // The untrusted FID is ignored in favour of the one inside the signed message
+  const body = hub.frameRequest({ fid: 3021, buttonIndex: 1, state });
+  body.untrustedData.fid = 1;
+
+  await request(app).post('/frame').send(body).expect(200);
+
+  const gameRes = await request(app).get(`/game/${gameId}`).expect(200);
+  assert.equal(gameRes.body.players.white.fid, 3021);
+});
+
+test('frame actions are limited to seated players', async () => {
+  const createRes = await request(app).post('/api/games').send({});
+  const { gameId } = createRes.body;
+  const state = JSON.stringify({ gameId });
+  const press = (fid, buttonIndex, inputText) =>
+    request(app)
+      .post('/frame')
+      .send(hub.frameRequest({ fid, buttonIndex, inputText, state }))
+      .expect(200);
+
+  await press(101, 1);
+  await press(102, 2);
+
+  const outOfTurn = await press(102, 1, 'e7e5');
+  assert.ok(outOfTurn.text.includes('Not your turn'));
+
+  // Frame seats have no token, so nobody can move for them through the API
+  await request(app).post('/move').send({ gameId, from: 'e2', to: 'e4' }).expect(403);
+  await request(app)
+    .post('/move')
+    .send({ gameId, from: 'e2', to: 'e4', playerToken: 'guess' })
+    .expect(403);
+
+  const spectatorResign = await press(999, 3);
+  assert.ok(spectatorResign.text.includes('you are spectating'));
+  assert.ok(spectatorResign.text.includes('Refresh'));
+
+  await press(101, 1, 'e2e4');
+  const resetRequest = await press(101, 1, 'reset');
+  assert.ok(resetRequest.text.includes('waiting for your opponent'));
+
+  let gameRes = await request(app).get(`/game/${gameId}`).expect(200);
+  assert.equal(gameRes.body.status, 'active');
+  assert.deepEqual(gameRes.body.moveHistory, ['e4']);
+
+  await press(102, 2);
+  gameRes = await request(app).get(`/game/${gameId}`).expect(200);
+  assert.deepEqual(gameRes.body.moveHistory, []);
+  assert.equal(gameRes.body.players.white.fid, 101);
+
+  await press(102, 3);
+  gameRes = await request(app).get(`/game/${gameId}`).expect(200);
+  assert.equal(gameRes.body.status, 'finished');
+  assert.equal(gameRes.body.result, '1-0');
+  assert.equal(gameRes.body.termination, 'resignation');
+});
+
+test('the frame reads SAN and plain-words moves and says why one was refused', async () => {
+  const { gameId } = (await request(app).post('/api/games').send({})).body;
+  const state = JSON.stringify({ gameId });
+  const press = (fid, buttonIndex, inputText) =>
+    request(app)
+      .post('/frame')
+      .send(hub.frameRequest({ fid, buttonIndex, inputText, state }))
+      .expect(200);
+
+  await press(111, 1);
+  await press(112, 2);
+  await press(111, 1, 'Nf3');
+  assert.ok((await press(112, 1, 'e4')).text.includes('Illegal move: e4'));
+  await press(112, 1, 'knight c6');
+  await press(111, 1, 'd2-d3');
+  await press(112, 1, 'e5');
+  const ambiguous = await press(111, 1, 'Nd2');
+  assert.ok(ambiguous.text.includes('Nd2 is ambiguous: Nbd2 or Nfd2'));
+  const afterMove = await press(111, 1, 'Nbd2');
+
+  let gameRes = await request(app).get(`/game/${gameId}`).expect(200);
+  assert.deepEqual(gameRes.body.moveHistory, ['Nf3', 'Nc6', 'd3', 'e5', 'Nbd2']);
+
+  // A frame from before the game ended still reads its first button as "Make Move"
+  const staleState = decodeURIComponent(
+    afterMove.text.match(/fc:frame:state" content="([^"]+)"/)[1],
+  );
+  assert.deepEqual(JSON.parse(staleState).actions, ['move', 'history', 'resign', 'open']);
+  await press(112, 3);
+  const late = await request(app)
+    .post('/frame')
+    .send(hub.frameRequest({ fid: 111, buttonIndex: 1, inputText: 'e4', state: staleState }))
+    .expect(200);
+  assert.ok(late.text.includes('Game over'));
+  gameRes = await request(app).get(`/game/${gameId}`).expect(200);
+  assert.equal(gameRes.body.status, 'finished');
+});
+
+test('games can be stepped through ply by ply in the frame and the API', async () => {
+  const createRes = await request(app).post('/api/games').send({ timeControl: '3+2' });
+  const { gameId } = createRes.body;
+  const token = (await request(app).post(`/api/games/${gameId}/solo`).send({})).body.token;
+  for (const [from, to] of [
+    ['e2', 'e4'],
+    ['e7', 'e5'],
+    ['g1', 'f3'],
+  ]) {
+    await request(app).post('/move').send({ gameId, from, to, playerToken: token }).expect(200);
+  }
+
+  const start = await request(app).get(`/game/${gameId}/ply/0`).expect(200);
+  assert.equal(start.body.san, null);
+  assert.equal(start.body.plies, 3);
+  assert.deepEqual(start.body.clock, { white: 180000, black: 180000 });
+  const second = await request(app).get(`/game/${gameId}/ply/2`).expect(200);
+  assert.equal(second.body.label, '1... e5');
+  assert.deepEqual(second.body.lastMove, { from: 'e7', to: 'e5' });
+  assert.ok(second.body.clock.black <= 182000);
+  await request(app).get(`/game/${gameId}/ply/4`).expect(404);
+  const image = await request(app).get(`/game/${gameId}/ply/2.png`).expect(200);
+  assert.equal(image.headers['content-type'], 'image/png');
+
+  let state = JSON.stringify({ gameId });
+  const press = async (buttonIndex) => {
+    const res = await request(app)
+      .post('/frame')
+      .send(hub.frameRequest({ fid: 909, buttonIndex, state }))
+      .expect(200);
+    state = decodeURIComponent(res.text.match(/fc:frame:state" content="([^"]+)"/)[1]);
+    return res.text;
+  };
+
+  let frame = await press(2);
+  assert.ok(frame.includes('Replay: 2. Nf3 (3/3) [3:0'), frame);
+  assert.ok(frame.includes('Back to Game'));
+  frame = await press(2);
+  assert.ok(frame.includes('Replay: 1... e5 (2/3)'));
+  assert.ok(frame.includes(`/image/${gameId}/ply/2.png`));
+  frame = await press(1);
+  assert.ok(frame.includes('Replay: Start (0/3)'));
+  frame = await press(2);
+  assert.ok(frame.includes('(0/3)'));
+  frame = await press(4);
+  assert.ok(frame.includes('(3/3)'));
+  frame = await press(4);
+  assert.ok(frame.includes('Black to Move'));
+  assert.equal(JSON.parse(state).view, 'spectator');
+});
+
+test('board images are served as cacheable PNGs', async () => {
+  const createRes = await request(app).post('/api/games').send({});
+  const { gameId } = createRes.body;
+
+  const frame = await request(app).get(`/?gameId=${gameId}`).expect(200);
+  assert.ok(frame.text.includes(`/image/${gameId}.png?v=`));
+  assert.ok(frame.text.includes('fc:frame:image:aspect_ratio'));
+
+  const image = await request(app).get(`/image/${gameId}.png`).expect(200);
+  assert.equal(image.headers['content-type'], 'image/png');
+  assert.ok(image.headers.etag);
+  assert.ok(image.headers['cache-control'].includes('max-age'));
+
+  await request(app)
+    .get(`/image/${gameId}.png`)
+    .set('If-None-Match', image.headers.etag)
+    .expect(304);
+
+  const square = await request(app).get(`/image/${gameId}.png?aspect=1:1`).expect(200);
+  assert.notEqual(square.headers.etag, image.headers.etag);
+
+  await request(app).get(`/image/${gameId}/ply/0.png`).expect(200);
+  await request(app).get(`/image/${gameId}/ply/5.png`).expect(404);
+});
+
+test('game events stream pushes moves and replays from Last-Event-ID', async () => {
+  const createRes = await request(app).post('/api/games').send({});
+  const { gameId } = createRes.body;
+  const soloRes = await request(app).post(`/api/games/${gameId}/solo`).send({});
+  const token = soloRes.body.token;
+
+  const server = app.listen(0);
+  const { port } = server.address();
+
+  const readEvents = async (headers, count) => {
+    const controller = new AbortController();
+    const res = await fetch(`http://127.0.0.1:${port}/game/${gameId}/events`, {
+      headers,
+      signal: controller.signal,
+    });
+    assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const events = [];
+    while (events.length < count) {
+      const { value } = await reader.read();
+      buffer += decoder.decode(value);
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        const id = block.match(/^id: (.*)$/m)?.[1];
+        const type = block.match(/^event: (.*)$/m)?.[1];
+        if (type) events.push({ id, type });
+      }
+    }
+    controller.abort();
+    return events;
+  };
+
+  try {
+    const pending = readEvents({}, 2);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await request(app).post('/move').send({ gameId, from: 'e2', to: 'e4', playerToken: token });
+    const [sync, move] = await pending;
+    assert.equal(sync.type, 'sync');
+    assert.equal(move.type, 'move');
+
+    await request(app).post('/move').send({ gameId, from: 'e7', to: 'e5', playerToken: token });
+    const [replayed] = await readEvents({ 'Last-Event-ID': move.id }, 1);
+    assert.equal(replayed.type, 'move');
+  } finally {
+    server.close();
+  }
+});
+
+test('timed games expose running clocks', async () => {
+  await request(app).post('/api/games').send({ timeControl: 'eternity' }).expect(400);
+
+  const createRes = await request(app).post('/api/games').send({ timeControl: '3+2' }).expect(200);
+  const { gameId } = createRes.body;
+  assert.equal(createRes.body.timeControl, '3+2');
+
+  const soloRes = await request(app).post(`/api/games/${gameId}/solo`).send({});
+  const token = soloRes.body.token;
+
+  let gameRes = await request(app).get(`/game/${gameId}`).expect(200);
+  assert.equal(gameRes.body.timeControl.category, 'blitz');
+  assert.equal(gameRes.body.clock.white, 180000);
+  assert.equal(gameRes.body.clock.running, null);
+
+  await request(app).post('/move').send({ gameId, from: 'e2', to: 'e4', playerToken: token });
+  gameRes = await request(app).get(`/game/${gameId}`).expect(200);
+  assert.equal(gameRes.body.clock.running, 'b');
+  assert.ok(gameRes.body.clock.black <= 180000);
+
+  const frame = await request(app).get(`/?gameId=${gameId}`).expect(200);
+  assert.ok(frame.text.includes('[3:00 | '));
+});
+
+test('finished games record result and termination in state and PGN', async () => {
+  const createRes = await request(app).post('/api/games').send({});
+  const { gameId } = createRes.body;
+  const soloRes = await request(app).post(`/api/games/${gameId}/solo`).send({ name: 'Fool' });
+  const token = soloRes.body.token;
+
+  for (const [from, to] of [
+    ['f2', 'f3'],
+    ['e7', 'e5'],
+    ['g2', 'g4'],
+    ['d8', 'h4'],
+  ]) {
+    await request(app).post('/move').send({ gameId, from, to, playerToken: token }).expect(200);
+  }
+
+  const gameRes = await request(app).get(`/game/${gameId}`).expect(200);
+  assert.equal(gameRes.body.status, 'finished');
+  assert.equal(gameRes.body.result, '0-1');
+  assert.equal(gameRes.body.termination, 'checkmate');
+
+  const pgn = await request(app).get(`/game/${gameId}/pgn`).expect(200);
+  assert.ok(pgn.text.includes('[Result "0-1"]'));
+  assert.ok(pgn.text.includes('[Termination "Checkmate"]'));
+  assert.ok(pgn.text.includes('[White "Fool (White)"]'));
+
+  await request(app)
+    .post('/move')
+    .send({ gameId, from: 'a2', to: 'a3', playerToken: token })
+    .expect(409);
+});
+
+test('web players can resign, agree draws and take back moves', async () => {
+  async function startGame() {
+    const { gameId } = (await request(app).post('/api/games').send({})).body;
+    const white = (await request(app).post(`/api/games/${gameId}/join`).send({ color: 'white' }))
+      .body.token;
+    const black = (await request(app).post(`/api/games/${gameId}/join`).send({ color: 'black' }))
+      .body.token;
+    return { gameId, white, black };
+  }
+
+  const resigned = await startGame();
+  await request(app)
+    .post(`/api/games/${resigned.gameId}/resign`)
+    .send({ playerToken: 'nope' })
+    .expect(403);
+  const resignRes = await request(app)
+    .post(`/api/games/${resigned.gameId}/resign`)
+    .send({ playerToken: resigned.black })
+    .expect(200);
+  assert.equal(resignRes.body.result, '1-0');
+  assert.equal(resignRes.body.termination, 'resignation');
+
+  const drawn = await startGame();
+  const { gameId, white, black } = drawn;
+  await request(app)
+    .post(`/api/games/${gameId}/draw`)
+    .send({ playerToken: white, action: 'offer' })
+    .expect(200);
+  await request(app)
+    .post(`/api/games/${gameId}/draw`)
+    .send({ playerToken: white, action: 'accept' })
+    .expect(409);
+  await request(app)
+    .post(`/api/games/${gameId}/draw`)
+    .send({ playerToken: black, action: 'decline' })
+    .expect(200);
+  let state = (await request(app).get(`/game/${gameId}`)).body;
+  assert.equal(state.offers.draw, null);
+
+  // A pending takeback lapses once the opponent moves on
+  await request(app).post('/move').send({ gameId, from: 'e2', to: 'e4', playerToken: white });
+  await request(app)
+    .post(`/api/games/${gameId}/takeback`)
+    .send({ playerToken: white, action: 'request' })
+    .expect(200);
+  const takebackRes = await request(app)
+    .post(`/api/games/${gameId}/takeback`)
+    .send({ playerToken: black, action: 'accept' })
+    .expect(200);
+  assert.deepEqual(takebackRes.body.moveHistory, []);
+  assert.equal(takebackRes.body.lastMove, null);
+
+  await request(app).post('/move').send({ gameId, from: 'd2', to: 'd4', playerToken: white });
+  await request(app)
+    .post(`/api/games/${gameId}/takeback`)
+    .send({ playerToken: white, action: 'request' })
+    .expect(200);
+  await request(app).post('/move').send({ gameId, from: 'd7', to: 'd5', playerToken: black });
+  state = (await request(app).get(`/game/${gameId}`)).body;
+  assert.equal(state.offers.takeback, null);
+
+  await request(app)
+    .post(`/api/games/${gameId}/draw`)
+    .send({ playerToken: black, action: 'offer' })
+    .expect(200);
+  const drawRes = await request(app)
+    .post(`/api/games/${gameId}/draw`)
+    .send({ playerToken: white, action: 'accept' })
+    .expect(200);
+  assert.equal(drawRes.body.result, '1/2-1/2');
+  assert.equal(drawRes.body.termination, 'agreement');
+});
+
+test('the computer replies to web and frame moves', async () => {
+  const { gameId } = (await request(app).post('/api/games').send({})).body;
+  await request(app)
+    .post(`/api/games/${gameId}/solo`)
+    .send({ opponent: 'computer', level: 9 })
+    .expect(400);
+
+  const soloRes = await request(app)
+    .post(`/api/games/${gameId}/solo`)
+    .send({ opponent: 'computer', color: 'black', level: 1 })
+    .expect(200);
+  assert.equal(soloRes.body.mode, 'computer');
+  const token = soloRes.body.token;
+
+  let state = (await request(app).get(`/game/${gameId}`)).body;
+  assert.equal(state.players.white.source, 'bot');
+  assert.equal(state.moveHistory.length, 1);
+  assert.equal(state.currentPlayer, 'b');
+
+  const moveRes = await request(app)
+    .post('/move')
+    .send({ gameId, from: 'a7', to: 'a6', playerToken: token })
+    .expect(200);
+  assert.ok(moveRes.body.reply);
+  assert.equal(moveRes.body.moveHistory.length, 3);
+
+  const takebackRes = await request(app)
+    .post(`/api/games/${gameId}/takeback`)
+    .send({ playerToken: token, action: 'request' })
+    .expect(200);
+  assert.equal(takebackRes.body.moveHistory.length, 1);
+
+  const frameGame = (await request(app).post('/api/games').send({})).body.gameId;
+  const frameState = JSON.stringify({ gameId: frameGame });
+  const press = (buttonIndex, inputText) =>
+    request(app)
+      .post('/frame')
+      .send(hub.frameRequest({ fid: 808, buttonIndex, inputText, state: frameState }))
+      .expect(200);
+
+  const unreadable = await press(3, 'play the robot');
+  assert.ok(unreadable.text.includes('To play the computer'));
+  await press(3, 'bot 1');
+  const afterMove = await press(1, 'e2e4');
+  assert.ok(afterMove.text.includes('White to Move'));
+
+  state = (await request(app).get(`/game/${frameGame}`)).body;
+  assert.equal(state.players.black.name, 'Computer (level 1)');
+  assert.equal(state.moveHistory.length, 2);
+});
+
+test('only its players can start a seated game over as a solo game', async () => {
+  const { gameId } = (await request(app).post('/api/games').send({})).body;
+  const { token } = (await request(app).post(`/api/games/${gameId}/join`).send({ color: 'white' }))
+    .body;
+  await request(app)
+    .post('/move')
+    .send({ gameId, from: 'e2', to: 'e4', playerToken: token })
+    .expect(200);
+
+  for (const body of [{}, { opponent: 'computer' }, { playerToken: 'guess' }]) {
+    const res = await request(app).post(`/api/games/${gameId}/solo`).send(body).expect(403);
+    assert.equal(res.body.error, 'Only the players of this game can start it over');
+  }
+  let state = (await request(app).get(`/game/${gameId}`)).body;
+  assert.deepEqual(state.moveHistory, ['e4']);
+
+  await request(app)
+    .post(`/api/games/${gameId}/solo`)
+    .send({ opponent: 'computer', color: 'black', level: 1, playerToken: token })
+    .expect(200);
+  state = (await request(app).get(`/game/${gameId}`)).body;
+  assert.equal(state.players.white.source, 'bot');
+  assert.equal(state.moveHistory.length, 1);
+});
+
+test('variant games keep their own rules, title and PGN tag', async () => {
+  await request(app).post('/api/games').send({ variant: 'crazyhouse' }).expect(400);
+
+  const seeded = await request(app)
+    .post('/api/games')
+    .send({ variant: 'Chess960', seed: 'test-seed' })
+    .expect(200);
+  assert.equal(seeded.body.variant, 'chess960');
+  const again = await request(app).post('/api/games').send({ variant: '960', seed: 'test-seed' });
+  assert.equal(again.body.fen, seeded.body.fen);
+
+  const { gameId } = (await request(app).post('/api/games').send({ variant: 'koth' })).body;
+  const token = (await request(app).post(`/api/games/${gameId}/solo`).send({})).body.token;
+  await request(app)
+    .post(`/api/games/${gameId}/solo`)
+    .send({ opponent: 'computer', playerToken: token })
+    .expect(400);
+  for (const [from, to] of [
+    ['e2', 'e3'],
+    ['a7', 'a6'],
+    ['e1', 'e2'],
+    ['a6', 'a5'],
+    ['e2', 'd3'],
+    ['a5', 'a4'],
+  ]) {
+    await request(app).post('/move').send({ gameId, from, to, playerToken: token }).expect(200);
+  }
+  const frame = await request(app).get(`/?gameId=${gameId}`).expect(200);
+  assert.ok(frame.text.includes('King of the Hill'));
+
+  await request(app)
+    .post('/move')
+    .send({ gameId, from: 'd3', to: 'e4', playerToken: token })
+    .expect(200);
+  const state = (await request(app).get(`/game/${gameId}`)).body;
+  assert.equal(state.variant, 'kingOfTheHill');
+  assert.equal(state.result, '1-0');
+  assert.equal(state.termination, 'king-of-the-hill');
+  const pgn = await request(app).get(`/game/${gameId}/pgn`).expect(200);
+  assert.ok(pgn.text.includes('[Variant "King of the Hill"]'));
+  assert.ok(pgn.text.includes('[Termination "King reached the hill"]'));
+  await request(app).get(`/api/games/${gameId}/analysis`).expect(409);
+});
+
+test('games can start from a FEN or PGN', async () => {
+  await request(app).post('/api/games').send({ fen: '8/8/8/8/8/8/8/8 w - - 0 1' }).expect(400);
+
+  const fen = 'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3';
+  const createRes = await request(app).post('/api/games').send({ fen }).expect(200);
+  const { gameId } = createRes.body;
+  assert.equal(createRes.body.fen, fen);
+
+  const soloRes = await request(app).post(`/api/games/${gameId}/solo`).send({});
+  await request(app)
+    .post('/move')
+    .send({ gameId, from: 'f1', to: 'b5', playerToken: soloRes.body.token })
+    .expect(200);
+  const pgn = await request(app).get(`/game/${gameId}/pgn`).expect(200);
+  assert.ok(pgn.text.includes('[SetUp "1"]'));
+  assert.ok(pgn.text.includes(`[FEN "${fen}"]`));
+  assert.ok(pgn.text.includes('3. Bb5'));
+
+  const fromPgn = await request(app).post('/api/games').send({ pgn: '1. d4 d5 2. c4' }).expect(200);
+  const state = (await request(app).get(`/game/${fromPgn.body.gameId}`)).body;
+  assert.deepEqual(state.moveHistory, ['d4', 'd5', 'c4']);
+  assert.equal(state.currentPlayer, 'b');
+
+  const frameRes = await request(app)
+    .get('/')
+    .query({ gameId: 'position-challenge', fen: '4k3/8/8/8/8/8/4P3/4K3 b - - 0 1' })
+    .expect(200);
+  assert.ok(frameRes.text.includes('fc:frame'));
+  const challenge = (await request(app).get('/game/position-challenge')).body;
+  assert.equal(challenge.fen, '4k3/8/8/8/8/8/4P3/4K3 b - - 0 1');
+
+  await request(app).get('/').query({ fen: 'nonsense' }).expect(400);
+});
+
+test('takebacks stop at the imported moves and give back the time spent', async () => {
+  const { gameId } = (
+    await request(app).post('/api/games').send({ pgn: '1. d4 d5 2. c4', timeControl: '3+2' })
+  ).body;
+  const playerToken = (await request(app).post(`/api/games/${gameId}/solo`).send({})).body.token;
+  const move = (from, to) =>
+    request(app).post('/move').send({ gameId, from, to, playerToken }).expect(200);
+  const takeBack = () =>
+    request(app).post(`/api/games/${gameId}/takeback`).send({ playerToken, action: 'request' });
+
+  await move('e7', 'e6');
+  await move('b1', 'c3');
+  let state = (await request(app).get(`/game/${gameId}`)).body;
+  assert.ok(state.clock.white > 180000, 'Nc3 earned the increment');
+
+  await takeBack().expect(200);
+  state = (await request(app).get(`/game/${gameId}`)).body;
+  assert.ok(state.clock.white <= 180000 && state.clock.white > 175000);
+  assert.equal(state.clock.running, 'w');
+
+  await takeBack().expect(200);
+  const refused = await takeBack().expect(409);
+  assert.equal(refused.body.error, 'There is no move to take back');
+  state = (await request(app).get(`/game/${gameId}`)).body;
+  assert.deepEqual(state.moveHistory, ['d4', 'd5', 'c4']);
+  assert.deepEqual(
+    [state.clock.white, state.clock.black, state.clock.running],
+    [180000, 180000, null],
+  );
+});
+
+test('web sessions link to a Farcaster FID through the link frame', async () => {
+  const createRes = await request(app).post('/api/games').send({});
+  const { gameId } = createRes.body;
+  await request(app)
+    .post('/frame')
+    .send(hub.frameRequest({ fid: 4242, buttonIndex: 1, state: JSON.stringify({ gameId }) }))
+    .expect(200);
+  const frameSeat = (await request(app).get(`/game/${gameId}`)).body.players.white;
+
+  const signUp = await request(app).post('/api/players').send({ name: 'Ada' }).expect(200);
+  const auth = { Authorization: `Bearer ${signUp.body.sessionToken}` };
+  await request(app).get('/api/players/me').expect(401);
+  await request(app).patch('/api/players/me').set(auth).send({ name: ' ' }).expect(400);
+  await request(app).patch('/api/players/me').set(auth).send({ name: 'Ada L' }).expect(200);
+
+  const joinRes = await request(app)
+    .post(`/api/games/${gameId}/join`)
+    .set(auth)
+    .send({ color: 'black' })
+    .expect(200);
+  assert.equal(joinRes.body.player.id, signUp.body.player.id);
+  assert.equal(joinRes.body.player.name, 'Ada L');
+
+  const { code } = (await request(app).post('/api/players/me/link-code').set(auth)).body;
+  const unsigned = await request(app)
+    .post('/link')
+    .send({ untrustedData: { fid: 4242, inputText: code } })
+    .expect(200);
+  assert.ok(unsigned.text.includes('Read-only'));
+
+  const linked = await request(app)
+    .post('/link')
+    .send(hub.frameRequest({ fid: 4242, buttonIndex: 1, inputText: code.toLowerCase() }))
+    .expect(200);
+  assert.ok(linked.text.includes('Linked FID 4242 to Ada L'));
+
+  const reused = await request(app)
+    .post('/link')
+    .send(hub.frameRequest({ fid: 4242, buttonIndex: 1, inputText: code }))
+    .expect(200);
+  assert.ok(reused.text.includes('invalid or has expired'));
+
+  // The frame seat taken before linking now belongs to the web player
+  const profile = await request(app).get(`/api/players/${frameSeat.id}`).expect(200);
+  assert.equal(profile.body.player.id, signUp.body.player.id);
+  assert.equal(profile.body.player.fid, 4242);
+  assert.equal(profile.body.recentGames[0].color, 'both');
+  assert.deepEqual(profile.body.stats, { games: 0, wins: 0, losses: 0, draws: 0 });
+
+  await request(app).get('/api/players/p_missing').expect(404);
+});
+
+test('the Mini App is launched from casts and signs in with Quick Auth', async () => {
+  const manifest = await request(app).get('/.well-known/farcaster.json').expect(200);
+  assert.match(manifest.body.miniapp.homeUrl, /\/miniapp$/);
+  await request(app).get('/miniapp/icon.png').expect(200).expect('Content-Type', /png/);
+
+  const { gameId } = (await request(app).post('/api/games').send({})).body;
+  const cast = await request(app).get(`/?gameId=${gameId}`).expect(200);
+  const embed = cast.text.match(/<meta name="fc:miniapp" content="([^"]+)"/)[1];
+  const { button } = JSON.parse(embed.replace(/&quot;/g, '"').replace(/&amp;/g, '&'));
+  assert.equal(button.action.type, 'launch_miniapp');
+  assert.ok(button.action.url.endsWith(`/miniapp?gameId=${gameId}`));
+  assert.ok(cast.text.includes('launch_frame'));
+  assert.ok(cast.text.includes('fc:frame:button:1'));
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  app.locals.quickAuthVerifier = createQuickAuthVerifier({
+    getKeys: async () => [publicKey.export({ format: 'jwk' })],
+  });
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const signToken = (claims) => {
+    const signedPart = `${encode({ alg: 'EdDSA' })}.${encode(claims)}`;
+    return `${signedPart}.${crypto.sign(null, Buffer.from(signedPart), privateKey).toString('base64url')}`;
+  };
+  const claims = {
+    iss: QUICK_AUTH_ISSUER,
+    aud: 'chess.test',
+    sub: 5151,
+    exp: Date.now() / 1000 + 60,
+  };
+
+  // Without a configured domain there is nothing to check tokens against
+  app.locals.miniAppDomain = null;
+  const unconfigured = await request(app)
+    .post('/api/miniapp/session')
+    .send({ token: signToken(claims) })
+    .expect(503);
+  assert.equal(unconfigured.body.error, 'Mini App sign-in is not configured');
+  app.locals.miniAppDomain = 'chess.test';
+
+  // The host the request claims to be for doesn't change the domain
+  for (const headers of [
+    {},
+    { Host: 'elsewhere.test' },
+    { 'X-Forwarded-Host': 'elsewhere.test' },
+  ]) {
+    const refused = await request(app)
+      .post('/api/miniapp/session')
+      .set(headers)
+      .send({ token: signToken({ ...claims, aud: 'elsewhere.test' }) })
+      .expect(401);
+    assert.equal(refused.body.error, 'Token for another domain');
+  }
+  const nullHeader = `${encode(null)}.${signToken(claims).split('.').slice(1).join('.')}`;
+  const malformed = await request(app)
+    .post('/api/miniapp/session')
+    .send({ token: nullHeader })
+    .expect(401);
+  assert.equal(malformed.body.error, 'Missing or malformed token');
+
+  const signedIn = await request(app)
+    .post('/api/miniapp/session')
+    .send({ token: signToken(claims), name: 'dwr' })
+    .expect(200);
+  assert.equal(signedIn.body.player.fid, 5151);
+  assert.equal(signedIn.body.player.name, 'dwr');
+  const me = await request(app)
+    .get('/api/players/me')
+    .set({ Authorization: `Bearer ${signedIn.body.sessionToken}` })
+    .expect(200);
+  assert.equal(me.body.player.id, signedIn.body.player.id);
+
+  // A name the player chose is kept on later sign-ins
+  const again = await request(app)
+    .post('/api/miniapp/session')
+    .send({ token: signToken(claims), name: 'someone-else' })
+    .expect(200);
+  assert.equal(again.body.player.id, signedIn.body.player.id);
+  assert.equal(again.body.player.name, 'dwr');
+
+  // A check that breaks down is a refusal too
+  app.locals.quickAuthVerifier = {
+    verify: async () => {
+      throw new TypeError('Cannot read properties of null');
+    },
+  };
+  const broken = await request(app)
+    .post('/api/miniapp/session')
+    .send({ token: signToken(claims) })
+    .expect(401);
+  assert.equal(broken.body.error, 'The token could not be checked');
+});
+
+test('players away from the board are notified by webhook and in the Mini App', async (t) => {
+  const receiver = await createLocalReceiver();
+  t.after(() => receiver.close());
+
+  const alice = (await request(app).post('/api/players').send({ name: 'Alice' })).body;
+  const aliceAuth = { Authorization: `Bearer ${alice.sessionToken}` };
+  for (const url of [
+    'file:///etc/passwd',
+    'http://169.254.169.254/latest/meta-data',
+    receiver.url,
+  ]) {
+    await request(app).post('/api/players/me/webhooks').set(aliceAuth).send({ url }).expect(400);
+  }
+
+  // The receiver runs on this machine
+  app.locals.notifier = createNotifier({ retryDelaysMs: [5], allowPrivateTargets: true });
+  const { secret } = (
+    await request(app)
+      .post('/api/players/me/webhooks')
+      .set(aliceAuth)
+      .send({ url: `${receiver.url}/alice` })
+      .expect(200)
+  ).body;
+
+  // Bob plays in the frame and has added the Mini App, whose client hands over a token
+  const added = hub.signMiniAppEvent({
+    fid: 6161,
+    event: 'miniapp_added',
+    notificationDetails: { url: `${receiver.url}/client`, token: 'bob-token' },
+  });
+  const forged = { ...added, signature: hub.signMiniAppEvent({ fid: 6161, event: 'x' }).signature };
+  await request(app).post('/api/miniapp/webhook').send(forged).expect(401);
+  const nullHeader = { ...added, header: Buffer.from('null').toString('base64url') };
+  const malformed = await request(app).post('/api/miniapp/webhook').send(nullHeader).expect(400);
+  assert.equal(malformed.body.error, 'Malformed event');
+  await request(app).post('/api/miniapp/webhook').send(added).expect(200);
+
+  const { gameId } = (await request(app).post('/api/games').send({})).body;
+  const state = JSON.stringify({ gameId });
+  const aliceToken = (
+    await request(app).post(`/api/games/${gameId}/join`).set(aliceAuth).send({ color: 'white' })
+  ).body.token;
+  await request(app)
+    .post('/frame')
+    .send(hub.frameRequest({ fid: 6161, buttonIndex: 2, state }))
+    .expect(200);
+  await request(app)
+    .post('/move')
+    .send({ gameId, from: 'e2', to: 'e4', playerToken: aliceToken })
+    .expect(200);
+  await request(app)
+    .post('/frame')
+    .send(hub.frameRequest({ fid: 6161, buttonIndex: 1, inputText: 'e5', state }))
+    .expect(200);
+  await request(app)
+    .post(`/api/games/${gameId}/draw`)
+    .send({ playerToken: aliceToken, action: 'offer' })
+    .expect(200);
+
+  const muted = await request(app)
+    .patch('/api/players/me/notifications')
+    .set(aliceAuth)
+    .send({ muted: ['game-over'] })
+    .expect(200);
+  assert.deepEqual(muted.body.notifications.muted, ['game-over']);
+  await request(app)
+    .patch('/api/players/me/notifications')
+    .set(aliceAuth)
+    .send({ muted: ['everything'] })
+    .expect(400);
+  await request(app)
+    .post('/frame')
+    .send(hub.frameRequest({ fid: 6161, buttonIndex: 3, state }))
+    .expect(200);
+  await app.locals.notifier.idle();
+
+  const toAlice = receiver.requests.filter((call) => call.path === '/alice');
+  assert.deepEqual(
+    toAlice.map((call) => call.json.kind),
+    ['challenge', 'your-turn'],
+  );
+  assert.equal(toAlice[1].json.body, "FID 6161 played e5. It's your move.");
+  for (const { headers, body } of toAlice) {
+    const signature = headers['x-chessgrid-signature'];
+    const timestamp = headers['x-chessgrid-timestamp'];
+    assert.ok(verifyWebhookSignature({ secret, timestamp, body, signature }));
+  }
+
+  const toBob = receiver.requests.filter((call) => call.path === '/client');
+  assert.deepEqual(
+    toBob.map((call) => call.json.title),
+    ['Your move', 'Draw offered', 'Game over'],
+  );
+  assert.deepEqual(toBob[0].json.tokens, ['bob-token']);
+  assert.ok(toBob[0].json.targetUrl.endsWith(`/miniapp?gameId=${gameId}`));
+});
+
+test('games between two players are rated and ranked', async () => {
+  const signUp = async (name) => {
+    const res = await request(app).post('/api/players').send({ name }).expect(200);
+    return { id: res.body.player.id, auth: { Authorization: `Bearer ${res.body.sessionToken}` } };
+  };
+  const carla = await signUp('Carla');
+  const dev = await signUp('Dev');
+
+  const { gameId } = (await request(app).post('/api/games').send({ timeControl: '3+2' })).body;
+  const white = await request(app)
+    .post(`/api/games/${gameId}/join`)
+    .set(carla.auth)
+    .send({ color: 'white' });
+  const black = await request(app)
+    .post(`/api/games/${gameId}/join`)
+    .set(dev.auth)
+    .send({ color: 'black' });
+  let state = (await request(app).get(`/game/${gameId}`)).body;
+  assert.equal(state.rated, true);
+  assert.deepEqual([state.players.white.rating, state.players.white.provisional], [1500, true]);
+
+  const moves = [
+    [white, 'f2', 'f3'],
+    [black, 'e7', 'e5'],
+    [white, 'g2', 'g4'],
+    [black, 'd8', 'h4'],
+  ];
+  for (const [seat, from, to] of moves) {
+    await request(app)
+      .post('/move')
+      .send({ gameId, from, to, playerToken: seat.body.token })
+      .expect(200);
+  }
+
+  state = (await request(app).get(`/game/${gameId}`)).body;
+  assert.equal(state.ratingChange.bucket, 'blitz');
+  assert.deepEqual(state.ratingChange.black, { playerId: dev.id, before: 1500, after: 1662 });
+  assert.equal(state.players.black.rating, 1662);
+
+  const history = (await request(app).get(`/api/players/${carla.id}/ratings`)).body.history;
+  assert.deepEqual(
+    history.map(({ gameId: id, before, after, change }) => ({ id, before, after, change })),
+    [{ id: gameId, before: 1500, after: 1338, change: -162 }],
+  );
+
+  // Starting over under the same id doesn't take the game out of the history
+  await request(app)
+    .post(`/api/games/${gameId}/solo`)
+    .set(carla.auth)
+    .send({ playerToken: white.body.token })
+    .expect(200);
+  assert.equal((await request(app).get(`/game/${gameId}`)).body.ratingChange, null);
+  const kept = (await request(app).get(`/api/players/${carla.id}/ratings`)).body.history;
+  assert.deepEqual(
+    kept.map(({ gameId: id, result, opponent, opponentRating, change }) => ({
+      id,
+      result,
+      opponent: opponent.id,
+      opponentRating,
+      change,
+    })),
+    [
+      {
+        id: gameId,
+        result: history[0].result,
+        opponent: dev.id,
+        opponentRating: 1500,
+        change: -162,
+      },
+    ],
+  );
+
+  // Solo games leave ratings alone
+  const solo = (await request(app).post('/api/games').send({ timeControl: '3+2' })).body;
+  await request(app).post(`/api/games/${solo.gameId}/solo`).set(dev.auth).send({});
+  assert.equal((await request(app).get(`/game/${solo.gameId}`)).body.rated, false);
+
+  // So do games against a guest, who could be anyone making up opponents
+  const guestGame = (await request(app).post('/api/games').send({ timeControl: '3+2' })).body;
+  await request(app)
+    .post(`/api/games/${guestGame.gameId}/join`)
+    .set(dev.auth)
+    .send({ color: 'white' });
+  const guest = await request(app)
+    .post(`/api/games/${guestGame.gameId}/join`)
+    .send({ name: 'Dev again' });
+  assert.equal((await request(app).get(`/game/${guestGame.gameId}`)).body.rated, false);
+  await request(app)
+    .post(`/api/games/${guestGame.gameId}/resign`)
+    .send({ playerToken: guest.body.token })
+    .expect(200);
+  const afterGuest = (await request(app).get(`/game/${guestGame.gameId}`)).body;
+  assert.equal(afterGuest.ratingChange, null);
+  assert.equal(afterGuest.players.white.rating, 1662);
+
+  const board = (await request(app).get('/api/leaderboard').query({ bucket: 'blitz', limit: 1 }))
+    .body;
+  assert.equal(board.total, 2);
+  assert.equal(board.pages, 2);
+  assert.deepEqual(
+    board.players.map(({ rank, id, rating, games }) => ({ rank, id, rating, games })),
+    [{ rank: 1, id: dev.id, rating: 1662, games: 1 }],
+  );
+  await request(app).get('/api/leaderboard').query({ bucket: 'hyperbullet' }).expect(400);
+  await request(app).get('/api/leaderboard').query({ page: 0 }).expect(400);
+
+  const frame = await request(app)
+    .post('/leaderboard')
+    .send({ untrustedData: { buttonIndex: 2, state: JSON.stringify({ bucket: 'bullet' }) } })
+    .expect(200);
+  assert.ok(frame.text.includes('Leaderboard - Blitz'));
+  const image = await request(app).get('/leaderboard/image.png?bucket=blitz').expect(200);
+  assert.equal(image.headers['content-type'], 'image/png');
+});
+
+test('the lobby pairs seeks from the web and the frame', async () => {
+  const signUp = async (name) => {
+    const res = await request(app).post('/api/players').send({ name }).expect(200);
+    return { id: res.body.player.id, auth: { Authorization: `Bearer ${res.body.sessionToken}` } };
+  };
+  const erin = await signUp('Erin');
+  const finn = await signUp('Finn');
+
+  await request(app).post('/api/lobby/seeks').send({}).expect(401);
+  await request(app)
+    .post('/api/lobby/seeks')
+    .set(erin.auth)
+    .send({ timeControl: '3+2', ratingRange: { min: 2000, max: 1000 } })
+    .expect(400);
+
+  const waiting = await request(app)
+    .post('/api/lobby/seeks')
+    .set(erin.auth)
+    .send({ timeControl: '3+2', color: 'black', ratingRange: { min: 1200, max: 1800 } })
+    .expect(200);
+  assert.equal(waiting.body.match, null);
+  const lobbyList = (await request(app).get('/api/lobby/seeks')).body.seeks;
+  assert.ok(lobbyList.some((open) => open.id === waiting.body.seek.id && open.name === 'Erin'));
+
+  const paired = await request(app)
+    .post('/api/lobby/seeks')
+    .set(finn.auth)
+    .send({ timeControl: '3+2' })
+    .expect(200);
+  assert.equal(paired.body.match.color, 'white');
+  const { gameId } = paired.body.match;
+
+  // The waiting side looks its seek up to get its seat
+  await request(app).get(`/api/lobby/seeks/${waiting.body.seek.id}`).set(finn.auth).expect(404);
+  const mine = await request(app)
+    .get(`/api/lobby/seeks/${waiting.body.seek.id}`)
+    .set(erin.auth)
+    .expect(200);
+  assert.deepEqual(
+    { gameId: mine.body.match.gameId, color: mine.body.match.color },
+    { gameId, color: 'black' },
+  );
+  await request(app).delete(`/api/lobby/seeks/${waiting.body.seek.id}`).set(erin.auth).expect(409);
+
+  const game = (await request(app).get(`/game/${gameId}`)).body;
+  assert.equal(game.status, 'active');
+  assert.equal(game.timeControl.label, '3+2');
+  assert.deepEqual([game.players.white.id, game.players.black.id], [finn.id, erin.id]);
+  await request(app)
+    .post('/move')
+    .send({ gameId, from: 'e2', to: 'e4', playerToken: paired.body.match.token })
+    .expect(200);
+
+  // Quick Match from the frame waits, then the next frame seek pairs with it
+  const press = (fid, buttonIndex, state) =>
+    request(app)
+      .post('/frame')
+      .send(hub.frameRequest({ fid, buttonIndex, state: JSON.stringify(state) }))
+      .expect(200);
+  const root = (await request(app).post('/api/games').send({})).body.gameId;
+  const searching = await press(501, 4, { gameId: root });
+  assert.ok(searching.text.includes('Searching for an opponent'));
+  const seekState = JSON.parse(
+    decodeURIComponent(searching.text.match(/fc:frame:state" content="([^"]+)"/)[1]),
+  );
+
+  const second = await press(502, 4, { gameId: root });
+  assert.ok(second.text.includes('Opponent found'));
+  const recheck = await press(501, 1, seekState);
+  assert.ok(recheck.text.includes('Opponent found'));
+  assert.ok(!recheck.text.includes(root));
+
+  const frameSeek = await press(503, 4, { gameId: root });
+  const frameSeekState = JSON.parse(
+    decodeURIComponent(frameSeek.text.match(/fc:frame:state" content="([^"]+)"/)[1]),
+  );
+  const cancelled = await press(503, 2, frameSeekState);
+  assert.ok(cancelled.text.includes('Search cancelled'));
+  assert.deepEqual((await request(app).get('/api/lobby/seeks')).body.seeks, []);
+});
+
+test('round-robin tournaments pair rounds and track standings', async () => {
+  const signUp = async (name) => {
+    const res = await request(app).post('/api/players').send({ name }).expect(200);
+    return { id: res.body.player.id, auth: { Authorization: `Bearer ${res.body.sessionToken}` } };
+  };
+  const gail = await signUp('Gail');
+  const hugo = await signUp('Hugo');
+
+  await request(app)
+    .post('/api/tournaments')
+    .set(gail.auth)
+    .send({ name: 'Club night', format: 'knockout' })
+    .expect(400);
+  const created = await request(app)
+    .post('/api/tournaments')
+    .set(gail.auth)
+    .send({ name: 'Club night', format: 'round-robin' })
+    .expect(200);
+  const { id } = created.body.tournament;
+  assert.ok(created.body.frameUrl.endsWith(`/tournament/${id}`));
+
+  await request(app).post(`/api/tournaments/${id}/join`).set(gail.auth).expect(200);
+  await request(app).post(`/api/tournaments/${id}/join`).set(gail.auth).expect(400);
+  await request(app).post(`/api/tournaments/${id}/join`).set(hugo.auth).expect(200);
+
+  const press = (fid, buttonIndex) =>
+    request(app)
+      .post(`/tournament/${id}`)
+      .send(hub.frameRequest({ fid, buttonIndex, state: JSON.stringify({ tournamentId: id }) }))
+      .expect(200);
+  assert.ok((await press(601, 2)).text.includes('You are in'));
+
+  await request(app).post(`/api/tournaments/${id}/start`).set(hugo.auth).expect(400);
+  await request(app).post(`/api/tournaments/${id}/start`).set(gail.auth).expect(200);
+  const detail = (await request(app).get(`/api/tournaments/${id}`)).body;
+  assert.equal(detail.tournament.rounds, 3);
+  assert.equal(detail.pairings.length, 1);
+  assert.equal(detail.byes.length, 1);
+
+  // The frame player joined last, so the circle method pairs them in round one
+  const framePlayer = detail.tournament.players[2];
+  assert.ok([detail.pairings[0].white, detail.pairings[0].black].includes(framePlayer.playerId));
+  assert.ok((await press(601, 1)).text.includes('Play My Game'));
+
+  // A tournament game can't be started over, alone, against the computer or from the frame
+  const [firstPairing] = detail.pairings;
+  const webPlayer = [gail, hugo].find((player) =>
+    [firstPairing.white, firstPairing.black].includes(player.id),
+  );
+  const { token: seatToken } = (
+    await request(app).get(`/api/tournaments/${id}/pairing`).set(webPlayer.auth).expect(200)
+  ).body.pairing;
+  for (const body of [{}, { opponent: 'computer' }]) {
+    const res = await request(app)
+      .post(`/api/games/${firstPairing.gameId}/solo`)
+      .send({ ...body, playerToken: seatToken })
+      .expect(409);
+    assert.equal(res.body.error, 'Tournament games cannot be started over');
+  }
+  const frameReset = await request(app)
+    .post('/frame')
+    .send(
+      hub.frameRequest({
+        fid: 601,
+        buttonIndex: 1,
+        inputText: 'reset',
+        state: JSON.stringify({ gameId: firstPairing.gameId }),
+      }),
+    )
+    .expect(200);
+  assert.ok(frameReset.text.includes('Tournament games cannot be started over'));
+  const kept = (await request(app).get(`/game/${firstPairing.gameId}`)).body;
+  assert.deepEqual([kept.status, kept.tournament.id], ['active', id]);
+
+  // Gail resigns every game she plays, Hugo resigns the one left
+  const resignNext = async (player) => {
+    const { pairing } = (
+      await request(app).get(`/api/tournaments/${id}/pairing`).set(player.auth).expect(200)
+    ).body;
+    if (!pairing) return false;
+    await request(app)
+      .post(`/api/games/${pairing.gameId}/resign`)
+      .send({ playerToken: pairing.token })
+      .expect(200);
+    return true;
+  };
+  for (let round = 0; round < 3; round++) {
+    if (!(await resignNext(gail))) await resignNext(hugo);
+  }
+
+  const finished = (await request(app).get(`/api/tournaments/${id}`)).body.tournament;
+  assert.equal(finished.status, 'finished');
+  const { standings } = (await request(app).get(`/api/tournaments/${id}/standings`)).body;
+  assert.deepEqual(
+    standings.map(({ playerId, score }) => [playerId, score]),
+    [
+      [framePlayer.playerId, 2],
+      [hugo.id, 1],
+      [gail.id, 0],
+    ],
+  );
+  const { crosstable } = (await request(app).get(`/api/tournaments/${id}/crosstable`)).body;
+  assert.deepEqual(crosstable[1].results, { [framePlayer.playerId]: ['0'], [gail.id]: ['1'] });
+
+  const image = await request(app).get(`/tournament/${id}/image.png`).expect(200);
+  assert.equal(image.headers['content-type'], 'image/png');
+  await request(app).get('/api/tournaments/missing/standings').expect(404);
+});
+
+test('the crowd votes on moves from the frame', async (t) => {
+  const created = await request(app)
+    .post('/api/games')
+    .send({ vote: 'white', voteWindowSeconds: 60 })
+    .expect(200);
+  const { gameId } = created.body;
+  assert.deepEqual(created.body.vote.sides, ['white']);
+  await request(app).post('/api/games').send({ vote: 'white', timeControl: '3+2' }).expect(400);
+
+  const joined = await request(app)
+    .post(`/api/games/${gameId}/join`)
+    .send({ color: 'black', name: 'Ivy' })
+    .expect(200);
+  await request(app)
+    .post('/move')
+    .send({ gameId, from: 'e2', to: 'e4', playerToken: joined.body.token })
+    .expect(423);
+
+  const root = await request(app).get(`/?gameId=${gameId}`).expect(200);
+  assert.ok(root.text.includes('Crowd Vote for White'));
+  assert.ok(root.text.includes('No votes yet'));
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const vote = (fid, inputText) =>
+    request(app)
+      .post('/frame')
+      .send(
+        hub.frameRequest({
+          fid,
+          buttonIndex: 1,
+          inputText,
+          state: JSON.stringify({ gameId, view: 'vote' }),
+        }),
+      )
+      .expect(200);
+  assert.ok((await vote(701, 'e2e5')).text.includes('Illegal move'));
+  await vote(701, 'd2d4');
+  await vote(702, 'e2e4');
+  t.mock.timers.tick(1000);
+  const third = await vote(703, 'e2e4');
+  assert.ok(third.text.includes('Votes: e4 2, d4 1'));
+  assert.ok(third.text.includes('Your vote: e4'));
+  assert.ok(third.text.includes('0:59 left'));
+  const imageUrl = third.text.match(/fc:frame:image" content="([^"]+)"/)[1];
+  assert.ok(imageUrl.includes('/vote.png') && imageUrl.includes('mine=e4'));
+  const image = await request(app).get(new URL(imageUrl).pathname + new URL(imageUrl).search);
+  assert.equal(image.headers['content-type'], 'image/png');
+
+  let state = (await request(app).get(`/game/${gameId}`)).body;
+  assert.deepEqual(state.vote.ballot.tally, [
+    { san: 'e4', votes: 2 },
+    { san: 'd4', votes: 1 },
+  ]);
+  assert.deepEqual(state.moveHistory, []);
+
+  t.mock.timers.tick(60_000);
+  state = (await request(app).get(`/game/${gameId}`)).body;
+  assert.deepEqual(state.moveHistory, ['e4']);
+  assert.equal(state.vote.ballot, null);
+  assert.deepEqual(state.vote.results, [{ ply: 0, san: 'e4', votes: 2, voters: 3 }]);
+  assert.ok((await vote(702, 'd2d4')).text.includes('Voting has closed'));
+});
+
+test('spectators are counted and abandoned games can be claimed', async (t) => {
+  const { gameId } = (await request(app).post('/api/games').send({})).body;
+  const white = await request(app).post(`/api/games/${gameId}/join`).send({ color: 'white' });
+  const black = await request(app).post(`/api/games/${gameId}/join`).send({ color: 'black' });
+
+  const server = app.listen(0);
+  const { port } = server.address();
+  // Opens an event stream and resolves once its first event has arrived
+  const connect = async (query = '') => {
+    const controller = new AbortController();
+    const res = await fetch(`http://127.0.0.1:${port}/game/${gameId}/events${query}`, {
+      signal: controller.signal,
+    });
+    await res.body.getReader().read();
+    return controller;
+  };
+  const presenceNow = async () => (await request(app).get(`/game/${gameId}`)).body.presence;
+  const claim = (outcome) =>
+    request(app)
+      .post(`/api/games/${gameId}/claim-abandonment`)
+      .send({ playerToken: black.body.token, outcome });
+
+  try {
+    const whiteStream = await connect(`?playerToken=${white.body.token}`);
+    const spectator = await connect();
+    let presence = await presenceNow();
+    assert.equal(presence.white.connected, true);
+    assert.equal(presence.black.connected, false);
+    assert.equal(presence.spectators, 1);
+    await claim().expect(409);
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    whiteStream.abort();
+    spectator.abort();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    presence = await presenceNow();
+    assert.equal(presence.white.connected, false);
+    assert.equal(presence.spectators, 0);
+    await claim().expect(409);
+
+    t.mock.timers.tick(60_000);
+    await claim('forfeit').expect(400);
+    const claimed = await claim().expect(200);
+    assert.deepEqual(claimed.body, {
+      success: true,
+      result: '0-1',
+      termination: 'abandonment',
+    });
+  } finally {
+    server.close();
+  }
+});
+
+test('players and spectators chat in separate rooms', async () => {
+  const { gameId } = (await request(app).post('/api/games').send({})).body;
+  const white = await request(app).post(`/api/games/${gameId}/join`).send({ color: 'white' });
+  const black = await request(app).post(`/api/games/${gameId}/join`).send({ color: 'black' });
+  const watcher = (await request(app).post('/api/players').send({ name: 'Watcher' })).body;
+  const chatPath = `/api/games/${gameId}/chat`;
+  const asWatcher = (req) => req.set('Authorization', `Bearer ${watcher.sessionToken}`);
+
+  const server = app.listen(0);
+  const { port } = server.address();
+  const controller = new AbortController();
+  let hello;
+  try {
+    // Spectators' messages arrive live on their own event stream
+    const stream = await fetch(`http://127.0.0.1:${port}/game/${gameId}/events`, {
+      signal: controller.signal,
+    });
+    const reader = stream.body.getReader();
+    await reader.read();
+
+    hello = await request(app)
+      .post(chatPath)
+      .send({ playerToken: white.body.token, text: 'Good luck!' })
+      .expect(200);
+    assert.equal(hello.body.room, 'players');
+    const shout = await asWatcher(request(app).post(chatPath))
+      .send({ text: 'What a shitty move' })
+      .expect(200);
+    assert.equal(shout.body.message.text, 'What a ****** move');
+
+    let received = '';
+    while (!received.includes('event: chat')) {
+      received += new TextDecoder().decode((await reader.read()).value);
+    }
+    assert.ok(received.includes(shout.body.message.id));
+    assert.ok(!received.includes('Good luck'));
+  } finally {
+    controller.abort();
+    server.close();
+  }
+
+  const blackView = await request(app)
+    .get(`${chatPath}?playerToken=${black.body.token}`)
+    .expect(200);
+  assert.deepEqual(
+    blackView.body.messages.map((message) => message.text),
+    ['Good luck!'],
+  );
+  const watcherView = await asWatcher(request(app).get(chatPath)).expect(200);
+  assert.equal(watcherView.body.room, 'spectators');
+  assert.equal(watcherView.body.messages.length, 1);
+  const state = await request(app).get(`/game/${gameId}`).expect(200);
+  assert.equal(state.body.chat, undefined);
+
+  await request(app).post(chatPath).send({ text: 'hi' }).expect(401);
+  await asWatcher(request(app).post(chatPath))
+    .send({ text: 'x'.repeat(281) })
+    .expect(400);
+  for (let i = 0; i < 3; i++) {
+    await asWatcher(request(app).post(chatPath))
+      .send({ text: `msg ${i}` })
+      .expect(200);
+  }
+  await asWatcher(request(app).post(chatPath)).send({ text: 'too fast' }).expect(429);
+
+  // Black reports and mutes White's message
+  const whiteId = hello.body.message.playerId;
+  await request(app)
+    .post(`${chatPath}/${hello.body.message.id}/report`)
+    .send({ playerToken: black.body.token, reason: 'rude' })
+    .expect(202);
+  await asWatcher(request(app).post(`${chatPath}/${hello.body.message.id}/report`))
+    .send({})
+    .expect(404);
+  const muted = await request(app)
+    .post(`${chatPath}/mute`)
+    .send({ playerToken: black.body.token, playerId: whiteId })
+    .expect(200);
+  assert.deepEqual(muted.body.hiddenPlayerIds, [whiteId]);
+  const afterMute = await request(app).get(`${chatPath}?playerToken=${black.body.token}`);
+  assert.deepEqual(afterMute.body.messages, []);
+
+  // Blocking is kept on the account
+  await asWatcher(request(app).post('/api/players/me/blocks'))
+    .send({ playerId: watcher.player.id })
+    .expect(400);
+  await asWatcher(request(app).post('/api/players/me/blocks'))
+    .send({ playerId: whiteId })
+    .expect(200);
+  const me = await asWatcher(request(app).get('/api/players/me')).expect(200);
+  assert.deepEqual(me.body.blocked, [whiteId]);
+  await asWatcher(request(app).delete(`/api/players/me/blocks/${whiteId}`)).expect(200);
+});
+
+test('finished games are analysed once and export an annotated PGN', async () => {
+  const { gameId } = (await request(app).post('/api/games').send({})).body;
+  const { token } = (await request(app).post(`/api/games/${gameId}/solo`).send({})).body;
+  await request(app).get(`/api/games/${gameId}/analysis`).expect(409);
+  for (const [from, to] of [
+    ['f2', 'f3'],
+    ['e7', 'e5'],
+    ['g2', 'g4'],
+    ['d8', 'h4'],
+  ]) {
+    await request(app).post('/move').send({ gameId, from, to, playerToken: token }).expect(200);
+  }
+
+  const { body } = await request(app).get(`/api/games/${gameId}/analysis`).expect(200);
+  assert.deepEqual(
+    body.analysis.moves.map((entry) => entry.san),
+    ['f3', 'e5', 'g4', 'Qh4#'],
+  );
+  assert.equal(body.analysis.moves[2].classification, 'blunder');
+  assert.equal(body.analysis.moves[3].classification, 'best');
+  assert.ok(body.analysis.accuracy.black > body.analysis.accuracy.white);
+
+  const again = await request(app).get(`/api/games/${gameId}/analysis`).expect(200);
+  assert.equal(again.body.analysis.analyzedAt, body.analysis.analyzedAt);
+
+  const pgn = await request(app).get(`/game/${gameId}/pgn?annotated=1`).expect(200);
+  assert.match(pgn.text, /\[Result "0-1"\]/);
+  assert.match(
+    pgn.text.replace(/\s+/g, ' '),
+    /2\. g4 \$4 \{ \[%eval #-1\] \S+ was best\. \} 2\.\.\. Qh4# 0-1 $/,
+  );
+});
+
+test('the daily puzzle is solved move by move in its frame', async () => {
+  const daily = (await request(app).get('/api/puzzles/daily').expect(200)).body;
+  const puzzle = PUZZLES.find((entry) => entry.id === daily.puzzle.id);
+  assert.equal(daily.puzzle.solution, undefined);
+  assert.ok((await request(app).get('/puzzle').expect(200)).text.includes('Daily Puzzle'));
+
+  const press = (fid, inputText) =>
+    request(app)
+      .post('/puzzle')
+      .send(hub.frameRequest({ fid, buttonIndex: 1, inputText }))
+      .expect(200);
+
+  assert.ok((await press(1901, 'zz')).text.includes('Could not read move'));
+  let frame;
+  for (let ply = 0; ply < puzzle.solution.length; ply += 2) {
+    frame = await press(1901, puzzle.solution[ply]);
+    const last = ply === puzzle.solution.length - 1;
+    assert.ok(frame.text.includes(last ? 'solved!' : 'keep going'), frame.text);
+  }
+  assert.ok((await press(1901, puzzle.solution[0])).text.includes('Come back tomorrow'));
+
+  const imageUrl = frame.text.match(/fc:frame:image" content="([^"]+)"/)[1];
+  const playerId = new URL(imageUrl.replace(/&amp;/g, '&')).searchParams.get('player');
+  const image = await request(app).get(new URL(imageUrl.replace(/&amp;/g, '&')).pathname);
+  assert.equal(image.headers['content-type'], 'image/png');
+  const { puzzles } = (await request(app).get(`/api/players/${playerId}/puzzles`)).body;
+  assert.equal(puzzles.solved, 1);
+  assert.equal(puzzles.streak, 1);
+  assert.ok(puzzles.rating > 1500 - 400);
+
+  // Any legal move other than the answer (or another mate) fails the puzzle
+  const chess = new Chess(puzzle.fen);
+  const wrong = chess.moves({ verbose: true }).find((move) => {
+    if (`${move.from}${move.to}` === puzzle.solution[0]) return false;
+    chess.move(move);
+    const mates = chess.isCheckmate();
+    chess.undo();
+    return !mates;
+  });
+  assert.ok((await press(1902, `${wrong.from}${wrong.to}`)).text.includes('Best was'));
+  assert.ok((await press(1902, puzzle.solution[0])).text.includes('Come back tomorrow'));
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { createGameStore, diffMoves } from '../lib/storage/index.js';
+
+function tempDir() {
+  return fs.mkdtempSync(join(os.tmpdir(), 'chessgrid-store-'));
+}
+
+async function exerciseStore(driver) {
+  const dir = tempDir();
+  let store = await createGameStore({ driver, dir });
+
+  await store.save('a', { meta: { status: 'active' }, moves: ['e4'] });
+  await store.save('a', { meta: { status: 'active' }, moves: ['e4', 'e5', 'Nf3'] });
+  // A takeback drops moves from the end before new ones are added
+  await store.save('a', { meta: { status: 'active' }, moves: ['e4', 'e5', 'Bc4'] });
+  await store.save('b', { meta: { status: 'finished' }, moves: [] });
+  await store.close();
+
+  store = await createGameStore({ driver, dir });
+  const records = (await store.loadAll()).sort((x, y) => x.gameId.localeCompare(y.gameId));
+  assert.deepEqual(records, [
+    { gameId: 'a', meta: { status: 'active' }, moves: ['e4', 'e5', 'Bc4'] },
+    { gameId: 'b', meta: { status: 'finished' }, moves: [] },
+  ]);
+
+  await store.save('a', { meta: { status: 'waiting' }, moves: [] });
+  await store.close();
+  store = await createGameStore({ driver, dir });
+  const reset = (await store.loadAll()).find((record) => record.gameId === 'a');
+  assert.deepEqual(reset.moves, []);
+  assert.equal(reset.meta.status, 'waiting');
+
+  await store.savePlayers([{ id: 'p1', name: 'Ada', fid: null }]);
+  await store.savePlayers([
+    { id: 'p1', name: 'Ada L', fid: 7 },
+    { id: 'p2', name: 'Bo', fid: null },
+  ]);
+  await store.close();
+  store = await createGameStore({ driver, dir });
+  const players = (await store.loadPlayers()).sort((x, y) => x.id.localeCompare(y.id));
+  assert.deepEqual(players, [
+    { id: 'p1', name: 'Ada L', fid: 7 },
+    { id: 'p2', name: 'Bo', fid: null },
+  ]);
+
+  await store.saveTournament({ id: 't1', status: 'registering', players: [] });
+  await store.saveTournament({ id: 't1', status: 'running', players: [{ playerId: 'p1' }] });
+  await store.close();
+  store = await createGameStore({ driver, dir });
+  assert.deepEqual(await store.loadTournaments(), [
+    { id: 't1', status: 'running', players: [{ playerId: 'p1' }] },
+  ]);
+  await store.close();
+}
+
+test('file store replays its event logs', async () => {
+  await exerciseStore('file');
+});
+
+test('sqlite store keeps games and moves', async () => {
+  await exerciseStore('sqlite');
+});
+
+test('file store compacts long logs and survives a torn write', async () => {
+  const dir = tempDir();
+  const { createFileGameStore } = await import('../lib/storage/fileStore.js');
+  const logDir = join(dir, 'games');
+  let store = createFileGameStore({ dir: logDir, compactAfterBytes: 100 });
+  const moves = [];
+  for (const san of ['d4', 'd5', 'c4', 'e6', 'Nc3']) {
+    moves.push(san);
+    await store.save('g', { meta: { ply: moves.length }, moves: [...moves] });
+  }
+  await store.close();
+
+  const file = join(logDir, 'g.jsonl');
+  assert.ok(fs.readFileSync(file, 'utf8').trim().split('\n').length < 3);
+
+  fs.appendFileSync(file, '{"at":1,"moves":["Nf');
+  store = createFileGameStore({ dir: logDir });
+  const [record] = await store.loadAll();
+  assert.deepEqual(record.moves, moves);
+  assert.deepEqual(record.meta, { ply: 5 });
+
+  await store.save('g', { meta: { ply: 6 }, moves: [...moves, 'Nf6'] });
+  await store.close();
+  const [reloaded] = await createFileGameStore({ dir: logDir }).loadAll();
+  assert.deepEqual(reloaded.moves, [...moves, 'Nf6']);
+});
+
+test('file store writes only the fields a save changed', async () => {
+  const dir = tempDir();
+  const { createFileGameStore } = await import('../lib/storage/fileStore.js');
+  const logDir = join(dir, 'games');
+  const chat = Array.from({ length: 50 }, (_, i) => ({ from: 'white', text: `message ${i}` }));
+  let store = createFileGameStore({ dir: logDir });
+  await store.save('g', { meta: { fen: 'start', chat, offer: 'draw' }, moves: [] });
+  await store.save('g', { meta: { fen: 'after e4', chat }, moves: ['e4'] });
+  await store.close();
+
+  const lines = fs.readFileSync(join(logDir, 'g.jsonl'), 'utf8').trim().split('\n');
+  const last = JSON.parse(lines.at(-1));
+  assert.deepEqual(last.moves, ['e4']);
+  assert.deepEqual(last.set, { fen: 'after e4' });
+  assert.deepEqual(last.unset, ['offer']);
+  assert.equal(last.meta, undefined);
+
+  store = createFileGameStore({ dir: logDir });
+  const [record] = await store.loadAll();
+  assert.deepEqual(record.meta, { fen: 'after e4', chat });
+  assert.deepEqual(record.moves, ['e4']);
+});
+
+test('move lists are diffed by shared prefix', () => {
+  assert.deepEqual(diffMoves(['e4'], ['e4', 'e5']), { keep: 1, added: ['e5'] });
+  assert.deepEqual(diffMoves(['e4', 'e5'], ['e4', 'c5']), { keep: 1, added: ['c5'] });
+  assert.deepEqual(diffMoves(['e4', 'e5'], []), { keep: 0, added: [] });
+});
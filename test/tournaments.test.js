@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildCrosstable,
+  computeStandings,
+  createTournamentDirector,
+  formatScore,
+  pairSwissRound,
+  scheduleRoundRobin,
+} from '../lib/tournaments.js';
+
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+function createDirector() {
+  let clock = 1000;
+  let nextGame = 0;
+  const director = createTournamentDirector({
+    createGame: () => `g${++nextGame}`,
+    now: () => clock,
+  });
+  return { director, tick: (ms) => (clock += ms) };
+}
+
+function register(director, format, ids, options = {}) {
+  const tournament = director.create({ name: 'Test', format, createdBy: ids[0], ...options });
+  ids.forEach((id, i) =>
+    director.join(tournament.id, { playerId: id, name: id.toUpperCase(), rating: 1600 - i * 10 }),
+  );
+  return tournament;
+}
+
+test('round-robin schedules everyone against everyone once', () => {
+  const rounds = scheduleRoundRobin(['a', 'b', 'c', 'd', 'e']);
+  assert.equal(rounds.length, 5);
+  const meetings = new Set();
+  for (const { pairs, bye } of rounds) {
+    assert.equal(pairs.length, 2);
+    assert.ok(bye);
+    pairs.forEach(([white, black]) => meetings.add(pairKey(white, black)));
+  }
+  assert.equal(meetings.size, 10);
+  assert.equal(new Set(rounds.map((round) => round.bye)).size, 5);
+});
+
+test('Swiss pairing avoids rematches and gives the bye to the lowest unbyed player', () => {
+  const { pairs, bye } = pairSwissRound(['a', 'b', 'c', 'd', 'e'], {
+    played: new Set([pairKey('a', 'b'), pairKey('c', 'd')]),
+    hadBye: new Set(['e']),
+  });
+  assert.equal(bye, 'd');
+  assert.deepEqual(
+    pairs.map(([white, black]) => pairKey(white, black)),
+    [pairKey('a', 'c'), pairKey('b', 'e')],
+  );
+
+  const colors = new Map([['a', { balance: 1, last: 'white' }]]);
+  assert.deepEqual(pairSwissRound(['a', 'b'], { colors }).pairs, [['b', 'a']]);
+});
+
+test('a Swiss tournament runs its rounds and ranks by score then Buchholz', () => {
+  const { director } = createDirector();
+  const tournament = register(director, 'swiss', ['a', 'b', 'c', 'd']);
+  assert.throws(() => director.start(tournament.id, 'b'), /Only the organiser/);
+  director.start(tournament.id, 'a');
+  assert.equal(tournament.rounds, 3);
+  assert.throws(() => director.join(tournament.id, { playerId: 'z' }), /Registration has closed/);
+
+  const played = new Set();
+  while (tournament.status === 'running') {
+    const round = tournament.pairings.filter((p) => p.round === tournament.currentRound);
+    for (const pairing of round) {
+      assert.ok(!played.has(pairKey(pairing.white, pairing.black)), 'no rematches');
+      played.add(pairKey(pairing.white, pairing.black));
+      // The higher seed always wins
+      const whiteWins = pairing.white < pairing.black;
+      director.recordResult(tournament.id, pairing.gameId, whiteWins ? '1-0' : '0-1');
+    }
+  }
+  assert.equal(tournament.currentRound, 3);
+  assert.equal(played.size, 6);
+
+  const standings = computeStandings(tournament);
+  assert.deepEqual(
+    standings.map((row) => [row.playerId, row.score]),
+    [
+      ['a', 3],
+      ['b', 2],
+      ['c', 1],
+      ['d', 0],
+    ],
+  );
+  assert.equal(standings[0].buchholz, 3);
+
+  const crosstable = buildCrosstable(tournament);
+  assert.deepEqual(crosstable[0].results, { b: ['1'], c: ['1'], d: ['1'] });
+  assert.deepEqual(crosstable[3].results.a, ['0']);
+});
+
+test('round-robin ties break on Sonneborn-Berger before rating', () => {
+  const tournament = {
+    format: 'round-robin',
+    players: [
+      { playerId: 'a', name: 'A', rating: 1500 },
+      { playerId: 'b', name: 'B', rating: 1700 },
+      { playerId: 'c', name: 'C', rating: 1500 },
+      { playerId: 'd', name: 'D', rating: 1500 },
+    ],
+    byes: [],
+    pairings: [
+      { white: 'a', black: 'b', result: '1/2-1/2', finishedAt: 1 },
+      { white: 'a', black: 'c', result: '1-0', finishedAt: 2 },
+      { white: 'b', black: 'd', result: '1-0', finishedAt: 3 },
+      { white: 'c', black: 'd', result: '1-0', finishedAt: 4 },
+    ],
+  };
+  const standings = computeStandings(tournament);
+  assert.deepEqual(
+    standings.map((row) => [row.playerId, row.score, row.sonnebornBerger]),
+    [
+      ['a', 1.5, 1.75],
+      ['b', 1.5, 0.75],
+      ['c', 1, 0],
+      ['d', 0, 0],
+    ],
+  );
+  assert.deepEqual(buildCrosstable(tournament)[1].results, { a: ['½'], d: ['1'] });
+  assert.equal(formatScore(1.5), '1½');
+  assert.equal(formatScore(0.5), '½');
+  assert.equal(formatScore(2), '2');
+});
+
+test('arenas pair continuously, double scores on a streak and end on the clock', () => {
+  const { director, tick } = createDirector();
+  const tournament = register(director, 'arena', ['a', 'b', 'c'], { durationMinutes: 5 });
+  director.start(tournament.id, 'a');
+  assert.equal(tournament.pairings.length, 1);
+  const idle = ['a', 'b', 'c'].find((id) => !director.getCurrentPairing(tournament.id, id));
+
+  // Whoever finishes first meets the idle player rather than a rematch
+  const first = tournament.pairings[0];
+  director.recordResult(tournament.id, first.gameId, first.white === 'a' ? '1-0' : '0-1');
+  const next = director.getCurrentPairing(tournament.id, idle);
+  assert.ok(next);
+  assert.notDeepEqual(pairKey(next.white, next.black), pairKey(first.white, first.black));
+
+  // Three wins in a row for 'a': 2 + 2 + 4
+  const winFor = (id) => {
+    const pairing = director.getCurrentPairing(tournament.id, id);
+    director.recordResult(tournament.id, pairing.gameId, pairing.white === id ? '1-0' : '0-1');
+  };
+  winFor('a');
+  winFor('a');
+  assert.equal(computeStandings(tournament).find((row) => row.playerId === 'a').score, 8);
+
+  tick(5 * 60_000);
+  director.checkClock(tournament.id);
+  assert.equal(tournament.status, 'running', 'waits for games still in progress');
+  const last = tournament.pairings.find((pairing) => !pairing.result);
+  director.recordResult(tournament.id, last.gameId, '1/2-1/2');
+  assert.equal(tournament.status, 'finished');
+  assert.ok(tournament.pairings.every((pairing) => pairing.result));
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Chess } from 'chess.js';
+import { TERMINATIONS } from '../lib/gameResult.js';
+import { parseGameSetup } from '../lib/position.js';
+import {
+  HORDE_FEN,
+  VARIANTS,
+  countChecks,
+  createVariantGame,
+  detectVariantTermination,
+  getChess960BackRank,
+  getVariantStartFen,
+  parseVariant,
+} from '../lib/variants.js';
+
+// The private chess.js members the Chess960 and Horde patches rely on. If an
+// upgrade renames any of them, this fails before the variants quietly break.
+test('chess.js still has the internals the variants patch', () => {
+  const chess = new Chess();
+  for (const method of [
+    '_attacked',
+    '_computeHash',
+    '_isKingAttacked',
+    '_makeMove',
+    '_moves',
+    '_push',
+    '_undoMove',
+  ]) {
+    assert.equal(typeof chess[method], 'function', `chess.${method}`);
+  }
+
+  assert.equal(chess._board.length, 128);
+  assert.deepEqual(chess._board[116], { type: 'k', color: 'w' });
+  assert.deepEqual(chess._kings, { w: 116, b: 4 });
+  assert.equal(chess._turn, 'w');
+  assert.deepEqual(Object.keys(chess._castling).sort(), ['b', 'w']);
+  assert.ok(chess._castling.w > 0);
+  assert.equal(typeof chess._epSquare, 'number');
+  assert.equal(chess._halfMoves, 0);
+  assert.equal(chess._moveNumber, 1);
+  assert.equal(typeof chess._hash, 'bigint');
+  assert.equal(chess._hash, chess._computeHash());
+  assert.ok(Array.isArray(chess._history));
+
+  const [move] = chess._moves({ square: 'g1' });
+  assert.deepEqual(
+    [typeof move.from, typeof move.to, typeof move.flags],
+    ['number', 'number', 'number'],
+  );
+  chess._makeMove(move);
+  assert.equal(chess._turn, 'b');
+  assert.equal(chess._isKingAttacked('w'), false);
+  assert.equal(chess._attacked('w', 116), true);
+  chess._undoMove();
+  assert.equal(chess.fen(), new Chess().fen());
+});
+
+test('variant names are read loosely', () => {
+  assert.equal(parseVariant(undefined), VARIANTS.STANDARD);
+  assert.equal(parseVariant('Chess960'), VARIANTS.CHESS960);
+  assert.equal(parseVariant('King of the Hill'), VARIANTS.KING_OF_THE_HILL);
+  assert.equal(parseVariant('three-check'), VARIANTS.THREE_CHECK);
+  assert.throws(() => parseVariant('crazyhouse'), /Unknown variant/);
+
+  assert.deepEqual(parseGameSetup({}), { variant: 'standard', startFen: null, startMoves: [] });
+  assert.equal(parseGameSetup({ variant: 'horde' }).startFen, HORDE_FEN);
+  assert.throws(
+    () => parseGameSetup({ variant: 'horde', fen: HORDE_FEN }),
+    /start from their own position/,
+  );
+});
+
+test('Chess960 starts are numbered and seeded', () => {
+  assert.equal(getChess960BackRank(518), 'RNBQKBNR');
+  assert.equal(getChess960BackRank(0), 'BBQNNRKR');
+
+  const ranks = new Set();
+  for (let n = 0; n < 960; n++) {
+    const rank = getChess960BackRank(n);
+    const bishops = [...rank].flatMap((piece, i) => (piece === 'B' ? [i % 2] : []));
+    assert.deepEqual(bishops.sort(), [0, 1]);
+    assert.match(rank, /R.*K.*R/);
+    ranks.add(rank);
+  }
+  assert.equal(ranks.size, 960);
+
+  const seeded = getVariantStartFen(VARIANTS.CHESS960, { seed: 'weekly-42' });
+  assert.equal(getVariantStartFen(VARIANTS.CHESS960, { seed: 'weekly-42' }), seeded);
+  assert.equal(createVariantGame(VARIANTS.CHESS960, seeded).fen(), seeded);
+});
+
+test('Chess960 castling puts the king and rook on their usual squares', () => {
+  const fen = '1r2k2r/8/8/8/8/8/8/1R3KR1 w KQkq - 0 1';
+  const chess = createVariantGame(VARIANTS.CHESS960, fen);
+  assert.deepEqual(
+    chess.moves().filter((san) => san.startsWith('O')),
+    ['O-O', 'O-O-O'],
+  );
+
+  chess.move('O-O');
+  assert.equal(chess.fen(), '1r2k2r/8/8/8/8/8/8/1R3RK1 b kq - 1 1');
+  chess.undo();
+  assert.equal(chess.fen(), fen);
+
+  // The king's destination works as well as the rook's square
+  assert.equal(chess.move({ from: 'f1', to: 'c1', promotion: 'q' }).san, 'O-O-O');
+  assert.equal(chess.fen(), '1r2k2r/8/8/8/8/8/8/2KR2R1 b kq - 1 1');
+  chess.move('Rb7');
+  assert.equal(chess.fen().split(' ')[2], 'k');
+
+  // Not through an attacked square
+  const attacked = createVariantGame(VARIANTS.CHESS960, '1r3kr1/8/8/8/8/8/8/1R3KR1 w KQ - 0 1');
+  assert.deepEqual(
+    attacked.moves().filter((san) => san.startsWith('O')),
+    ['O-O-O'],
+  );
+});
+
+test('each variant has its own way to win', () => {
+  const hill = createVariantGame(VARIANTS.KING_OF_THE_HILL);
+  ['e3', 'a6', 'Ke2', 'a5', 'Kd3', 'a4'].forEach((san) => hill.move(san));
+  assert.equal(detectVariantTermination(VARIANTS.KING_OF_THE_HILL, hill), null);
+  hill.move('Ke4');
+  assert.deepEqual(detectVariantTermination(VARIANTS.KING_OF_THE_HILL, hill), {
+    result: '1-0',
+    termination: TERMINATIONS.KING_OF_THE_HILL,
+  });
+  // A bare king can still walk to the hill
+  const bare = createVariantGame(VARIANTS.KING_OF_THE_HILL, '4k3/8/8/8/8/8/8/4K3 w - - 0 1');
+  assert.equal(detectVariantTermination(VARIANTS.KING_OF_THE_HILL, bare), null);
+
+  const checks = createVariantGame(VARIANTS.THREE_CHECK);
+  ['e4', 'e5', 'Bc4', 'Nc6', 'Bxf7+', 'Kxf7', 'Qh5+', 'g6'].forEach((san) => checks.move(san));
+  assert.deepEqual(countChecks(checks), { white: 2, black: 0 });
+  assert.equal(detectVariantTermination(VARIANTS.THREE_CHECK, checks), null);
+  checks.move('Qxg6+');
+  assert.equal(detectVariantTermination(VARIANTS.THREE_CHECK, checks).result, '1-0');
+
+  const horde = createVariantGame(VARIANTS.HORDE);
+  assert.equal(horde.moves().length, 8);
+  const lastPawn = createVariantGame(VARIANTS.HORDE, '4k3/8/8/8/8/8/8/P7 w - - 0 1');
+  assert.deepEqual(lastPawn.moves(), ['a2', 'a3']);
+  assert.deepEqual(
+    detectVariantTermination(
+      VARIANTS.HORDE,
+      createVariantGame(VARIANTS.HORDE, '4k3/8/8/8/8/8/8/8 w - - 0 1'),
+    ),
+    { result: '0-1', termination: TERMINATIONS.HORDE_DESTROYED },
+  );
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  castVote,
+  closeBallot,
+  isBallotDue,
+  parseVoteOptions,
+  tallyVotes,
+} from '../lib/voteChess.js';
+
+test('vote options name the crowd sides and a window', () => {
+  assert.equal(parseVoteOptions({}), null);
+  assert.deepEqual(parseVoteOptions({ vote: 'both', windowSeconds: 60 }).sides, ['white', 'black']);
+  assert.equal(parseVoteOptions({ vote: 'Black' }).windowMs, 300_000);
+  assert.throws(() => parseVoteOptions({ vote: 'red' }), /vote must be/);
+  assert.throws(() => parseVoteOptions({ vote: 'white', windowSeconds: 5 }), /windowSeconds/);
+});
+
+test('the first vote opens the window and ties go to the earliest move', () => {
+  const vote = parseVoteOptions({ vote: 'white', windowSeconds: 60 });
+  castVote(vote, { voterId: 'a', san: 'e4', ply: 0, now: 1000 });
+  castVote(vote, { voterId: 'b', san: 'd4', ply: 0, now: 2000 });
+  castVote(vote, { voterId: 'c', san: 'd4', ply: 0, now: 3000 });
+  // Changing a vote replaces it
+  castVote(vote, { voterId: 'c', san: 'e4', ply: 0, now: 4000 });
+  castVote(vote, { voterId: 'd', san: 'Nf3', ply: 0, now: 5000 });
+
+  assert.equal(vote.ballot.closesAt, 61_000);
+  assert.deepEqual(
+    tallyVotes(vote.ballot).map(({ san, votes }) => [san, votes]),
+    [
+      ['e4', 2],
+      ['d4', 1],
+      ['Nf3', 1],
+    ],
+  );
+  assert.equal(isBallotDue(vote, 60_999), false);
+  assert.equal(isBallotDue(vote, 61_000), true);
+
+  assert.equal(closeBallot(vote), 'e4');
+  assert.equal(vote.ballot, null);
+  assert.deepEqual(vote.results, [{ ply: 0, san: 'e4', votes: 2, voters: 4 }]);
+
+  // A vote at a later ply starts over
+  castVote(vote, { voterId: 'a', san: 'Nc3', ply: 2, now: 70_000 });
+  castVote(vote, { voterId: 'b', san: 'Bc4', ply: 2, now: 70_000 });
+  assert.equal(tallyVotes(vote.ballot)[0].san, 'Bc4');
+});